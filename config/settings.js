@@ -0,0 +1,95 @@
+// Application settings that can be tuned through environment variables.
+// Each value falls back to a sensible default so the app runs without a full .env file.
+
+// How long a placed but unpaid order holds its stock before the reservation expires.
+const RESERVATION_TTL_MINUTES = Number(process.env.RESERVATION_TTL_MINUTES) || 15;
+
+// How often the background sweeper looks for expired reservations.
+const RESERVATION_SWEEP_INTERVAL_SECONDS = Number(process.env.RESERVATION_SWEEP_INTERVAL_SECONDS) || 60;
+
+// How long a stored Idempotency-Key (and its response) can be replayed.
+const IDEMPOTENCY_KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// Secret used to sign and verify access tokens. Must be set in production.
+const JWT_SECRET = process.env.JWT_SECRET;
+
+// How long an access token stays valid (any value understood by jsonwebtoken, e.g. '1h', '7d').
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
+
+// How many times an order transaction is attempted when it collides with a concurrent one,
+// and the longest wait before the first retry (the wait doubles after every attempt).
+const TRANSACTION_MAX_ATTEMPTS = Number(process.env.TRANSACTION_MAX_ATTEMPTS) || 5;
+const TRANSACTION_RETRY_BASE_MS = Number(process.env.TRANSACTION_RETRY_BASE_MS) || 50;
+
+// How many orders one call to POST /api/orders/batch may place.
+const ORDER_BATCH_LIMIT = Number(process.env.ORDER_BATCH_LIMIT) || 50;
+
+// How many rows of a product import are applied per transaction.
+const IMPORT_BATCH_SIZE = Number(process.env.IMPORT_BATCH_SIZE) || 100;
+
+// The currency of products and promotions created without one (ISO 4217 code).
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+// The tax region of orders placed without one, e.g. 'GB' or 'US-CA'.
+// When neither the order nor this setting names a region, no tax is charged.
+const DEFAULT_TAX_REGION = process.env.DEFAULT_TAX_REGION ? process.env.DEFAULT_TAX_REGION.toUpperCase() : null;
+
+// The reorder point of products that do not set their own: when the units available for
+// sale drop to this or below, the product is low on stock (product.stock_low, inventory alerts).
+const LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+// How many days of sales the reorder suggestions work out the sales rate from, unless the request says otherwise.
+const REORDER_SALES_WINDOW_DAYS = Number(process.env.REORDER_SALES_WINDOW_DAYS) || 30;
+
+// How often the webhook dispatcher sends new events and retries failed deliveries.
+const WEBHOOK_DISPATCH_INTERVAL_SECONDS = Number(process.env.WEBHOOK_DISPATCH_INTERVAL_SECONDS) || 5;
+
+// How many times a delivery is attempted before it becomes a dead letter.
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+
+// The wait before the first retry; it doubles after every failed attempt.
+const WEBHOOK_RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+
+// How long a webhook has to answer before the attempt counts as failed.
+const WEBHOOK_TIMEOUT_SECONDS = Number(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10;
+
+// How placed orders are allocated to warehouses: 'priority' takes each line from the
+// warehouses in priority order; 'fewest_shipments' ships the whole order from as few
+// warehouses as it can. Any other value stops the app at startup rather than failing
+// every order.
+const ALLOCATION_STRATEGIES = ['priority', 'fewest_shipments'];
+const ALLOCATION_STRATEGY = process.env.ALLOCATION_STRATEGY || 'priority';
+if (!ALLOCATION_STRATEGIES.includes(ALLOCATION_STRATEGY)) {
+  throw new Error(`Unknown ALLOCATION_STRATEGY '${ALLOCATION_STRATEGY}'. Must be one of: ${ALLOCATION_STRATEGIES.join(', ')}`);
+}
+
+// The price bands product search results are counted in, as the upper bounds of each band
+// in minor units, e.g. '1000,2500' gives the bands 0-999, 1000-2499 and 2500 and over.
+const SEARCH_PRICE_BANDS = (process.env.SEARCH_PRICE_BANDS || '1000,2500,5000,10000,25000')
+  .split(',')
+  .map(Number)
+  .filter((bound) => Number.isInteger(bound) && bound > 0)
+  .sort((a, b) => a - b);
+
+module.exports = {
+  RESERVATION_TTL_MINUTES,
+  RESERVATION_SWEEP_INTERVAL_SECONDS,
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  JWT_SECRET,
+  JWT_EXPIRES_IN,
+  TRANSACTION_MAX_ATTEMPTS,
+  TRANSACTION_RETRY_BASE_MS,
+  ORDER_BATCH_LIMIT,
+  IMPORT_BATCH_SIZE,
+  DEFAULT_CURRENCY,
+  DEFAULT_TAX_REGION,
+  LOW_STOCK_THRESHOLD,
+  REORDER_SALES_WINDOW_DAYS,
+  WEBHOOK_DISPATCH_INTERVAL_SECONDS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_BASE_SECONDS,
+  WEBHOOK_TIMEOUT_SECONDS,
+  ALLOCATION_STRATEGIES,
+  ALLOCATION_STRATEGY,
+  SEARCH_PRICE_BANDS
+};
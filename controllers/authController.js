@@ -0,0 +1,53 @@
+const User = require('../models/User'); // Import the User Model
+const { signToken } = require('../services/auth');
+const { UnauthorizedError, ConflictError } = require('../utils/errors');
+
+// @desc    Register a new customer account
+// @route   POST /api/auth/register
+// @body    name, email, password
+// @access  Public
+exports.register = async (req, res, next) => {
+  const { name, email, password } = req.body;
+
+  try {
+    // Self-registered accounts are always customers; staff and admins are created by an admin
+    const user = await User.create({ name, email, password, role: 'customer' });
+
+    res.status(201).json({ token: signToken(user), user });
+  } catch (error) {
+    // Handle duplicate key error (if the email is already registered)
+    if (error.code === 11000) {
+      return next(new ConflictError('An account with this email already exists.'));
+    }
+    next(error);
+  }
+};
+
+// @desc    Log in with email and password and receive an access token
+// @route   POST /api/auth/login
+// @body    email, password
+// @access  Public
+exports.login = async (req, res, next) => {
+  const { email, password } = req.body;
+
+  try {
+    // The password hash is not selected by default
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select('+password');
+
+    // Use the same message for an unknown email and a wrong password
+    if (!user || !(await user.comparePassword(password))) {
+      throw new UnauthorizedError('Invalid email or password');
+    }
+
+    res.status(200).json({ token: signToken(user), user });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the currently logged in user
+// @route   GET /api/auth/me
+// @access  Private
+exports.getMe = async (req, res, next) => {
+  res.status(200).json(req.user);
+};
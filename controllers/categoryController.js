@@ -0,0 +1,120 @@
+const Category = require('../models/Category'); // Import the Category Model
+const Product = require('../models/Product');   // Import the Product Model
+const { findCategory, ancestorsUnder, moveCategory } = require('../services/categories'); // Category tree
+const { withTransaction } = require('../utils/transactions'); // Transactions retried on transient conflicts
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+const DUPLICATE_NAME = 'A category with this name already exists under the same parent.';
+
+// @desc    Create a category, at the top level or under a parent
+// @route   POST /api/categories
+// @body    name, description, parent_id (optional)
+// @access  Private (admin, staff)
+exports.createCategory = async (req, res, next) => {
+  const { name, description, parent_id } = req.body;
+
+  try {
+    const parent = parent_id ? await findCategory(parent_id, { message: 'Parent category not found' }) : null;
+
+    const category = await Category.create({
+      name,
+      description,
+      parent_id: parent ? parent._id : null,
+      ancestors: ancestorsUnder(parent)
+    });
+    res.status(201).json(category);
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ConflictError(DUPLICATE_NAME));
+    }
+    next(error);
+  }
+};
+
+// @desc    Get all categories, sorted by name; each one lists its parent and ancestors
+// @route   GET /api/categories
+// @access  Public
+exports.getAllCategories = async (req, res, next) => {
+  try {
+    const categories = await Category.find({}).sort({ name: 1 });
+    res.status(200).json(categories);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a single category by its ID, with the names of its ancestors (e.g. for breadcrumbs)
+// @route   GET /api/categories/:id
+// @access  Public
+exports.getCategoryById = async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id).populate('ancestors', 'name');
+
+    if (!category) {
+      return next(new NotFoundError('Category not found'));
+    }
+
+    res.status(200).json(category);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rename a category or move it, with everything below it, under another parent
+// @route   PUT /api/categories/:id
+// @body    name, description, parent_id (null moves the category to the top level)
+// @access  Private (admin, staff)
+exports.updateCategory = async (req, res, next) => {
+  const { name, description, parent_id } = req.body;
+
+  try {
+    // The category and the ancestors of its subcategories are written together
+    const category = await withTransaction(async (session) => {
+      const found = await findCategory(req.params.id, { session });
+      if (name !== undefined) found.name = name;
+      if (description !== undefined) found.description = description;
+
+      if (parent_id === undefined || String(parent_id) === String(found.parent_id)) {
+        return found.save({ session });
+      }
+      const parent = parent_id ? await findCategory(parent_id, { session, message: 'Parent category not found' }) : null;
+      await moveCategory(found, parent, { session });
+      return found;
+    });
+
+    res.status(200).json(category);
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ConflictError(DUPLICATE_NAME));
+    }
+    next(error);
+  }
+};
+
+// @desc    Delete a category that has no subcategories and no products
+// @route   DELETE /api/categories/:id
+// @access  Private (admin)
+exports.deleteCategory = async (req, res, next) => {
+  try {
+    // The checks and the delete see the same snapshot of the data
+    const deletedCategory = await withTransaction(async (session) => {
+      if (await Category.exists({ parent_id: req.params.id }).session(session)) {
+        throw new ConflictError('This category has subcategories and cannot be deleted. Move or delete them first.');
+      }
+      // Archived products count too, as they can be restored into the category
+      if (await Product.exists({ category_id: req.params.id }).session(session)) {
+        throw new ConflictError('This category has products and cannot be deleted. Move them to another category first.');
+      }
+
+      const deleted = await Category.findByIdAndDelete(req.params.id, { session });
+      if (!deleted) {
+        throw new NotFoundError('Category not found');
+      }
+      return deleted;
+    });
+
+    res.status(200).json({ message: 'Category deleted successfully', deletedCategory });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer'); // Import the Customer Model
+const Order = require('../models/Order');       // Import the Order Model
+const { customerForUser, settleDefaultAddress } = require('../services/customers'); // Customer accounts and addresses
+const { customerLifetimeValue } = require('../services/reports'); // Order totals of a customer
+const { isStaff } = require('../middleware/auth');
+const { paginate, parseLimit, parseSort } = require('../utils/pagination');
+const { escapeRegex } = require('../utils/queryFilters');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+// The fields the customer list can be sorted by
+const CUSTOMER_SORT_FIELDS = ['name', 'createdAt'];
+
+// Copies only the fields a client may set. Notes are for staff only.
+const pickCustomerFields = ({ name, email, phone, notes }, staff) => {
+  const fields = { name, email, phone, notes: staff ? notes : undefined };
+  Object.keys(fields).forEach((key) => fields[key] === undefined && delete fields[key]);
+  return fields;
+};
+
+// Copies only the address fields a client may set.
+const pickAddressFields = ({ kind, label, name, line1, line2, city, region, postal_code, country, phone, is_default }) => {
+  const fields = { kind, label, name, line1, line2, city, region, postal_code, country, phone, is_default };
+  Object.keys(fields).forEach((key) => fields[key] === undefined && delete fields[key]);
+  return fields;
+};
+
+// Finds the customer named in the URL. 'me' is the customer of the logged-in account,
+// created on first use. Staff can open any customer; others only their own, and
+// anyone else's customer is reported as not found.
+const resolveCustomer = async (req) => {
+  if (req.params.id === 'me') {
+    return customerForUser(req.user);
+  }
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return null;
+  }
+  const customer = await Customer.findById(req.params.id);
+  if (!customer || (!isStaff(req.user) && !(customer.user && customer.user.equals(req.user._id)))) {
+    return null;
+  }
+  return customer;
+};
+
+// @desc    Create a customer, e.g. for an order taken over the phone
+// @route   POST /api/customers
+// @body    name, email, phone, notes, user_id (optional, the customer's account), addresses
+// @access  Private (admin, staff)
+exports.createCustomer = async (req, res, next) => {
+  try {
+    const customer = new Customer(pickCustomerFields(req.body, true));
+    if (req.body.user_id) {
+      customer.user = req.body.user_id;
+    }
+    for (const address of req.body.addresses || []) {
+      customer.addresses.push(pickAddressFields(address));
+      settleDefaultAddress(customer, customer.addresses[customer.addresses.length - 1]);
+    }
+    await customer.save();
+    res.status(201).json(customer);
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ConflictError('A customer with this email or account already exists.'));
+    }
+    next(error);
+  }
+};
+
+// @desc    Get customers, one page at a time
+// @route   GET /api/customers
+// @query   limit, cursor, sort (name|createdAt, '-' prefix for descending), q (start of the name or email)
+// @access  Private (admin, staff)
+exports.getCustomers = async (req, res, next) => {
+  try {
+    const { limit, cursor, sort, q } = req.query;
+    const filter = {};
+    // Case-insensitive match on the start of the name or email
+    if (q) {
+      const prefix = { $regex: `^${escapeRegex(q)}`, $options: 'i' };
+      filter.$or = [{ name: prefix }, { email: prefix }];
+    }
+
+    const page = await paginate(Customer, filter, {
+      limit: parseLimit(limit),
+      cursor,
+      sort: parseSort(sort, CUSTOMER_SORT_FIELDS, 'name')
+    });
+    res.status(200).json(page);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a customer with their order history summary: number of orders, first and
+//          last order dates and, per currency, lifetime value and average order value
+// @route   GET /api/customers/:id   (or /api/customers/me)
+// @access  Private (staff, or the customer themselves)
+exports.getCustomerById = async (req, res, next) => {
+  try {
+    const customer = await resolveCustomer(req);
+    if (!customer) {
+      return next(new NotFoundError('Customer not found'));
+    }
+
+    const summary = await customerLifetimeValue(customer._id);
+    res.status(200).json({ ...customer.toObject(), summary });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a customer's contact details
+// @route   PUT /api/customers/:id   (or /api/customers/me)
+// @body    name, email, phone, notes (staff only)
+// @access  Private (staff, or the customer themselves)
+exports.updateCustomer = async (req, res, next) => {
+  try {
+    const customer = await resolveCustomer(req);
+    if (!customer) {
+      return next(new NotFoundError('Customer not found'));
+    }
+
+    customer.set(pickCustomerFields(req.body, isStaff(req.user)));
+    await customer.save();
+    res.status(200).json(customer);
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ConflictError('A customer with this email already exists.'));
+    }
+    next(error);
+  }
+};
+
+// @desc    Delete a customer. Customers with orders are kept, as the orders refer to them.
+// @route   DELETE /api/customers/:id
+// @access  Private (admin)
+exports.deleteCustomer = async (req, res, next) => {
+  try {
+    if (await Order.exists({ customer: req.params.id })) {
+      return next(new ConflictError('This customer has orders and cannot be deleted.'));
+    }
+
+    const deletedCustomer = await Customer.findByIdAndDelete(req.params.id);
+
+    if (!deletedCustomer) {
+      return next(new NotFoundError('Customer not found'));
+    }
+
+    res.status(200).json({ message: 'Customer deleted successfully', deletedCustomer });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a shipping or billing address to a customer. The first address of a kind,
+//          or one sent with is_default: true, becomes the default for that kind.
+// @route   POST /api/customers/:id/addresses
+// @body    kind (shipping|billing), label, name, line1, line2, city, region, postal_code, country, phone, is_default
+// @access  Private (staff, or the customer themselves)
+exports.addAddress = async (req, res, next) => {
+  try {
+    const customer = await resolveCustomer(req);
+    if (!customer) {
+      return next(new NotFoundError('Customer not found'));
+    }
+
+    customer.addresses.push(pickAddressFields(req.body));
+    settleDefaultAddress(customer, customer.addresses[customer.addresses.length - 1]);
+    await customer.save();
+    res.status(201).json(customer);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update one of a customer's addresses. Orders already placed keep the address they were shipped to.
+//          An address that stops being the default hands it to the oldest address of its kind.
+// @route   PUT /api/customers/:id/addresses/:addressId
+// @body    the address fields to change
+// @access  Private (staff, or the customer themselves)
+exports.updateAddress = async (req, res, next) => {
+  try {
+    const customer = await resolveCustomer(req);
+    const address = customer && customer.addresses.id(req.params.addressId);
+    if (!address) {
+      return next(new NotFoundError(customer ? 'Address not found' : 'Customer not found'));
+    }
+
+    address.set(pickAddressFields(req.body));
+    settleDefaultAddress(customer, address);
+    await customer.save();
+    res.status(200).json(customer);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove one of a customer's addresses. If it was the default, the oldest remaining
+//          address of the same kind becomes the default.
+// @route   DELETE /api/customers/:id/addresses/:addressId
+// @access  Private (staff, or the customer themselves)
+exports.deleteAddress = async (req, res, next) => {
+  try {
+    const customer = await resolveCustomer(req);
+    const address = customer && customer.addresses.id(req.params.addressId);
+    if (!address) {
+      return next(new NotFoundError(customer ? 'Address not found' : 'Customer not found'));
+    }
+
+    address.deleteOne();
+    settleDefaultAddress(customer);
+    await customer.save();
+    res.status(200).json(customer);
+  } catch (error) {
+    next(error);
+  }
+};
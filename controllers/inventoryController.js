@@ -0,0 +1,98 @@
+const Product = require('../models/Product');             // Import the Product Model
+const StockMovement = require('../models/StockMovement'); // Import the StockMovement Model
+const { findLowStockItems, buildReorderSuggestions } = require('../services/reorder');
+const { buildMarginReport } = require('../services/margins');
+const { REORDER_SALES_WINDOW_DAYS } = require('../config/settings');
+const { badRequest } = require('../utils/pagination');
+const { parseDate } = require('../utils/queryFilters');
+
+// The longest sales window the reorder suggestions can be worked out from
+const MAX_SALES_WINDOW_DAYS = 365;
+
+// @desc    Recompute stock from the inventory ledger and flag products that have drifted
+// @route   GET /api/inventory/reconciliation
+// @access  Private (admin, staff)
+exports.getReconciliation = async (req, res, next) => {
+  try {
+    // Add up every ledger entry of sellable stock per product (damaged units are not part of stock)
+    const ledgerTotals = await StockMovement.aggregate([
+      { $match: { bucket: { $ne: 'damaged' } } },
+      { $group: { _id: '$product_id', ledger_stock: { $sum: '$quantity_delta' }, movements: { $sum: 1 } } }
+    ]);
+    const totalsByProduct = new Map(ledgerTotals.map((total) => [total._id.toString(), total]));
+
+    const products = await Product.find({}).select('name stock');
+
+    // A product has drifted when its stock field no longer matches the sum of its ledger
+    const drifted = [];
+    for (const product of products) {
+      const total = totalsByProduct.get(product._id.toString());
+      const ledgerStock = total ? total.ledger_stock : 0;
+
+      if (ledgerStock !== product.stock) {
+        drifted.push({
+          product_id: product._id,
+          name: product.name,
+          stock: product.stock,
+          ledger_stock: ledgerStock,
+          drift: product.stock - ledgerStock,
+          movements: total ? total.movements : 0
+        });
+      }
+    }
+
+    res.status(200).json({
+      checked: products.length,
+      drifted_count: drifted.length,
+      drifted
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List the products and variants whose available stock is at or below their reorder point
+// @route   GET /api/inventory/alerts
+// @access  Private (admin, staff)
+exports.getLowStockAlerts = async (req, res, next) => {
+  try {
+    const items = await findLowStockItems();
+    res.status(200).json({ count: items.length, items });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Suggest what to reorder, based on recent sales
+// @route   GET /api/inventory/reorder-suggestions
+// @query   days (the sales window, default REORDER_SALES_WINDOW_DAYS)
+// @access  Private (admin, staff)
+exports.getReorderSuggestions = async (req, res, next) => {
+  try {
+    const days = req.query.days === undefined ? REORDER_SALES_WINDOW_DAYS : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_SALES_WINDOW_DAYS) {
+      throw badRequest(`days must be a whole number between 1 and ${MAX_SALES_WINDOW_DAYS}.`);
+    }
+
+    const suggestions = await buildReorderSuggestions({ days });
+    res.status(200).json({ sales_window_days: days, count: suggestions.length, suggestions });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Report the margin on the products sold, against their weighted-average cost
+// @route   GET /api/inventory/margins
+// @query   from, to (optional dates the orders were placed between)
+// @access  Private (admin, staff)
+exports.getMargins = async (req, res, next) => {
+  try {
+    const from = req.query.from === undefined ? undefined : parseDate(req.query.from, 'from');
+    const to = req.query.to === undefined ? undefined : parseDate(req.query.to, 'to');
+
+    const report = await buildMarginReport({ from, to });
+    res.status(200).json({ from: from || null, to: to || null, count: report.items.length, ...report });
+  } catch (error) {
+    next(error);
+  }
+};
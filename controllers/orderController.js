@@ -1,175 +1,301 @@
 const Order = require('../models/Order');     // Import the Order Model
-const Product = require('../models/Product'); // Import the Product Model
-const mongoose = require('mongoose');         // Import mongoose for using Transactions
+const { ORDER_STATUSES, canTransition, transitionOrder, releasesStock } = require('../services/orderStatus'); // Order lifecycle rules
+const { fillBackordersFor } = require('../services/backorders'); // Freed units go to waiting orders first
+const { hashRequest, findIdempotencyKey, saveIdempotencyKey, isDuplicateIdempotencyKey } = require('../services/idempotency'); // Safe client retries
+const { createOrder } = require('../services/orderPlacement'); // Stock checks, reservation and pricing of new orders
+const { CANCELLABLE_STATUSES, adjustOrderItems, refundOrder } = require('../services/orderAdjustments'); // Partial cancellations and returns
+const { withTransaction } = require('../utils/transactions'); // Transactions retried on transient conflicts
+const Refund = require('../models/Refund'); // Import the Refund Model
+const { paginate, parseLimit, parseSort, badRequest } = require('../utils/pagination');
+const { parseNumber, parseDate, parseRange } = require('../utils/queryFilters');
+const { isStaff } = require('../middleware/auth');
+const { checkIfMatch, sendWithETag } = require('../utils/etags'); // Conditional requests
+const { ForbiddenError, NotFoundError, ConflictError, UnprocessableError, toAppError } = require('../utils/errors');
 
-// @desc    Place a new order
-// @route   POST /api/orders
-// @access  Private (Authentication should be implemented in a real-world app)
-exports.placeOrder = async (req, res) => {
-  // Start a new session for the transaction
-  const session = await mongoose.startSession();
-  // Start the transaction
-  session.startTransaction();
+// Fields the order list can be sorted by (each one is backed by an index)
+const ORDER_SORT_FIELDS = ['createdAt', 'total_price'];
 
-  try {
-    const { customer_name, items } = req.body;
+// Idempotency keys sent to placeOrder are stored under this scope
+const PLACE_ORDER_SCOPE = 'POST /api/orders';
 
-    // Validate request body
-    if (!customer_name || !items || items.length === 0) {
-      throw new Error('Please provide customer name and at least one item.');
-    }
+// Whether the order was placed by this account. Orders from before accounts existed
+// have no user, so they belong to no one but staff.
+const placedBy = (order, user) => Boolean(order.user) && order.user.equals(user._id);
 
-    const orderItemsWithDetails = [];
-    let calculatedTotalPrice = 0;
+// @desc    Place a new order. Items for the same product (or variant) become one line.
+//          Products in backorder or pre-order mode can be ordered beyond their available
+//          stock; the order is then backordered until the rest arrives.
+// @route   POST /api/orders
+// @access  Private (the order belongs to the logged in user)
+// @body    items, coupon_code (optional), region (optional, defaults to DEFAULT_TAX_REGION),
+//          shipping_address_id or shipping_address (optional, defaults to the customer's default
+//          shipping address), customer_id (optional, staff only: place the order for that customer)
+// @header  Idempotency-Key (optional) - retrying with the same key replays the original response
+exports.placeOrder = async (req, res, next) => {
+  const idempotencyKey = req.get('Idempotency-Key');
+  // Keys are per user, so two customers can never replay each other's orders
+  const idempotencyScope = `${PLACE_ORDER_SCOPE}:${req.user._id}`;
+  const requestHash = idempotencyKey ? hashRequest(req.body) : null;
 
-    // Loop through each item in the order to validate stock and get details
-    for (const item of items) {
-      // Find the product within the transaction session
-      const product = await Product.findById(item.product_id).session(session); 
+  try {
+    // Retried from the start if it collides with a concurrent order for the same products
+    const { status, body } = await withTransaction(async (session) => {
+      // A retried request must not place the order a second time
+      if (idempotencyKey) {
+        const stored = await findIdempotencyKey({ scope: idempotencyScope, key: idempotencyKey, session });
 
-      if (!product) {
-        throw new Error(`Product with ID ${item.product_id} not found.`);
-      }
-      if (product.stock < item.quantity) {
-        throw new Error(`Insufficient stock for product: ${product.name}. Available: ${product.stock}, Requested: ${item.quantity}`);
+        if (stored && stored.request_hash !== requestHash) {
+          throw new UnprocessableError('This Idempotency-Key has already been used with a different request body.');
+        }
+        if (stored) {
+          return { status: stored.response_status, body: stored.response_body };
+        }
       }
 
-      // Reduce product stock within the transaction
-      product.stock -= item.quantity;
-      await product.save({ session }); // Save the product changes within the session
-
-      // Prepare item details to be saved in the Order document
-      orderItemsWithDetails.push({
-        product_id: product._id,
-        name: product.name,
-        price_at_order: product.price,
-        quantity: item.quantity,
-      });
-      calculatedTotalPrice += product.price * item.quantity;
-    }
+      const savedOrder = await createOrder(req.body, { user: req.user, session });
 
-    // Create the new order document within the transaction
-    const newOrder = new Order({
-      customer_name,
-      items: orderItemsWithDetails,
-      total_price: calculatedTotalPrice,
-      status: 'pending'
+      // Remember the key and response in the same transaction as the order itself
+      if (idempotencyKey) {
+        await saveIdempotencyKey({
+          scope: idempotencyScope,
+          key: idempotencyKey,
+          requestHash,
+          status: 201,
+          body: savedOrder,
+          session
+        });
+      }
+      return { status: 201, body: savedOrder };
     });
 
-  const savedOrder = await newOrder.save({ session }); // Save the new order within the session
+    res.status(status).json(body);
+  } catch (error) {
+    // Another request with the same key stored it first and is still being processed
+    if (idempotencyKey && isDuplicateIdempotencyKey(error)) {
+      return next(new ConflictError('A request with this Idempotency-Key is already being processed. Retry shortly.'));
+    }
 
-    // If all operations were successful, commit the transaction
-    await session.commitTransaction();
-    // End the session
-    session.endSession();
+    // Stock and validation problems carry their own status; the error middleware reports them
+    next(error);
+  }
+};
+
+// @desc    Place several orders in one call, e.g. a wholesale client's orders for its stores.
+//          Each order is placed in its own transaction like POST /api/orders, so an order that
+//          cannot be placed does not stop the others. Returns the outcome of every order, in
+//          the order they were sent: the placed order, or the error it was refused with.
+// @route   POST /api/orders/batch
+// @access  Private (the orders belong to the logged in user)
+// @body    orders (up to ORDER_BATCH_LIMIT, each with the fields of POST /api/orders)
+exports.placeOrders = async (req, res, next) => {
+  try {
+    const results = [];
 
-    res.status(201).json(savedOrder);
+    for (const [index, orderRequest] of req.body.orders.entries()) {
+      try {
+        const order = await withTransaction((session) => createOrder(orderRequest, { user: req.user, session }));
+        results.push({ index, status: 201, order });
+      } catch (error) {
+        // Reported like the error middleware would, so one failure reads the same as in POST /api/orders
+        const { statusCode, code, message, details } = toAppError(error);
+        if (statusCode >= 500) {
+          console.error(`Failed to place order ${index} of a batch: ${error.message}`);
+        }
+        results.push({ index, status: statusCode, error: { code, message, details } });
+      }
+    }
 
+    const placed = results.filter((result) => result.status === 201).length;
+    res.status(200).json({ placed, failed: results.length - placed, results });
   } catch (error) {
-    // If any error occurred, abort the entire transaction
-    await session.abortTransaction();
-    // End the session
-    session.endSession();
-    // Send back the error message to the client
-    res.status(400).json({ message: error.message });
+    next(error);
   }
 };
 
-// @desc    Get all orders
+// @desc    Get orders, one page at a time
 // @route   GET /api/orders
-// @access  Private
-exports.getAllOrders = async (req, res) => {
+// @query   limit, cursor, sort (createdAt|total_price, '-' prefix for descending),
+//          status (comma-separated), customer (customer ID), from, to, min_total, max_total
+// @access  Private (customers only see their own orders)
+exports.getAllOrders = async (req, res, next) => {
   try {
-    // Find all orders and sort them by creation date in descending order (newest first)
-    const orders = await Order.find({}).sort({ createdAt: -1 });
-    res.status(200).json(orders);
+    const { limit, cursor, sort, status, customer, from, to, min_total, max_total } = req.query;
+    const filter = {};
+
+    if (status) {
+      const statuses = status.split(',');
+      const unknown = statuses.filter((value) => !ORDER_STATUSES.includes(value));
+      if (unknown.length) {
+        throw badRequest(`Invalid status: ${unknown.join(', ')}. Must be one of: ${ORDER_STATUSES.join(', ')}`);
+      }
+      filter.status = { $in: statuses };
+    }
+    if (!isStaff(req.user)) {
+      // Customers can only ever list their own orders
+      filter.user = req.user._id;
+    } else if (customer) {
+      filter.customer = customer;
+    }
+    const createdAt = parseRange(from, to, parseDate, ['from', 'to']);
+    if (createdAt) {
+      filter.createdAt = createdAt;
+    }
+    const totalRange = parseRange(min_total, max_total, parseNumber, ['min_total', 'max_total']);
+    if (totalRange) {
+      filter.total_price = totalRange;
+    }
+
+    // Newest orders first unless another sort is requested
+    const page = await paginate(Order, filter, {
+      limit: parseLimit(limit),
+      cursor,
+      sort: parseSort(sort, ORDER_SORT_FIELDS, '-createdAt')
+    });
+    res.status(200).json(page);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 };
 
 // @desc    Get a single order by its ID
 // @route   GET /api/orders/:id
-// @access  Private
-exports.getOrderById = async (req, res) => {
+// @access  Private (customers can only see their own orders)
+// @header  If-None-Match (optional) - answered with 304 Not Modified while the order is unchanged
+exports.getOrderById = async (req, res, next) => {
   try {
     const order = await Order.findById(req.params.id);
 
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
+    // Another customer's order is reported as missing rather than forbidden,
+    // so order IDs cannot be probed
+    if (!order || (!isStaff(req.user) && !placedBy(order, req.user))) {
+      return next(new NotFoundError('Order not found'));
     }
 
-    res.status(200).json(order);
+    sendWithETag(req, res, 200, order);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 };
 
 // @desc    Get all orders for a specific customer
-// @route   GET /api/orders/customer/:customerName
-// @access  Private
-exports.getOrdersByCustomer = async (req, res) => {
+// @route   GET /api/orders/customer/:customerId
+// @access  Private (admin, staff)
+exports.getOrdersByCustomer = async (req, res, next) => {
   try {
-    const customerName = req.params.customerName;
-    // Find all orders that match the customer name
-    const orders = await Order.find({ customer_name: customerName }).sort({ createdAt: -1 });
+    const customerId = req.params.customerId;
+
+    // Find all orders placed for the customer
+    const orders = await Order.find({ customer: customerId }).sort({ createdAt: -1 });
 
     // Returning an empty array is better than a 404 for a search query
     res.status(200).json(orders);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 };
 
 // @desc    Update the status of an order
 // @route   PUT /api/orders/:id/status
-// @access  Private
-exports.updateOrderStatus = async (req, res) => {
-  const { status } = req.body;
-  const validStatuses = ['pending', 'completed', 'cancelled'];
-
-  // Validate the incoming status
-  if (!status || !validStatuses.includes(status)) {
-    return res.status(400).json({ message: `Invalid status. Must be one of: ${validStatuses.join(', ')}` });
+// @access  Private (admin, staff; customers may only cancel their own orders)
+// @header  If-Match (optional) - the ETag of the copy the change was made to; 412 if the order has changed since
+exports.updateOrderStatus = async (req, res, next) => {
+  const { status, reason } = req.body;
+  const staff = isStaff(req.user);
+
+  try {
+    const order = await withTransaction(async (session) => {
+      const found = await Order.findById(req.params.id).session(session);
+
+      if (!found || (!staff && !placedBy(found, req.user))) {
+        throw new NotFoundError('Order not found');
+      }
+      if (!staff && status !== 'cancelled') {
+        throw new ForbiddenError('Customers can only cancel their own orders');
+      }
+      // A status change decided on an outdated copy of the order is refused
+      checkIfMatch(req, found);
+      const from = found.status;
+
+      if (status === 'refunded' && canTransition(from, status) && CANCELLABLE_STATUSES.includes(from)) {
+        // Goods that have not shipped are cancelled unit by unit, so the money paid back is recorded as a Refund
+        await refundOrder(found, { session, changedBy: req.user._id, reason });
+      } else {
+        // The state machine rejects illegal moves (e.g. reviving a cancelled order)
+        // and applies the stock side effect of the transition, such as restoring stock on cancellation.
+        await transitionOrder(found, status, { session, changedBy: req.user._id, reason });
+      }
+
+      await found.save({ session });
+      // Units the order gave back go to backordered orders before anyone else can buy them
+      if (releasesStock(from, status)) {
+        await fillBackordersFor(found.items, { session, changedBy: req.user._id });
+      }
+      return found;
+    });
+
+    sendWithETag(req, res, 200, order);
+  } catch (error) {
+    next(error);
   }
+};
 
-  const session = await mongoose.startSession();
-  session.startTransaction();
+// Cancels or returns some items of an order in one transaction.
+// Customers may only cancel items of their own orders that have not been paid yet.
+const adjustOrder = (type) => async (req, res, next) => {
+  const { items, reason } = req.body;
+  const staff = isStaff(req.user);
 
   try {
-    const order = await Order.findById(req.params.id).session(session);
+    const result = await withTransaction(async (session) => {
+      const order = await Order.findById(req.params.id).session(session);
 
-    if (!order) {
-      throw new Error('Order not found');
-    }
-
-    // Critical Logic: If an order is being cancelled, restore the stock for each product.
-    if (order.status !== 'cancelled' && status === 'cancelled') {
-      for (const item of order.items) {
-        // Use $inc to atomically increase the product stock
-        await Product.findByIdAndUpdate(
-          item.product_id,
-          { $inc: { stock: item.quantity } }, // Restore the stock
-          { session }
-        );
+      if (!order || (!staff && !placedBy(order, req.user))) {
+        throw new NotFoundError('Order not found');
       }
-    }
-    
-    // Note: A business logic might prevent changing status from 'cancelled' back to something else.
-    // For this assessment, we don't handle that case.
+      if (!staff && !['backordered', 'pending'].includes(order.status)) {
+        throw new ForbiddenError('Customers can only cancel items of orders that have not been paid yet');
+      }
+
+      const { refund, adjustedItems } = await adjustOrderItems(order, items, { type, session, changedBy: req.user._id, reason });
+      await order.save({ session }); // Recalculates the order's remaining total
+      // Units that came back go to backordered orders before anyone else can buy them
+      await fillBackordersFor(adjustedItems, { session, changedBy: req.user._id });
+      return { order, refund };
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Update the order's status
-    order.status = status;
-    await order.save({ session });
+// @desc    Cancel some units of an order before they ship
+// @route   POST /api/orders/:id/cancellations
+// @body    items: [{ product_id, variant_id | sku, quantity, restock_to (sellable|damaged) }], reason
+// @access  Private (admin, staff; customers for their own unpaid orders)
+exports.cancelOrderItems = adjustOrder('cancellation');
 
-    // Commit the transaction
-    await session.commitTransaction();
-    session.endSession();
+// @desc    Accept a return of some units of a shipped order
+// @route   POST /api/orders/:id/returns
+// @body    items: [{ product_id, variant_id | sku, quantity, restock_to (sellable|damaged) }], reason
+// @access  Private (admin, staff)
+exports.returnOrderItems = adjustOrder('return');
 
-    res.status(200).json(order);
+// @desc    Get the refunds of an order
+// @route   GET /api/orders/:id/refunds
+// @access  Private (customers can only see their own orders' refunds)
+exports.getOrderRefunds = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order || (!isStaff(req.user) && !placedBy(order, req.user))) {
+      return next(new NotFoundError('Order not found'));
+    }
+
+    // Oldest refund first
+    const refunds = await Refund.find({ order_id: order._id }).sort({ createdAt: 1 });
+    res.status(200).json(refunds);
   } catch (error) {
-    await session.abortTransaction();
-    session.endSession();
-    res.status(400).json({ message: error.message });
+    next(error);
   }
-};
\ No newline at end of file
+};
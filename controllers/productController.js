@@ -1,117 +1,647 @@
 const Product = require('../models/Product'); // Import the Product Model
+const StockMovement = require('../models/StockMovement'); // Import the StockMovement Model
+const StockLevel = require('../models/StockLevel');       // Import the StockLevel Model
+const Order = require('../models/Order');                 // Import the Order Model
+const mongoose = require('mongoose');         // Import mongoose for using Transactions
+const { recordStockMovement, recordStockLowIfCrossed, availableUnits, hasVariants, findVariant } = require('../services/inventory'); // Inventory ledger
+const { recordProductEvent } = require('../services/outbox'); // Domain events for webhooks
+const { fillBackorders } = require('../services/backorders');
+const { OPEN_ORDER_STATUSES } = require('../services/orderStatus');
+const { parseImportBody, importProducts } = require('../services/productImport');
+const { streamProducts } = require('../services/productExport');
+const { searchProducts } = require('../services/productSearch');
+const { findCategory, subtreeIds } = require('../services/categories'); // Category tree
+const { paginate, parseLimit, parseSort } = require('../utils/pagination');
+const { parseNumber, parseBoolean, parseRange, escapeRegex } = require('../utils/queryFilters');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { checkIfMatch, sendWithETag } = require('../utils/etags'); // Conditional requests
+const { withTransaction } = require('../utils/transactions'); // Transactions retried on transient conflicts
 
-// @desc    Get all products
+// Fields the product list can be sorted by (each one is backed by an index)
+const PRODUCT_SORT_FIELDS = ['name', 'price', 'stock', 'createdAt'];
+
+// Copies only the fields a client may set on a product. Reserved and backordered units are
+// managed by orders, and variants through /api/products/:id/variants.
+const pickProductFields = ({
+  name, description, category_id, tags, price, currency, tax_category, stock, reorder_point, reorder_quantity,
+  lead_time_days, backorder_mode, backorder_limit, available_at
+}) => {
+  const fields = {
+    name, description, category_id, tags, price, currency, tax_category, stock, reorder_point, reorder_quantity,
+    lead_time_days, backorder_mode, backorder_limit, available_at
+  };
+  Object.keys(fields).forEach((key) => fields[key] === undefined && delete fields[key]);
+  return fields;
+};
+
+// Copies only the fields a client may set on a variant; reserved is managed by orders.
+const pickVariantFields = ({ sku, attributes, price, stock, reorder_point, reorder_quantity }) => (
+  { sku, attributes, price, stock, reorder_point, reorder_quantity }
+);
+
+// Lists one page of products, filtered by the query. `scope(req)` gives the filter that picks
+// the products the list is about, e.g. those on sale or the archived ones.
+const listProducts = (scope) => async (req, res, next) => {
+  try {
+    const { limit, cursor, sort, min_price, max_price, in_stock, name } = req.query;
+    const filter = await scope(req);
+
+    const priceRange = parseRange(min_price, max_price, parseNumber, ['min_price', 'max_price']);
+    if (priceRange) {
+      filter.price = priceRange;
+    }
+    // In stock means at least one unit is not reserved by a pending order
+    if (in_stock !== undefined && parseBoolean(in_stock, 'in_stock')) {
+      filter.stock = { $gt: 0 };
+      filter.$expr = { $gt: [{ $subtract: ['$stock', '$reserved'] }, 0] };
+    }
+    // Case-insensitive match on the start of the name
+    if (name) {
+      filter.name = { $regex: `^${escapeRegex(name)}`, $options: 'i' };
+    }
+
+    // Find one page of matching products
+    const page = await paginate(Product, filter, {
+      limit: parseLimit(limit),
+      cursor,
+      sort: parseSort(sort, PRODUCT_SORT_FIELDS, 'name')
+    });
+    // Respond with a 200 OK status, the products and the cursor of the next page
+    res.status(200).json(page);
+  } catch (error) {
+    // Invalid query values are 400s, anything else is a server error
+    next(error);
+  }
+};
+
+// @desc    Get products, one page at a time (archived products are left out)
 // @route   GET /api/products
+// @query   limit, cursor, sort (name|price|stock|createdAt, '-' prefix for descending),
+//          min_price, max_price, in_stock (true|false), name (prefix match)
+// @access  Public
+exports.getAllProducts = listProducts(() => ({ archived_at: null }));
+
+// @desc    Get archived products, one page at a time
+// @route   GET /api/products/archived
+// @query   the same as GET /api/products
+// @access  Private (admin, staff)
+exports.getArchivedProducts = listProducts(() => ({ archived_at: { $ne: null } }));
+
+// @desc    Get the products of a category and of every category below it, one page at a time
+//          (archived products are left out)
+// @route   GET /api/categories/:id/products
+// @query   the same as GET /api/products
+// @access  Public
+exports.getCategoryProducts = listProducts(async (req) => {
+  const category = await findCategory(req.params.id);
+  return { archived_at: null, category_id: { $in: await subtreeIds(category) } };
+});
+
+// @desc    Search the catalogue, best matches first, with counts per category and price band
+// @route   GET /api/products/search
+// @query   q (required; whole words, or the start of the words of the name while typing),
+//          limit, cursor, in_stock (true|false), category_id (with the categories below it), min_price, max_price
 // @access  Public
-exports.getAllProducts = async (req, res) => {
+exports.searchProducts = async (req, res, next) => {
   try {
-    // Find all documents in the Product collection
-    const products = await Product.find({});
-    // Respond with a 200 OK status and the list of products
-    res.status(200).json(products);
+    const { q, limit, cursor, in_stock, category_id, min_price, max_price } = req.query;
+
+    const results = await searchProducts({
+      q,
+      inStock: in_stock !== undefined && parseBoolean(in_stock, 'in_stock'),
+      categoryIds: category_id ? await subtreeIds(await findCategory(category_id)) : undefined,
+      priceRange: parseRange(min_price, max_price, parseNumber, ['min_price', 'max_price']),
+      limit: parseLimit(limit),
+      cursor
+    });
+    res.status(200).json(results);
   } catch (error) {
-    // If a server error occurs, respond with a 500 status
-    res.status(500).json({ message: error.message });
+    // Invalid query values are 400s, anything else is a server error
+    next(error);
   }
 };
 
 // @desc    Get a single product by its ID
 // @route   GET /api/products/:id
 // @access  Public
-exports.getProductById = async (req, res) => {
+// @header  If-None-Match (optional) - answered with 304 Not Modified while the product is unchanged
+exports.getProductById = async (req, res, next) => {
   try {
     // Find a product by the ID provided in the URL parameters
     const product = await Product.findById(req.params.id);
 
     // If no product is found, respond with 404 Not Found
     if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
+      return next(new NotFoundError('Product not found'));
     }
 
-    // Respond with the found product
-    res.status(200).json(product);
+    // Respond with the found product and its ETag, or 304 if the client's copy is current
+    sendWithETag(req, res, 200, product);
   } catch (error) {
-    // Handle potential server errors or invalid ID format (CastError)
-    res.status(500).json({ message: error.message });
+    // An invalid ID (CastError) is reported as a 400 by the error middleware
+    next(error);
   }
 };
 
 // @desc    Create a new product
 // @route   POST /api/products
-// @access  Private (should be restricted to admins in a real app)
-exports.createProduct = async (req, res) => {
-  // Destructure name, price, and stock from the request body
-  const { name, price, stock } = req.body;
+// @access  Private (admin, staff)
+exports.createProduct = async (req, res, next) => {
+  // Destructure name, price (in minor units), stock and the optional fields from the request body
+  const {
+    name, price, stock, variants, currency, tax_category, reorder_point, reorder_quantity, lead_time_days,
+    backorder_mode, backorder_limit, available_at, description, category_id, tags
+  } = req.body;
+  // The route's schema requires stock unless the product takes its stock from variants
+  const withVariants = Array.isArray(variants) && variants.length > 0;
 
-  // Basic validation to ensure all fields are present
-  // Checking for null allows price or stock to be 0, which is a valid value
-  if (!name || price == null || stock == null) {
-    return res.status(400).json({ message: 'Please enter all fields: name, price, and stock' });
-  }
+  // The product and its opening ledger entries are written together
+  const session = await mongoose.startSession();
+  session.startTransaction();
 
   try {
+    if (category_id) {
+      await findCategory(category_id, { session });
+    }
+
     // Create a new instance of the Product model
     const newProduct = new Product({
       name,
+      description,
+      category_id,
+      tags,
       price,
-      stock
+      currency,
+      tax_category,
+      reorder_point,
+      reorder_quantity,
+      lead_time_days,
+      backorder_mode,
+      backorder_limit,
+      available_at,
+      stock: withVariants ? 0 : stock,
+      variants: withVariants ? variants.map(pickVariantFields) : []
     });
 
     // Save the new product to the database
-    const savedProduct = await newProduct.save();
+    const savedProduct = await newProduct.save({ session });
+
+    // Record the opening stock in the inventory ledger, one entry per variant if it has any
+    if (hasVariants(savedProduct)) {
+      let runningTotal = 0;
+      for (const variant of savedProduct.variants) {
+        if (variant.stock === 0) continue;
+        runningTotal += variant.stock;
+        await recordStockMovement({
+          productId: savedProduct._id,
+          variant,
+          delta: variant.stock,
+          balanceAfter: runningTotal,
+          reason: 'initial_stock',
+          user: req.user._id,
+          session
+        });
+      }
+    } else if (savedProduct.stock > 0) {
+      await recordStockMovement({
+        productId: savedProduct._id,
+        delta: savedProduct.stock,
+        balanceAfter: savedProduct.stock,
+        reason: 'initial_stock',
+        user: req.user._id,
+        session
+      });
+    }
+
+    await recordProductEvent('product.created', savedProduct, { session });
+
+    await session.commitTransaction();
+    session.endSession();
+
     // Respond with 201 Created and the new product data
     res.status(201).json(savedProduct);
   } catch (error) {
-    // Handle duplicate key error (if a product with the same name already exists)
+    await session.abortTransaction();
+    session.endSession();
+    // Handle duplicate key error (if a product with the same name or a variant with the same SKU already exists)
     if (error.code === 11000) {
-      return res.status(400).json({ message: 'A product with this name already exists.' });
+      const message = error.keyPattern && error.keyPattern['variants.sku']
+        ? 'A variant with this SKU already exists.'
+        : 'A product with this name already exists.';
+      return next(new ConflictError(message));
     }
-    // Handle other validation errors (e.g., price is negative)
-    res.status(400).json({ message: error.message });
+    // Validation errors (e.g. a negative price) are reported as a 400 by the error middleware
+    next(error);
   }
 };
 
 // @desc    Update an existing product by its ID
 // @route   PUT /api/products/:id
-// @access  Private
-exports.updateProduct = async (req, res) => {
+// @access  Private (admin, staff)
+// @header  If-Match (optional) - the ETag of the copy the change was made to; 412 if the product has changed since
+exports.updateProduct = async (req, res, next) => {
+  // Only the fields a client may set; reserved and backordered units are managed by orders
+  const updates = pickProductFields(req.body);
+
+  // The product and any ledger entry for a stock change are written together
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
   try {
+    // Read the current stock first so a stock change can be recorded as a delta
+    const existingProduct = await Product.findById(req.params.id).session(session);
+
+    if (!existingProduct) {
+      await session.abortTransaction();
+      session.endSession();
+      return next(new NotFoundError('Product not found'));
+    }
+    // The client must have edited the product as it is now, when it says which copy it read
+    checkIfMatch(req, existingProduct);
+    if (updates.stock != null && hasVariants(existingProduct)) {
+      throw new ConflictError('The stock of a product with variants is managed per variant.');
+    }
+    if (updates.stock != null && updates.stock < existingProduct.reserved) {
+      throw new ConflictError(`Stock cannot be set below the reserved quantity (${existingProduct.reserved}).`);
+    }
+    if (updates.category_id) {
+      await findCategory(updates.category_id, { session });
+    }
+
     // Find a product by its ID and update it with the data from the request body
     const updatedProduct = await Product.findByIdAndUpdate(
       req.params.id, // The ID of the product to update
-      req.body,      // The new data to update with
+      { ...updates, $inc: { __v: 1 } }, // The new data to update with, as a new version
       // Options:
       // new: true -> returns the modified document rather than the original
       // runValidators: true -> runs schema validation rules on the update operation
-      { new: true, runValidators: true }
+      { new: true, runValidators: true, session }
     );
 
-    if (!updatedProduct) {
-      return res.status(404).json({ message: 'Product not found' });
+    // Record a manual stock change in the inventory ledger
+    const delta = updatedProduct.stock - existingProduct.stock;
+    if (delta !== 0) {
+      await recordStockMovement({
+        productId: updatedProduct._id,
+        delta,
+        balanceAfter: updatedProduct.stock,
+        reason: 'manual_adjustment',
+        user: req.user._id,
+        session
+      });
+      await recordStockLowIfCrossed({
+        product: updatedProduct,
+        availableBefore: availableUnits(existingProduct),
+        session
+      });
+    }
+    if (delta > 0) {
+      await fillBackorders(updatedProduct, { session, changedBy: req.user._id });
     }
 
-    res.status(200).json(updatedProduct);
+    await recordProductEvent('product.updated', updatedProduct, { session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    sendWithETag(req, res, 200, updatedProduct);
   } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
     // Handle validation errors or other update issues
-    res.status(400).json({ message: error.message });
+    next(error);
   }
 };
 
-// @desc    Delete a product by its ID
-// @route   DELETE /api/products/:id
-// @access  Private
-exports.deleteProduct = async (req, res) => {
+// @desc    Get the inventory ledger of a product
+// @route   GET /api/products/:id/movements
+// @access  Private (admin, staff)
+exports.getProductMovements = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return next(new NotFoundError('Product not found'));
+    }
+
+    // Newest movements first
+    const movements = await StockMovement.find({ product_id: product._id }).sort({ createdAt: -1 });
+    res.status(200).json(movements);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get where a product's stock is: its stock level in each warehouse
+// @route   GET /api/products/:id/stock-levels
+// @access  Private (admin, staff)
+exports.getProductStockLevels = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return next(new NotFoundError('Product not found'));
+    }
+
+    const levels = await StockLevel.find({ product_id: product._id })
+      .populate('warehouse_id', 'name code priority active')
+      .sort({ variant_id: 1, warehouse_id: 1 });
+    res.status(200).json(levels);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a variant to a product
+// @route   POST /api/products/:id/variants
+// @access  Private (admin, staff)
+exports.addVariant = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
   try {
-    // Find a product by its ID and delete it
-    const deletedProduct = await Product.findByIdAndDelete(req.params.id);
+    const product = await Product.findById(req.params.id).session(session);
 
-    if (!deletedProduct) {
-      return res.status(404).json({ message: 'Product not found' });
+    if (!product) {
+      await session.abortTransaction();
+      session.endSession();
+      return next(new NotFoundError('Product not found'));
     }
+    // Product-level stock cannot be split between variants automatically
+    if (!hasVariants(product) && (product.stock > 0 || product.reserved > 0)) {
+      throw new ConflictError('Set the product\'s stock to 0 (and wait for pending orders) before adding its first variant.');
+    }
+
+    product.variants.push(pickVariantFields(req.body));
+    const variant = product.variants[product.variants.length - 1];
+    await product.save({ session }); // The product's stock total is recalculated on save
+
+    if (variant.stock > 0) {
+      await recordStockMovement({
+        productId: product._id,
+        variant,
+        delta: variant.stock,
+        balanceAfter: product.stock,
+        reason: 'initial_stock',
+        user: req.user._id,
+        session
+      });
+    }
+
+    await recordProductEvent('product.updated', product, { session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json(product);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    if (error.code === 11000) {
+      return next(new ConflictError('A variant with this SKU already exists.'));
+    }
+    next(error);
+  }
+};
+
+// @desc    Update a variant of a product
+// @route   PUT /api/products/:id/variants/:variantId
+// @access  Private (admin, staff)
+exports.updateVariant = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const product = await Product.findById(req.params.id).session(session);
+    const variant = product && findVariant(product, { variantId: req.params.variantId });
+
+    if (!variant) {
+      await session.abortTransaction();
+      session.endSession();
+      return next(new NotFoundError('Variant not found'));
+    }
+
+    const { sku, attributes, price, stock, reorder_point, reorder_quantity } = req.body;
+    if (stock != null && stock < variant.reserved) {
+      throw new ConflictError(`Stock cannot be set below the reserved quantity (${variant.reserved}).`);
+    }
+
+    const previousStock = variant.stock;
+    const availableBefore = availableUnits(variant);
+    if (sku !== undefined) variant.sku = sku;
+    if (attributes !== undefined) variant.attributes = attributes;
+    if (price !== undefined) variant.price = price; // null removes the price override
+    if (reorder_point !== undefined) variant.reorder_point = reorder_point; // null falls back to the product's
+    if (reorder_quantity !== undefined) variant.reorder_quantity = reorder_quantity;
+    if (stock != null) variant.stock = stock;
+    await product.save({ session }); // The product's stock total is recalculated on save
+
+    // Record a manual stock change in the inventory ledger
+    const delta = variant.stock - previousStock;
+    if (delta !== 0) {
+      await recordStockMovement({
+        productId: product._id,
+        variant,
+        delta,
+        balanceAfter: product.stock,
+        reason: 'manual_adjustment',
+        user: req.user._id,
+        session
+      });
+      await recordStockLowIfCrossed({ product, variant, availableBefore, session });
+    }
+    if (delta > 0) {
+      await fillBackorders(product, { variantId: variant._id, session, changedBy: req.user._id });
+    }
+
+    await recordProductEvent('product.updated', product, { session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json(product);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    if (error.code === 11000) {
+      return next(new ConflictError('A variant with this SKU already exists.'));
+    }
+    next(error);
+  }
+};
+
+// @desc    Remove a variant from a product
+// @route   DELETE /api/products/:id/variants/:variantId
+// @access  Private (admin, staff)
+exports.deleteVariant = async (req, res, next) => {
+  // The product and its product.updated event are written together
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const product = await Product.findById(req.params.id).session(session);
+    const variant = product && findVariant(product, { variantId: req.params.variantId });
+
+    if (!variant) {
+      await session.abortTransaction();
+      session.endSession();
+      return next(new NotFoundError('Variant not found'));
+    }
+    // Removing a variant that still holds stock would make units vanish from the ledger
+    if (variant.stock > 0 || variant.reserved > 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return next(new ConflictError('Set the variant\'s stock to 0 (and wait for pending orders) before removing it.'));
+    }
+
+    product.variants.pull(variant._id);
+    await product.save({ session });
+    await StockLevel.deleteMany({ product_id: product._id, variant_id: variant._id }, { session });
+    await recordProductEvent('product.updated', product, { session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json(product);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+// @desc    Archive a product: it is hidden from listings and can no longer be ordered,
+//          while the orders that include it keep working (cancellations still restock it)
+// @route   DELETE /api/products/:id
+// @access  Private (admin)
+exports.archiveProduct = async (req, res, next) => {
+  try {
+    // The archiving and its product.archived event are written together
+    const product = await withTransaction(async (session) => {
+      const found = await Product.findById(req.params.id, null, { session });
+      if (!found) {
+        throw new NotFoundError('Product not found');
+      }
+      if (found.archived_at) {
+        throw new ConflictError('This product is already archived.');
+      }
+
+      found.archived_at = new Date();
+      const saved = await found.save({ session });
+      await recordProductEvent('product.archived', saved, { session, data: { archived_at: saved.archived_at } });
+      return saved;
+    });
+
+    res.status(200).json({ message: 'Product archived successfully', product });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Put an archived product back on sale
+// @route   POST /api/products/:id/restore
+// @access  Private (admin)
+exports.restoreProduct = async (req, res, next) => {
+  try {
+    const product = await withTransaction(async (session) => {
+      const found = await Product.findById(req.params.id, null, { session });
+      if (!found) {
+        throw new NotFoundError('Product not found');
+      }
+      if (!found.archived_at) {
+        throw new ConflictError('This product is not archived.');
+      }
+
+      found.archived_at = null;
+      const saved = await found.save({ session });
+      await recordProductEvent('product.restored', saved, { session });
+      return saved;
+    });
+
+    res.status(200).json({ message: 'Product restored successfully', product });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete an archived product for good, with its warehouse stock levels
+//          (its inventory ledger is kept). Refused while open orders include it,
+//          as cancelling, refunding or returning them would put units back into its stock.
+// @route   DELETE /api/products/:id/purge
+// @access  Private (admin)
+exports.purgeProduct = async (req, res, next) => {
+  try {
+    // The deletion and its product.deleted event are written together
+    const deletedProduct = await withTransaction(async (session) => {
+      const found = await Product.findById(req.params.id, null, { session });
+      if (!found) {
+        throw new NotFoundError('Product not found');
+      }
+      if (!found.archived_at) {
+        throw new ConflictError('Only archived products can be purged. Archive the product first.');
+      }
+      const openOrder = await Order.exists({ 'items.product_id': found._id, status: { $in: OPEN_ORDER_STATUSES } }).session(session);
+      if (openOrder) {
+        throw new ConflictError('This product is on orders that are not cancelled or refunded yet and cannot be purged.');
+      }
+
+      await Product.deleteOne({ _id: found._id }, { session });
+      await StockLevel.deleteMany({ product_id: found._id }, { session });
+      await recordProductEvent('product.deleted', found, { session });
+      return found;
+    });
 
     // Respond with a success message and the data of the deleted product
-    res.status(200).json({ message: 'Product deleted successfully', deletedProduct });
+    res.status(200).json({ message: 'Product purged successfully', deletedProduct });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
-};
\ No newline at end of file
+};
+
+// @desc    Create or update many products from CSV or JSON
+// @route   POST /api/products/import
+// @query   dry_run (true|false) - report what would change without writing anything, in one rolled-back transaction
+// @access  Private (admin, staff)
+exports.importProducts = async (req, res, next) => {
+  const format = req.is('text/csv') ? 'csv' : 'json';
+  const dryRun = req.query.dry_run === 'true';
+
+  let rows;
+  try {
+    rows = parseImportBody(req.body, format);
+  } catch (error) {
+    // Covers an empty or malformed body as well as CSV syntax errors
+    return next(new ValidationError(error.message));
+  }
+
+  if (rows.length === 0) {
+    return next(new ValidationError('The import contains no rows.'));
+  }
+
+  try {
+    const report = await importProducts(rows, { dryRun, user: req.user._id });
+    res.status(200).json(report);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download the whole catalogue as CSV or JSON
+// @route   GET /api/products/export
+// @query   format (csv|json, default csv)
+// @access  Private (admin, staff)
+exports.exportProducts = async (req, res, next) => {
+  const format = req.query.format || 'csv';
+
+  res.status(200);
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="products.${format}"`);
+
+  try {
+    await streamProducts(res, format);
+  } catch (error) {
+    // The headers are already sent, so the only option left is to cut the download short
+    console.error(`Product export failed: ${error.message}`);
+    res.destroy(error);
+  }
+};
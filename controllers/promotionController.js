@@ -0,0 +1,120 @@
+const Promotion = require('../models/Promotion'); // Import the Promotion Model
+const PromotionRedemption = require('../models/PromotionRedemption'); // Import the PromotionRedemption Model
+const { paginate, parseLimit, parseSort } = require('../utils/pagination');
+const { parseBoolean } = require('../utils/queryFilters');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+// Copies only the fields a client may set; uses_count is managed by orders.
+const pickPromotionFields = (body) => {
+  const fields = {};
+  for (const key of [
+    'name', 'code', 'type', 'value', 'currency', 'buy_quantity', 'get_quantity', 'product_ids',
+    'min_order_value', 'starts_at', 'ends_at', 'max_uses', 'max_uses_per_customer', 'active'
+  ]) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+};
+
+// @desc    Create a promotion or coupon
+// @route   POST /api/promotions
+// @access  Private (admin, staff)
+exports.createPromotion = async (req, res, next) => {
+  try {
+    const promotion = await Promotion.create(pickPromotionFields(req.body));
+    res.status(201).json(promotion);
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ConflictError('A coupon with this code already exists.'));
+    }
+    next(error);
+  }
+};
+
+// @desc    Get promotions, one page at a time
+// @route   GET /api/promotions
+// @query   limit, cursor, active (true|false)
+// @access  Private (admin, staff)
+exports.getAllPromotions = async (req, res, next) => {
+  try {
+    const { limit, cursor, active } = req.query;
+    const filter = {};
+
+    if (active !== undefined) {
+      filter.active = parseBoolean(active, 'active');
+    }
+
+    // Newest promotions first
+    const page = await paginate(Promotion, filter, {
+      limit: parseLimit(limit),
+      cursor,
+      sort: parseSort(undefined, ['createdAt'], '-createdAt')
+    });
+    res.status(200).json(page);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a single promotion by its ID
+// @route   GET /api/promotions/:id
+// @access  Private (admin, staff)
+exports.getPromotionById = async (req, res, next) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return next(new NotFoundError('Promotion not found'));
+    }
+
+    res.status(200).json(promotion);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a promotion by its ID
+// @route   PUT /api/promotions/:id
+// @access  Private (admin, staff)
+exports.updatePromotion = async (req, res, next) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return next(new NotFoundError('Promotion not found'));
+    }
+
+    // Saving the document runs the checks that depend on the promotion type
+    promotion.set(pickPromotionFields(req.body));
+    await promotion.save();
+
+    res.status(200).json(promotion);
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ConflictError('A coupon with this code already exists.'));
+    }
+    next(error);
+  }
+};
+
+// @desc    Delete a promotion that has never been used
+// @route   DELETE /api/promotions/:id
+// @access  Private (admin)
+exports.deletePromotion = async (req, res, next) => {
+  try {
+    // Used promotions are kept so per-customer limits keep counting; they can be deactivated instead
+    if (await PromotionRedemption.exists({ promotion_id: req.params.id })) {
+      return next(new ConflictError('This promotion has been used by orders. Set active to false instead.'));
+    }
+
+    const deletedPromotion = await Promotion.findByIdAndDelete(req.params.id);
+
+    if (!deletedPromotion) {
+      return next(new NotFoundError('Promotion not found'));
+    }
+
+    res.status(200).json({ message: 'Promotion deleted successfully', deletedPromotion });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');                     // Import mongoose for using Transactions
+const PurchaseOrder = require('../models/PurchaseOrder'); // Import the PurchaseOrder Model
+const Supplier = require('../models/Supplier');           // Import the Supplier Model
+const Warehouse = require('../models/Warehouse');         // Import the Warehouse Model
+const {
+  transitionPurchaseOrder,
+  buildPurchaseOrderItems,
+  receivePurchaseOrder
+} = require('../services/purchasing'); // Purchase order lifecycle and goods receiving
+const { paginate, parseLimit, parseSort } = require('../utils/pagination');
+const { parseDate, parseRange } = require('../utils/queryFilters');
+const { NotFoundError, ConflictError, UnprocessableError } = require('../utils/errors');
+
+// Fields the purchase order list can be sorted by (each one is backed by an index)
+const PURCHASE_ORDER_SORT_FIELDS = ['createdAt'];
+
+// Finds the supplier of a purchase order, which must exist and be active.
+const findActiveSupplier = async (supplierId) => {
+  const supplier = await Supplier.findById(supplierId);
+  if (!supplier) {
+    throw new NotFoundError('Supplier not found');
+  }
+  if (!supplier.active) {
+    throw new UnprocessableError(`${supplier.name} is not an active supplier.`);
+  }
+  return supplier;
+};
+
+// Finds the warehouse goods are delivered to, which must exist.
+const findWarehouse = async (warehouseId) => {
+  const warehouse = await Warehouse.findById(warehouseId);
+  if (!warehouse) {
+    throw new NotFoundError('Warehouse not found');
+  }
+  return warehouse;
+};
+
+// @desc    Create a draft purchase order
+// @route   POST /api/purchase-orders
+// @body    supplier_id, items: [{ product_id, variant_id | sku, quantity, unit_cost }],
+//          currency (optional, defaults to the supplier's), warehouse_id (optional, defaults
+//          to the default warehouse), expected_at, notes
+// @access  Private (admin, staff)
+exports.createPurchaseOrder = async (req, res, next) => {
+  const { supplier_id, items, currency, warehouse_id, expected_at, notes } = req.body;
+
+  try {
+    const supplier = await findActiveSupplier(supplier_id);
+    const poCurrency = currency ? String(currency).trim().toUpperCase() : supplier.currency;
+
+    const warehouse = warehouse_id ? await findWarehouse(warehouse_id) : null;
+
+    const purchaseOrder = await PurchaseOrder.create({
+      supplier_id: supplier._id,
+      warehouse_id: warehouse ? warehouse._id : undefined,
+      currency: poCurrency,
+      items: await buildPurchaseOrderItems(items, { currency: poCurrency }),
+      expected_at,
+      notes,
+      status: 'draft',
+      status_history: [{ from: null, to: 'draft', changed_by: req.user._id, reason: 'Purchase order created' }],
+      created_by: req.user._id
+    });
+    res.status(201).json(purchaseOrder);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get purchase orders, one page at a time, newest first
+// @route   GET /api/purchase-orders
+// @query   limit, cursor, status, supplier_id, created_from, created_to
+// @access  Private (admin, staff)
+exports.getPurchaseOrders = async (req, res, next) => {
+  try {
+    const { limit, cursor, status, supplier_id, created_from, created_to } = req.query;
+    const filter = {};
+
+    if (status) filter.status = status;
+    if (supplier_id) filter.supplier_id = supplier_id;
+    const createdAt = parseRange(created_from, created_to, parseDate, ['created_from', 'created_to']);
+    if (createdAt) filter.createdAt = createdAt;
+
+    const page = await paginate(PurchaseOrder, filter, {
+      limit: parseLimit(limit),
+      cursor,
+      sort: parseSort(undefined, PURCHASE_ORDER_SORT_FIELDS, '-createdAt')
+    });
+    res.status(200).json(page);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a single purchase order by its ID
+// @route   GET /api/purchase-orders/:id
+// @access  Private (admin, staff)
+exports.getPurchaseOrderById = async (req, res, next) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id).populate('supplier_id', 'name email');
+
+    if (!purchaseOrder) {
+      return next(new NotFoundError('Purchase order not found'));
+    }
+
+    res.status(200).json(purchaseOrder);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a draft purchase order. Sent orders can only change status or receive goods.
+// @route   PUT /api/purchase-orders/:id
+// @body    supplier_id, items, currency, warehouse_id, expected_at, notes (all optional)
+// @access  Private (admin, staff)
+exports.updatePurchaseOrder = async (req, res, next) => {
+  const { supplier_id, items, currency, warehouse_id, expected_at, notes } = req.body;
+
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+    if (!purchaseOrder) {
+      return next(new NotFoundError('Purchase order not found'));
+    }
+    if (purchaseOrder.status !== 'draft') {
+      return next(new ConflictError(`Only draft purchase orders can be edited. This one is ${purchaseOrder.status}.`));
+    }
+
+    if (supplier_id) {
+      purchaseOrder.supplier_id = (await findActiveSupplier(supplier_id))._id;
+    }
+    if (warehouse_id) {
+      purchaseOrder.warehouse_id = (await findWarehouse(warehouse_id))._id;
+    }
+    if (currency) {
+      purchaseOrder.currency = String(currency).trim().toUpperCase();
+    }
+    // The lines are checked again when the currency changes, since every product must be priced in it
+    if (items || currency) {
+      const lines = items || purchaseOrder.items.map((item) => ({
+        product_id: item.product_id,
+        variant_id: item.variant_id,
+        quantity: item.quantity_ordered,
+        unit_cost: item.unit_cost
+      }));
+      purchaseOrder.items = await buildPurchaseOrderItems(lines, { currency: purchaseOrder.currency });
+    }
+    if (expected_at !== undefined) purchaseOrder.expected_at = expected_at;
+    if (notes !== undefined) purchaseOrder.notes = notes;
+
+    await purchaseOrder.save();
+    res.status(200).json(purchaseOrder);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update the status of a purchase order: send or cancel it, or close it short
+// @route   PUT /api/purchase-orders/:id/status
+// @body    status, reason
+// @access  Private (admin, staff)
+exports.updatePurchaseOrderStatus = async (req, res, next) => {
+  const { status, reason } = req.body;
+
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+    if (!purchaseOrder) {
+      return next(new NotFoundError('Purchase order not found'));
+    }
+    if (status === 'sent') {
+      await findActiveSupplier(purchaseOrder.supplier_id);
+    }
+
+    transitionPurchaseOrder(purchaseOrder, status, { changedBy: req.user._id, reason });
+    await purchaseOrder.save();
+
+    res.status(200).json(purchaseOrder);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Receive a delivery against a purchase order. Stock and average costs are
+//          updated in the same transaction as the purchase order.
+// @route   POST /api/purchase-orders/:id/receipts
+// @body    items: [{ product_id, variant_id | sku, quantity }], note
+// @access  Private (admin, staff)
+exports.receiveGoods = async (req, res, next) => {
+  const { items, note } = req.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id).session(session);
+
+    if (!purchaseOrder) {
+      throw new NotFoundError('Purchase order not found');
+    }
+
+    await receivePurchaseOrder(purchaseOrder, items, { session, receivedBy: req.user._id, note });
+    await purchaseOrder.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json(purchaseOrder);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
@@ -0,0 +1,194 @@
+const { stringify } = require('csv-stringify/sync');
+const {
+  REPORT_INTERVALS,
+  TOP_PRODUCT_MEASURES,
+  revenueByPeriod,
+  topProducts,
+  averageOrderValue,
+  cancellationRate,
+  revenuePerCustomer,
+  stockValue
+} = require('../services/reports'); // Aggregation pipelines over orders and products
+const { parseLimit, badRequest } = require('../utils/pagination');
+const { parseDate } = require('../utils/queryFilters');
+
+// The formats every report can be returned in
+const REPORT_FORMATS = ['json', 'csv'];
+
+// Reads the query parameters every report takes: format, and the range of dates the orders were placed in.
+const parseReportQuery = ({ format = 'json', from, to }) => {
+  if (!REPORT_FORMATS.includes(format)) {
+    throw badRequest(`Invalid format. Must be one of: ${REPORT_FORMATS.join(', ')}`);
+  }
+  return {
+    format,
+    from: from === undefined ? undefined : parseDate(from, 'from'),
+    to: to === undefined ? undefined : parseDate(to, 'to')
+  };
+};
+
+// Reads an interval query parameter; `fallback` is used when none is given.
+const parseInterval = (value, fallback) => {
+  if (value === undefined) return fallback;
+  if (!REPORT_INTERVALS.includes(value)) {
+    throw badRequest(`Invalid interval. Must be one of: ${REPORT_INTERVALS.join(', ')}`);
+  }
+  return value;
+};
+
+// Sends a report's rows as a CSV download with the given columns, or as JSON
+// together with the report's parameters and any extra fields (such as totals).
+const sendReport = (res, { name, format, columns, rows, params, extra = {} }) => {
+  if (format === 'csv') {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}.csv"`);
+    return res.send(stringify(rows, {
+      header: true,
+      columns,
+      cast: {
+        date: (value) => value.toISOString(),
+        object: (value) => String(value) // IDs
+      }
+    }));
+  }
+  res.status(200).json({ report: name, ...params, count: rows.length, rows, ...extra });
+};
+
+// @desc    Report the revenue of the orders sold per day, week or month
+// @route   GET /api/reports/revenue
+// @query   from, to, interval (day|week|month, default day), format (json|csv)
+// @access  Private (admin, staff)
+exports.getRevenue = async (req, res, next) => {
+  try {
+    const { format, from, to } = parseReportQuery(req.query);
+    const interval = parseInterval(req.query.interval, 'day');
+
+    const rows = await revenueByPeriod({ from, to, interval });
+    sendReport(res, {
+      name: 'revenue',
+      format,
+      columns: ['period', 'currency', 'orders', 'revenue'],
+      rows,
+      params: { from: from || null, to: to || null, interval }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Report the products sold the most, by units or by revenue
+// @route   GET /api/reports/top-products
+// @query   from, to, by (units|revenue, default units), limit (default 10), format (json|csv)
+// @access  Private (admin, staff)
+exports.getTopProducts = async (req, res, next) => {
+  try {
+    const { format, from, to } = parseReportQuery(req.query);
+    const by = req.query.by || 'units';
+    if (!TOP_PRODUCT_MEASURES.includes(by)) {
+      throw badRequest(`Invalid by. Must be one of: ${TOP_PRODUCT_MEASURES.join(', ')}`);
+    }
+    const limit = req.query.limit === undefined ? 10 : parseLimit(req.query.limit);
+
+    const rows = await topProducts({ from, to, by, limit });
+    sendReport(res, {
+      name: 'top-products',
+      format,
+      columns: ['product_id', 'variant_id', 'sku', 'name', 'currency', 'orders', 'units', 'revenue'],
+      rows,
+      params: { from: from || null, to: to || null, by, limit }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Report the average order value of the orders sold
+// @route   GET /api/reports/average-order-value
+// @query   from, to, format (json|csv)
+// @access  Private (admin, staff)
+exports.getAverageOrderValue = async (req, res, next) => {
+  try {
+    const { format, from, to } = parseReportQuery(req.query);
+
+    const rows = await averageOrderValue({ from, to });
+    sendReport(res, {
+      name: 'average-order-value',
+      format,
+      columns: ['currency', 'orders', 'revenue', 'average_order_value'],
+      rows,
+      params: { from: from || null, to: to || null }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Report the share of orders that were cancelled, overall or per period
+// @route   GET /api/reports/cancellation-rate
+// @query   from, to, interval (day|week|month, optional), format (json|csv)
+// @access  Private (admin, staff)
+exports.getCancellationRate = async (req, res, next) => {
+  try {
+    const { format, from, to } = parseReportQuery(req.query);
+    const interval = parseInterval(req.query.interval, undefined);
+
+    const rows = await cancellationRate({ from, to, interval });
+    sendReport(res, {
+      name: 'cancellation-rate',
+      format,
+      columns: [...(interval ? ['period'] : []), 'orders', 'cancelled', 'cancellation_rate'],
+      rows,
+      params: { from: from || null, to: to || null, interval: interval || null }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Report the revenue per customer, highest first
+// @route   GET /api/reports/revenue-per-customer
+// @query   from, to, limit (default 20), format (json|csv)
+// @access  Private (admin, staff)
+exports.getRevenuePerCustomer = async (req, res, next) => {
+  try {
+    const { format, from, to } = parseReportQuery(req.query);
+    const limit = parseLimit(req.query.limit);
+
+    const rows = await revenuePerCustomer({ from, to, limit });
+    sendReport(res, {
+      name: 'revenue-per-customer',
+      format,
+      columns: ['customer_id', 'name', 'email', 'currency', 'orders', 'revenue', 'average_order_value'],
+      rows,
+      params: { from: from || null, to: to || null, limit }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Report the value of the stock on hand (stock x price), now or at the `to` date
+// @route   GET /api/reports/stock-value
+// @query   to (optional, the moment to value the stock at), format (json|csv)
+// @access  Private (admin, staff)
+exports.getStockValue = async (req, res, next) => {
+  try {
+    const { format, from, to } = parseReportQuery(req.query);
+    if (from) {
+      throw badRequest('The stock value is taken at one moment. Use to for the date to value the stock at.');
+    }
+
+    const { rows, totals } = await stockValue({ asOf: to });
+    sendReport(res, {
+      name: 'stock-value',
+      format,
+      columns: ['product_id', 'variant_id', 'sku', 'name', 'currency', 'stock', 'price', 'value'],
+      rows,
+      params: { as_of: to || null },
+      extra: { totals }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
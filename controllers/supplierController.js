@@ -0,0 +1,101 @@
+const Supplier = require('../models/Supplier');           // Import the Supplier Model
+const PurchaseOrder = require('../models/PurchaseOrder'); // Import the PurchaseOrder Model
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+// Copies only the fields a client may set.
+const pickSupplierFields = ({ name, contact_name, email, phone, currency, lead_time_days, active, notes }) => {
+  const fields = { name, contact_name, email, phone, currency, lead_time_days, active, notes };
+  Object.keys(fields).forEach((key) => fields[key] === undefined && delete fields[key]);
+  return fields;
+};
+
+// @desc    Create a supplier
+// @route   POST /api/suppliers
+// @access  Private (admin, staff)
+exports.createSupplier = async (req, res, next) => {
+  try {
+    const supplier = await Supplier.create(pickSupplierFields(req.body));
+    res.status(201).json(supplier);
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ConflictError('A supplier with this name already exists.'));
+    }
+    next(error);
+  }
+};
+
+// @desc    Get all suppliers
+// @route   GET /api/suppliers
+// @query   active (optional, 'true' or 'false')
+// @access  Private (admin, staff)
+exports.getAllSuppliers = async (req, res, next) => {
+  try {
+    const filter = req.query.active === undefined ? {} : { active: req.query.active === 'true' };
+    const suppliers = await Supplier.find(filter).sort({ name: 1 });
+    res.status(200).json(suppliers);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a single supplier by its ID
+// @route   GET /api/suppliers/:id
+// @access  Private (admin, staff)
+exports.getSupplierById = async (req, res, next) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return next(new NotFoundError('Supplier not found'));
+    }
+
+    res.status(200).json(supplier);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a supplier by its ID
+// @route   PUT /api/suppliers/:id
+// @access  Private (admin, staff)
+exports.updateSupplier = async (req, res, next) => {
+  try {
+    const supplier = await Supplier.findByIdAndUpdate(
+      req.params.id,
+      pickSupplierFields(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!supplier) {
+      return next(new NotFoundError('Supplier not found'));
+    }
+
+    res.status(200).json(supplier);
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ConflictError('A supplier with this name already exists.'));
+    }
+    next(error);
+  }
+};
+
+// @desc    Delete a supplier by its ID. Suppliers with purchase orders are kept; deactivate them instead.
+// @route   DELETE /api/suppliers/:id
+// @access  Private (admin)
+exports.deleteSupplier = async (req, res, next) => {
+  try {
+    if (await PurchaseOrder.exists({ supplier_id: req.params.id })) {
+      return next(new ConflictError('This supplier has purchase orders and cannot be deleted. Set active to false instead.'));
+    }
+
+    const deletedSupplier = await Supplier.findByIdAndDelete(req.params.id);
+
+    if (!deletedSupplier) {
+      return next(new NotFoundError('Supplier not found'));
+    }
+
+    res.status(200).json({ message: 'Supplier deleted successfully', deletedSupplier });
+  } catch (error) {
+    next(error);
+  }
+};
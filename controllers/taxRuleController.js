@@ -0,0 +1,79 @@
+const TaxRule = require('../models/TaxRule'); // Import the TaxRule Model
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+// Copies only the fields a client may set.
+const pickTaxRuleFields = ({ region, tax_category, rate, name }) => {
+  const fields = { region, tax_category, rate, name };
+  Object.keys(fields).forEach((key) => fields[key] === undefined && delete fields[key]);
+  return fields;
+};
+
+// @desc    Create a tax rule
+// @route   POST /api/tax-rules
+// @access  Private (admin)
+exports.createTaxRule = async (req, res, next) => {
+  try {
+    const taxRule = await TaxRule.create(pickTaxRuleFields(req.body));
+    res.status(201).json(taxRule);
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ConflictError('A tax rule for this region and tax category already exists.'));
+    }
+    next(error);
+  }
+};
+
+// @desc    Get all tax rules
+// @route   GET /api/tax-rules
+// @query   region (optional)
+// @access  Private (admin, staff)
+exports.getAllTaxRules = async (req, res, next) => {
+  try {
+    const filter = req.query.region ? { region: String(req.query.region).toUpperCase() } : {};
+    const taxRules = await TaxRule.find(filter).sort({ region: 1, tax_category: 1 });
+    res.status(200).json(taxRules);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a tax rule by its ID
+// @route   PUT /api/tax-rules/:id
+// @access  Private (admin)
+exports.updateTaxRule = async (req, res, next) => {
+  try {
+    const taxRule = await TaxRule.findByIdAndUpdate(
+      req.params.id,
+      pickTaxRuleFields(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!taxRule) {
+      return next(new NotFoundError('Tax rule not found'));
+    }
+
+    res.status(200).json(taxRule);
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ConflictError('A tax rule for this region and tax category already exists.'));
+    }
+    next(error);
+  }
+};
+
+// @desc    Delete a tax rule by its ID
+// @route   DELETE /api/tax-rules/:id
+// @access  Private (admin)
+exports.deleteTaxRule = async (req, res, next) => {
+  try {
+    const deletedTaxRule = await TaxRule.findByIdAndDelete(req.params.id);
+
+    if (!deletedTaxRule) {
+      return next(new NotFoundError('Tax rule not found'));
+    }
+
+    res.status(200).json({ message: 'Tax rule deleted successfully', deletedTaxRule });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,32 @@
+const User = require('../models/User'); // Import the User Model
+const { ConflictError } = require('../utils/errors');
+
+// @desc    Create a user with any role
+// @route   POST /api/users
+// @body    name, email, password, role
+// @access  Private (admin)
+exports.createUser = async (req, res, next) => {
+  const { name, email, password, role } = req.body;
+
+  try {
+    const user = await User.create({ name, email, password, role });
+    res.status(201).json(user);
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ConflictError('An account with this email already exists.'));
+    }
+    next(error);
+  }
+};
+
+// @desc    Get all users
+// @route   GET /api/users
+// @access  Private (admin)
+exports.getAllUsers = async (req, res, next) => {
+  try {
+    const users = await User.find({}).sort({ createdAt: -1 });
+    res.status(200).json(users);
+  } catch (error) {
+    next(error);
+  }
+};
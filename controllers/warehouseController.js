@@ -0,0 +1,336 @@
+const mongoose = require('mongoose');                     // Import mongoose for using Transactions
+const Warehouse = require('../models/Warehouse');         // Import the Warehouse Model
+const StockLevel = require('../models/StockLevel');       // Import the StockLevel Model
+const StockTransfer = require('../models/StockTransfer'); // Import the StockTransfer Model
+const Product = require('../models/Product');             // Import the Product Model
+const {
+  hasVariants,
+  findVariant,
+  changeStock,
+  transferStock,
+  locateExistingStock
+} = require('../services/inventory'); // All stock changes go through the inventory ledger
+const { fillBackorders } = require('../services/backorders');
+const { paginate, parseLimit, parseSort } = require('../utils/pagination');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Copies only the fields a client may set.
+const pickWarehouseFields = ({ name, code, address, priority, active }) => {
+  const fields = { name, code, address, priority, active };
+  Object.keys(fields).forEach((key) => fields[key] === undefined && delete fields[key]);
+  return fields;
+};
+
+// Finds the product and variant a stock line refers to, within the session.
+// A line names its product by product_id and/or variant_id or sku, like an order item.
+const findStockItem = async (line, session) => {
+  const label = line.sku || line.variant_id || line.product_id;
+
+  const product = line.product_id
+    ? await Product.findById(line.product_id).session(session)
+    : await Product.findOne({ 'variants.sku': String(line.sku).trim().toUpperCase() }).session(session);
+  if (!product) {
+    throw new NotFoundError(`Product ${label} not found.`);
+  }
+
+  let variant;
+  if (hasVariants(product)) {
+    variant = (line.variant_id || line.sku) && findVariant(product, { variantId: line.variant_id, sku: line.sku });
+    if (!variant) {
+      throw new ValidationError(`Product ${product.name} has variants. Please provide a valid variant_id or sku.`);
+    }
+  }
+  return { product, variant };
+};
+
+// @desc    Create a warehouse. The first warehouse becomes the default and takes over all existing stock.
+// @route   POST /api/warehouses
+// @body    name, code, address, priority (lower is allocated first, default 100), active
+// @access  Private (admin)
+exports.createWarehouse = async (req, res, next) => {
+  // The first warehouse and its stock levels are written together
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const first = (await Warehouse.countDocuments({}, { session })) === 0;
+    const [warehouse] = await Warehouse.create([{ ...pickWarehouseFields(req.body), is_default: first }], { session });
+    if (first) {
+      await locateExistingStock(warehouse._id, session);
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json(warehouse);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    if (error.code === 11000) {
+      return next(new ConflictError('A warehouse with this name or code already exists.'));
+    }
+    next(error);
+  }
+};
+
+// @desc    Get all warehouses, in allocation order
+// @route   GET /api/warehouses
+// @access  Private (admin, staff)
+exports.getAllWarehouses = async (req, res, next) => {
+  try {
+    const warehouses = await Warehouse.find().sort({ priority: 1, name: 1 });
+    res.status(200).json(warehouses);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a single warehouse by its ID
+// @route   GET /api/warehouses/:id
+// @access  Private (admin, staff)
+exports.getWarehouseById = async (req, res, next) => {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+
+    if (!warehouse) {
+      return next(new NotFoundError('Warehouse not found'));
+    }
+
+    res.status(200).json(warehouse);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a warehouse by its ID. Setting is_default to true makes it the default instead of the current one.
+// @route   PUT /api/warehouses/:id
+// @access  Private (admin)
+exports.updateWarehouse = async (req, res, next) => {
+  const makeDefault = req.body.is_default === true;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const warehouse = await Warehouse.findById(req.params.id).session(session);
+
+    if (!warehouse) {
+      throw new NotFoundError('Warehouse not found');
+    }
+    if (req.body.is_default === false && warehouse.is_default) {
+      throw new ConflictError('There must be a default warehouse. Make another warehouse the default instead.');
+    }
+
+    Object.assign(warehouse, pickWarehouseFields(req.body));
+    if (makeDefault && !warehouse.is_default) {
+      await Warehouse.updateMany({ is_default: true }, { is_default: false }, { session });
+      warehouse.is_default = true;
+    }
+    if (warehouse.is_default && !warehouse.active) {
+      throw new ConflictError('The default warehouse cannot be deactivated.');
+    }
+    await warehouse.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json(warehouse);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    if (error.code === 11000) {
+      return next(new ConflictError('A warehouse with this name or code already exists.'));
+    }
+    next(error);
+  }
+};
+
+// @desc    Delete an empty warehouse by its ID. The default warehouse cannot be deleted.
+// @route   DELETE /api/warehouses/:id
+// @access  Private (admin)
+exports.deleteWarehouse = async (req, res, next) => {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+
+    if (!warehouse) {
+      return next(new NotFoundError('Warehouse not found'));
+    }
+    if (warehouse.is_default) {
+      return next(new ConflictError('The default warehouse cannot be deleted. Make another warehouse the default first.'));
+    }
+    const holdsStock = await StockLevel.exists({
+      warehouse_id: warehouse._id,
+      $or: [{ stock: { $gt: 0 } }, { reserved: { $gt: 0 } }, { damaged: { $gt: 0 } }]
+    });
+    if (holdsStock) {
+      return next(new ConflictError('This warehouse still holds stock. Transfer it elsewhere before deleting the warehouse.'));
+    }
+
+    await StockLevel.deleteMany({ warehouse_id: warehouse._id });
+    await Warehouse.deleteOne({ _id: warehouse._id });
+
+    res.status(200).json({ message: 'Warehouse deleted successfully', deletedWarehouse: warehouse });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the stock held in a warehouse
+// @route   GET /api/warehouses/:id/stock
+// @access  Private (admin, staff)
+exports.getWarehouseStock = async (req, res, next) => {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+
+    if (!warehouse) {
+      return next(new NotFoundError('Warehouse not found'));
+    }
+
+    const levels = await StockLevel.find({ warehouse_id: warehouse._id })
+      .populate('product_id', 'name')
+      .sort({ product_id: 1, variant_id: 1 });
+    res.status(200).json({ warehouse, levels });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set the counted stock of a product (or variant) in a warehouse
+// @route   PUT /api/warehouses/:id/stock
+// @body    product_id, variant_id | sku, stock
+// @access  Private (admin, staff)
+exports.setWarehouseStock = async (req, res, next) => {
+  const { stock } = req.body;
+
+  // The stock level, the product totals and the ledger entry are written together
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const warehouse = await Warehouse.findById(req.params.id).session(session);
+    if (!warehouse) {
+      throw new NotFoundError('Warehouse not found');
+    }
+
+    const { product, variant } = await findStockItem(req.body, session);
+    const level = await StockLevel.findOne(
+      { product_id: product._id, variant_id: variant ? variant._id : null, warehouse_id: warehouse._id },
+      null,
+      { session }
+    );
+    const current = level ? level.stock : 0;
+    const reserved = level ? level.reserved : 0;
+    if (stock < reserved) {
+      throw new ConflictError(`Stock cannot be set below the quantity reserved at this warehouse (${reserved}).`);
+    }
+
+    let updated = product;
+    if (stock !== current) {
+      updated = await changeStock({
+        productId: product._id,
+        variantId: variant ? variant._id : undefined,
+        warehouseId: warehouse._id,
+        delta: stock - current,
+        reason: 'manual_adjustment',
+        user: req.user._id,
+        session
+      });
+    }
+    if (stock > current) {
+      await fillBackorders(updated, { variantId: variant ? variant._id : undefined, session, changedBy: req.user._id });
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json(updated);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+// @desc    Move stock from one warehouse to another in one transaction
+// @route   POST /api/warehouses/transfers
+// @body    from_warehouse_id, to_warehouse_id, items: [{ product_id, variant_id | sku, quantity }], note
+// @access  Private (admin, staff)
+exports.createTransfer = async (req, res, next) => {
+  const { from_warehouse_id, to_warehouse_id, items, note } = req.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    for (const [field, id] of [['from_warehouse_id', from_warehouse_id], ['to_warehouse_id', to_warehouse_id]]) {
+      if (!(await Warehouse.exists({ _id: id }).session(session))) {
+        throw new NotFoundError(`${field} is not a known warehouse.`);
+      }
+    }
+
+    const transferId = new mongoose.Types.ObjectId();
+    const transferred = [];
+    for (const line of items) {
+      const { product, variant } = await findStockItem(line, session);
+      await transferStock({
+        product,
+        variant,
+        fromWarehouseId: from_warehouse_id,
+        toWarehouseId: to_warehouse_id,
+        quantity: line.quantity,
+        transferId,
+        user: req.user._id,
+        session
+      });
+      transferred.push({
+        product_id: product._id,
+        variant_id: variant ? variant._id : undefined,
+        sku: variant ? variant.sku : undefined,
+        name: product.name,
+        quantity: line.quantity
+      });
+    }
+
+    const [transfer] = await StockTransfer.create([{
+      _id: transferId,
+      from_warehouse_id,
+      to_warehouse_id,
+      items: transferred,
+      note,
+      created_by: req.user._id
+    }], { session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json(transfer);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+// @desc    Get stock transfers, one page at a time, newest first
+// @route   GET /api/warehouses/transfers
+// @query   limit, cursor, warehouse_id (transfers into or out of it)
+// @access  Private (admin, staff)
+exports.getTransfers = async (req, res, next) => {
+  try {
+    const { limit, cursor, warehouse_id } = req.query;
+    const filter = {};
+
+    if (warehouse_id) {
+      filter.$or = [{ from_warehouse_id: warehouse_id }, { to_warehouse_id: warehouse_id }];
+    }
+
+    const page = await paginate(StockTransfer, filter, {
+      limit: parseLimit(limit),
+      cursor,
+      sort: parseSort(undefined, ['createdAt'], '-createdAt')
+    });
+    res.status(200).json(page);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');                 // Import the Webhook Model
+const OutboxEvent = require('../models/OutboxEvent');         // Import the OutboxEvent Model
+const WebhookDelivery = require('../models/WebhookDelivery'); // Import the WebhookDelivery Model
+const { subscribes, scheduleDeliveries } = require('../services/webhookDispatcher');
+const { paginate, parseLimit, parseSort } = require('../utils/pagination');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+// Copies only the fields a client may set.
+const pickWebhookFields = ({ url, events, description, active, secret }) => {
+  const fields = { url, events, description, active, secret };
+  Object.keys(fields).forEach((key) => fields[key] === undefined && delete fields[key]);
+  return fields;
+};
+
+// @desc    Register a webhook
+// @route   POST /api/webhooks
+// @body    url, events (event types or ['*'], default ['*']), description, secret (optional, generated if missing)
+// @access  Private (admin)
+exports.createWebhook = async (req, res, next) => {
+  try {
+    const webhook = await Webhook.create({
+      secret: crypto.randomBytes(32).toString('hex'),
+      ...pickWebhookFields(req.body),
+      created_by: req.user._id
+    });
+    // The only response that includes the secret
+    res.status(201).json(webhook);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all webhooks
+// @route   GET /api/webhooks
+// @access  Private (admin)
+exports.getAllWebhooks = async (req, res, next) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: -1 });
+    res.status(200).json(webhooks);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a single webhook by its ID
+// @route   GET /api/webhooks/:id
+// @access  Private (admin)
+exports.getWebhookById = async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return next(new NotFoundError('Webhook not found'));
+    }
+
+    res.status(200).json(webhook);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a webhook by its ID (a new secret can be set to rotate it)
+// @route   PUT /api/webhooks/:id
+// @access  Private (admin)
+exports.updateWebhook = async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findByIdAndUpdate(
+      req.params.id,
+      pickWebhookFields(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!webhook) {
+      return next(new NotFoundError('Webhook not found'));
+    }
+
+    res.status(200).json(webhook);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a webhook by its ID. Its pending deliveries become dead letters.
+// @route   DELETE /api/webhooks/:id
+// @access  Private (admin)
+exports.deleteWebhook = async (req, res, next) => {
+  try {
+    const deletedWebhook = await Webhook.findByIdAndDelete(req.params.id);
+
+    if (!deletedWebhook) {
+      return next(new NotFoundError('Webhook not found'));
+    }
+
+    res.status(200).json({ message: 'Webhook deleted successfully', deletedWebhook });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the events in the outbox, one page at a time
+// @route   GET /api/webhooks/events
+// @query   limit, cursor, type, aggregate_id (an order or product ID)
+// @access  Private (admin)
+exports.getEvents = async (req, res, next) => {
+  try {
+    const { limit, cursor, type, aggregate_id } = req.query;
+    const filter = {};
+
+    if (type) filter.type = type;
+    if (aggregate_id) filter.aggregate_id = aggregate_id;
+
+    // Newest events first
+    const page = await paginate(OutboxEvent, filter, {
+      limit: parseLimit(limit),
+      cursor,
+      sort: parseSort(undefined, ['createdAt'], '-createdAt')
+    });
+    res.status(200).json(page);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get an event and its deliveries
+// @route   GET /api/webhooks/events/:id
+// @access  Private (admin)
+exports.getEventById = async (req, res, next) => {
+  try {
+    const event = await OutboxEvent.findById(req.params.id);
+
+    if (!event) {
+      return next(new NotFoundError('Event not found'));
+    }
+
+    const deliveries = await WebhookDelivery.find({ event_id: event._id }).sort({ createdAt: 1 });
+    res.status(200).json({ event, deliveries });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send an event again, to one webhook or to every active webhook subscribed to it
+// @route   POST /api/webhooks/events/:id/replay
+// @body    webhook_id (optional)
+// @access  Private (admin)
+exports.replayEvent = async (req, res, next) => {
+  const { webhook_id } = req.body || {};
+
+  try {
+    const event = await OutboxEvent.findById(req.params.id);
+
+    if (!event) {
+      return next(new NotFoundError('Event not found'));
+    }
+
+    let webhooks;
+    if (webhook_id) {
+      const webhook = await Webhook.findById(webhook_id);
+      if (!webhook) {
+        return next(new NotFoundError('Webhook not found'));
+      }
+      if (!webhook.active) {
+        return next(new ConflictError('The webhook is disabled. Activate it before replaying events to it.'));
+      }
+      webhooks = [webhook];
+    } else {
+      webhooks = (await Webhook.find({ active: true })).filter((webhook) => subscribes(webhook, event.type));
+      if (webhooks.length === 0) {
+        return next(new ConflictError(`No active webhook is subscribed to ${event.type}.`));
+      }
+    }
+
+    // New deliveries, so the history of the earlier attempts is kept
+    const deliveries = await scheduleDeliveries(event, webhooks);
+    res.status(202).json({ event, deliveries });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get webhook deliveries, one page at a time (status=dead lists the dead letters)
+// @route   GET /api/webhooks/deliveries
+// @query   limit, cursor, status (pending|delivered|dead), webhook_id, event_id
+// @access  Private (admin)
+exports.getDeliveries = async (req, res, next) => {
+  try {
+    const { limit, cursor, status, webhook_id, event_id } = req.query;
+    const filter = {};
+
+    if (status) filter.status = status;
+    if (webhook_id) filter.webhook_id = webhook_id;
+    if (event_id) filter.event_id = event_id;
+
+    // Newest deliveries first
+    const page = await paginate(WebhookDelivery, filter, {
+      limit: parseLimit(limit),
+      cursor,
+      sort: parseSort(undefined, ['createdAt'], '-createdAt')
+    });
+    res.status(200).json(page);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -2,8 +2,23 @@ require('dotenv').config(); // Load environment variables from .env file
 
 const express = require('express');
 const connectDB = require('./config/db'); // Import DB connection function
+const authRoutes = require('./routes/authRoutes');       // Import auth routes
+const userRoutes = require('./routes/userRoutes');       // Import user routes
 const productRoutes = require('./routes/productRoutes'); // Import product routes
 const orderRoutes = require('./routes/orderRoutes');   // Import order routes
+const inventoryRoutes = require('./routes/inventoryRoutes'); // Import inventory routes
+const promotionRoutes = require('./routes/promotionRoutes'); // Import promotion routes
+const taxRuleRoutes = require('./routes/taxRuleRoutes');     // Import tax rule routes
+const webhookRoutes = require('./routes/webhookRoutes');     // Import webhook routes
+const supplierRoutes = require('./routes/supplierRoutes');   // Import supplier routes
+const purchaseOrderRoutes = require('./routes/purchaseOrderRoutes'); // Import purchase order routes
+const warehouseRoutes = require('./routes/warehouseRoutes'); // Import warehouse routes
+const reportRoutes = require('./routes/reportRoutes');       // Import report routes
+const customerRoutes = require('./routes/customerRoutes');   // Import customer routes
+const categoryRoutes = require('./routes/categoryRoutes');   // Import category routes
+const { notFound, errorHandler } = require('./middleware/errorHandler'); // Uniform error responses
+const { startReservationSweeper } = require('./services/reservationSweeper'); // Releases expired stock reservations
+const { startWebhookDispatcher } = require('./services/webhookDispatcher');     // Delivers outbox events to webhooks
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -11,6 +26,12 @@ const PORT = process.env.PORT || 3000;
 // Connect to Database
 connectDB();
 
+// Release stock held by orders that were never paid
+startReservationSweeper();
+
+// Send domain events to the registered webhooks
+startWebhookDispatcher();
+
 // Middleware
 app.use(express.json()); // To parse JSON request bodies
 
@@ -20,8 +41,24 @@ app.get('/', (req, res) => {
 });
 
 // Use API Routes
+app.use('/api/auth', authRoutes);        // All /api/auth requests go to authRoutes
+app.use('/api/users', userRoutes);       // All /api/users requests go to userRoutes
 app.use('/api/products', productRoutes); // All /api/products requests go to productRoutes
 app.use('/api/orders', orderRoutes);     // All /api/orders requests go to orderRoutes
+app.use('/api/inventory', inventoryRoutes); // All /api/inventory requests go to inventoryRoutes
+app.use('/api/promotions', promotionRoutes); // All /api/promotions requests go to promotionRoutes
+app.use('/api/tax-rules', taxRuleRoutes);     // All /api/tax-rules requests go to taxRuleRoutes
+app.use('/api/webhooks', webhookRoutes);      // All /api/webhooks requests go to webhookRoutes
+app.use('/api/suppliers', supplierRoutes);    // All /api/suppliers requests go to supplierRoutes
+app.use('/api/purchase-orders', purchaseOrderRoutes); // All /api/purchase-orders requests go to purchaseOrderRoutes
+app.use('/api/warehouses', warehouseRoutes);  // All /api/warehouses requests go to warehouseRoutes
+app.use('/api/reports', reportRoutes);        // All /api/reports requests go to reportRoutes
+app.use('/api/customers', customerRoutes);    // All /api/customers requests go to customerRoutes
+app.use('/api/categories', categoryRoutes);   // All /api/categories requests go to categoryRoutes
+
+// Errors: unknown routes are 404s, and every error is sent as { error: { code, message, details } }
+app.use(notFound);
+app.use(errorHandler);
 
 // Start the server
 app.listen(PORT, () => {
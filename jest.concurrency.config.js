@@ -0,0 +1,8 @@
+// Jest settings of the concurrency harness (tests/concurrency), which needs a MongoDB
+// replica set and so is kept out of the default test run. See `npm run test:concurrency`.
+module.exports = {
+  testMatch: ['<rootDir>/tests/concurrency/**/*.test.js'],
+  testEnvironment: 'node',
+  // Starting the replica set, and downloading MongoDB on the first run, takes a while
+  testTimeout: 120000
+};
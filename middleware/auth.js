@@ -0,0 +1,47 @@
+const User = require('../models/User'); // Import the User Model
+const { verifyToken } = require('../services/auth');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+// Roles that work on behalf of the shop and may see every customer's data
+const STAFF_ROLES = ['admin', 'staff'];
+
+// Checks whether a user works for the shop (admin or staff) rather than being a customer.
+const isStaff = (user) => Boolean(user) && STAFF_ROLES.includes(user.role);
+
+exports.STAFF_ROLES = STAFF_ROLES;
+exports.isStaff = isStaff;
+
+// Requires a valid 'Authorization: Bearer <token>' header.
+// Loads the user the token was issued to and attaches it as req.user.
+exports.protect = async (req, res, next) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(new UnauthorizedError('Not authorized, no token provided'));
+  }
+
+  let user;
+  try {
+    const payload = verifyToken(token);
+    // Load the user so that deleted accounts and role changes take effect immediately
+    user = await User.findById(payload.sub);
+  } catch {
+    return next(new UnauthorizedError('Not authorized, invalid or expired token'));
+  }
+
+  if (!user) {
+    return next(new UnauthorizedError('Not authorized, user no longer exists'));
+  }
+
+  req.user = user;
+  next();
+};
+
+// Allows the request only if req.user has one of the given roles.
+// Must run after protect.
+exports.authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return next(new ForbiddenError('You do not have permission to perform this action'));
+  }
+  next();
+};
@@ -0,0 +1,25 @@
+const { NotFoundError, toAppError } = require('../utils/errors');
+
+// Answers requests that no route matched.
+exports.notFound = (req, res, next) => {
+  next(new NotFoundError(`Cannot ${req.method} ${req.originalUrl}`));
+};
+
+// Sends every error in the same format:
+//   { "error": { "code": "not_found", "message": "Product not found", "details": null } }
+// Must be registered after all routes. Unexpected errors are logged and reported as a 500
+// without their message, which may reveal internals.
+exports.errorHandler = (err, req, res, next) => {
+  // A response that is already being streamed (e.g. an export) can only be cut short,
+  // which Express's own handler does by closing the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+  const error = toAppError(err);
+  if (error.statusCode >= 500) {
+    console.error(err);
+  }
+  res.status(error.statusCode).json({
+    error: { code: error.code, message: error.message, details: error.details }
+  });
+};
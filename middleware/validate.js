@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const { ValidationError } = require('../utils/errors');
+
+// Declarative request validation. A route names the rules of its URL parameters, query
+// parameters and body fields (see the validators directory), and the request is rejected
+// with a 400 listing every problem before the controller runs. Fields without a rule are
+// rejected too, so clients cannot set fields the API does not expose.
+//
+// A rule describes one value:
+//   type       'string', 'integer', 'number', 'boolean', 'objectId', 'date', 'array',
+//              'object' (with the rules of its fields) or 'map' (free keys, e.g. variant attributes)
+//   required   the value must be given
+//   nullable   null is accepted, e.g. to clear an optional field
+//   enum       the value must be one of these
+//   min, max   bounds of a number, or of the length of a string or array
+//   pattern    a regular expression a string must match
+//   items      the rule of each element of an array
+//   fields     the rules of the fields of an object
+//   values     the rule of each value of a map
+//   check      a function of the value that returns a problem, for rules spanning several fields
+//
+// Query parameters always arrive as strings, so their values are checked in string form
+// ('5' is an integer) and left for the controller to convert.
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'true or false',
+  objectId: 'a valid ID',
+  date: 'a valid date',
+  array: 'an array',
+  object: 'an object',
+  map: 'an object'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Whether a value has the rule's type. Query values are checked in their string form.
+const hasType = (type, value, fromQuery) => {
+  if (fromQuery) {
+    if (typeof value !== 'string') return false;
+    switch (type) {
+      case 'integer': return /^-?\d+$/.test(value);
+      case 'number': return value.trim() !== '' && Number.isFinite(Number(value));
+      case 'boolean': return value === 'true' || value === 'false';
+      case 'string': return true;
+      default: break; // objectId and date read the same from a string
+    }
+  }
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'objectId': return typeof value === 'string' && mongoose.isValidObjectId(value);
+    case 'date': return typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+    case 'array': return Array.isArray(value);
+    case 'object':
+    case 'map': return isPlainObject(value);
+    default: return true;
+  }
+};
+
+// Checks one value against its rule, adding the problems found to `problems`.
+const checkValue = (rule, value, path, location, problems) => {
+  const fromQuery = location === 'query';
+  const report = (message) => problems.push({ location, path, message });
+  const before = problems.length;
+
+  if (value === undefined || (value === '' && fromQuery)) {
+    if (rule.required) report('is required');
+    return;
+  }
+  if (value === null) {
+    if (!rule.nullable) report(rule.required ? 'is required' : 'cannot be null');
+    return;
+  }
+  if (!hasType(rule.type, value, fromQuery)) {
+    report(Array.isArray(value) && fromQuery ? 'must be given once' : `must be ${TYPE_NAMES[rule.type]}`);
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    report(`must be one of: ${rule.enum.join(', ')}`);
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    report(rule.patternMessage || 'does not have the expected format');
+  }
+  const size = ['string', 'array'].includes(rule.type) ? value.length : Number(value);
+  const unit = rule.type === 'string' ? ' characters' : rule.type === 'array' ? ' items' : '';
+  if (rule.min !== undefined && size < rule.min) {
+    report(`must ${unit ? 'have' : 'be'} at least ${rule.min}${unit}`);
+  }
+  if (rule.max !== undefined && size > rule.max) {
+    report(`must ${unit ? 'have' : 'be'} at most ${rule.max}${unit}`);
+  }
+
+  if (rule.type === 'array' && rule.items) {
+    value.forEach((item, index) => checkValue(rule.items, item, `${path}[${index}]`, location, problems));
+  }
+  if (rule.type === 'object' && rule.fields) {
+    checkFields(rule.fields, value, `${path}.`, location, problems);
+  }
+  if (rule.type === 'map' && rule.values) {
+    Object.entries(value).forEach(([key, item]) => checkValue(rule.values, item, `${path}.${key}`, location, problems));
+  }
+
+  // Rules that span fields only make sense once every field has the right type
+  if (rule.check && problems.length === before) {
+    const problem = rule.check(value);
+    if (problem) report(problem);
+  }
+};
+
+// Checks the fields of an object against their rules; fields without a rule are not allowed.
+const checkFields = (fields, object, prefix, location, problems) => {
+  Object.keys(object).forEach((name) => {
+    if (!Object.prototype.hasOwnProperty.call(fields, name)) {
+      problems.push({ location, path: `${prefix}${name}`, message: 'is not allowed' });
+    }
+  });
+  Object.entries(fields).forEach(([name, rule]) => checkValue(rule, object[name], `${prefix}${name}`, location, problems));
+};
+
+// Lists the problems of a request against a schema { params, query, body }, where each
+// part holds the rules of its fields. `body.check` can add a rule for the body as a whole.
+const checkRequest = (schema, req) => {
+  const problems = [];
+  for (const location of ['params', 'query', 'body']) {
+    const fields = schema[location];
+    if (!fields) continue;
+
+    const { check, ...rules } = fields;
+    const value = location === 'body' && req.body === undefined ? {} : req[location];
+    if (!isPlainObject(value)) {
+      problems.push({ location, path: '', message: 'must be a JSON object' });
+      continue;
+    }
+    const before = problems.length;
+    checkFields(rules, value, '', location, problems);
+    if (check && problems.length === before) {
+      const problem = check(value);
+      if (problem) problems.push({ location, path: '', message: problem });
+    }
+  }
+  return problems;
+};
+
+// Builds the middleware that validates a request against a schema { params, query, body }.
+const validate = (schema) => (req, res, next) => {
+  const problems = checkRequest(schema, req);
+  if (problems.length === 0) {
+    return next();
+  }
+  const summary = problems.map(({ path, message }) => (path ? `${path} ${message}` : message)).join('; ');
+  next(new ValidationError(`Invalid request: ${summary}.`, problems));
+};
+
+module.exports = { validate, checkRequest };
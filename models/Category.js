@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// This defines the schema for a Category: one node of the tree products are grouped in,
+// e.g. Electronics > Computers > Laptops.
+// Every category keeps the IDs of all the categories above it, so a whole subtree is found
+// with one query on `ancestors`. Products only refer to their own category, so moving a
+// subtree rewrites the ancestors of the categories in it and never touches a product.
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  parent_id: {      // The category directly above; null for a top-level category
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  ancestors: [{     // Every category above, from the top-level one down to the parent
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }]
+}, {
+  timestamps: true
+});
+
+// Names are unique among the categories with the same parent
+categorySchema.index({ parent_id: 1, name: 1 }, { unique: true });
+// Finds every category below a given one
+categorySchema.index({ ancestors: 1 });
+
+const Category = mongoose.model('Category', categorySchema);
+
+module.exports = Category;
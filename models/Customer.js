@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// The kinds of address a customer can keep
+const ADDRESS_KINDS = ['shipping', 'billing'];
+
+// This defines one of a customer's addresses.
+const addressSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    required: true,
+    enum: ADDRESS_KINDS
+  },
+  label: { // How the customer refers to the address, e.g. 'Home' or 'Office'
+    type: String,
+    trim: true
+  },
+  name: { // Who the parcel or invoice is addressed to, if not the customer
+    type: String,
+    trim: true
+  },
+  line1: {
+    type: String,
+    required: [true, 'Address line1 is required'],
+    trim: true
+  },
+  line2: {
+    type: String,
+    trim: true
+  },
+  city: {
+    type: String,
+    required: [true, 'Address city is required'],
+    trim: true
+  },
+  region: { // State, county or province
+    type: String,
+    trim: true
+  },
+  postal_code: {
+    type: String,
+    trim: true
+  },
+  country: { // ISO 3166-1 alpha-2 code, e.g. 'US'
+    type: String,
+    required: [true, 'Address country is required'],
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{2}$/, 'Country must be a two-letter ISO 3166-1 code']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  is_default: { // Used when an order does not name an address; one per kind
+    type: Boolean,
+    default: false
+  }
+});
+
+// This defines the schema for a Customer: the person orders are placed for.
+// A customer who shops online has a user account; customers carried over from
+// orders placed before accounts existed do not.
+const customerSchema = new mongoose.Schema({
+  user: { // The account the customer logs in with, if any
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  addresses: [addressSchema],
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// A customer has at most one default address of each kind.
+customerSchema.pre('validate', function(next) {
+  for (const kind of ADDRESS_KINDS) {
+    if (this.addresses.filter((address) => address.kind === kind && address.is_default).length > 1) {
+      this.invalidate('addresses', `Only one ${kind} address can be the default.`);
+    }
+  }
+  next();
+});
+
+// An account belongs to one customer, and two customers cannot share an email.
+// Customers without an account or email are not constrained.
+customerSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } });
+customerSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { email: { $type: 'string' } } });
+// Lets the customer list be sorted and paged by name
+customerSchema.index({ name: 1, _id: 1 });
+
+const Customer = mongoose.model('Customer', customerSchema);
+
+module.exports = Customer;
+module.exports.ADDRESS_KINDS = ADDRESS_KINDS;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// This defines the schema for a stored Idempotency-Key.
+// It remembers the request a key was first used with and the response that was sent,
+// so a retried request can be answered without running the operation again.
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { // The value of the Idempotency-Key header sent by the client
+    type: String,
+    required: true,
+    trim: true
+  },
+  scope: { // The operation the key belongs to, e.g. 'POST /api/orders'
+    type: String,
+    required: true
+  },
+  request_hash: { // A hash of the request body the key was first used with
+    type: String,
+    required: true
+  },
+  response_status: {
+    type: Number,
+    required: true
+  },
+  response_body: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  expires_at: { // After this point the key may be reused for a new request
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// A key can only be used once per operation
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+
+// Let MongoDB remove keys once they have expired
+idempotencyKeySchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { ORDER_STATUSES } = require('../services/orderStatus'); // Statuses declared by the order state machine
+const { calculateTotals } = require('../services/pricing');
+const { DEFAULT_CURRENCY } = require('../config/settings');
 
 // This defines the schema for the items within an order.
 // It is a sub-schema that will be embedded in the main Order schema.
@@ -12,49 +15,226 @@ const orderItemSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  price_at_order: { // Stores the product price at the time of the order
+  variant_id: { // The variant that was bought, for products with variants
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sku: String, // Stores the variant SKU at the time of the order
+  variant_attributes: { // Stores the variant attributes at the time of the order, e.g. { size: 'M' }
+    type: Map,
+    of: String
+  },
+  price_at_order: { // Stores the product price at the time of the order, in minor units
     type: Number,
     required: true,
     min: 0
   },
+  cost_at_order: { // The weighted-average unit cost when the order was placed, in minor units; empty if unknown
+    type: Number,
+    min: 0
+  },
   quantity: {
     type: Number,
     required: true,
     min: 1 // Quantity must be at least 1
-  }
+  },
+  tax_category: String, // Stores the product's tax category at the time of the order
+  discount: { // This line's share of the order's discounts, in minor units
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  tax_rate: { // The rate charged on this line, in basis points (2000 is 20%)
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  tax: { // Tax on the line after its discount, rounded half up, in minor units
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // The line keeps its original quantity; these count the units taken off it since
+  cancelled_quantity: { // Units cancelled before they were shipped
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  returned_quantity: { // Units the customer sent back
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Set on every line of an order placed with more units than were available (backorders and pre-orders)
+  fulfilled_quantity: { // Units reserved from stock for this line
+    type: Number,
+    min: 0
+  },
+  outstanding_quantity: { // Units still waiting for stock; they are reserved as stock arrives
+    type: Number,
+    min: 0
+  },
+  expected_at: Date, // When a pre-ordered product is expected to be available (its available_at)
+  allocations: [{ // The warehouses the units come from, in order; empty when no warehouse is in use
+    _id: false,
+    warehouse_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse', required: true },
+    quantity: { type: Number, required: true, min: 1 }
+  }]
 }, { _id: false }); // We set _id to false because this is a sub-document
 
-// This is the main schema for the Order document.
-const orderSchema = new mongoose.Schema({
-  customer_name: {
+// This defines one discount line of the order's price breakdown.
+// Each line is a promotion (or coupon) that was applied when the order was placed.
+const discountSchema = new mongoose.Schema({
+  promotion_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  code: String, // The coupon code, empty for automatic promotions
+  name: { // The promotion name at the time of the order
     type: String,
+    required: true
+  },
+  type: String, // The promotion type at the time of the order
+  amount: { // How much this promotion took off the order, in minor units
+    type: Number,
     required: true,
-    trim: true // Removes whitespace from both ends of the string
+    min: 0
+  }
+}, { _id: false });
+
+// This defines one entry in the order's status history.
+// A new entry is appended every time the order moves to another status.
+const statusHistorySchema = new mongoose.Schema({
+  from: { // The status before the change (null for the initial entry)
+    type: String,
+    enum: [...ORDER_STATUSES, null],
+    default: null
   },
+  to: { // The status after the change
+    type: String,
+    required: true,
+    enum: ORDER_STATUSES
+  },
+  changed_by: { // The user who made the change (empty when the system made it, e.g. an expired reservation)
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: { // Why the change was made (optional)
+    type: String,
+    trim: true
+  },
+  changed_at: {
+    type: Date,
+    required: true,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A copy of the address the order ships to, taken when the order is placed, so later
+// changes to the customer's addresses do not change where past orders went.
+const shippingAddressSchema = new mongoose.Schema({
+  name: String,
+  line1: String,
+  line2: String,
+  city: String,
+  region: String,
+  postal_code: String,
+  country: String,
+  phone: String
+}, { _id: false });
+
+// This is the main schema for the Order document.
+const orderSchema = new mongoose.Schema({
+  user: { // The account that placed the order; orders from before accounts existed have none
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return this.isNew; }
+  },
+  customer: { // The customer the order is for (see models/Customer.js)
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  shipping_address: shippingAddressSchema,
   items: [orderItemSchema], // An array of order items, using the sub-schema defined above
-  total_price: {
+  currency: { // Every amount on the order is in minor units of this currency
+    type: String,
+    default: DEFAULT_CURRENCY
+  },
+  region: String, // The tax region the order was taxed for, e.g. 'GB' or 'US-CA'
+  subtotal: { // The value of the items before discounts
+    type: Number,
+    min: 0
+  },
+  discounts: [discountSchema], // The discounts applied, in the order they were applied
+  discount_total: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  tax_total: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  total_price: { // The grand total the customer pays: subtotal - discount_total + tax_total
     type: Number,
     required: true,
     min: 0
   },
+  remaining_total: { // total_price less the value of every cancelled or returned unit
+    type: Number,
+    min: 0
+  },
+  refunded_total: { // The sum of the order's refunds
+    type: Number,
+    min: 0,
+    default: 0
+  },
   status: {
     type: String,
     required: true,
-    enum: ['pending', 'completed', 'cancelled'], // The status must be one of these values
+    enum: ORDER_STATUSES, // The status must be one of the lifecycle stages
     default: 'pending' // The default status when an order is created
-  }
+  },
+  status_history: [statusHistorySchema], // Every status change, oldest first
+  reservation: { // Stock held for this order until it is paid or the reservation expires
+    status: {
+      type: String,
+      enum: ['active', 'committed', 'released']
+    },
+    expires_at: Date
+  },
+  allocation_strategy: String // How the items were allocated to warehouses (see services/allocation.js)
 }, {
   // Automatically adds createdAt and updatedAt fields to the document
-  timestamps: true 
+  timestamps: true,
+  // Every save checks and increments the version (__v), so a save based on an outdated
+  // copy of the order fails instead of overwriting another request's change.
+  optimisticConcurrency: true
 });
 
-// A pre-save middleware (hook) to automatically calculate the total_price
+// Indexes for the order list: the default newest-first listing, the status and
+// customer filters combined with that order, and sorting by total.
+orderSchema.index({ createdAt: -1, _id: -1 });
+orderSchema.index({ status: 1, createdAt: -1, _id: -1 });
+orderSchema.index({ user: 1, createdAt: -1, _id: -1 });
+orderSchema.index({ customer: 1, createdAt: -1, _id: -1 });
+orderSchema.index({ total_price: 1, _id: 1 });
+
+// Lets the reservation sweeper find expired reservations without scanning every order.
+orderSchema.index({ 'reservation.status': 1, 'reservation.expires_at': 1 });
+
+// A pre-save middleware (hook) to automatically recalculate the totals
 // before the order document is saved to the database.
+// Every amount is in integer minor units, so the totals are exact sums of the lines.
 orderSchema.pre('save', function(next) {
   // 'this' refers to the document being saved
-  this.total_price = this.items.reduce((accumulator, currentItem) => {
-    return accumulator + (currentItem.price_at_order * currentItem.quantity);
-  }, 0);
+  const totals = calculateTotals(this.items, this.discounts);
+  this.subtotal = totals.subtotal;
+  this.discount_total = totals.discount_total;
+  this.tax_total = totals.tax_total;
+  this.total_price = totals.total;
+  this.remaining_total = totals.remaining;
   next(); // Move on to the next middleware or save operation
 });
 
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Every domain event the API publishes to webhooks.
+const EVENT_TYPES = [
+  'order.placed',          // A customer placed an order
+  'order.status_changed',  // An order moved through its lifecycle (see services/orderStatus.js)
+  'order.items_cancelled', // Some units of an order were cancelled before shipping
+  'order.items_returned',  // Some units of a shipped order came back
+  'product.created',
+  'product.updated',       // Product fields or variants changed
+  'product.archived',      // The product was hidden from listings and can no longer be ordered
+  'product.restored',      // An archived product was put back on sale
+  'product.deleted',       // An archived product was purged for good
+  'product.stock_changed', // An entry was added to the inventory ledger
+  'product.stock_low'      // The units available for sale dropped to the reorder point or below
+];
+
+// This defines the schema for a domain event waiting in the outbox.
+// Events are written in the same transaction as the change they describe, so an
+// event exists if and only if that change was committed. The webhook dispatcher
+// then creates one WebhookDelivery per subscribed webhook and marks the event dispatched.
+const outboxEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: EVENT_TYPES
+  },
+  aggregate_type: { // The kind of document the event is about
+    type: String,
+    required: true,
+    enum: ['order', 'product']
+  },
+  aggregate_id: { // The order or product the event is about
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  data: { // The event body sent to webhooks
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  dispatched_at: { // When the deliveries for the registered webhooks were created; null until then
+    type: Date,
+    default: null
+  }
+}, {
+  // Only createdAt is needed because events are never changed after dispatching
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false // Keep an empty data object instead of dropping it
+});
+
+// Finding events that still need to be dispatched, oldest first
+outboxEventSchema.index({ dispatched_at: 1, createdAt: 1 });
+// Listing events, newest first, and the events of one order or product
+outboxEventSchema.index({ createdAt: -1, _id: -1 });
+outboxEventSchema.index({ aggregate_id: 1, createdAt: -1 });
+
+const OutboxEvent = mongoose.model('OutboxEvent', outboxEventSchema);
+
+module.exports = OutboxEvent;
+module.exports.EVENT_TYPES = EVENT_TYPES;
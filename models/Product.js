@@ -1,4 +1,84 @@
 const mongoose = require('mongoose');
+const { isMinorUnits } = require('../utils/money');
+const { DEFAULT_CURRENCY } = require('../config/settings');
+
+// How a product takes orders for more units than are available:
+//   none       the order is rejected (the default)
+//   backorder  the order waits for the missing units, which are allocated when stock arrives
+//   preorder   like backorder, for a product that is not released yet (see available_at)
+const BACKORDER_MODES = ['none', 'backorder', 'preorder'];
+
+// Prices are whole numbers of minor units, e.g. 1999 for 19.99 in a currency with cents.
+const minorUnitsValidator = {
+  validator: (value) => value == null || isMinorUnits(value),
+  message: 'Price must be a whole number of minor units (e.g. cents).'
+};
+
+// This defines the schema for one variant of a product, e.g. "T-Shirt, size M, red".
+// It is a sub-schema that will be embedded in the main Product schema.
+// Each variant keeps its own stock and reservations; the product's stock and
+// reserved fields then hold the totals across all of its variants.
+const variantSchema = new mongoose.Schema({
+  sku: { // Stock keeping unit, unique across the whole catalogue
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  attributes: { // The attribute set that identifies the variant, e.g. { size: 'M', colour: 'Red' }
+    type: Map,
+    of: String,
+    default: {}
+  },
+  price: { // Overrides the product's price when set, in the product's currency
+    type: Number,
+    min: 0,
+    validate: minorUnitsValidator
+  },
+  stock: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  reserved: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  damaged: { // Returned units that cannot be sold again; not part of stock
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  backordered: { // Units ordered but still waiting for stock
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  reorder_point: { // Overrides the product's reorder point for this variant when set
+    type: Number,
+    min: 0
+  },
+  reorder_quantity: { // Overrides the product's reorder quantity for this variant when set
+    type: Number,
+    min: 1
+  },
+  average_cost: { // Weighted-average unit cost of the variant's stock, kept up by goods receipts
+    type: Number,
+    min: 0,
+    validate: minorUnitsValidator
+  }
+}, {
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Available quantity of the variant: what can still be ordered right now.
+variantSchema.virtual('available').get(function() {
+  return this.stock - this.reserved;
+});
 
 // This defines the schema for the Product document.
 const productSchema = new mongoose.Schema({
@@ -8,26 +88,159 @@ const productSchema = new mongoose.Schema({
     unique: true,   // Each product must have a unique name
     trim: true      // Removes whitespace from both ends of the string
   },
-  price: {
+  description: {
+    type: String,
+    trim: true
+  },
+  category_id: {    // The product's place in the category tree (see models/Category.js)
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  tags: [{          // Extra search terms, e.g. ['wireless', 'ergonomic']
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  price: {          // In minor units of the product's currency
     type: Number,
     required: true,
-    min: 0          // The price cannot be a negative number
+    min: 0,         // The price cannot be a negative number
+    validate: minorUnitsValidator
+  },
+  currency: {       // ISO 4217 code, e.g. 'USD'
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO 4217 code'],
+    default: DEFAULT_CURRENCY
+  },
+  tax_category: {   // Selects the tax rule that applies, e.g. 'standard', 'reduced', 'zero'
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: 'standard'
   },
   stock: {
     type: Number,
     required: true,
     min: 0,         // The stock count cannot be a negative number
     default: 0      // Sets a default value of 0 if stock is not provided
+  },
+  reserved: {
+    type: Number,
+    min: 0,         // Units held by pending orders that have not been paid yet
+    default: 0
+  },
+  damaged: {
+    type: Number,
+    min: 0,         // Returned units that cannot be sold again; not part of stock
+    default: 0
+  },
+  backordered: {
+    type: Number,
+    min: 0,         // Units ordered but still waiting for stock; managed by orders
+    default: 0
+  },
+  backorder_mode: { // Whether orders are taken for more units than are available
+    type: String,
+    enum: BACKORDER_MODES,
+    default: 'none'
+  },
+  backorder_limit: { // The most units that may be waiting for stock at once (per variant); no cap when not set
+    type: Number,
+    min: 0
+  },
+  available_at: Date, // When a pre-order product is expected to be in stock
+  reorder_point: {  // Available units at or below which the product needs reordering; LOW_STOCK_THRESHOLD when not set
+    type: Number,
+    min: 0
+  },
+  reorder_quantity: { // The usual quantity to order from the supplier
+    type: Number,
+    min: 1
+  },
+  lead_time_days: { // Days between ordering from the supplier and the goods arriving
+    type: Number,
+    min: 0
+  },
+  average_cost: {   // Weighted-average unit cost of the stock, in minor units, kept up by goods receipts
+    type: Number,
+    min: 0,
+    validate: minorUnitsValidator
+  },
+  variants: [variantSchema], // Optional sizes/colours; when present, stock is tracked per variant
+  archived_at: {    // When the product was archived; archived products are hidden from listings and cannot be ordered
+    type: Date,
+    default: null
   }
 }, {
   // Automatically adds createdAt and updatedAt fields to the document,
   // which helps in tracking when the document was created and last modified.
-  timestamps: true 
+  timestamps: true,
+  // Every save checks and increments the version (__v), so a save based on an outdated
+  // copy of the product fails instead of overwriting another request's change.
+  optimisticConcurrency: true,
+  // Include the virtual inventory fields below when the product is sent as JSON.
+  // The default 'id' virtual is turned off so responses keep only '_id'.
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// On-hand quantity: everything physically in stock, including reserved units.
+productSchema.virtual('on_hand').get(function() {
+  return this.stock;
+});
+
+// Available quantity: what can still be ordered right now.
+productSchema.virtual('available').get(function() {
+  return this.stock - this.reserved;
 });
 
+// For products with variants, stock, reserved, damaged and backordered are always the totals of the variants.
+// Also rejects a product that lists the same SKU twice.
+productSchema.pre('validate', function(next) {
+  if (this.variants.length === 0) return next();
+
+  const skus = this.variants.map((variant) => variant.sku);
+  if (new Set(skus).size !== skus.length) {
+    this.invalidate('variants', 'Each variant of a product must have a different SKU.');
+    return next();
+  }
+
+  this.stock = this.variants.reduce((total, variant) => total + variant.stock, 0);
+  this.reserved = this.variants.reduce((total, variant) => total + variant.reserved, 0);
+  this.damaged = this.variants.reduce((total, variant) => total + (variant.damaged || 0), 0);
+  this.backordered = this.variants.reduce((total, variant) => total + (variant.backordered || 0), 0);
+  next();
+});
+
+// SKUs are unique across products. Products without variants are left out of the index.
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+// Indexes for the product list: each sortable field is paired with _id,
+// which the cursor pagination uses to break ties.
+// (name already has a unique index, which also serves name prefix filters.)
+productSchema.index({ price: 1, _id: 1 });
+productSchema.index({ stock: 1, _id: 1 });
+productSchema.index({ createdAt: 1, _id: 1 });
+// The products of a category (GET /api/categories/:id/products)
+productSchema.index({ category_id: 1 });
+
+// The text index behind product search (services/productSearch.js). Matches in the
+// name count the most, then tags, then the description.
+productSchema.index(
+  { name: 'text', tags: 'text', description: 'text' },
+  { name: 'product_search', weights: { name: 10, tags: 5, description: 1 } }
+);
+
 // Create the Product model from the schema defined above.
 // Mongoose will create a collection named 'products' (plural, lowercase) in MongoDB.
 const Product = mongoose.model('Product', productSchema);
 
 // Export the model so it can be used in other parts of the application (e.g., controllers).
-module.exports = Product;
\ No newline at end of file
+module.exports = Product;
+module.exports.BACKORDER_MODES = BACKORDER_MODES;
\ No newline at end of file
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const { isMinorUnits } = require('../utils/money');
+const { DEFAULT_CURRENCY } = require('../config/settings');
+
+// The kinds of discount a promotion can give.
+// percentage:  `value` percent off the eligible items
+// fixed:       `value` minor units off the eligible items, never more than they cost
+// buy_x_get_y: for every `buy_quantity` units of an eligible item, the next `get_quantity` units are free
+const PROMOTION_TYPES = ['percentage', 'fixed', 'buy_x_get_y'];
+
+// This defines the schema for a Promotion document.
+// A promotion with a `code` is a coupon: it only applies when the customer enters the code.
+// A promotion without a code applies automatically to every order that qualifies.
+const promotionSchema = new mongoose.Schema({
+  name: { // Shown on the order as the label of the discount line
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true
+  },
+  code: { // The coupon code customers enter (stored in upper case); empty for automatic promotions
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Promotion type is required'],
+    enum: PROMOTION_TYPES
+  },
+  value: { // The percentage, or the fixed amount off in minor units; unused by buy_x_get_y
+    type: Number,
+    min: [0, 'Value cannot be negative']
+  },
+  currency: { // Fixed amounts and min_order_value are in this currency; only orders in it qualify
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO 4217 code'],
+    default: DEFAULT_CURRENCY
+  },
+  buy_quantity: { // buy_x_get_y only: units that must be paid for
+    type: Number,
+    min: [1, 'buy_quantity must be at least 1']
+  },
+  get_quantity: { // buy_x_get_y only: units given free for every buy_quantity paid for
+    type: Number,
+    min: [1, 'get_quantity must be at least 1']
+  },
+  product_ids: [{ // Limits the promotion to these products; empty means every product
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  min_order_value: { // The order subtotal needed before the promotion applies, in minor units
+    type: Number,
+    min: [0, 'min_order_value cannot be negative'],
+    validate: {
+      validator: isMinorUnits,
+      message: 'min_order_value must be a whole number of minor units (e.g. cents).'
+    },
+    default: 0
+  },
+  starts_at: Date, // The promotion applies from this moment (no limit when empty)
+  ends_at: Date,   // ... until this moment (no limit when empty)
+  max_uses: { // How many orders may use the promotion in total (unlimited when empty)
+    type: Number,
+    min: [1, 'max_uses must be at least 1']
+  },
+  max_uses_per_customer: { // How many orders each customer may use it on (unlimited when empty)
+    type: Number,
+    min: [1, 'max_uses_per_customer must be at least 1']
+  },
+  uses_count: { // How many orders currently use the promotion; only changed by placing and cancelling orders
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  active: { // Switches the promotion off without deleting it
+    type: Boolean,
+    default: true
+  }
+}, {
+  // Automatically adds createdAt and updatedAt fields to the document
+  timestamps: true
+});
+
+// Each coupon code can only exist once; automatic promotions have no code
+promotionSchema.index(
+  { code: 1 },
+  { unique: true, partialFilterExpression: { code: { $type: 'string' } } }
+);
+
+// Lets placeOrder find the automatic promotions quickly
+promotionSchema.index({ active: 1, code: 1 });
+
+// The promotion list, newest first
+promotionSchema.index({ createdAt: -1, _id: -1 });
+
+// Checks the fields each promotion type depends on.
+promotionSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && !(this.value > 0 && this.value <= 100)) {
+    this.invalidate('value', 'A percentage promotion needs a value between 0 and 100.');
+  }
+  if (this.type === 'fixed' && !(isMinorUnits(this.value) && this.value > 0)) {
+    this.invalidate('value', 'A fixed promotion needs a value of at least 1 minor unit (e.g. cents).');
+  }
+  if (this.type === 'buy_x_get_y' && (!this.buy_quantity || !this.get_quantity)) {
+    this.invalidate('buy_quantity', 'A buy_x_get_y promotion needs buy_quantity and get_quantity.');
+  }
+  if (this.starts_at && this.ends_at && this.ends_at <= this.starts_at) {
+    this.invalidate('ends_at', 'ends_at must be after starts_at.');
+  }
+  if (this.code === '') {
+    this.code = undefined; // An empty code means an automatic promotion
+  }
+  next();
+});
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+module.exports = Promotion;
+module.exports.PROMOTION_TYPES = PROMOTION_TYPES;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// This defines the schema for one use of a promotion by one order.
+// Redemptions are counted per customer to enforce max_uses_per_customer, and released
+// again when the order is cancelled so the customer can use the promotion once more.
+const promotionRedemptionSchema = new mongoose.Schema({
+  promotion_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  code: String, // The coupon code that was entered, if any
+  customer: { // The customer the order is for (see models/Customer.js)
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  user: { // The account that placed the order; staff may place orders for a customer
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  amount: { // The discount the order received
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['redeemed', 'released'],
+    default: 'redeemed'
+  }
+}, {
+  timestamps: true
+});
+
+// Counting a customer's uses of a promotion, and finding an order's redemptions
+promotionRedemptionSchema.index({ promotion_id: 1, customer: 1, status: 1 });
+promotionRedemptionSchema.index({ order_id: 1 });
+
+const PromotionRedemption = mongoose.model('PromotionRedemption', promotionRedemptionSchema);
+
+module.exports = PromotionRedemption;
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const { PURCHASE_ORDER_STATUSES } = require('../services/purchasing'); // Statuses declared by the purchasing service
+const { isMinorUnits } = require('../utils/money');
+
+// This defines one line of a purchase order: what was ordered, at what cost, and what arrived.
+const purchaseOrderItemSchema = new mongoose.Schema({
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant_id: mongoose.Schema.Types.ObjectId, // The variant ordered, for products with variants
+  sku: String,
+  name: String, // The product name when the line was added
+  quantity_ordered: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unit_cost: { // What the supplier charges per unit, in minor units of the purchase order's currency
+    type: Number,
+    required: true,
+    min: 0,
+    validate: {
+      validator: isMinorUnits,
+      message: 'unit_cost must be a whole number of minor units (e.g. cents).'
+    }
+  },
+  quantity_received: { // Units delivered so far, across every receipt
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  over_quantity: { // Units delivered beyond quantity_ordered
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  short_quantity: { // Units that will not arrive; set when the order is closed with items outstanding
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, { _id: false });
+
+// This defines one delivery from the supplier.
+const receiptSchema = new mongoose.Schema({
+  received_at: {
+    type: Date,
+    default: Date.now
+  },
+  received_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: String,
+  items: [{
+    _id: false,
+    product_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    variant_id: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    quantity: { type: Number, required: true, min: 1 }
+  }]
+}, { _id: false });
+
+// This defines one entry in a purchase order's status history, like an order's.
+const statusChangeSchema = new mongoose.Schema({
+  from: String, // Empty for the entry written when the purchase order is created
+  to: {
+    type: String,
+    required: true,
+    enum: PURCHASE_ORDER_STATUSES
+  },
+  changed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+  changed_at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// This defines the schema for a PurchaseOrder: stock ordered from a supplier.
+const purchaseOrderSchema = new mongoose.Schema({
+  supplier_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: PURCHASE_ORDER_STATUSES,
+    default: 'draft'
+  },
+  warehouse_id: { // Where the goods are delivered; the default warehouse when not set
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  currency: { // Every unit_cost is in this currency, which is also the currency of its products
+    type: String,
+    required: true
+  },
+  items: {
+    type: [purchaseOrderItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'A purchase order needs at least one item.'
+    }
+  },
+  total_cost: { // The cost of everything ordered, in minor units
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  received_cost: { // The cost of everything delivered so far, in minor units
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  expected_at: Date, // When the delivery is expected
+  notes: String,
+  receipts: [receiptSchema],
+  status_history: [statusChangeSchema],
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Keeps the totals in line with the items
+purchaseOrderSchema.pre('save', function(next) {
+  this.total_cost = this.items.reduce((sum, item) => sum + item.unit_cost * item.quantity_ordered, 0);
+  this.received_cost = this.items.reduce((sum, item) => sum + item.unit_cost * item.quantity_received, 0);
+  next();
+});
+
+// Listing purchase orders, newest first, overall and per status or supplier
+purchaseOrderSchema.index({ createdAt: -1, _id: -1 });
+purchaseOrderSchema.index({ status: 1, createdAt: -1, _id: -1 });
+purchaseOrderSchema.index({ supplier_id: 1, createdAt: -1, _id: -1 });
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+
+module.exports = PurchaseOrder;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// This defines one refunded order line: how many units came back and what they were worth.
+const refundItemSchema = new mongoose.Schema({
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant_id: mongoose.Schema.Types.ObjectId,
+  sku: String,
+  name: String, // The product name as it was on the order
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  restock_to: { // Where the units went back to: sellable stock or the damaged bucket
+    type: String,
+    enum: ['sellable', 'damaged'],
+    default: 'sellable'
+  },
+  // The units' share of the order line, in minor units
+  subtotal: { type: Number, required: true, min: 0 },
+  discount: { type: Number, default: 0, min: 0 },
+  tax: { type: Number, default: 0, min: 0 },
+  amount: { type: Number, required: true, min: 0 } // subtotal - discount + tax
+}, { _id: false });
+
+// This defines the schema for a Refund: money owed back to the customer for
+// order items that were cancelled after payment or returned.
+const refundSchema = new mongoose.Schema({
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: { // The account of the customer the refund is owed to; none for orders from before accounts
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['cancellation', 'return']
+  },
+  currency: String,
+  items: [refundItemSchema],
+  subtotal: { type: Number, required: true, min: 0 },
+  discount: { type: Number, default: 0, min: 0 },
+  tax: { type: Number, default: 0, min: 0 },
+  amount: { type: Number, required: true, min: 0 }, // The total to pay back
+  reason: {
+    type: String,
+    trim: true
+  },
+  created_by: { // The user who cancelled or accepted the items
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Listing the refunds of an order
+refundSchema.index({ order_id: 1, createdAt: 1 });
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+module.exports = Refund;
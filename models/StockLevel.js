@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// This defines the schema for the stock of one product (or variant) in one warehouse.
+// Once a warehouse exists, the stock, reserved and damaged quantities of a product or
+// variant are the sums of its stock levels. Levels are only changed by the inventory
+// service (services/inventory.js) and by order allocation (services/allocation.js).
+const stockLevelSchema = new mongoose.Schema({
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant_id: { // The variant, for products with variants; null otherwise
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  warehouse_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  stock: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  reserved: { // Units allocated to pending orders
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  damaged: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One level per product, variant and warehouse
+stockLevelSchema.index({ product_id: 1, variant_id: 1, warehouse_id: 1 }, { unique: true });
+// Listing what a warehouse holds
+stockLevelSchema.index({ warehouse_id: 1, product_id: 1 });
+
+const StockLevel = mongoose.model('StockLevel', stockLevelSchema);
+
+module.exports = StockLevel;
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Every reason a product's stock can change.
+const STOCK_MOVEMENT_REASONS = [
+  'initial_stock',     // Stock entered when the product was created
+  'manual_adjustment', // Stock edited through PUT /api/products/:id
+  'import',            // Stock set by a bulk product import
+  'order_paid',        // A reservation turned into a real decrement
+  'order_restock',     // Stock given back by a cancelled or refunded order, or cancelled order items
+  'order_return',      // Units returned by the customer after shipping
+  'purchase_receipt',  // Units delivered by a supplier against a purchase order
+  'transfer'           // Units moved between warehouses; each transfer line is a pair of movements
+];
+
+// The stock buckets the ledger keeps. Sellable units make up Product.stock;
+// damaged units (returns that cannot be sold again) make up Product.damaged.
+const STOCK_BUCKETS = ['sellable', 'damaged'];
+
+// This defines the schema for one entry in the inventory ledger.
+// The ledger is append-only: entries are never changed or removed, so the
+// stock of a product can always be recomputed by adding up its deltas.
+const stockMovementSchema = new mongoose.Schema({
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: STOCK_MOVEMENT_REASONS
+  },
+  variant_id: { // The variant whose stock moved, for products with variants
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sku: String,
+  bucket: { // Which quantity moved: stock (sellable) or damaged
+    type: String,
+    enum: STOCK_BUCKETS,
+    default: 'sellable'
+  },
+  quantity_delta: { // Positive when stock goes up, negative when it goes down
+    type: Number,
+    required: true
+  },
+  balance_after: { // The product's (total) quantity in the bucket right after this movement
+    type: Number,
+    required: true
+  },
+  variant_balance_after: { // The variant's quantity in the bucket right after this movement, if a variant moved
+    type: Number
+  },
+  warehouse_id: { // Where the units moved, once warehouses are in use
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  warehouse_balance_after: { // The quantity in the bucket at that warehouse right after this movement
+    type: Number
+  },
+  order_id: { // The order that caused the movement, if any
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  purchase_order_id: { // The purchase order whose delivery caused the movement, if any
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  transfer_id: { // The warehouse transfer that caused the movement, if any
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockTransfer'
+  },
+  user: { // The user who caused the movement, if any
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  // Only createdAt is needed because entries are never updated
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Listing a product's movements, newest first
+stockMovementSchema.index({ product_id: 1, createdAt: -1 });
+
+// Reject any attempt to change an existing entry
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Stock movements are append-only and cannot be modified.'));
+  }
+  next();
+});
+
+const rejectMutation = function(next) {
+  next(new Error('Stock movements are append-only and cannot be modified or deleted.'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach((operation) => stockMovementSchema.pre(operation, rejectMutation));
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+module.exports = StockMovement;
+module.exports.STOCK_MOVEMENT_REASONS = STOCK_MOVEMENT_REASONS;
+module.exports.STOCK_BUCKETS = STOCK_BUCKETS;
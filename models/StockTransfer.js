@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// This defines the schema for a StockTransfer: units moved from one warehouse to another.
+// Each line also appears in the inventory ledger as a pair of 'transfer' movements.
+const stockTransferSchema = new mongoose.Schema({
+  from_warehouse_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  to_warehouse_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  items: [{
+    _id: false,
+    product_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    variant_id: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    name: String,
+    quantity: { type: Number, required: true, min: 1 }
+  }],
+  note: String,
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  // Only createdAt is needed because transfers are never updated
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Listing transfers, newest first
+stockTransferSchema.index({ createdAt: -1, _id: -1 });
+
+const StockTransfer = mongoose.model('StockTransfer', stockTransferSchema);
+
+module.exports = StockTransfer;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY } = require('../config/settings');
+
+// This defines the schema for a Supplier that stock is bought from.
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Supplier name is required'],
+    unique: true,
+    trim: true
+  },
+  contact_name: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  currency: { // The currency the supplier invoices in; purchase orders default to it
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO 4217 code'],
+    default: DEFAULT_CURRENCY
+  },
+  lead_time_days: { // Usual days between sending a purchase order and the goods arriving
+    type: Number,
+    min: 0
+  },
+  active: { // Inactive suppliers cannot be sent new purchase orders
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+const Supplier = mongoose.model('Supplier', supplierSchema);
+
+module.exports = Supplier;
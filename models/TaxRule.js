@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { BASIS_POINTS } = require('../utils/money');
+
+// This defines the schema for a tax rule: the rate charged on one product tax
+// category in one region. Regions are codes such as 'GB' or 'US-CA'; a rule for
+// 'US' also covers 'US-CA' unless 'US-CA' has a rule of its own.
+const taxRuleSchema = new mongoose.Schema({
+  region: {
+    type: String,
+    required: [true, 'Region is required'],
+    trim: true,
+    uppercase: true
+  },
+  tax_category: { // Matches Product.tax_category
+    type: String,
+    required: [true, 'Tax category is required'],
+    trim: true,
+    lowercase: true
+  },
+  rate: { // In basis points: 2000 is 20%, 825 is 8.25%
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative'],
+    max: [BASIS_POINTS, 'Rate cannot be more than 10000 (100%)'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rate must be a whole number of basis points.'
+    }
+  },
+  name: { // The label shown on invoices, e.g. 'VAT'
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// One rate per category and region
+taxRuleSchema.index({ region: 1, tax_category: 1 }, { unique: true });
+
+const TaxRule = mongoose.model('TaxRule', taxRuleSchema);
+
+module.exports = TaxRule;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// The roles a user can have, from most to least privileged
+const USER_ROLES = ['admin', 'staff', 'customer'];
+
+// This defines the schema for the User document.
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,     // Used as the login name, so it must be unique
+    trim: true,
+    lowercase: true
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: 8,
+    select: false     // Never returned by queries unless explicitly requested
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: USER_ROLES,
+    default: 'customer'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    // Never send the password hash to a client, even if it was selected
+    transform: (doc, ret) => {
+      delete ret.password;
+      return ret;
+    }
+  }
+});
+
+// Hash the password whenever it is set or changed
+userSchema.pre('save', async function() {
+  if (!this.isModified('password')) return;
+  this.password = await bcrypt.hash(this.password, 12);
+});
+
+// Compares a plain-text password with the stored hash.
+// The document must have been loaded with .select('+password').
+userSchema.methods.comparePassword = function(candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
+module.exports.USER_ROLES = USER_ROLES;
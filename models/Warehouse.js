@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// This defines the schema for a Warehouse: one location that holds stock.
+const warehouseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Warehouse name is required'],
+    unique: true,
+    trim: true
+  },
+  code: { // A short code for the location, e.g. 'LON-1'
+    type: String,
+    required: [true, 'Warehouse code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  priority: { // Orders are allocated from lower numbers first
+    type: Number,
+    default: 100
+  },
+  active: { // Stock in an inactive warehouse is kept but not allocated to orders
+    type: Boolean,
+    default: true
+  },
+  is_default: { // Receives stock changes that do not name a location, e.g. manual edits and imports
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// At most one warehouse can be the default
+warehouseSchema.index({ is_default: 1 }, { unique: true, partialFilterExpression: { is_default: true } });
+
+const Warehouse = mongoose.model('Warehouse', warehouseSchema);
+
+module.exports = Warehouse;
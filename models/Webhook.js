@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { EVENT_TYPES } = require('./OutboxEvent');
+
+// Checks that a webhook URL is an absolute http(s) URL.
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// This defines the schema for a Webhook: a URL that is sent the events it subscribes to.
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Webhook url is required'],
+    trim: true,
+    validate: {
+      validator: isHttpUrl,
+      message: 'url must be an absolute http or https URL.'
+    }
+  },
+  secret: { // Signs every delivery (see services/webhookDispatcher.js); only returned when the webhook is created
+    type: String,
+    required: true,
+    select: false
+  },
+  events: { // The event types to send, or ['*'] for all of them
+    type: [String],
+    default: ['*'],
+    validate: {
+      validator: (events) => events.length > 0 && events.every((type) => type === '*' || EVENT_TYPES.includes(type)),
+      message: `events must list '*' or event types from: ${EVENT_TYPES.join(', ')}`
+    }
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  active: { // Inactive webhooks are not sent new events
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Where a delivery stands.
+// pending:   waiting for its first or next attempt at next_attempt_at
+// delivered: the webhook answered with a 2xx status
+// dead:      gave up after WEBHOOK_MAX_ATTEMPTS attempts, or the webhook is gone or disabled;
+//            these make up the dead-letter view and can be sent again by replaying the event
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+// This defines the schema for sending one event to one webhook, with its retry state.
+const webhookDeliverySchema = new mongoose.Schema({
+  event_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OutboxEvent',
+    required: true
+  },
+  webhook_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event_type: String, // Copied from the event for filtering
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  next_attempt_at: { // When a pending delivery is due
+    type: Date,
+    default: Date.now
+  },
+  last_attempt_at: Date,
+  last_response_status: Number, // The HTTP status of the last attempt, if the webhook answered
+  last_error: String,
+  delivered_at: Date
+}, {
+  timestamps: true
+});
+
+// Finding due deliveries, and listing deliveries (e.g. the dead letters) newest first
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ status: 1, createdAt: -1, _id: -1 });
+webhookDeliverySchema.index({ event_id: 1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
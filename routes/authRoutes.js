@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/auth');
+
+// Define Auth API routes
+// POST to register a new customer account
+router.post('/register', validate(schemas.register), authController.register);
+
+// POST to log in and receive an access token
+router.post('/login', validate(schemas.login), authController.login);
+
+// GET the currently logged in user
+router.get('/me', protect, validate(schemas.getMe), authController.getMe);
+
+module.exports = router;
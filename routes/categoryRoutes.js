@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/categoryController');
+const productController = require('../controllers/productController');
+const { protect, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/categories');
+const productSchemas = require('../validators/products');
+
+// Define Category API routes
+// GET all categories
+router.get('/', validate(schemas.getAllCategories), categoryController.getAllCategories);
+
+// GET a single category by ID
+router.get('/:id', validate(schemas.getCategory), categoryController.getCategoryById);
+
+// GET the products of a category and of the categories below it
+router.get('/:id/products', validate(productSchemas.getCategoryProducts), productController.getCategoryProducts);
+
+// POST a new category
+router.post('/', protect, authorize('admin', 'staff'), validate(schemas.createCategory), categoryController.createCategory);
+
+// PUT (update or move) a category by ID
+router.put('/:id', protect, authorize('admin', 'staff'), validate(schemas.updateCategory), categoryController.updateCategory);
+
+// DELETE a category by ID
+router.delete('/:id', protect, authorize('admin'), validate(schemas.deleteCategory), categoryController.deleteCategory);
+
+module.exports = router;
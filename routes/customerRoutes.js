@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const customerController = require('../controllers/customerController');
+const { protect, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/customers');
+
+// Every customer route needs a logged-in user. Customers can read and change their own
+// record through /api/customers/me; staff manage every customer.
+router.use(protect);
+
+// Define Customer API routes
+// POST a new customer
+router.post('/', authorize('admin', 'staff'), validate(schemas.createCustomer), customerController.createCustomer);
+
+// GET all customers
+router.get('/', authorize('admin', 'staff'), validate(schemas.getCustomers), customerController.getCustomers);
+
+// GET a single customer by ID, with their lifetime value
+router.get('/:id', validate(schemas.getCustomer), customerController.getCustomerById);
+
+// PUT (update) a customer by ID
+router.put('/:id', validate(schemas.updateCustomer), customerController.updateCustomer);
+
+// DELETE a customer by ID
+router.delete('/:id', authorize('admin'), validate(schemas.deleteCustomer), customerController.deleteCustomer);
+
+// POST a new address for a customer
+router.post('/:id/addresses', validate(schemas.addAddress), customerController.addAddress);
+
+// PUT (update) one of a customer's addresses
+router.put('/:id/addresses/:addressId', validate(schemas.updateAddress), customerController.updateAddress);
+
+// DELETE one of a customer's addresses
+router.delete('/:id/addresses/:addressId', validate(schemas.deleteAddress), customerController.deleteAddress);
+
+module.exports = router;
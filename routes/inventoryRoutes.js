@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const inventoryController = require('../controllers/inventoryController');
+const { protect, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/inventory');
+
+// Every inventory route is restricted to admins and staff
+router.use(protect, authorize('admin', 'staff'));
+
+// Define Inventory API routes
+// GET a reconciliation of product stock against the inventory ledger
+router.get('/reconciliation', validate(schemas.getReconciliation), inventoryController.getReconciliation);
+
+// GET the products and variants that are low on stock
+router.get('/alerts', validate(schemas.getLowStockAlerts), inventoryController.getLowStockAlerts);
+
+// GET reorder suggestions based on recent sales
+router.get('/reorder-suggestions', validate(schemas.getReorderSuggestions), inventoryController.getReorderSuggestions);
+
+// GET the margin on the products sold
+router.get('/margins', validate(schemas.getMargins), inventoryController.getMargins);
+
+module.exports = router;
@@ -1,21 +1,40 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
+const { protect, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/orders');
+
+// Every order route requires a logged in user.
+// Customers are limited to their own orders inside the controller.
+router.use(protect);
 
 // Define Order API routes
 // POST to place a new order
-router.post('/', orderController.placeOrder);
+router.post('/', validate(schemas.placeOrder), orderController.placeOrder);
+
+// POST several orders at once, each placed or refused on its own
+router.post('/batch', validate(schemas.placeOrders), orderController.placeOrders);
 
-// GET all orders
-router.get('/', orderController.getAllOrders);
+// GET all orders (customers only see their own)
+router.get('/', validate(schemas.getAllOrders), orderController.getAllOrders);
 
 // GET a single order by ID
-router.get('/:id', orderController.getOrderById);
+router.get('/:id', validate(schemas.getOrder), orderController.getOrderById);
+
+// GET orders by customer ID
+router.get('/customer/:customerId', authorize('admin', 'staff'), validate(schemas.getOrdersByCustomer), orderController.getOrdersByCustomer);
+
+// PUT (update) order status by ID (customers may only cancel their own orders)
+router.put('/:id/status', validate(schemas.updateOrderStatus), orderController.updateOrderStatus);
+
+// POST a cancellation of some items (customers may only cancel items of their own unpaid orders)
+router.post('/:id/cancellations', validate(schemas.adjustOrderItems), orderController.cancelOrderItems);
 
-// GET orders by customer name
-router.get('/customer/:customerName', orderController.getOrdersByCustomer);
+// POST a return of some items of a shipped order
+router.post('/:id/returns', authorize('admin', 'staff'), validate(schemas.adjustOrderItems), orderController.returnOrderItems);
 
-// PUT (update) order status by ID
-router.put('/:id/status', orderController.updateOrderStatus);
+// GET the refunds of an order
+router.get('/:id/refunds', validate(schemas.getOrder), orderController.getOrderRefunds);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
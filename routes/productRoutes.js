@@ -1,21 +1,64 @@
 const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/productController');
+const { protect, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/products');
 
 // Define Product API routes
 // GET all products
-router.get('/', productController.getAllProducts);
+router.get('/', validate(schemas.getAllProducts), productController.getAllProducts);
+
+// GET products matching a search query, best matches first (before '/:id' so 'search' is not taken as an ID)
+router.get('/search', validate(schemas.searchProducts), productController.searchProducts);
+
+// GET the archived products (before '/:id' so 'archived' is not taken as an ID)
+router.get('/archived', protect, authorize('admin', 'staff'), validate(schemas.getArchivedProducts), productController.getArchivedProducts);
+
+// GET the whole catalogue as CSV or JSON (before '/:id' so 'export' is not taken as an ID)
+router.get('/export', protect, authorize('admin', 'staff'), validate(schemas.exportProducts), productController.exportProducts);
+
+// POST a CSV or JSON import that creates or updates many products
+router.post(
+  '/import',
+  protect,
+  authorize('admin', 'staff'),
+  express.text({ type: 'text/csv', limit: '10mb' }), // CSV bodies arrive as plain text
+  validate(schemas.importProducts),
+  productController.importProducts
+);
 
 // GET a single product by ID
-router.get('/:id', productController.getProductById);
+router.get('/:id', validate(schemas.getProduct), productController.getProductById);
+
+// GET the inventory ledger of a product
+router.get('/:id/movements', protect, authorize('admin', 'staff'), validate(schemas.getProduct), productController.getProductMovements);
+
+// GET the stock of a product in each warehouse
+router.get('/:id/stock-levels', protect, authorize('admin', 'staff'), validate(schemas.getProduct), productController.getProductStockLevels);
 
 // POST a new product
-router.post('/', productController.createProduct);
+router.post('/', protect, authorize('admin', 'staff'), validate(schemas.createProduct), productController.createProduct);
 
 // PUT (update) a product by ID
-router.put('/:id', productController.updateProduct);
+router.put('/:id', protect, authorize('admin', 'staff'), validate(schemas.updateProduct), productController.updateProduct);
+
+// POST a new variant to a product
+router.post('/:id/variants', protect, authorize('admin', 'staff'), validate(schemas.addVariant), productController.addVariant);
+
+// PUT (update) a variant of a product
+router.put('/:id/variants/:variantId', protect, authorize('admin', 'staff'), validate(schemas.updateVariant), productController.updateVariant);
+
+// DELETE a variant of a product
+router.delete('/:id/variants/:variantId', protect, authorize('admin', 'staff'), validate(schemas.deleteVariant), productController.deleteVariant);
+
+// POST to put an archived product back on sale
+router.post('/:id/restore', protect, authorize('admin'), validate(schemas.restoreProduct), productController.restoreProduct);
+
+// DELETE an archived product for good (only while no open order includes it)
+router.delete('/:id/purge', protect, authorize('admin'), validate(schemas.purgeProduct), productController.purgeProduct);
 
-// DELETE a product by ID
-router.delete('/:id', productController.deleteProduct);
+// DELETE (archive) a product by ID
+router.delete('/:id', protect, authorize('admin'), validate(schemas.archiveProduct), productController.archiveProduct);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const promotionController = require('../controllers/promotionController');
+const { protect, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/promotions');
+
+// Every promotion route is restricted to admins and staff
+router.use(protect, authorize('admin', 'staff'));
+
+// Define Promotion API routes
+// POST a new promotion or coupon
+router.post('/', validate(schemas.createPromotion), promotionController.createPromotion);
+
+// GET all promotions
+router.get('/', validate(schemas.getAllPromotions), promotionController.getAllPromotions);
+
+// GET a single promotion by ID
+router.get('/:id', validate(schemas.getPromotion), promotionController.getPromotionById);
+
+// PUT (update) a promotion by ID
+router.put('/:id', validate(schemas.updatePromotion), promotionController.updatePromotion);
+
+// DELETE a promotion by ID
+router.delete('/:id', authorize('admin'), validate(schemas.deletePromotion), promotionController.deletePromotion);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const purchaseOrderController = require('../controllers/purchaseOrderController');
+const { protect, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/purchaseOrders');
+
+// Every purchase order route is restricted to admins and staff
+router.use(protect, authorize('admin', 'staff'));
+
+// Define Purchase Order API routes
+// POST a new draft purchase order
+router.post('/', validate(schemas.createPurchaseOrder), purchaseOrderController.createPurchaseOrder);
+
+// GET purchase orders
+router.get('/', validate(schemas.getPurchaseOrders), purchaseOrderController.getPurchaseOrders);
+
+// GET a single purchase order by ID
+router.get('/:id', validate(schemas.getPurchaseOrder), purchaseOrderController.getPurchaseOrderById);
+
+// PUT (update) a draft purchase order by ID
+router.put('/:id', validate(schemas.updatePurchaseOrder), purchaseOrderController.updatePurchaseOrder);
+
+// PUT (update) the status of a purchase order
+router.put('/:id/status', validate(schemas.updatePurchaseOrderStatus), purchaseOrderController.updatePurchaseOrderStatus);
+
+// POST a delivery received against a purchase order
+router.post('/:id/receipts', validate(schemas.receiveGoods), purchaseOrderController.receiveGoods);
+
+module.exports = router;
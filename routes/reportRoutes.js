@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/reportController');
+const { protect, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/reports');
+
+// Every report is restricted to admins and staff
+router.use(protect, authorize('admin', 'staff'));
+
+// Define Report API routes (each one returns JSON, or CSV with ?format=csv)
+// GET the revenue per day, week or month
+router.get('/revenue', validate(schemas.getRevenue), reportController.getRevenue);
+
+// GET the products sold the most
+router.get('/top-products', validate(schemas.getTopProducts), reportController.getTopProducts);
+
+// GET the average order value
+router.get('/average-order-value', validate(schemas.getAverageOrderValue), reportController.getAverageOrderValue);
+
+// GET the share of orders that were cancelled
+router.get('/cancellation-rate', validate(schemas.getCancellationRate), reportController.getCancellationRate);
+
+// GET the revenue per customer
+router.get('/revenue-per-customer', validate(schemas.getRevenuePerCustomer), reportController.getRevenuePerCustomer);
+
+// GET the value of the stock on hand
+router.get('/stock-value', validate(schemas.getStockValue), reportController.getStockValue);
+
+module.exports = router;
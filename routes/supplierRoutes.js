@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const supplierController = require('../controllers/supplierController');
+const { protect, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/suppliers');
+
+// Suppliers are managed by admins and staff, but only admins can delete them
+router.use(protect, authorize('admin', 'staff'));
+
+// Define Supplier API routes
+// POST a new supplier
+router.post('/', validate(schemas.createSupplier), supplierController.createSupplier);
+
+// GET all suppliers
+router.get('/', validate(schemas.getAllSuppliers), supplierController.getAllSuppliers);
+
+// GET a single supplier by ID
+router.get('/:id', validate(schemas.getSupplier), supplierController.getSupplierById);
+
+// PUT (update) a supplier by ID
+router.put('/:id', validate(schemas.updateSupplier), supplierController.updateSupplier);
+
+// DELETE a supplier by ID
+router.delete('/:id', authorize('admin'), validate(schemas.deleteSupplier), supplierController.deleteSupplier);
+
+module.exports = router;
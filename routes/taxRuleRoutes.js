@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const taxRuleController = require('../controllers/taxRuleController');
+const { protect, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/taxRules');
+
+// Tax rules can be read by admins and staff, but only admins can change them
+router.use(protect, authorize('admin', 'staff'));
+
+// Define Tax Rule API routes
+// POST a new tax rule
+router.post('/', authorize('admin'), validate(schemas.createTaxRule), taxRuleController.createTaxRule);
+
+// GET all tax rules
+router.get('/', validate(schemas.getAllTaxRules), taxRuleController.getAllTaxRules);
+
+// PUT (update) a tax rule by ID
+router.put('/:id', authorize('admin'), validate(schemas.updateTaxRule), taxRuleController.updateTaxRule);
+
+// DELETE a tax rule by ID
+router.delete('/:id', authorize('admin'), validate(schemas.deleteTaxRule), taxRuleController.deleteTaxRule);
+
+module.exports = router;
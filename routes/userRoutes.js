@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const { protect, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/auth');
+
+// Every user route is restricted to admins
+router.use(protect, authorize('admin'));
+
+// Define User API routes
+// POST a new user with any role
+router.post('/', validate(schemas.createUser), userController.createUser);
+
+// GET all users
+router.get('/', validate(schemas.getAllUsers), userController.getAllUsers);
+
+module.exports = router;
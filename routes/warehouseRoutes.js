@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const warehouseController = require('../controllers/warehouseController');
+const { protect, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/warehouses');
+
+// Warehouse stock is managed by admins and staff, but only admins can change the warehouses themselves
+router.use(protect, authorize('admin', 'staff'));
+
+// Define Warehouse API routes
+// POST a transfer of stock between warehouses (before '/:id' so 'transfers' is not taken as an ID)
+router.post('/transfers', validate(schemas.createTransfer), warehouseController.createTransfer);
+
+// GET stock transfers
+router.get('/transfers', validate(schemas.getTransfers), warehouseController.getTransfers);
+
+// POST a new warehouse
+router.post('/', authorize('admin'), validate(schemas.createWarehouse), warehouseController.createWarehouse);
+
+// GET all warehouses
+router.get('/', validate(schemas.getAllWarehouses), warehouseController.getAllWarehouses);
+
+// GET a single warehouse by ID
+router.get('/:id', validate(schemas.getWarehouse), warehouseController.getWarehouseById);
+
+// PUT (update) a warehouse by ID
+router.put('/:id', authorize('admin'), validate(schemas.updateWarehouse), warehouseController.updateWarehouse);
+
+// DELETE a warehouse by ID
+router.delete('/:id', authorize('admin'), validate(schemas.deleteWarehouse), warehouseController.deleteWarehouse);
+
+// GET the stock held in a warehouse
+router.get('/:id/stock', validate(schemas.getWarehouse), warehouseController.getWarehouseStock);
+
+// PUT the counted stock of a product in a warehouse
+router.put('/:id/stock', validate(schemas.setWarehouseStock), warehouseController.setWarehouseStock);
+
+module.exports = router;
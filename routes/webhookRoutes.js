@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { protect, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/webhooks');
+
+// Every webhook route is restricted to admins
+router.use(protect, authorize('admin'));
+
+// Define Webhook API routes
+// GET the events in the outbox (before '/:id' so 'events' is not taken as an ID)
+router.get('/events', validate(schemas.getEvents), webhookController.getEvents);
+
+// GET an event and its deliveries
+router.get('/events/:id', validate(schemas.getEvent), webhookController.getEventById);
+
+// POST a replay of an event
+router.post('/events/:id/replay', validate(schemas.replayEvent), webhookController.replayEvent);
+
+// GET deliveries, e.g. the dead letters with ?status=dead
+router.get('/deliveries', validate(schemas.getDeliveries), webhookController.getDeliveries);
+
+// POST (register) a new webhook
+router.post('/', validate(schemas.createWebhook), webhookController.createWebhook);
+
+// GET all webhooks
+router.get('/', validate(schemas.getAllWebhooks), webhookController.getAllWebhooks);
+
+// GET a single webhook by ID
+router.get('/:id', validate(schemas.getWebhook), webhookController.getWebhookById);
+
+// PUT (update) a webhook by ID
+router.put('/:id', validate(schemas.updateWebhook), webhookController.updateWebhook);
+
+// DELETE a webhook by ID
+router.delete('/:id', validate(schemas.deleteWebhook), webhookController.deleteWebhook);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+// Creates the first admin account, which can then create staff and other admins through the API.
+// Usage: npm run create-admin -- <email> <password> [name]
+require('dotenv').config(); // Load environment variables from .env file
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const createAdmin = async () => {
+  const [email, password, name = 'Administrator'] = process.argv.slice(2);
+
+  if (!email || !password) {
+    console.error('Usage: npm run create-admin -- <email> <password> [name]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const admin = await User.create({ name, email, password, role: 'admin' });
+    console.log(`Admin created: ${admin.email} (${admin._id})`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+createAdmin().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,65 @@
+// Moves products from the old free-text `category` label into the category tree.
+// One top-level category is used per distinct label (ignoring case and surrounding
+// spaces), created when no top-level category has that name yet, and every product
+// with that label and no category_id is placed in it. Products that already have a
+// category_id keep it. The label is then removed from every product, and the product
+// search index is rebuilt without it. Running the script again changes nothing.
+// Usage: npm run migrate:categories
+require('dotenv').config(); // Load environment variables from .env file
+
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+
+const labelled = { category: { $type: 'string' } };
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const labels = await Product.collection.aggregate([
+      { $match: { ...labelled, category_id: null } },
+      { $group: { _id: { $toLower: { $trim: { input: '$category' } } }, name: { $first: { $trim: { input: '$category' } } } } }
+    ]).toArray();
+
+    let categoriesCreated = 0;
+    let placed = 0;
+    for (const { _id: key, name } of labels) {
+      if (!key) continue; // Blank labels place a product nowhere
+
+      let category = await Category.findOne({ name, parent_id: null }).collation({ locale: 'en', strength: 2 });
+      if (!category) {
+        category = await Category.create({ name, parent_id: null, ancestors: [] });
+        categoriesCreated += 1;
+      }
+      const result = await Product.collection.updateMany(
+        {
+          ...labelled,
+          category_id: null,
+          $expr: { $eq: [{ $toLower: { $trim: { input: '$category' } } }, key] }
+        },
+        { $set: { category_id: category._id } }
+      );
+      placed += result.modifiedCount;
+    }
+    console.log(`Categories created from labels: ${categoriesCreated}`);
+    console.log(`Products placed in the category of their label: ${placed}`);
+
+    const result = await Product.collection.updateMany({ category: { $exists: true } }, { $unset: { category: '' } });
+    console.log(`Labels removed: ${result.modifiedCount}`);
+
+    // The old search index covered the label; an index cannot be changed in place
+    if (await Product.collection.indexExists('product_search')) {
+      await Product.collection.dropIndex('product_search');
+    }
+    await Product.createIndexes();
+    console.log('Product search index rebuilt');
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrate().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
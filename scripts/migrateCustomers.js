@@ -0,0 +1,92 @@
+// Links existing orders to customers.
+// Orders placed by an account are linked to that account's customer, which is created
+// from the account when it does not exist yet. Orders from before accounts existed only
+// carry a customer_name; one customer is created per distinct name (ignoring case and
+// surrounding spaces) and the orders are linked to it. Orders that already have a
+// customer are left alone, which makes the script safe to run again.
+// Promotion redemptions are then linked to the customer of their order, as the
+// per-customer limits of promotions are counted on it.
+// Usage: npm run migrate:customers
+require('dotenv').config(); // Load environment variables from .env file
+
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Order = require('../models/Order');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const User = require('../models/User');
+
+const unlinked = { customer: { $exists: false } };
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    // Orders placed by an account
+    const userIds = await Order.collection.distinct('user', { ...unlinked, user: { $type: 'objectId' } });
+    let linkedToAccounts = 0;
+    for (const userId of userIds) {
+      const user = await User.collection.findOne({ _id: userId });
+      if (!user) {
+        console.warn(`Skipping orders of user ${userId}: the account no longer exists`);
+        continue;
+      }
+      const customer = await Customer.findOneAndUpdate(
+        { user: userId },
+        { $setOnInsert: { name: user.name, email: user.email } },
+        { new: true, upsert: true }
+      );
+      const result = await Order.collection.updateMany({ ...unlinked, user: userId }, { $set: { customer: customer._id } });
+      linkedToAccounts += result.modifiedCount;
+    }
+    console.log(`Orders linked to the customer of their account: ${linkedToAccounts}`);
+
+    // Orders from before accounts, named by customer_name only
+    const names = await Order.collection.aggregate([
+      { $match: { ...unlinked, customer_name: { $type: 'string' } } },
+      { $group: { _id: { $toLower: { $trim: { input: '$customer_name' } } }, name: { $first: { $trim: { input: '$customer_name' } } } } }
+    ]).toArray();
+    let customersCreated = 0;
+    let linkedByName = 0;
+    for (const { _id: key, name } of names) {
+      if (!key) continue; // Blank names cannot be told apart
+
+      // Customers without an account that carry the same name, e.g. from an earlier run
+      let customer = await Customer.findOne({ name, user: { $exists: false } }).collation({ locale: 'en', strength: 2 });
+      if (!customer) {
+        customer = await Customer.create({ name });
+        customersCreated += 1;
+      }
+      const result = await Order.collection.updateMany(
+        {
+          ...unlinked,
+          customer_name: { $type: 'string' },
+          $expr: { $eq: [{ $toLower: { $trim: { input: '$customer_name' } } }, key] }
+        },
+        { $set: { customer: customer._id } }
+      );
+      linkedByName += result.modifiedCount;
+    }
+    console.log(`Customers created from customer names: ${customersCreated}`);
+    console.log(`Orders linked by customer name: ${linkedByName}`);
+
+    const remaining = await Order.collection.countDocuments(unlinked);
+    console.log(`Orders left without a customer: ${remaining}`);
+
+    // Promotion redemptions take the customer of their order
+    let redemptionsLinked = 0;
+    for await (const redemption of PromotionRedemption.collection.find(unlinked)) {
+      const order = await Order.collection.findOne({ _id: redemption.order_id }, { projection: { customer: 1 } });
+      if (!order || !order.customer) continue;
+      await PromotionRedemption.collection.updateOne({ _id: redemption._id }, { $set: { customer: order.customer } });
+      redemptionsLinked += 1;
+    }
+    console.log(`Promotion redemptions linked to the customer of their order: ${redemptionsLinked}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrate().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,101 @@
+// Converts prices and order amounts stored before money was held in minor units.
+// Every amount is multiplied by 100 (decimal prices become cents) and stamped with
+// DEFAULT_CURRENCY, so run this once per database with DEFAULT_CURRENCY set to the
+// currency the old prices were in. Documents that already have a currency are left
+// alone, which makes the script safe to run again.
+// Usage: npm run migrate:minor-units
+require('dotenv').config(); // Load environment variables from .env file
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const { DEFAULT_CURRENCY } = require('../config/settings');
+
+// An aggregation expression that converts a decimal amount to minor units.
+// Missing amounts stay missing.
+const toMinorUnits = (path) => ({
+  $cond: [{ $isNumber: path }, { $round: [{ $multiply: [path, 100] }, 0] }, path]
+});
+
+const legacy = { currency: { $exists: false } };
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const products = await Product.collection.updateMany(legacy, [{
+      $set: {
+        price: toMinorUnits('$price'),
+        currency: DEFAULT_CURRENCY,
+        tax_category: { $ifNull: ['$tax_category', 'standard'] },
+        variants: {
+          $map: {
+            input: { $ifNull: ['$variants', []] },
+            as: 'variant',
+            in: { $mergeObjects: ['$$variant', { price: toMinorUnits('$$variant.price') }] }
+          }
+        }
+      }
+    }]);
+    console.log(`Products converted: ${products.modifiedCount}`);
+
+    // Redemptions have no currency of their own, so convert those of the orders converted below
+    const legacyOrderIds = await Order.collection.distinct('_id', legacy);
+    const redemptions = await PromotionRedemption.collection.updateMany(
+      { order_id: { $in: legacyOrderIds } },
+      [{ $set: { amount: toMinorUnits('$amount') } }]
+    );
+    console.log(`Promotion redemptions converted: ${redemptions.modifiedCount}`);
+
+    const orders = await Order.collection.updateMany(legacy, [
+      {
+        $set: {
+          currency: DEFAULT_CURRENCY,
+          items: {
+            $map: {
+              input: '$items',
+              as: 'item',
+              in: { $mergeObjects: ['$$item', { price_at_order: toMinorUnits('$$item.price_at_order'), discount: 0, tax_rate: 0, tax: 0 }] }
+            }
+          },
+          discounts: {
+            $map: {
+              input: { $ifNull: ['$discounts', []] },
+              as: 'discount',
+              in: { $mergeObjects: ['$$discount', { amount: toMinorUnits('$$discount.amount') }] }
+            }
+          }
+        }
+      },
+      {
+        // Recalculate the totals from the converted lines, as the Order pre-save hook does
+        $set: {
+          subtotal: { $sum: { $map: { input: '$items', as: 'item', in: { $multiply: ['$$item.price_at_order', '$$item.quantity'] } } } },
+          discount_total: { $sum: '$discounts.amount' },
+          tax_total: 0
+        }
+      },
+      { $set: { total_price: { $subtract: ['$subtotal', '$discount_total'] } } }
+    ]);
+    console.log(`Orders converted: ${orders.modifiedCount}`);
+
+    const promotions = await Promotion.collection.updateMany(legacy, [{
+      $set: {
+        currency: DEFAULT_CURRENCY,
+        // Percentages stay as they are; only fixed amounts are money
+        value: { $cond: [{ $eq: ['$type', 'fixed'] }, toMinorUnits('$value'), '$value'] },
+        min_order_value: toMinorUnits('$min_order_value')
+      }
+    }]);
+    console.log(`Promotions converted: ${promotions.modifiedCount}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrate().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
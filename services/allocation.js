@@ -0,0 +1,155 @@
+const Warehouse = require('../models/Warehouse');   // Import the Warehouse Model
+const StockLevel = require('../models/StockLevel'); // Import the StockLevel Model
+const { ALLOCATION_STRATEGIES, ALLOCATION_STRATEGY } = require('../config/settings');
+const { ConflictError } = require('../utils/errors');
+
+// Identifies the stock level of a product (or variant) in a warehouse.
+const levelKey = (productId, variantId, warehouseId) => `${productId}:${variantId || ''}:${warehouseId}`;
+
+// Plans which warehouses the units of each order line come from.
+//   lines:       [{ product_id, variant_id, quantity, name, sku }]
+//   warehouses:  the warehouses to allocate from, highest priority first
+//   available:   Map of levelKey to the units each stock level has available
+// 'priority' fills each line from the warehouses in priority order. 'fewest_shipments'
+// repeatedly picks the warehouse that can complete the most remaining lines (then the one
+// that can supply the most units, then the higher priority) and takes all it can from it.
+// Returns one [{ warehouse_id, quantity }] list per line.
+const planAllocations = (lines, warehouses, available, strategy) => {
+  if (!ALLOCATION_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown allocation strategy '${strategy}'. Must be one of: ${ALLOCATION_STRATEGIES.join(', ')}`);
+  }
+
+  const left = new Map(available);
+  const needs = lines.map((line) => line.quantity);
+  const allocations = lines.map(() => []);
+
+  const availableAt = (line, warehouse) => left.get(levelKey(line.product_id, line.variant_id, warehouse._id)) || 0;
+  const take = (index, warehouse) => {
+    const line = lines[index];
+    const quantity = Math.min(availableAt(line, warehouse), needs[index]);
+    if (quantity <= 0) return;
+
+    left.set(levelKey(line.product_id, line.variant_id, warehouse._id), availableAt(line, warehouse) - quantity);
+    needs[index] -= quantity;
+    allocations[index].push({ warehouse_id: warehouse._id, quantity });
+  };
+
+  if (strategy === 'priority') {
+    lines.forEach((line, index) => warehouses.forEach((warehouse) => take(index, warehouse)));
+  } else {
+    const unused = [...warehouses];
+    while (needs.some((need) => need > 0)) {
+      let best = null;
+      for (const warehouse of unused) {
+        let complete = 0;
+        let units = 0;
+        lines.forEach((line, index) => {
+          if (needs[index] === 0) return;
+          const supply = Math.min(availableAt(line, warehouse), needs[index]);
+          if (supply === needs[index]) complete += 1;
+          units += supply;
+        });
+        if (units > 0 && (!best || complete > best.complete || (complete === best.complete && units > best.units))) {
+          best = { warehouse, complete, units };
+        }
+      }
+      if (!best) break; // No warehouse has any of what is still needed
+
+      lines.forEach((line, index) => take(index, best.warehouse));
+      unused.splice(unused.indexOf(best.warehouse), 1);
+    }
+  }
+
+  lines.forEach((line, index) => {
+    if (needs[index] > 0) {
+      const label = line.sku || line.name;
+      throw new ConflictError(`Insufficient stock in the active warehouses for product: ${label}. Short by ${needs[index]}.`);
+    }
+  });
+  return allocations;
+};
+
+// Reads the units each stock level of the lines' products has available at the given
+// warehouses, as a Map of levelKey to units.
+const loadAvailable = async (lines, warehouses, session) => {
+  const levels = await StockLevel.find({
+    warehouse_id: { $in: warehouses.map((warehouse) => warehouse._id) },
+    $or: lines.map((line) => ({ product_id: line.product_id, variant_id: line.variant_id || null }))
+  }, null, { session });
+  return new Map(levels.map((level) => [
+    levelKey(level.product_id, level.variant_id, level.warehouse_id),
+    level.stock - level.reserved
+  ]));
+};
+
+// The units of a product (or variant) that the active warehouses can allocate, inside
+// the given session. Returns null while no warehouse exists.
+const allocatableUnits = async ({ product_id, variant_id }, { session } = {}) => {
+  const warehouses = await Warehouse.find({}, null, { session });
+  if (warehouses.length === 0) {
+    return null;
+  }
+
+  const active = warehouses.filter((warehouse) => warehouse.active);
+  const available = await loadAvailable([{ product_id, variant_id }], active, session);
+  return [...available.values()].reduce((total, units) => total + Math.max(units, 0), 0);
+};
+
+// Allocates the lines of an order being placed, or a backorder being filled, to warehouses
+// inside the given session, and reserves the units at each warehouse. Inactive warehouses are skipped.
+// Returns { strategy, allocations } with one allocation list per line, or null while
+// no warehouse exists (stock is then only kept per product).
+const allocateOrder = async (lines, { session, strategy = ALLOCATION_STRATEGY } = {}) => {
+  const warehouses = await Warehouse.find({}, null, { session, sort: { priority: 1, name: 1 } });
+  if (warehouses.length === 0) {
+    return null;
+  }
+
+  const active = warehouses.filter((warehouse) => warehouse.active);
+  const available = await loadAvailable(lines, active, session);
+
+  const allocations = planAllocations(lines, active, available, strategy);
+
+  for (const [index, line] of lines.entries()) {
+    for (const allocation of allocations[index]) {
+      await StockLevel.updateOne(
+        { product_id: line.product_id, variant_id: line.variant_id || null, warehouse_id: allocation.warehouse_id },
+        { $inc: { reserved: allocation.quantity } },
+        { session }
+      );
+    }
+  }
+
+  return { strategy, allocations };
+};
+
+// Splits units [start, end) of an order line over the warehouses they were allocated
+// from, in allocation order. The units still on a line are its first ones, so cancelled
+// and returned units are always taken from the end. Lines without allocations (placed
+// before warehouses were in use) come back as one part without a warehouse, which the
+// inventory service applies at the default warehouse.
+// Returns [{ warehouseId, quantity }].
+const unitsByWarehouse = (item, start, end) => {
+  if (end <= start) return [];
+  if (!item.allocations || item.allocations.length === 0) {
+    return [{ warehouseId: undefined, quantity: end - start }];
+  }
+
+  const parts = [];
+  let offset = 0;
+  for (const allocation of item.allocations) {
+    const from = Math.max(start, offset);
+    const to = Math.min(end, offset + allocation.quantity);
+    if (to > from) parts.push({ warehouseId: allocation.warehouse_id, quantity: to - from });
+    offset += allocation.quantity;
+  }
+  return parts;
+};
+
+module.exports = {
+  ALLOCATION_STRATEGIES,
+  planAllocations,
+  allocateOrder,
+  allocatableUnits,
+  unitsByWarehouse
+};
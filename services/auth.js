@@ -0,0 +1,22 @@
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET, JWT_EXPIRES_IN } = require('../config/settings');
+
+// Returns the signing secret, refusing to run without one.
+const getSecret = () => {
+  if (!JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured.');
+  }
+  return JWT_SECRET;
+};
+
+// Issues a signed access token for a user. The token carries the user id and role.
+const signToken = (user) => jwt.sign(
+  { sub: user._id.toString(), role: user.role },
+  getSecret(),
+  { expiresIn: JWT_EXPIRES_IN, algorithm: 'HS256' }
+);
+
+// Verifies a token locally and returns its payload. Throws if it is invalid or expired.
+const verifyToken = (token) => jwt.verify(token, getSecret(), { algorithms: ['HS256'] });
+
+module.exports = { signToken, verifyToken };
@@ -0,0 +1,98 @@
+const Order = require('../models/Order');     // Import the Order Model
+const Product = require('../models/Product'); // Import the Product Model
+const { findVariant } = require('./inventory');
+const { allocateOrder, allocatableUnits } = require('./allocation');
+const { transitionOrder } = require('./orderStatus');
+
+// Reserves newly arrived units of a product (or variant) for the orders waiting for them,
+// inside the given session. `product` is the product document after the stock change.
+// Backordered orders are filled oldest first, as far as the available units go; once
+// nothing is outstanding on an order any more, it moves on to pending and has to be paid
+// within the reservation window. Once warehouses are in use, only units the active
+// warehouses can allocate are used, and they are allocated like a new order's.
+// `changedBy` is the user whose stock change triggered the fill; omit it for system changes.
+// Returns the orders that received units.
+const fillBackorders = async (product, { variantId, session, changedBy } = {}) => {
+  const variant = product && variantId ? findVariant(product, { variantId }) : undefined;
+  const holder = variantId ? variant : product;
+  if (!holder || !(holder.backordered > 0)) {
+    return [];
+  }
+
+  let available = holder.stock - holder.reserved;
+  const allocatable = await allocatableUnits({ product_id: product._id, variant_id: variantId }, { session });
+  if (allocatable !== null) {
+    available = Math.min(available, allocatable);
+  }
+  if (available <= 0) {
+    return [];
+  }
+
+  const isLine = (item) => String(item.product_id) === String(product._id)
+    && String(item.variant_id || '') === String(variantId || '')
+    && item.outstanding_quantity > 0;
+  const orders = await Order.find({
+    status: 'backordered',
+    items: { $elemMatch: { product_id: product._id, variant_id: variantId || null, outstanding_quantity: { $gt: 0 } } }
+  }, null, { session, sort: { createdAt: 1, _id: 1 } });
+
+  const filled = [];
+  for (const order of orders) {
+    if (available <= 0) break;
+
+    for (const item of order.items.filter(isLine)) {
+      const quantity = Math.min(item.outstanding_quantity, available);
+      if (quantity <= 0) break;
+
+      const allocation = await allocateOrder([{
+        product_id: item.product_id,
+        variant_id: item.variant_id,
+        sku: item.sku,
+        name: item.name,
+        quantity
+      }], { session, strategy: order.allocation_strategy || undefined });
+      if (allocation) {
+        item.allocations = [...(item.allocations || []), ...allocation.allocations[0]];
+      }
+
+      // For a variant, the product's reserved and backordered totals are recalculated on save
+      holder.reserved += quantity;
+      holder.backordered -= quantity;
+      item.fulfilled_quantity = (item.fulfilled_quantity || 0) + quantity;
+      item.outstanding_quantity -= quantity;
+      available -= quantity;
+    }
+
+    if (order.items.every((item) => !item.outstanding_quantity)) {
+      await transitionOrder(order, 'pending', { session, changedBy, reason: 'Backordered items are in stock' });
+    }
+    await order.save({ session });
+    filled.push(order);
+  }
+
+  // Filling only turns promised units into reserved ones, so the available units (see
+  // availableUnits) stay the same and product.stock_low is never due here
+  if (filled.length > 0) {
+    await product.save({ session });
+  }
+  return filled;
+};
+
+// Offers the units that a change put back into stock, or stopped reserving, to the orders
+// waiting for them: e.g. after an order was cancelled or refunded, or some of its items were
+// cancelled or returned. `items` are the order lines whose products (or variants) changed.
+// Call it once the order that gave the units back is saved, so that order is not filled itself.
+// Returns the orders that received units.
+const fillBackordersFor = async (items, { session, changedBy } = {}) => {
+  const lines = new Map();
+  items.forEach((item) => lines.set(`${item.product_id}:${item.variant_id || ''}`, item));
+
+  const filled = [];
+  for (const { product_id, variant_id } of lines.values()) {
+    const product = await Product.findById(product_id, null, { session });
+    filled.push(...await fillBackorders(product, { variantId: variant_id || undefined, session, changedBy }));
+  }
+  return filled;
+};
+
+module.exports = { fillBackorders, fillBackordersFor };
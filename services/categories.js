@@ -0,0 +1,46 @@
+const Category = require('../models/Category'); // Import the Category Model
+const { NotFoundError, UnprocessableError } = require('../utils/errors');
+
+// Finds a category inside the given session, or throws 404 with the given message.
+const findCategory = async (categoryId, { session, message = 'Category not found' } = {}) => {
+  const category = await Category.findById(categoryId, null, { session });
+  if (!category) {
+    throw new NotFoundError(message);
+  }
+  return category;
+};
+
+// The ancestors of a category placed directly under `parent` (null for the top level).
+const ancestorsUnder = (parent) => (parent ? [...parent.ancestors, parent._id] : []);
+
+// The IDs of a category and of every category below it, at any depth.
+const subtreeIds = async (category) => [category._id, ...await Category.distinct('_id', { ancestors: category._id })];
+
+// Moves a category, with everything below it, under `parent` (null for the top level).
+// Only categories are rewritten: the moved one gets its new parent and ancestors, and every
+// category below it swaps the ancestors above the moved one for the new ones. Products keep
+// pointing at their own category, so the products of the subtree move with it.
+const moveCategory = async (category, parent, { session }) => {
+  if (parent && [parent._id, ...parent.ancestors].some((id) => String(id) === String(category._id))) {
+    throw new UnprocessableError('A category cannot be moved under itself or one of its subcategories.');
+  }
+  const ancestors = ancestorsUnder(parent);
+
+  category.parent_id = parent ? parent._id : null;
+  category.ancestors = ancestors;
+  await category.save({ session });
+
+  // The ancestors of a subcategory from the moved category down stay as they are
+  await Category.updateMany({ ancestors: category._id }, [{
+    $set: {
+      ancestors: {
+        $concatArrays: [
+          ancestors,
+          { $slice: ['$ancestors', { $indexOfArray: ['$ancestors', category._id] }, { $size: '$ancestors' }] }
+        ]
+      }
+    }
+  }], { session });
+};
+
+module.exports = { findCategory, ancestorsUnder, subtreeIds, moveCategory };
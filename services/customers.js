@@ -0,0 +1,87 @@
+const Customer = require('../models/Customer'); // Import the Customer Model
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// The address fields copied onto an order when it is placed
+const SHIPPING_ADDRESS_FIELDS = ['name', 'line1', 'line2', 'city', 'region', 'postal_code', 'country', 'phone'];
+
+// Finds the customer of a user account inside the given session, creating it on first use.
+// A customer that staff created with the account's email, before the account existed,
+// becomes the account's customer instead of a second one being created. When the email
+// already belongs to another account's customer, the account's customer is created
+// without an email, as two customers cannot share one; it can be set later.
+const customerForUser = async (user, { session } = {}) => {
+  const existing = await Customer.findOne({ user: user._id }, null, { session });
+  if (existing) {
+    return existing;
+  }
+  // Checked first rather than caught: a duplicate key would abort the whole transaction
+  const sameEmail = await Customer.findOne({ email: user.email }, null, { session });
+  if (sameEmail && sameEmail.user) {
+    const [customer] = await Customer.create([{ user: user._id, name: user.name }], { session });
+    return customer;
+  }
+  return Customer.findOneAndUpdate(
+    { email: user.email, user: { $exists: false } },
+    { $set: { user: user._id }, $setOnInsert: { name: user.name } },
+    { session, new: true, upsert: true, runValidators: true }
+  );
+};
+
+// Works out the address an order ships to, as a copy to store on the order:
+//   addressId:  one of the customer's shipping addresses
+//   address:    an address given with the order itself
+// Without either, the customer's default shipping address is used, if there is one.
+// Returns undefined when the order has no shipping address.
+const shippingAddressFor = (customer, { addressId, address } = {}) => {
+  let source;
+  if (addressId) {
+    source = customer && customer.addresses.find((candidate) => (
+      candidate.kind === 'shipping' && String(candidate._id) === String(addressId)
+    ));
+    if (!source) {
+      throw new NotFoundError(`Shipping address ${addressId} not found.`);
+    }
+  } else if (address) {
+    const missing = ['line1', 'city', 'country'].filter((field) => !address[field]);
+    if (missing.length) {
+      throw new ValidationError(`shipping_address is missing: ${missing.join(', ')}`);
+    }
+    source = { ...address, country: String(address.country).trim().toUpperCase() };
+  } else {
+    source = customer && (customer.addresses || []).find((candidate) => candidate.kind === 'shipping' && candidate.is_default);
+  }
+
+  if (!source) {
+    return undefined;
+  }
+  const snapshot = {};
+  SHIPPING_ADDRESS_FIELDS.forEach((field) => {
+    if (source[field] != null) snapshot[field] = source[field];
+  });
+  // Without a name of its own, the parcel is addressed to the customer
+  if (!snapshot.name && customer) snapshot.name = customer.name;
+  return snapshot;
+};
+
+// Keeps one default address per kind after addresses were added, changed or removed:
+// `address`, when given and marked as the default, takes over from the previous default,
+// and a kind left without a default gets its oldest address as the default.
+const settleDefaultAddress = (customer, address) => {
+  if (address && address.is_default) {
+    customer.addresses.forEach((candidate) => {
+      if (candidate !== address && candidate.kind === address.kind) candidate.is_default = false;
+    });
+  }
+  new Set(customer.addresses.map((candidate) => candidate.kind)).forEach((kind) => {
+    const sameKind = customer.addresses.filter((candidate) => candidate.kind === kind);
+    if (sameKind.length && !sameKind.some((candidate) => candidate.is_default)) {
+      sameKind[0].is_default = true;
+    }
+  });
+};
+
+module.exports = {
+  customerForUser,
+  shippingAddressFor,
+  settleDefaultAddress
+};
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey'); // Import the IdempotencyKey Model
+const { IDEMPOTENCY_KEY_TTL_HOURS } = require('../config/settings');
+
+// Serialises a value with object keys in sorted order, so two bodies that only
+// differ in key order produce the same hash.
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Returns a SHA-256 hash of the request body.
+const hashRequest = (body) => crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+
+// Looks up a key inside the given session.
+// Returns the stored record, or null when the key is unused or has expired.
+// Expired records are removed straight away instead of waiting for the TTL monitor,
+// so the key can be stored again in the same transaction.
+const findIdempotencyKey = async ({ scope, key, session }) => {
+  const record = await IdempotencyKey.findOne({ scope, key }).session(session);
+
+  if (record && record.expires_at <= new Date()) {
+    await IdempotencyKey.deleteOne({ _id: record._id }, { session });
+    return null;
+  }
+
+  return record;
+};
+
+// Stores a key together with the response that was sent for it.
+const saveIdempotencyKey = ({ scope, key, requestHash, status, body, session }) => IdempotencyKey.create([{
+  scope,
+  key,
+  request_hash: requestHash,
+  response_status: status,
+  response_body: JSON.parse(JSON.stringify(body)), // Store exactly what the client received
+  expires_at: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+}], { session });
+
+// Whether an error is the duplicate of a key that a concurrent request stored first, rather
+// than a duplicate in any other unique index written while the request was handled.
+const isDuplicateIdempotencyKey = (error) => Boolean(error) && error.code === 11000 && Boolean(error.keyPattern) &&
+  Object.keys(error.keyPattern).sort().join(',') === 'key,scope';
+
+module.exports = { hashRequest, findIdempotencyKey, saveIdempotencyKey, isDuplicateIdempotencyKey };
@@ -0,0 +1,234 @@
+const Product = require('../models/Product');             // Import the Product Model
+const StockMovement = require('../models/StockMovement'); // Import the StockMovement Model
+const Warehouse = require('../models/Warehouse');         // Import the Warehouse Model
+const StockLevel = require('../models/StockLevel');       // Import the StockLevel Model
+const { recordEvent } = require('./outbox'); // Stock changes are published to webhooks
+const { LOW_STOCK_THRESHOLD } = require('../config/settings');
+const { ConflictError } = require('../utils/errors');
+
+// The warehouse a stock change applies to: the one given, else the default warehouse.
+// Returns null while no warehouse exists; stock is then only kept per product.
+const resolveWarehouseId = async (warehouseId, session) => {
+  if (warehouseId) return warehouseId;
+  const warehouse = await Warehouse.findOne({ is_default: true }, '_id', { session });
+  return warehouse ? warehouse._id : null;
+};
+
+// Atomically changes what one warehouse holds of a product (or variant) with $inc,
+// creating the stock level on first use. Returns the updated level.
+const changeStockLevel = ({ productId, variantId, warehouseId, inc, session }) => StockLevel.findOneAndUpdate(
+  { product_id: productId, variant_id: variantId || null, warehouse_id: warehouseId },
+  { $inc: inc },
+  { session, new: true, upsert: true }
+);
+
+// Appends one entry to the inventory ledger inside the given session, and publishes
+// it as a product.stock_changed event in the same session.
+// Movements of damaged units are kept apart from sellable stock by their bucket.
+// Once warehouses are in use, the units also move at the given warehouse (or the
+// default one), so the ledger of every location adds up to its stock level. A warehouse
+// cannot give up units it does not hold: the session's transaction must then be aborted.
+const recordStockMovement = async ({
+  productId, variant, warehouseId, bucket = 'sellable', delta, balanceAfter,
+  reason, orderId, purchaseOrderId, transferId, user, session
+}) => {
+  const locationId = await resolveWarehouseId(warehouseId, session);
+  const field = bucket === 'damaged' ? 'damaged' : 'stock';
+  const level = locationId
+    ? await changeStockLevel({ productId, variantId: variant ? variant._id : null, warehouseId: locationId, inc: { [field]: delta }, session })
+    : null;
+  if (level && level[field] < 0) {
+    const label = variant ? ` of ${variant.sku}` : '';
+    throw new ConflictError(`Warehouse ${locationId} holds only ${level[field] - delta} ${field === 'damaged' ? 'damaged ' : ''}units${label}. Requested change: ${delta}. Change the stock of the warehouses that hold the units instead.`);
+  }
+
+  const entry = {
+    product_id: productId,
+    variant_id: variant ? variant._id : undefined,
+    sku: variant ? variant.sku : undefined,
+    bucket,
+    reason,
+    quantity_delta: delta,
+    balance_after: balanceAfter,
+    variant_balance_after: variant ? variant[field] : undefined,
+    warehouse_id: locationId || undefined,
+    warehouse_balance_after: level ? level[field] : undefined,
+    order_id: orderId,
+    purchase_order_id: purchaseOrderId,
+    transfer_id: transferId,
+    user
+  };
+
+  const movements = await StockMovement.create([entry], { session });
+  await recordEvent('product.stock_changed', { aggregateType: 'product', aggregateId: productId, data: entry }, { session });
+  return movements;
+};
+
+// The units of a product, or of one of its variants, that are still free: stock less the units
+// reserved for orders and the units promised to backordered orders. This is what the reorder
+// report and product.stock_low compare with the reorder point.
+const availableUnits = (holder) => holder.stock - (holder.reserved || 0) - (holder.backordered || 0);
+
+// The same as availableUnits, as an aggregation expression on a document's fields.
+const AVAILABLE_UNITS_EXPRESSION = {
+  $subtract: ['$stock', { $add: [{ $ifNull: ['$reserved', 0] }, { $ifNull: ['$backordered', 0] }] }]
+};
+
+// The available units at or below which a product, or one of its variants, needs reordering:
+// the variant's own reorder point, else the product's, else LOW_STOCK_THRESHOLD.
+const reorderPointOf = (product, variant) => {
+  if (variant && variant.reorder_point != null) return variant.reorder_point;
+  if (product.reorder_point != null) return product.reorder_point;
+  return LOW_STOCK_THRESHOLD;
+};
+
+// Publishes product.stock_low when a change takes the available units (see availableUnits)
+// of a product, or of the given variant, from above its reorder point to at or below it.
+// `availableBefore` is availableUnits before the change. Only the crossing is published,
+// so a product that stays low does not raise an event on every sale.
+const recordStockLowIfCrossed = async ({ product, variant, availableBefore, session }) => {
+  const holder = variant || product;
+  const available = availableUnits(holder);
+  const threshold = reorderPointOf(product, variant);
+
+  if (availableBefore > threshold && available <= threshold) {
+    await recordEvent('product.stock_low', {
+      aggregateType: 'product',
+      aggregateId: product._id,
+      data: {
+        product_id: product._id,
+        name: product.name,
+        variant_id: variant ? variant._id : undefined,
+        sku: variant ? variant.sku : undefined,
+        stock: holder.stock,
+        reserved: holder.reserved,
+        backordered: holder.backordered || 0,
+        available,
+        threshold
+      }
+    }, { session });
+  }
+};
+
+// Checks whether a product is sold per variant.
+const hasVariants = (product) => Boolean(product.variants && product.variants.length > 0);
+
+// Finds a variant of a product by its id or SKU. Returns undefined if there is no match.
+const findVariant = (product, { variantId, sku }) => (product.variants || []).find((variant) => (
+  variantId ? String(variant._id) === String(variantId) : variant.sku === String(sku).trim().toUpperCase()
+));
+
+// Atomically changes a product's stock, reserved, damaged and/or backordered quantity with $inc.
+// When a variant is given, the variant and the product totals move together.
+// Backordered units are not in stock, so they are neither in the ledger nor at a warehouse.
+// Any change to stock or damaged is written to the ledger in the same session, and a
+// change that leaves fewer units available for sale may publish product.stock_low.
+// Once warehouses are in use, every quantity also moves at the given warehouse, or at
+// the default warehouse when none is given.
+// Returns the updated product, or null if it (or the variant) no longer exists.
+const changeStock = async ({
+  productId, variantId, warehouseId, delta = 0, reservedDelta = 0, damagedDelta = 0, backorderedDelta = 0,
+  reason, orderId, purchaseOrderId, user, session
+}) => {
+  const filter = { _id: productId };
+  const inc = {};
+  if (delta) inc.stock = delta;
+  if (reservedDelta) inc.reserved = reservedDelta;
+  if (damagedDelta) inc.damaged = damagedDelta;
+  if (backorderedDelta) inc.backordered = backorderedDelta;
+
+  if (variantId) {
+    filter['variants._id'] = variantId;
+    if (delta) inc['variants.$.stock'] = delta;
+    if (reservedDelta) inc['variants.$.reserved'] = reservedDelta;
+    if (damagedDelta) inc['variants.$.damaged'] = damagedDelta;
+    if (backorderedDelta) inc['variants.$.backordered'] = backorderedDelta;
+  }
+
+  const product = await Product.findOneAndUpdate(filter, { $inc: inc }, { session, new: true });
+
+  const variant = product && variantId ? findVariant(product, { variantId }) : undefined;
+  const locationId = product ? await resolveWarehouseId(warehouseId, session) : null;
+  if (locationId && reservedDelta) {
+    await changeStockLevel({ productId, variantId, warehouseId: locationId, inc: { reserved: reservedDelta }, session });
+  }
+  if (product && (delta || damagedDelta)) {
+    const movement = { productId, variant, warehouseId: locationId, reason, orderId, purchaseOrderId, user, session };
+    if (delta) {
+      await recordStockMovement({ ...movement, delta, balanceAfter: product.stock });
+    }
+    if (damagedDelta) {
+      await recordStockMovement({ ...movement, bucket: 'damaged', delta: damagedDelta, balanceAfter: product.damaged });
+    }
+  }
+
+  const availableDelta = delta - reservedDelta - backorderedDelta;
+  if (product && availableDelta < 0) {
+    await recordStockLowIfCrossed({ product, variant, availableBefore: availableUnits(variant || product) - availableDelta, session });
+  }
+
+  return product;
+};
+
+// Moves units of a product (or variant) from one warehouse to another inside the given
+// session. Only units that are not allocated to orders can leave. The product's totals
+// do not change; the ledger gets a 'transfer' movement out of one warehouse and into the other.
+const transferStock = async ({ product, variant, fromWarehouseId, toWarehouseId, quantity, transferId, user, session }) => {
+  const level = await StockLevel.findOne(
+    { product_id: product._id, variant_id: variant ? variant._id : null, warehouse_id: fromWarehouseId },
+    null,
+    { session }
+  );
+  const available = level ? level.stock - level.reserved : 0;
+  if (available < quantity) {
+    throw new ConflictError(`Insufficient stock to transfer ${variant ? variant.sku : product.name}. Available: ${available}, Requested: ${quantity}`);
+  }
+
+  const movement = { productId: product._id, variant, balanceAfter: product.stock, reason: 'transfer', transferId, user, session };
+  await recordStockMovement({ ...movement, warehouseId: fromWarehouseId, delta: -quantity });
+  await recordStockMovement({ ...movement, warehouseId: toWarehouseId, delta: quantity });
+};
+
+// Places all existing stock at one warehouse, inside the given session. Used when the
+// first warehouse is created, so the stock levels add up to the product totals from the start.
+// Returns the number of stock levels created.
+const locateExistingStock = async (warehouseId, session) => {
+  const products = await Product.find({}, 'stock reserved damaged variants', { session });
+  const levels = [];
+
+  for (const product of products) {
+    const holders = hasVariants(product)
+      ? product.variants.map((variant) => ({ variantId: variant._id, holder: variant }))
+      : [{ variantId: null, holder: product }];
+    for (const { variantId, holder } of holders) {
+      if (!holder.stock && !holder.reserved && !holder.damaged) continue;
+      levels.push({
+        product_id: product._id,
+        variant_id: variantId,
+        warehouse_id: warehouseId,
+        stock: holder.stock || 0,
+        reserved: holder.reserved || 0,
+        damaged: holder.damaged || 0
+      });
+    }
+  }
+
+  if (levels.length > 0) {
+    await StockLevel.insertMany(levels, { session });
+  }
+  return levels.length;
+};
+
+module.exports = {
+  resolveWarehouseId,
+  recordStockMovement,
+  availableUnits,
+  AVAILABLE_UNITS_EXPRESSION,
+  reorderPointOf,
+  recordStockLowIfCrossed,
+  hasVariants,
+  findVariant,
+  changeStock,
+  transferStock,
+  locateExistingStock
+};
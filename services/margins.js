@@ -0,0 +1,86 @@
+const Order = require('../models/Order'); // Import the Order Model
+const { SOLD_STATUSES } = require('./reorder');
+const { remainingQuantity, lineAmounts } = require('./pricing');
+
+// The margin as a percentage of the revenue, to two decimals; null without revenue.
+const marginPercent = (margin, revenue) => (revenue > 0 ? Math.round((margin / revenue) * 10000) / 100 : null);
+
+// Adds up the units sold, the revenue and the cost of every product (or variant) sold
+// in orders placed in the given range, and the margin between them.
+//   revenue:   what the units sold for after their share of the order's discounts, before tax
+//   cost:      the weighted-average cost of the units when the order was placed (cost_at_order)
+//   margin:    revenue less cost, over the units with a known cost only
+// Cancelled and returned units are not sales. Lines placed before costs were tracked
+// have no cost, and are counted in uncosted_units instead.
+// Amounts are in minor units of each line's currency, so the totals are kept per currency.
+const buildMarginReport = async ({ from, to } = {}) => {
+  const match = { status: { $in: SOLD_STATUSES } };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  const lines = await Order.aggregate([
+    { $match: match },
+    { $unwind: '$items' },
+    { $replaceWith: { $mergeObjects: ['$items', { currency: '$currency' }] } }
+  ]);
+
+  const byItem = new Map();
+  for (const line of lines) {
+    const units = remainingQuantity(line);
+    if (units <= 0) continue;
+
+    const key = `${line.product_id}:${line.variant_id || ''}:${line.currency}`;
+    if (!byItem.has(key)) {
+      byItem.set(key, {
+        product_id: line.product_id,
+        variant_id: line.variant_id || null,
+        sku: line.sku || null,
+        name: line.name,
+        currency: line.currency,
+        units_sold: 0,
+        revenue: 0,
+        uncosted_units: 0,
+        costed_revenue: 0,
+        cost: 0
+      });
+    }
+    const entry = byItem.get(key);
+    const { subtotal, discount } = lineAmounts(line, units);
+
+    entry.units_sold += units;
+    entry.revenue += subtotal - discount;
+    if (line.cost_at_order == null) {
+      entry.uncosted_units += units;
+    } else {
+      entry.costed_revenue += subtotal - discount;
+      entry.cost += line.cost_at_order * units;
+    }
+  }
+
+  const totals = new Map();
+  const items = [...byItem.values()].map(({ costed_revenue, ...entry }) => {
+    const margin = costed_revenue - entry.cost;
+
+    const total = totals.get(entry.currency) || { currency: entry.currency, revenue: 0, costed_revenue: 0, cost: 0 };
+    total.revenue += entry.revenue;
+    total.costed_revenue += costed_revenue;
+    total.cost += entry.cost;
+    totals.set(entry.currency, total);
+
+    return { ...entry, margin, margin_percent: marginPercent(margin, costed_revenue) };
+  });
+
+  return {
+    items: items.sort((a, b) => b.margin - a.margin || a.name.localeCompare(b.name)),
+    totals: [...totals.values()].map(({ costed_revenue, ...total }) => ({
+      ...total,
+      margin: costed_revenue - total.cost,
+      margin_percent: marginPercent(costed_revenue - total.cost, costed_revenue)
+    }))
+  };
+};
+
+module.exports = { buildMarginReport };
@@ -0,0 +1,232 @@
+const Refund = require('../models/Refund'); // Import the Refund Model
+const { changeStock } = require('./inventory'); // All stock changes go through the inventory ledger
+const { canTransition, transitionOrder } = require('./orderStatus');
+const { remainingQuantity, removedQuantity, lineAmounts } = require('./pricing');
+const { recordOrderEvent } = require('./outbox'); // Adjustments are published to webhooks
+const { unitsByWarehouse } = require('./allocation');
+const { ValidationError, ConflictError, UnprocessableError } = require('../utils/errors');
+
+// Items can be cancelled until they ship, and returned once they have.
+const CANCELLABLE_STATUSES = ['backordered', 'pending', 'paid', 'picking'];
+const RETURNABLE_STATUSES = ['shipped', 'delivered'];
+
+// Where units that come back can go.
+const RESTOCK_TARGETS = ['sellable', 'damaged'];
+
+// How each kind of adjustment is recorded.
+const ADJUSTMENTS = {
+  cancellation: { verb: 'cancelled', statuses: CANCELLABLE_STATUSES, counter: 'cancelled_quantity', reason: 'order_restock', event: 'order.items_cancelled' },
+  return: { verb: 'returned', statuses: RETURNABLE_STATUSES, counter: 'returned_quantity', reason: 'order_return', event: 'order.items_returned' }
+};
+
+// Whether an order item is the one a requested line refers to.
+const matchesRequest = (item, request) => (
+  (!request.product_id || String(item.product_id) === String(request.product_id)) &&
+  (!request.variant_id || String(item.variant_id) === String(request.variant_id)) &&
+  (!request.sku || item.sku === String(request.sku).trim().toUpperCase())
+);
+
+// Checks the requested lines and works out which order items they take units from.
+// A line names its product by product_id and/or variant_id or sku, like an order item.
+// If the order has the same product on several lines, the units are taken from them in order.
+// Returns [{ item, quantity, restockTo }].
+const planAdjustment = (order, requested, verb) => {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw new ValidationError(`Please provide at least one item to be ${verb}.`);
+  }
+
+  const planned = new Map(); // Units already planned per order item
+  const plan = [];
+
+  for (const request of requested) {
+    const label = request.sku || request.variant_id || request.product_id;
+    const restockTo = request.restock_to || 'sellable';
+
+    if (!request.product_id && !request.sku) {
+      throw new ValidationError('Each item needs a product_id or sku.');
+    }
+    if (!Number.isInteger(request.quantity) || request.quantity < 1) {
+      throw new ValidationError(`quantity of ${label} must be a whole number of at least 1.`);
+    }
+    if (!RESTOCK_TARGETS.includes(restockTo)) {
+      throw new ValidationError(`Invalid restock_to. Must be one of: ${RESTOCK_TARGETS.join(', ')}`);
+    }
+
+    const candidates = order.items.filter((item) => matchesRequest(item, request));
+    if (candidates.length === 0) {
+      throw new UnprocessableError(`${label} is not on this order.`);
+    }
+
+    let left = request.quantity;
+    for (const item of candidates) {
+      const available = remainingQuantity(item) - (planned.get(item) || 0);
+      const quantity = Math.min(left, available);
+      if (quantity <= 0) continue;
+
+      planned.set(item, (planned.get(item) || 0) + quantity);
+      plan.push({ item, quantity, restockTo });
+      left -= quantity;
+      if (left === 0) break;
+    }
+    if (left > 0) {
+      const available = request.quantity - left;
+      throw new ConflictError(`Only ${available} more unit(s) of ${label} can be ${verb}.`);
+    }
+  }
+
+  return plan;
+};
+
+// Cancels or returns some units of an order, inside the given session.
+// `type` is 'cancellation' or 'return'; `requested` is a list of
+// { product_id, variant_id | sku, quantity, restock_to } lines.
+//
+// Stock is put back selectively: units of an unpaid order only give their reservation
+// back (or, while still waiting for stock, their place in the backorder), while units
+// that were paid for go back into sellable stock or, with restock_to 'damaged', into
+// the damaged bucket. Paid units are refunded at their share of the line's price,
+// discount and tax, recorded as a Refund.
+// When no units are left, the order moves to cancelled (unpaid) or refunded. A backordered
+// order that is no longer waiting for any unit moves on to pending.
+// The caller is responsible for saving the order.
+// Returns { order, refund, adjustedItems }; refund is null when nothing was paid, and
+// adjustedItems lists the units taken off each line, like the lines of a refund.
+const adjustOrderItems = async (order, requested, { type, session, changedBy, reason }) => {
+  const adjustment = ADJUSTMENTS[type];
+
+  if (!adjustment.statuses.includes(order.status)) {
+    throw new ConflictError(
+      `Items can only be ${adjustment.verb} while the order is ${adjustment.statuses.join(', ')}. This order is ${order.status}.`
+    );
+  }
+
+  const plan = planAdjustment(order, requested, adjustment.verb);
+  const paid = !['backordered', 'pending'].includes(order.status);
+  const reservationActive = Boolean(order.reservation && order.reservation.status === 'active');
+  const refundItems = [];
+
+  for (const { item, quantity, restockTo } of plan) {
+    // Units still waiting for stock are a line's last ones, so they are taken off first
+    const outstanding = item.outstanding_quantity || 0;
+    const fromOutstanding = Math.min(quantity, outstanding);
+    if (fromOutstanding > 0) {
+      await changeStock({
+        productId: item.product_id,
+        variantId: item.variant_id,
+        backorderedDelta: -fromOutstanding,
+        session
+      });
+      item.outstanding_quantity = outstanding - fromOutstanding;
+    }
+
+    // The other units are the last ones in stock, each at the warehouse it was allocated from
+    const inStock = remainingQuantity(item) - outstanding;
+    for (const part of unitsByWarehouse(item, inStock - (quantity - fromOutstanding), inStock)) {
+      const stockChange = {
+        productId: item.product_id,
+        variantId: item.variant_id,
+        warehouseId: part.warehouseId,
+        orderId: order._id,
+        user: changedBy,
+        session
+      };
+
+      if (!paid && reservationActive) {
+        // The units never left stock; they only stop being held for this order
+        await changeStock({ ...stockChange, reservedDelta: -part.quantity });
+      } else if (restockTo === 'damaged') {
+        await changeStock({ ...stockChange, damagedDelta: part.quantity, reason: adjustment.reason });
+      } else {
+        // Also covers unpaid orders placed before reservations, which took stock straight away
+        await changeStock({ ...stockChange, delta: part.quantity, reason: adjustment.reason });
+      }
+    }
+
+    // The units' share of the line, worked out on the running count of units taken off it
+    const before = lineAmounts(item, removedQuantity(item));
+    item[adjustment.counter] = (item[adjustment.counter] || 0) + quantity;
+    const after = lineAmounts(item, removedQuantity(item));
+
+    refundItems.push({
+      product_id: item.product_id,
+      variant_id: item.variant_id,
+      sku: item.sku,
+      name: item.name,
+      quantity,
+      restock_to: restockTo,
+      subtotal: after.subtotal - before.subtotal,
+      discount: after.discount - before.discount,
+      tax: after.tax - before.tax,
+      amount: after.total - before.total
+    });
+  }
+
+  let refund = null;
+  if (paid) {
+    const sum = (field) => refundItems.reduce((total, refundItem) => total + refundItem[field], 0);
+    [refund] = await Refund.create([{
+      order_id: order._id,
+      user: order.user,
+      type,
+      currency: order.currency,
+      items: refundItems,
+      subtotal: sum('subtotal'),
+      discount: sum('discount'),
+      tax: sum('tax'),
+      amount: sum('amount'),
+      reason,
+      created_by: changedBy
+    }], { session });
+    order.refunded_total = (order.refunded_total || 0) + refund.amount;
+  }
+
+  await recordOrderEvent(adjustment.event, order, {
+    session,
+    data: {
+      adjusted_items: refundItems.map(({ product_id, variant_id, sku, quantity, restock_to }) => ({ product_id, variant_id, sku, quantity, restock_to })),
+      refund_id: refund ? refund._id : null,
+      refund_amount: refund ? refund.amount : 0,
+      reason
+    }
+  });
+
+  // Nothing left to fulfil: close the order. Its effects only touch remaining units, so
+  // nothing is restocked twice; cancelling an unpaid order also gives its promotions back.
+  const closedStatus = paid ? 'refunded' : 'cancelled';
+  if (order.items.every((item) => remainingQuantity(item) === 0) && canTransition(order.status, closedStatus)) {
+    await transitionOrder(order, closedStatus, {
+      session,
+      changedBy,
+      reason: `All items were ${adjustment.verb}`
+    });
+  } else if (order.status === 'backordered' && order.items.every((item) => !item.outstanding_quantity)) {
+    // The units it was waiting for were cancelled; the rest are reserved and can be paid
+    await transitionOrder(order, 'pending', {
+      session,
+      changedBy,
+      reason: 'Backordered items were cancelled'
+    });
+  }
+
+  return { order, refund, adjustedItems: refundItems };
+};
+
+// Refunds a paid order that has not shipped yet as a whole, inside the given session.
+// Every remaining unit is cancelled like an item cancellation, so its stock goes back to
+// where it was allocated from, a Refund records the money paid back, and the order moves
+// to refunded. The caller is responsible for saving the order.
+// Returns { order, refund, adjustedItems }, like adjustOrderItems.
+const refundOrder = async (order, { session, changedBy, reason }) => {
+  const requested = order.items
+    .filter((item) => remainingQuantity(item) > 0)
+    .map((item) => ({ product_id: item.product_id, variant_id: item.variant_id, quantity: remainingQuantity(item) }));
+  return adjustOrderItems(order, requested, { type: 'cancellation', session, changedBy, reason });
+};
+
+module.exports = {
+  CANCELLABLE_STATUSES,
+  RETURNABLE_STATUSES,
+  RESTOCK_TARGETS,
+  adjustOrderItems,
+  refundOrder
+};
@@ -0,0 +1,265 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');       // Import the Order Model
+const Product = require('../models/Product');   // Import the Product Model
+const Customer = require('../models/Customer'); // Import the Customer Model
+const { hasVariants, findVariant, availableUnits, recordStockLowIfCrossed } = require('./inventory');
+const { recordOrderEvent } = require('./outbox'); // Domain events for webhooks
+const { redeemPromotions } = require('./promotions'); // Discounts and coupons
+const { priceOrder } = require('./pricing'); // Discounts and tax
+const { allocateOrder } = require('./allocation'); // Which warehouses the units come from
+const { customerForUser, shippingAddressFor } = require('./customers');
+const { isStaff } = require('../middleware/auth');
+const { RESERVATION_TTL_MINUTES, DEFAULT_TAX_REGION } = require('../config/settings');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError, UnprocessableError } = require('../utils/errors');
+
+const normalizeSku = (sku) => String(sku).trim().toUpperCase();
+
+// Finds the products of all the items of an order with a single query inside the given session.
+// An item can name its variant by SKU alone, in which case the SKU identifies the product.
+const findOrderedProducts = async (items, session) => {
+  const ids = [...new Set(items.filter((item) => item.product_id).map((item) => String(item.product_id)))];
+  const skus = [...new Set(items.filter((item) => !item.product_id && item.sku).map((item) => normalizeSku(item.sku)))];
+
+  const conditions = [];
+  if (ids.length) conditions.push({ _id: { $in: ids } });
+  if (skus.length) conditions.push({ 'variants.sku': { $in: skus } });
+  if (conditions.length === 0) {
+    return [];
+  }
+  return Product.find(conditions.length === 1 ? conditions[0] : { $or: conditions }).session(session);
+};
+
+// Matches each item of an order to its product (and variant), merging the items that order
+// the same product or variant into one line. Lines keep the order of their first item.
+const resolveOrderLines = (items, products) => {
+  const lines = new Map();
+
+  for (const item of items) {
+    const product = item.product_id
+      ? products.find((candidate) => String(candidate._id) === String(item.product_id))
+      : item.sku && products.find((candidate) => findVariant(candidate, { sku: item.sku }));
+
+    if (!product) {
+      throw new NotFoundError(item.product_id || !item.sku
+        ? `Product with ID ${item.product_id} not found.`
+        : `Product with SKU ${item.sku} not found.`);
+    }
+    if (product.archived_at) {
+      throw new UnprocessableError(`Product ${product.name} is archived and can no longer be ordered.`);
+    }
+
+    // Products with variants are sold per variant: stock, reservation and price come from the variant
+    let variant;
+    if (hasVariants(product)) {
+      if (!item.variant_id && !item.sku) {
+        throw new ValidationError(`Product ${product.name} has variants. Please provide a variant_id or sku.`);
+      }
+      variant = findVariant(product, { variantId: item.variant_id, sku: item.sku });
+      if (!variant) {
+        throw new NotFoundError(`Variant ${item.variant_id || item.sku} not found for product: ${product.name}.`);
+      }
+    }
+
+    const key = `${product._id}:${variant ? variant._id : ''}`;
+    const line = lines.get(key);
+    if (line) {
+      line.quantity += item.quantity;
+    } else {
+      lines.set(key, { product, variant, quantity: item.quantity });
+    }
+  }
+  return [...lines.values()];
+};
+
+// The bulkWrite operation that reserves a line's units and counts its backordered ones.
+// The filter only matches while the units are still available, so stock that another
+// order took since the products were read is never reserved twice.
+const reserveOperation = ({ product, variant, reserve, outstanding }) => {
+  const filter = { _id: product._id };
+  const inc = {};
+  if (reserve) inc.reserved = reserve;
+  if (outstanding) inc.backordered = outstanding;
+
+  if (variant) {
+    // The variant must still hold the units that were read, so its stock covers the new reservation
+    filter.variants = {
+      $elemMatch: reserve
+        ? { _id: variant._id, reserved: variant.reserved, stock: { $gte: variant.reserved + reserve } }
+        : { _id: variant._id }
+    };
+    if (reserve) inc['variants.$.reserved'] = reserve;
+    if (outstanding) inc['variants.$.backordered'] = outstanding;
+  } else if (reserve) {
+    filter.$expr = { $gte: [{ $subtract: ['$stock', '$reserved'] }, reserve] };
+  }
+
+  return { updateOne: { filter, update: { $inc: inc } } };
+};
+
+// Places one order inside the given session, for the user placing it:
+//   items                             [{ product_id and/or variant_id or sku, quantity }]
+//   coupon_code, region               optional; the region defaults to DEFAULT_TAX_REGION
+//   customer_id                       optional, staff only: place the order for that customer
+//   shipping_address_id or
+//   shipping_address                  optional; defaults to the customer's default shipping address
+// All the products are read with one query and all the units reserved with one bulkWrite.
+// Products in backorder or pre-order mode can be ordered beyond their available stock; the
+// order is then backordered until the rest arrives. Returns the saved order.
+const createOrder = async (orderRequest, { user, session }) => {
+  const { items, coupon_code, region, customer_id, shipping_address_id, shipping_address } = orderRequest;
+
+  const products = await findOrderedProducts(items, session);
+  const lines = resolveOrderLines(items, products);
+
+  let currency;
+  for (const line of lines) {
+    const { product, variant, quantity } = line;
+    const stockHolder = variant || product;
+    const label = variant ? `${product.name} (${variant.sku})` : product.name;
+
+    // Every amount on an order is in one currency
+    currency = currency || product.currency;
+    if (product.currency !== currency) {
+      throw new UnprocessableError(`All items of an order must be priced in the same currency. ${label} is priced in ${product.currency}, not ${currency}.`);
+    }
+
+    // Units already reserved by other pending orders cannot be sold again
+    const available = stockHolder.stock - stockHolder.reserved;
+    let outstanding = 0;
+    if (available < quantity) {
+      if (!product.backorder_mode || product.backorder_mode === 'none') {
+        throw new ConflictError(`Insufficient stock for product: ${label}. Available: ${available}, Requested: ${quantity}`);
+      }
+      // Products taking backorders or pre-orders sell what is available and wait for the rest
+      outstanding = quantity - Math.max(available, 0);
+      const waiting = stockHolder.backordered || 0;
+      if (product.backorder_limit != null && waiting + outstanding > product.backorder_limit) {
+        const left = Math.max(product.backorder_limit - waiting, 0);
+        throw new ConflictError(`Insufficient stock for product: ${label}. Available: ${Math.max(available, 0)}, and only ${left} more can be backordered. Requested: ${quantity}`);
+      }
+    }
+    Object.assign(line, { outstanding, reserve: quantity - outstanding, availableBefore: availableUnits(stockHolder) });
+  }
+
+  // Reserve the units of every line at once. Stock itself is only decremented
+  // once the order is paid (see services/orderStatus.js).
+  const result = await Product.bulkWrite(lines.map(reserveOperation), { session, ordered: true });
+  if (result.matchedCount !== lines.length) {
+    throw new ConflictError('The stock of a product on this order changed while it was being placed. Please try again.');
+  }
+
+  const orderItemsWithDetails = [];
+  for (const { product, variant, quantity, outstanding, reserve, availableBefore } of lines) {
+    // Keep the documents in step with the update, for the stock_low check and the order lines
+    for (const holder of variant ? [variant, product] : [product]) {
+      holder.reserved += reserve;
+      holder.backordered = (holder.backordered || 0) + outstanding;
+    }
+    await recordStockLowIfCrossed({ product, variant, availableBefore, session });
+
+    const price = variant && variant.price != null ? variant.price : product.price;
+    // Kept on the line so margins can be reported later, whatever the cost becomes
+    const cost = variant && variant.average_cost != null ? variant.average_cost : product.average_cost;
+
+    // Prepare item details to be saved in the Order document
+    orderItemsWithDetails.push({
+      product_id: product._id,
+      name: product.name,
+      variant_id: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : undefined,
+      variant_attributes: variant ? variant.attributes : undefined,
+      price_at_order: price,
+      cost_at_order: cost != null ? cost : undefined,
+      quantity,
+      tax_category: product.tax_category,
+      outstanding_quantity: outstanding,
+      expected_at: outstanding > 0 && product.backorder_mode === 'preorder' ? product.available_at : undefined
+    });
+  }
+
+  // An order that waits for stock is backordered, with the fulfilled and outstanding units on every line
+  const backordered = orderItemsWithDetails.some((item) => item.outstanding_quantity > 0);
+  orderItemsWithDetails.forEach((item) => {
+    if (backordered) {
+      item.fulfilled_quantity = item.quantity - item.outstanding_quantity;
+    } else {
+      delete item.outstanding_quantity;
+    }
+  });
+
+  // Pick the warehouses the reserved units come from and hold them there as well
+  const allocation = await allocateOrder(orderItemsWithDetails.map((item) => (
+    { ...item, quantity: item.quantity - (item.outstanding_quantity || 0) }
+  )), { session });
+  if (allocation) {
+    orderItemsWithDetails.forEach((item, index) => { item.allocations = allocation.allocations[index]; });
+  }
+
+  // The order is for the customer of the account placing it, unless staff place it for
+  // another customer. The address it ships to is copied onto the order.
+  let customer;
+  if (customer_id) {
+    if (!isStaff(user)) {
+      throw new ForbiddenError('Customers can only place orders for themselves.');
+    }
+    customer = mongoose.isValidObjectId(customer_id) ? await Customer.findById(customer_id, null, { session }) : null;
+    if (!customer) {
+      throw new NotFoundError('Customer not found');
+    }
+  } else {
+    customer = await customerForUser(user, { session });
+  }
+  const shippingAddress = shippingAddressFor(customer, { addressId: shipping_address_id, address: shipping_address });
+
+  // Apply automatic promotions, the customer's coupon and tax to get the price breakdown
+  const taxRegion = region ? String(region).trim().toUpperCase() : DEFAULT_TAX_REGION;
+  const pricing = await priceOrder({
+    items: orderItemsWithDetails,
+    currency,
+    region: taxRegion,
+    couponCode: coupon_code,
+    customer: customer ? customer._id : undefined, // Per-customer promotion limits are counted on the customer
+    session
+  });
+
+  // Create the new order document within the transaction
+  const newOrder = new Order({
+    user: user._id,
+    customer: customer ? customer._id : undefined,
+    shipping_address: shippingAddress,
+    items: pricing.items,
+    currency,
+    region: taxRegion || undefined,
+    subtotal: pricing.subtotal,
+    discounts: pricing.discounts,
+    discount_total: pricing.discount_total,
+    tax_total: pricing.tax_total,
+    total_price: pricing.total,
+    status: backordered ? 'backordered' : 'pending',
+    status_history: [{
+      from: null,
+      to: backordered ? 'backordered' : 'pending',
+      changed_by: user._id,
+      reason: backordered ? 'Order placed with backordered items' : 'Order placed'
+    }],
+    // A backordered order's reservation only starts to expire once every unit is reserved
+    reservation: {
+      status: 'active',
+      expires_at: backordered ? undefined : new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000)
+    },
+    allocation_strategy: allocation ? allocation.strategy : undefined
+  });
+
+  const savedOrder = await newOrder.save({ session }); // Save the new order within the session
+
+  // Count the discounts against their promotions in the same transaction as the order,
+  // so a promotion with a usage cap cannot be used more often than allowed
+  await redeemPromotions(savedOrder, { session });
+
+  // Published only if the order is committed
+  await recordOrderEvent('order.placed', savedOrder, { session });
+
+  return savedOrder;
+};
+
+module.exports = { createOrder };
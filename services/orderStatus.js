@@ -0,0 +1,206 @@
+const { changeStock } = require('./inventory'); // All stock changes go through the inventory ledger
+const { releasePromotions } = require('./promotions');
+const { remainingQuantity } = require('./pricing');
+const { recordOrderEvent } = require('./outbox'); // Status changes are published to webhooks
+const { unitsByWarehouse } = require('./allocation');
+const { RESERVATION_TTL_MINUTES } = require('../config/settings');
+const { ConflictError } = require('../utils/errors');
+
+// Every status an order can be in, in the order of a normal fulfilment flow.
+// An order that waits for stock starts out backordered instead of pending.
+const ORDER_STATUSES = ['backordered', 'pending', 'paid', 'picking', 'shipped', 'delivered', 'cancelled', 'refunded'];
+
+// The single source of truth for the order lifecycle.
+// Each key is the current status and maps to the statuses it may move to next,
+// together with the side effect (or list of side effects) that belongs to that transition.
+// Terminal statuses (cancelled, refunded) have no outgoing transitions, so every
+// side effect can run at most once per order.
+const TRANSITIONS = {
+  backordered: {
+    pending: { effect: 'startReservationClock' }, // Every unit is in stock, so the order can now be paid
+    cancelled: { effect: ['releaseReservation', 'releaseBackorder', 'releasePromotions'] }
+  },
+  pending: {
+    paid: { effect: 'commitReservation' },      // Reserved units become a real stock decrement
+    cancelled: { effect: ['releaseReservation', 'releasePromotions'] } // Reserved units and used promotions are given back
+  },
+  paid: {
+    picking: {},
+    refunded: { effect: 'restock' }             // Goods never left the warehouse (see refundOrder, which records the Refund)
+  },
+  picking: {
+    shipped: {},
+    refunded: { effect: 'restock' }
+  },
+  shipped: {
+    delivered: {}
+  },
+  delivered: {
+    refunded: {}                                // Goods are with the customer, returns are handled separately
+  },
+  cancelled: {},
+  refunded: {}
+};
+
+// Orders that are not cancelled or refunded yet. Their units can still move stock: a reservation
+// is released, a refund restocks, and delivered goods can be returned.
+const OPEN_ORDER_STATUSES = ORDER_STATUSES.filter((status) => Object.keys(TRANSITIONS[status]).length > 0);
+
+// The order's items with the units that were not cancelled or returned yet, split by
+// the warehouse they were allocated from, so stock moves back at the right location.
+// Units taken off a line earlier already had their stock handled at that point, and
+// units still waiting for stock (backorders) were never reserved.
+const remainingItems = (order) => order.items.flatMap((item) => (
+  unitsByWarehouse(item, 0, remainingQuantity(item) - (item.outstanding_quantity || 0))
+    .map(({ warehouseId, quantity }) => ({ item, warehouseId, quantity }))
+));
+
+// Puts the order's units back into stock.
+const restock = async (order, { session, changedBy }) => {
+  for (const { item, warehouseId, quantity } of remainingItems(order)) {
+    await changeStock({
+      productId: item.product_id,
+      variantId: item.variant_id,
+      warehouseId,
+      delta: quantity, // Restore the stock
+      reason: 'order_restock',
+      orderId: order._id,
+      user: changedBy,
+      session
+    });
+  }
+};
+
+// Side effects, keyed by the name used in TRANSITIONS.
+const EFFECTS = {
+  // Turns the reservation into a real decrement: the units leave both stock and reserved.
+  commitReservation: async (order, context) => {
+    if (!order.reservation || order.reservation.status !== 'active') {
+      return; // Orders placed before reservations existed already had their stock taken
+    }
+    for (const { item, warehouseId, quantity } of remainingItems(order)) {
+      await changeStock({
+        productId: item.product_id,
+        variantId: item.variant_id,
+        warehouseId,
+        delta: -quantity,
+        reservedDelta: -quantity,
+        reason: 'order_paid',
+        orderId: order._id,
+        user: context.changedBy,
+        session: context.session
+      });
+    }
+    order.reservation.status = 'committed';
+  },
+
+  // Gives reserved units back without touching stock.
+  releaseReservation: async (order, context) => {
+    if (!order.reservation || order.reservation.status !== 'active') {
+      // Orders placed before reservations existed had their stock decremented directly
+      return restock(order, context);
+    }
+    for (const { item, warehouseId, quantity } of remainingItems(order)) {
+      await changeStock({
+        productId: item.product_id,
+        variantId: item.variant_id,
+        warehouseId,
+        reservedDelta: -quantity,
+        session: context.session
+      });
+    }
+    order.reservation.status = 'released';
+  },
+
+  // Gives up the units a backordered order is still waiting for, so they no longer count
+  // against the product's backorder limit or get filled when stock arrives.
+  releaseBackorder: async (order, context) => {
+    for (const item of order.items) {
+      if (!item.outstanding_quantity) continue;
+      await changeStock({
+        productId: item.product_id,
+        variantId: item.variant_id,
+        backorderedDelta: -item.outstanding_quantity,
+        session: context.session
+      });
+    }
+  },
+
+  // A backordered order has had every unit reserved: from now on it has to be paid
+  // within the reservation window, like an order that was in stock when it was placed.
+  startReservationClock: async (order) => {
+    if (order.items.some((item) => item.outstanding_quantity > 0)) {
+      throw new ConflictError('The order is still waiting for backordered units.');
+    }
+    order.reservation = {
+      status: 'active',
+      expires_at: new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000)
+    };
+  },
+
+  restock,
+  releasePromotions
+};
+
+// Whether moving from one status to another gives units back to stock (or stops reserving
+// them), so orders waiting for those units can be filled afterwards.
+const releasesStock = (from, to) => [].concat((TRANSITIONS[from][to] || {}).effect || [])
+  .some((name) => name === 'releaseReservation' || name === 'restock');
+
+// Returns the list of statuses an order in `from` may move to.
+const allowedTransitions = (from) => Object.keys(TRANSITIONS[from] || {});
+
+// Checks whether moving from one status to another is allowed.
+const canTransition = (from, to) => allowedTransitions(from).includes(to);
+
+// Moves an order to a new status inside the given session.
+// `changedBy` is the id of the user making the change; omit it for system changes.
+// Applies the side effects of the transition, appends an entry to the order's
+// status_history and publishes order.status_changed in the same session.
+// The caller is responsible for saving the order.
+const transitionOrder = async (order, to, { session, changedBy, reason } = {}) => {
+  const from = order.status;
+
+  if (!canTransition(from, to)) {
+    const allowed = allowedTransitions(from);
+    // Conflict with the current state of the order
+    throw new ConflictError(
+      `Cannot change order status from '${from}' to '${to}'. ` +
+      (allowed.length ? `Allowed: ${allowed.join(', ')}` : `'${from}' is a final status.`)
+    );
+  }
+
+  const { effect } = TRANSITIONS[from][to];
+
+  for (const name of [].concat(effect || [])) {
+    await EFFECTS[name](order, { session, changedBy });
+  }
+
+  // Record who moved the order, when and why
+  order.status_history = order.status_history || [];
+  order.status_history.push({
+    from,
+    to,
+    changed_by: changedBy, // Left empty for changes made by the system
+    reason,
+    changed_at: new Date()
+  });
+  order.status = to;
+
+  await recordOrderEvent('order.status_changed', order, {
+    session,
+    data: { from, to, changed_by: changedBy, reason }
+  });
+
+  return order;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  OPEN_ORDER_STATUSES,
+  TRANSITIONS,
+  allowedTransitions,
+  canTransition,
+  releasesStock,
+  transitionOrder
+};
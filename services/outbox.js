@@ -0,0 +1,61 @@
+const OutboxEvent = require('../models/OutboxEvent'); // Import the OutboxEvent Model
+
+// Writes a domain event to the outbox inside the caller's transaction, so it is
+// committed or rolled back together with the change it describes. The webhook
+// dispatcher delivers it from there (see services/webhookDispatcher.js).
+const recordEvent = (type, { aggregateType, aggregateId, data }, { session }) => OutboxEvent.create([{
+  type,
+  aggregate_type: aggregateType,
+  aggregate_id: aggregateId,
+  data
+}], { session });
+
+// What webhooks are told about an order.
+const orderEventData = (order) => ({
+  order_id: order._id,
+  user: order.user,
+  status: order.status,
+  currency: order.currency,
+  total_price: order.total_price,
+  items: (order.items || []).map((item) => ({
+    product_id: item.product_id,
+    variant_id: item.variant_id,
+    sku: item.sku,
+    quantity: item.quantity,
+    cancelled_quantity: item.cancelled_quantity || 0,
+    returned_quantity: item.returned_quantity || 0
+  }))
+});
+
+// What webhooks are told about a product.
+const productEventData = (product) => ({
+  product_id: product._id,
+  name: product.name,
+  price: product.price,
+  currency: product.currency,
+  stock: product.stock,
+  reserved: product.reserved,
+  variants: (product.variants || []).map((variant) => ({
+    variant_id: variant._id,
+    sku: variant.sku,
+    price: variant.price,
+    stock: variant.stock,
+    reserved: variant.reserved
+  }))
+});
+
+// Records an order event.
+const recordOrderEvent = (type, order, { session, data }) => recordEvent(type, {
+  aggregateType: 'order',
+  aggregateId: order._id,
+  data: { ...orderEventData(order), ...data }
+}, { session });
+
+// Records a product event.
+const recordProductEvent = (type, product, { session, data }) => recordEvent(type, {
+  aggregateType: 'product',
+  aggregateId: product._id,
+  data: { ...productEventData(product), ...data }
+}, { session });
+
+module.exports = { recordEvent, recordOrderEvent, recordProductEvent };
@@ -0,0 +1,78 @@
+const { applyPromotions, lineSubtotal } = require('./promotions');
+const { loadTaxRules } = require('./tax');
+const { applyRate, divideRoundHalfUp } = require('../utils/money');
+
+// Units of an order line that were cancelled or returned after the order was placed.
+const removedQuantity = (item) => (item.cancelled_quantity || 0) + (item.returned_quantity || 0);
+
+// Units of an order line the customer still has (or will receive).
+const remainingQuantity = (item) => item.quantity - removedQuantity(item);
+
+// The share of an order line's amounts that belongs to its first `units` units.
+// Discount and tax are shared out on the running count of units, rounding half up,
+// so a line that is refunded in several parts always adds up to exactly what was
+// charged for it.
+const lineAmounts = (item, units) => {
+  const subtotal = item.price_at_order * units;
+  const discount = divideRoundHalfUp((item.discount || 0) * units, item.quantity);
+  const tax = divideRoundHalfUp((item.tax || 0) * units, item.quantity);
+
+  return { subtotal, discount, tax, total: subtotal - discount + tax };
+};
+
+// Adds up an order's breakdown from its items and discount lines. All amounts are
+// integer minor units, so the totals are exact sums of what each line shows.
+// Items without a tax amount (orders placed before tax existed) count as untaxed.
+// `remaining` is the total less the value of every cancelled or returned unit.
+const calculateTotals = (items, discounts = []) => {
+  const subtotal = items.reduce((sum, item) => sum + lineSubtotal(item), 0);
+  const discountTotal = discounts.reduce((sum, discount) => sum + discount.amount, 0);
+  const taxTotal = items.reduce((sum, item) => sum + (item.tax || 0), 0);
+  const total = subtotal - discountTotal + taxTotal;
+  const removedTotal = items.reduce((sum, item) => sum + lineAmounts(item, removedQuantity(item)).total, 0);
+
+  return {
+    subtotal,
+    discount_total: discountTotal,
+    tax_total: taxTotal,
+    total,
+    remaining: total - removedTotal
+  };
+};
+
+// Works out the full price breakdown of an order inside the transaction.
+// Discounts come first; each line is then taxed on what it costs after its share of
+// the discounts, at the rate for its tax category in the order's region. Tax is
+// rounded half up once per line, so an invoice that lists the lines adds up exactly.
+// Returns the items with their discount, tax_rate and tax, the discount lines and the totals.
+const priceOrder = async ({ items, currency, region, couponCode, customer, session }) => {
+  const { discounts, lineDiscounts } = await applyPromotions({ items, currency, couponCode, customer, session });
+  const taxRuleFor = await loadTaxRules({
+    region,
+    categories: items.map((item) => item.tax_category),
+    session
+  });
+
+  const pricedItems = items.map((item, index) => {
+    const rule = taxRuleFor(item.tax_category);
+    const rate = rule ? rule.rate : 0;
+    const discount = lineDiscounts[index];
+
+    return {
+      ...item,
+      discount,
+      tax_rate: rate,
+      tax: applyRate(lineSubtotal(item) - discount, rate)
+    };
+  });
+
+  return { items: pricedItems, discounts, ...calculateTotals(pricedItems, discounts) };
+};
+
+module.exports = {
+  removedQuantity,
+  remainingQuantity,
+  lineAmounts,
+  calculateTotals,
+  priceOrder
+};
@@ -0,0 +1,63 @@
+const { pipeline } = require('stream/promises');
+const { stringify } = require('csv-stringify/sync');
+const Product = require('../models/Product'); // Import the Product Model
+const { hasVariants } = require('./inventory');
+const { PRODUCT_ROW_COLUMNS, formatAttributes } = require('./productImport');
+
+// Turns a product into rows of the import format: one row for a product
+// without variants, or one row per variant.
+const productToRows = (product) => {
+  const productFields = {
+    name: product.name,
+    price: product.price,
+    currency: product.currency,
+    tax_category: product.tax_category
+  };
+
+  if (!hasVariants(product)) {
+    return [{ ...productFields, stock: product.stock }];
+  }
+  return product.variants.map((variant) => ({
+    ...productFields,
+    stock: variant.stock,
+    sku: variant.sku,
+    variant_price: variant.price,
+    attributes: formatAttributes(variant.attributes)
+  }));
+};
+
+// The export of the products read from the cursor, chunk by chunk, as CSV or JSON.
+async function* exportChunks(cursor, format) {
+  if (format === 'csv') {
+    yield stringify([PRODUCT_ROW_COLUMNS]);
+    for await (const product of cursor) {
+      yield stringify(productToRows(product).map((row) => PRODUCT_ROW_COLUMNS.map((column) => row[column])));
+    }
+    return;
+  }
+
+  let first = true;
+  yield '[';
+  for await (const product of cursor) {
+    for (const row of productToRows(product)) {
+      yield `${first ? '' : ','}\n${JSON.stringify(row)}`;
+      first = false;
+    }
+  }
+  yield '\n]\n';
+}
+
+// Streams the whole catalogue to the response as CSV or JSON, leaving out archived products.
+// Products are read through a cursor, so only one is held in memory at a time, and no faster
+// than the client takes them. If the client goes away, the pipeline stops and rejects, and
+// the cursor is closed either way.
+const streamProducts = async (res, format) => {
+  const cursor = Product.find({ archived_at: null }).sort({ name: 1 }).lean().cursor();
+  try {
+    await pipeline(exportChunks(cursor, format), res);
+  } finally {
+    await cursor.close();
+  }
+};
+
+module.exports = { productToRows, streamProducts };
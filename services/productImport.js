@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+const { parse } = require('csv-parse/sync');
+const Product = require('../models/Product'); // Import the Product Model
+const { recordStockMovement, recordStockLowIfCrossed, availableUnits, hasVariants, findVariant } = require('./inventory');
+const { recordProductEvent } = require('./outbox'); // Imported changes are published to webhooks like any other
+const { fillBackorders } = require('./backorders'); // Imported units go to waiting orders first
+const { IMPORT_BATCH_SIZE } = require('../config/settings');
+
+// The columns of the flat row format shared by import and export.
+// A row without a sku is a product without variants; a row with a sku is one variant.
+// Prices are in minor units (e.g. cents) of the product's currency.
+const PRODUCT_ROW_COLUMNS = ['name', 'price', 'stock', 'sku', 'variant_price', 'attributes', 'currency', 'tax_category'];
+
+// Product-level fields a row can set. On a variant row they apply to the variant's product.
+const PRODUCT_FIELDS = ['price', 'currency', 'tax_category'];
+
+// An error about one row that is reported back to the client instead of failing the import.
+class RowError extends Error {}
+
+// Parses 'size=M;colour=Red' into { size: 'M', colour: 'Red' }.
+const parseAttributes = (value) => {
+  if (value && typeof value === 'object') return value;
+  if (!value) return undefined;
+
+  return String(value).split(';').reduce((attributes, pair) => {
+    const [key, ...rest] = pair.split('=');
+    if (key.trim()) attributes[key.trim()] = rest.join('=').trim();
+    return attributes;
+  }, {});
+};
+
+// Formats { size: 'M', colour: 'Red' } (or the equivalent Map) as 'colour=Red;size=M'.
+// Keys are sorted so the same attributes always produce the same text.
+const formatAttributes = (attributes) => {
+  const entries = attributes instanceof Map ? [...attributes] : Object.entries(attributes || {});
+  return entries
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join(';');
+};
+
+// Turns the request body into an array of raw rows.
+// CSV arrives as text with a header line; JSON as an array or { products: [...] }.
+const parseImportBody = (body, format) => {
+  if (format === 'csv') {
+    if (typeof body !== 'string' || !body.trim()) {
+      throw new RowError('The CSV body is empty.');
+    }
+    return parse(body, { columns: true, skip_empty_lines: true, trim: true });
+  }
+
+  const rows = Array.isArray(body) ? body : body && body.products;
+  if (!Array.isArray(rows)) {
+    throw new RowError('The JSON body must be an array of products or { "products": [...] }.');
+  }
+  return rows;
+};
+
+// Reads an optional number column. Empty values count as not given.
+const readNumber = (row, column, errors, { integer = false } = {}) => {
+  const value = row[column];
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const number = Number(value);
+  if (Number.isNaN(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    errors.push(`${column} must be a ${integer ? 'whole number' : 'number'} of 0 or more.`);
+    return undefined;
+  }
+  return number;
+};
+
+// Checks one raw row and normalises it.
+// Returns { row, errors }; the row is only usable when errors is empty.
+const validateRow = (raw) => {
+  const errors = [];
+  const row = {
+    name: raw.name ? String(raw.name).trim() : undefined,
+    sku: raw.sku ? String(raw.sku).trim().toUpperCase() : undefined,
+    price: readNumber(raw, 'price', errors, { integer: true }),
+    stock: readNumber(raw, 'stock', errors, { integer: true }),
+    variant_price: readNumber(raw, 'variant_price', errors, { integer: true }),
+    attributes: parseAttributes(raw.attributes),
+    currency: raw.currency ? String(raw.currency).trim().toUpperCase() : undefined,
+    tax_category: raw.tax_category ? String(raw.tax_category).trim().toLowerCase() : undefined
+  };
+
+  if (row.currency && !/^[A-Z]{3}$/.test(row.currency)) {
+    errors.push('currency must be a three-letter ISO 4217 code.');
+  }
+
+  if (!row.name && !row.sku) {
+    errors.push('Each row needs a name or a sku.');
+  }
+  if (!row.sku && (row.variant_price !== undefined || row.attributes)) {
+    errors.push('variant_price and attributes can only be set on a row with a sku.');
+  }
+
+  return { row, errors };
+};
+
+// The product-level fields a row sets, for creating a product.
+const productFieldsOf = (row) => PRODUCT_FIELDS.reduce((fields, field) => {
+  if (row[field] !== undefined) fields[field] = row[field];
+  return fields;
+}, {});
+
+// Lists the product-level fields a row would change on an existing product.
+const changedProductFields = (product, row) => PRODUCT_FIELDS.filter((field) => (
+  row[field] !== undefined && row[field] !== product[field]
+));
+
+// Records a stock change made by the import in the inventory ledger.
+const recordImportMovement = ({ product, variant, delta, reason = 'import', user, session }) => recordStockMovement({
+  productId: product._id,
+  variant,
+  delta,
+  balanceAfter: product.stock,
+  reason,
+  user,
+  session
+});
+
+// Archived products keep their name and skus, but an import leaves them alone until they are restored.
+const rejectArchived = (product) => {
+  if (product.archived_at) {
+    throw new RowError(`${product.name} is archived; restore it before importing it.`);
+  }
+};
+
+// Applies a row without a sku: creates or updates a product without variants, matched by name.
+const applyProductRow = async (row, { session, user }) => {
+  const product = await Product.findOne({ name: row.name }).session(session);
+
+  if (!product) {
+    if (row.price === undefined) {
+      throw new RowError('price is required to create a product.');
+    }
+    const [created] = await Product.create([{ name: row.name, ...productFieldsOf(row), stock: row.stock || 0 }], { session });
+    if (created.stock > 0) {
+      await recordImportMovement({ product: created, delta: created.stock, reason: 'initial_stock', user, session });
+    }
+    await recordProductEvent('product.created', created, { session });
+    return 'created';
+  }
+  rejectArchived(product);
+
+  if (row.stock !== undefined && hasVariants(product)) {
+    throw new RowError(`${product.name} has variants; import its stock per sku.`);
+  }
+  if (row.stock !== undefined && row.stock < product.reserved) {
+    throw new RowError(`stock cannot be set below the reserved quantity (${product.reserved}).`);
+  }
+
+  const delta = row.stock !== undefined ? row.stock - product.stock : 0;
+  const changedFields = changedProductFields(product, row);
+  if (delta === 0 && changedFields.length === 0) {
+    return 'unchanged';
+  }
+
+  const availableBefore = availableUnits(product);
+  changedFields.forEach((field) => { product[field] = row[field]; });
+  if (delta !== 0) product.stock = row.stock;
+  await product.save({ session });
+
+  if (delta !== 0) {
+    await recordImportMovement({ product, delta, user, session });
+    await recordStockLowIfCrossed({ product, availableBefore, session });
+  }
+  if (delta > 0) {
+    await fillBackorders(product, { session, changedBy: user });
+  }
+  await recordProductEvent('product.updated', product, { session });
+  return 'updated';
+};
+
+// Applies a row with a sku: creates or updates that variant.
+// The variant is matched by sku first, then its product by name.
+const applyVariantRow = async (row, { session, user }) => {
+  let product = await Product.findOne({ 'variants.sku': row.sku }).session(session);
+
+  if (product && row.name && product.name !== row.name) {
+    throw new RowError(`sku ${row.sku} already belongs to ${product.name}.`);
+  }
+  if (product) rejectArchived(product);
+
+  if (!product) {
+    product = row.name ? await Product.findOne({ name: row.name }).session(session) : null;
+
+    if (!product) {
+      if (!row.name || row.price === undefined) {
+        throw new RowError('name and price are required to create a product.');
+      }
+      const [created] = await Product.create([{
+        name: row.name,
+        ...productFieldsOf(row),
+        variants: [{ sku: row.sku, attributes: row.attributes, price: row.variant_price, stock: row.stock || 0 }]
+      }], { session });
+      if (created.stock > 0) {
+        await recordImportMovement({ product: created, variant: created.variants[0], delta: created.stock, reason: 'initial_stock', user, session });
+      }
+      await recordProductEvent('product.created', created, { session });
+      return 'created';
+    }
+    rejectArchived(product);
+
+    // Product-level stock cannot be split between variants automatically
+    if (!hasVariants(product) && (product.stock > 0 || product.reserved > 0)) {
+      throw new RowError(`${product.name} still holds stock without variants; set it to 0 before importing variants.`);
+    }
+    changedProductFields(product, row).forEach((field) => { product[field] = row[field]; });
+    product.variants.push({ sku: row.sku, attributes: row.attributes, price: row.variant_price, stock: row.stock || 0 });
+    const variant = product.variants[product.variants.length - 1];
+    await product.save({ session });
+    if (variant.stock > 0) {
+      await recordImportMovement({ product, variant, delta: variant.stock, reason: 'initial_stock', user, session });
+    }
+    await recordProductEvent('product.updated', product, { session });
+    return 'created';
+  }
+
+  const variant = findVariant(product, { sku: row.sku });
+  if (row.stock !== undefined && row.stock < variant.reserved) {
+    throw new RowError(`stock cannot be set below the reserved quantity (${variant.reserved}).`);
+  }
+
+  const delta = row.stock !== undefined ? row.stock - variant.stock : 0;
+  const changedFields = changedProductFields(product, row);
+  const variantPriceChanged = row.variant_price !== undefined && row.variant_price !== variant.price;
+  const attributesChanged = row.attributes !== undefined &&
+    formatAttributes(row.attributes) !== formatAttributes(variant.attributes);
+  if (delta === 0 && changedFields.length === 0 && !variantPriceChanged && !attributesChanged) {
+    return 'unchanged';
+  }
+
+  const availableBefore = availableUnits(variant);
+  changedFields.forEach((field) => { product[field] = row[field]; });
+  if (variantPriceChanged) variant.price = row.variant_price;
+  if (attributesChanged) variant.attributes = row.attributes;
+  if (delta !== 0) variant.stock = row.stock;
+  await product.save({ session }); // The product's stock total is recalculated on save
+
+  if (delta !== 0) {
+    await recordImportMovement({ product, variant, delta, user, session });
+    await recordStockLowIfCrossed({ product, variant, availableBefore, session });
+  }
+  if (delta > 0) {
+    await fillBackorders(product, { variantId: variant._id, session, changedBy: user });
+  }
+  await recordProductEvent('product.updated', product, { session });
+  return 'updated';
+};
+
+// Validates every row, then applies the valid ones in batches of IMPORT_BATCH_SIZE,
+// one transaction per batch. A dry run applies all the rows in one transaction and rolls
+// it back, so rows still see the changes of earlier rows and the report shows exactly
+// what would happen without writing anything.
+// Returns a per-row report plus totals.
+const importProducts = async (rawRows, { dryRun = false, user, batchSize = IMPORT_BATCH_SIZE } = {}) => {
+  // Row numbers are 1-based, as in a spreadsheet without its header line
+  const results = rawRows.map((raw, index) => {
+    const { row, errors } = validateRow(raw);
+    return { line: index + 1, row, errors };
+  });
+  const validRows = results.filter((result) => result.errors.length === 0);
+  const rowsPerTransaction = dryRun ? validRows.length : batchSize;
+
+  for (let start = 0; start < validRows.length; start += rowsPerTransaction) {
+    const batch = validRows.slice(start, start + rowsPerTransaction);
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      for (const result of batch) {
+        try {
+          const { row } = result;
+          result.action = row.sku
+            ? await applyVariantRow(row, { session, user })
+            : await applyProductRow(row, { session, user });
+        } catch (error) {
+          // Row errors are raised before anything is written, so the batch can carry on
+          if (!(error instanceof RowError)) throw error;
+          result.errors.push(error.message);
+        }
+      }
+
+      if (dryRun) {
+        await session.abortTransaction();
+      } else {
+        await session.commitTransaction();
+      }
+    } catch (error) {
+      // Anything unexpected rolls back the whole batch
+      await session.abortTransaction();
+      for (const result of batch) {
+        delete result.action;
+        result.errors.push(`Batch rolled back: ${error.message}`);
+      }
+    } finally {
+      session.endSession();
+    }
+  }
+
+  const report = results.map(({ line, action, errors }) => (
+    errors.length ? { row: line, status: 'error', errors } : { row: line, status: action }
+  ));
+  const count = (status) => report.filter((entry) => entry.status === status).length;
+
+  return {
+    dry_run: dryRun,
+    total: report.length,
+    created: count('created'),
+    updated: count('updated'),
+    unchanged: count('unchanged'),
+    failed: count('error'),
+    rows: report
+  };
+};
+
+module.exports = {
+  PRODUCT_ROW_COLUMNS,
+  RowError,
+  formatAttributes,
+  parseImportBody,
+  validateRow,
+  importProducts
+};
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');   // Import the Product Model
+const Category = require('../models/Category'); // Import the Category Model
+const { SEARCH_PRICE_BANDS } = require('../config/settings');
+const { escapeRegex } = require('../utils/queryFilters');
+const { badRequest, encodeCursor, decodeCursor, cursorFilter } = require('../utils/pagination');
+
+// The most words of a query that are searched for; the rest are ignored.
+const MAX_SEARCH_TERMS = 8;
+
+// Added to the text score of a product whose name contains every word of the query as
+// the start of a word, and again when the name starts with the query itself.
+const NAME_PREFIX_BOOST = 1;
+const NAME_START_BOOST = 1;
+
+// The lowest price of each price band, in minor units.
+const PRICE_BAND_STARTS = [0, ...SEARCH_PRICE_BANDS];
+
+// A regular expression matching names that contain every term as the start of a word,
+// in any order, so a query that is still being typed ('gam lapt') finds 'Gaming Laptop'.
+const namePrefixPattern = (terms) => `^${terms.map((term) => `(?=.*\\b${escapeRegex(term)})`).join('')}`;
+
+// Searches the catalogue and ranks the products by relevance, best first. A product matches
+// when the text index finds any of the words of `q` (see the product_search index), or when
+// its name contains every word of `q` as the start of a word.
+//   inStock:    only products with units that are not reserved
+//   categoryIds: only products in these categories (a category and the ones below it)
+//   priceRange:  only products priced within this { $gte, $lte } range
+// Alongside one page of products, counts the matches per category and per price band. A
+// product counts towards its own category and every category above it, as choosing any of
+// them finds it. The category counts leave out the category filter and the price band
+// counts leave out the price filter, so each shows what choosing another value would find.
+// Returns { data, next_cursor, total, facets: { categories, price_bands } }.
+const searchProducts = async ({ q, inStock, categoryIds, priceRange, limit, cursor }) => {
+  const terms = String(q || '').trim().split(/\s+/).filter(Boolean).slice(0, MAX_SEARCH_TERMS);
+  if (terms.length === 0) {
+    throw badRequest('q is required.');
+  }
+
+  let after;
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (position.field !== 'score' || !mongoose.isValidObjectId(position.id)) {
+      throw badRequest('The cursor was not created by a search.');
+    }
+    // Aggregations do not cast values, so the ID has to be an ObjectId already
+    after = cursorFilter({ ...position, id: new mongoose.Types.ObjectId(position.id) });
+  }
+
+  const namePrefix = namePrefixPattern(terms);
+  const match = {
+    archived_at: null, // Archived products are never found
+    $or: [
+      { $text: { $search: terms.join(' ') } },
+      { name: { $regex: namePrefix, $options: 'i' } }
+    ]
+  };
+  // In stock means at least one unit is not reserved by a pending order, as in the product list
+  if (inStock) {
+    match.stock = { $gt: 0 };
+    match.$expr = { $gt: [{ $subtract: ['$stock', '$reserved'] }, 0] };
+  }
+  const categoryFilter = categoryIds ? { category_id: { $in: categoryIds } } : {};
+  const priceFilter = priceRange ? { price: priceRange } : {};
+
+  const [{ results, total, categories, price_bands }] = await Product.aggregate([
+    { $match: match }, // $text has to be in the first stage
+    {
+      $set: {
+        score: {
+          $add: [
+            // Products found by their name prefix only have no text score
+            { $ifNull: [{ $meta: 'textScore' }, 0] },
+            { $cond: [{ $regexMatch: { input: '$name', regex: namePrefix, options: 'i' } }, NAME_PREFIX_BOOST, 0] },
+            { $cond: [{ $regexMatch: { input: '$name', regex: `^${escapeRegex(terms.join(' '))}`, options: 'i' } }, NAME_START_BOOST, 0] }
+          ]
+        }
+      }
+    },
+    {
+      $facet: {
+        results: [
+          { $match: { ...categoryFilter, ...priceFilter } },
+          ...(after ? [{ $match: after }] : []),
+          { $sort: { score: -1, _id: -1 } },
+          { $limit: limit + 1 } // One extra product tells whether there is another page
+        ],
+        total: [
+          { $match: { ...categoryFilter, ...priceFilter } },
+          { $count: 'count' }
+        ],
+        categories: [
+          { $match: priceFilter },
+          { $lookup: { from: Category.collection.name, localField: 'category_id', foreignField: '_id', as: 'category' } },
+          // The product's category and its ancestors; [null] for a product without a category
+          { $project: { path: { $ifNull: [{ $concatArrays: [{ $first: '$category.ancestors' }, ['$category_id']] }, [null]] } } },
+          { $unwind: '$path' },
+          { $group: { _id: '$path', count: { $sum: 1 } } },
+          { $lookup: { from: Category.collection.name, localField: '_id', foreignField: '_id', as: 'category' } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        price_bands: [
+          { $match: categoryFilter },
+          {
+            $group: {
+              _id: {
+                start: { $max: { $filter: { input: PRICE_BAND_STARTS, as: 'start', cond: { $lte: ['$$start', '$price'] } } } },
+                currency: '$currency'
+              },
+              count: { $sum: 1 }
+            }
+          },
+          { $sort: { '_id.currency': 1, '_id.start': 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const hasMore = results.length > limit;
+  const page = hasMore ? results.slice(0, limit) : results;
+  const last = page[page.length - 1];
+
+  return {
+    // Hydrated so products come out with the same fields as the rest of the API
+    data: page.map((doc) => ({ ...Product.hydrate(doc).toJSON(), score: doc.score })),
+    next_cursor: hasMore
+      ? encodeCursor({ field: 'score', direction: -1, value: last.score, id: last._id })
+      : null,
+    total: total.length ? total[0].count : 0,
+    facets: {
+      categories: categories.map(({ _id, category, count }) => ({
+        category_id: _id,
+        name: category.length ? category[0].name : null,
+        count
+      })),
+      price_bands: price_bands.map(({ _id, count }) => {
+        const next = PRICE_BAND_STARTS[PRICE_BAND_STARTS.indexOf(_id.start) + 1];
+        return { currency: _id.currency, min: _id.start, max: next === undefined ? null : next - 1, count };
+      })
+    }
+  };
+};
+
+module.exports = { searchProducts };
@@ -0,0 +1,194 @@
+const Promotion = require('../models/Promotion'); // Import the Promotion Model
+const PromotionRedemption = require('../models/PromotionRedemption'); // Import the PromotionRedemption Model
+const { allocate, applyRate, percentToBasisPoints } = require('../utils/money');
+const { ConflictError, UnprocessableError } = require('../utils/errors');
+
+// The value of one order item line, in minor units.
+const lineSubtotal = (item) => item.price_at_order * item.quantity;
+
+// Whether a promotion covers an order item (a promotion without products covers them all).
+const coversItem = (promotion, item) => (
+  !promotion.product_ids || promotion.product_ids.length === 0 ||
+  promotion.product_ids.some((productId) => productId.toString() === item.product_id.toString())
+);
+
+// Calculates what a promotion takes off each order item line, in minor units.
+// Returns one amount per item, 0 for the items it does not cover. A line never
+// gets more off than it is worth.
+const calculateLineDiscounts = (promotion, items) => {
+  const weights = items.map((item) => (coversItem(promotion, item) ? lineSubtotal(item) : 0));
+  const coveredTotal = weights.reduce((sum, weight) => sum + weight, 0);
+
+  if (promotion.type === 'percentage') {
+    // Rounded once on the covered total, then shared out, so the lines add up to it exactly
+    return allocate(applyRate(coveredTotal, percentToBasisPoints(promotion.value)), weights);
+  }
+  if (promotion.type === 'fixed') {
+    return allocate(Math.min(promotion.value, coveredTotal), weights);
+  }
+  if (promotion.type === 'buy_x_get_y') {
+    // Counted per order line, so the free units are always the same item that was bought
+    const groupSize = promotion.buy_quantity + promotion.get_quantity;
+    return items.map((item, index) => (
+      weights[index] ? Math.floor(item.quantity / groupSize) * promotion.get_quantity * item.price_at_order : 0
+    ));
+  }
+  return items.map(() => 0);
+};
+
+// Calculates what a promotion takes off the given order items, in minor units.
+const calculateDiscount = (promotion, items) => (
+  calculateLineDiscounts(promotion, items).reduce((sum, amount) => sum + amount, 0)
+);
+
+// Checks whether a promotion may be used on an order right now.
+// Returns the reason it cannot be used, or null when it can.
+const findIneligibility = async (promotion, { subtotal, currency, customer, session, now }) => {
+  if (!promotion.active) {
+    return 'it is no longer active';
+  }
+  if (promotion.starts_at && now < promotion.starts_at) {
+    return 'it has not started yet';
+  }
+  if (promotion.ends_at && now >= promotion.ends_at) {
+    return 'it has expired';
+  }
+  if (promotion.max_uses && promotion.uses_count >= promotion.max_uses) {
+    return 'it has been fully redeemed';
+  }
+  // Fixed amounts and minimum order values only make sense in the promotion's own currency
+  if (promotion.currency && currency && promotion.currency !== currency) {
+    return `it is only valid for orders in ${promotion.currency}`;
+  }
+  if (subtotal < (promotion.min_order_value || 0)) {
+    return `the order subtotal must be at least ${promotion.min_order_value}`;
+  }
+  // Counted per customer, so orders staff place for a customer count towards that customer's limit
+  if (promotion.max_uses_per_customer) {
+    const uses = await PromotionRedemption.countDocuments({
+      promotion_id: promotion._id,
+      customer,
+      status: 'redeemed'
+    }).session(session);
+    if (uses >= promotion.max_uses_per_customer) {
+      return 'you have already used it the maximum number of times';
+    }
+  }
+  return null;
+};
+
+// Works out the discounts on an order's items, inside the transaction.
+// Every automatic promotion the order qualifies for is applied, followed by the coupon
+// entered by the customer, if any. A coupon that does not exist or cannot be used fails
+// the order with a 422, while an automatic promotion that does not qualify is simply left out.
+// Each discount is worked out on the items at full price, then capped per line at what
+// is left of that line, so no line (and no order) ever drops below 0.
+// Returns { discounts, lineDiscounts }: the discount lines of the order, and the total
+// discount given on each item, which tax is later calculated after.
+const applyPromotions = async ({ items, currency, couponCode, customer, session, now = new Date() }) => {
+  const remaining = items.map(lineSubtotal);
+  const subtotal = remaining.reduce((sum, amount) => sum + amount, 0);
+  const context = { subtotal, currency, customer, session, now };
+  const lineDiscounts = items.map(() => 0);
+  const discounts = [];
+
+  // Returns the amount the promotion actually took off
+  const addDiscount = (promotion) => {
+    const applied = calculateLineDiscounts(promotion, items)
+      .map((amount, index) => Math.min(amount, remaining[index]));
+    const amount = applied.reduce((sum, value) => sum + value, 0);
+    if (amount === 0) return 0;
+
+    applied.forEach((value, index) => {
+      remaining[index] -= value;
+      lineDiscounts[index] += value;
+    });
+    discounts.push({
+      promotion_id: promotion._id,
+      code: promotion.code,
+      name: promotion.name,
+      type: promotion.type,
+      amount
+    });
+    return amount;
+  };
+
+  const automaticPromotions = await Promotion.find({ active: true, code: null }).session(session);
+  for (const promotion of automaticPromotions) {
+    if (!(await findIneligibility(promotion, context))) {
+      addDiscount(promotion);
+    }
+  }
+
+  if (couponCode) {
+    const code = String(couponCode).trim().toUpperCase();
+    const coupon = await Promotion.findOne({ code }).session(session);
+
+    if (!coupon) {
+      throw new UnprocessableError(`Coupon ${code} does not exist.`);
+    }
+    const reason = await findIneligibility(coupon, context);
+    if (reason) {
+      throw new UnprocessableError(`Coupon ${code} cannot be used: ${reason}.`);
+    }
+    if (addDiscount(coupon) === 0) {
+      throw new UnprocessableError(`Coupon ${code} does not apply to any item in this order.`);
+    }
+  }
+
+  return { discounts, lineDiscounts };
+};
+
+// Counts the order's discounts against their promotions, inside the order's transaction.
+// The usage cap is checked by the update itself, so two orders racing for the last use
+// cannot both get it. Every redemption also writes to the promotion document, so
+// concurrent orders using the same promotion conflict and only one of them commits,
+// which keeps the per-customer count checked in applyPromotions accurate as well.
+const redeemPromotions = async (order, { session }) => {
+  for (const discount of order.discounts || []) {
+    const promotion = await Promotion.findOneAndUpdate(
+      {
+        _id: discount.promotion_id,
+        $or: [{ max_uses: null }, { $expr: { $lt: ['$uses_count', '$max_uses'] } }]
+      },
+      { $inc: { uses_count: 1 } },
+      { session, new: true }
+    );
+    if (!promotion) {
+      throw new ConflictError(`${discount.name} has just been fully redeemed. Please place the order again.`);
+    }
+
+    await PromotionRedemption.create([{
+      promotion_id: discount.promotion_id,
+      code: discount.code,
+      customer: order.customer,
+      user: order.user,
+      order_id: order._id,
+      amount: discount.amount
+    }], { session });
+  }
+};
+
+// Gives the promotions used by a cancelled order back, so they count neither against
+// the usage cap nor against the customer's limit.
+const releasePromotions = async (order, { session }) => {
+  if (!order.discounts || order.discounts.length === 0) {
+    return;
+  }
+
+  const redemptions = await PromotionRedemption.find({ order_id: order._id, status: 'redeemed' }).session(session);
+  for (const redemption of redemptions) {
+    redemption.status = 'released';
+    await redemption.save({ session });
+    await Promotion.updateOne({ _id: redemption.promotion_id }, { $inc: { uses_count: -1 } }, { session });
+  }
+};
+
+module.exports = {
+  lineSubtotal,
+  calculateLineDiscounts,
+  calculateDiscount,
+  applyPromotions,
+  redeemPromotions,
+  releasePromotions
+};
@@ -0,0 +1,234 @@
+const Product = require('../models/Product'); // Import the Product Model
+const { changeStock, hasVariants, findVariant } = require('./inventory'); // All stock changes go through the inventory ledger
+const { fillBackorders } = require('./backorders'); // Received units go to waiting orders first
+const { isMinorUnits, divideRoundHalfUp } = require('../utils/money');
+const { ValidationError, NotFoundError, ConflictError, UnprocessableError } = require('../utils/errors');
+
+// Every status a purchase order can be in, in the order of a normal replenishment.
+const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'cancelled'];
+
+// Goods can only be received against a purchase order the supplier has been sent.
+const RECEIVABLE_STATUSES = ['sent', 'partially_received'];
+
+// The status changes that are made by hand, through PUT /api/purchase-orders/:id/status.
+// Receipts move a purchase order from sent to partially_received or received themselves.
+// Closing a partially received order marks it received and records what never arrived.
+const TRANSITIONS = {
+  draft: {
+    sent: {},
+    cancelled: {}
+  },
+  sent: {
+    cancelled: {}                                 // Nothing has arrived yet
+  },
+  partially_received: {
+    received: { effect: 'recordShortfall' }       // The rest will not be delivered
+  },
+  received: {},
+  cancelled: {}
+};
+
+// Side effects, keyed by the name used in TRANSITIONS.
+const EFFECTS = {
+  // Records the units of each line that were ordered but never delivered.
+  recordShortfall: (purchaseOrder) => {
+    for (const item of purchaseOrder.items) {
+      item.short_quantity = Math.max(item.quantity_ordered - item.quantity_received, 0);
+    }
+  }
+};
+
+// Returns the list of statuses a purchase order in `from` may be moved to by hand.
+const allowedTransitions = (from) => Object.keys(TRANSITIONS[from] || {});
+
+// Appends an entry to the purchase order's status history and moves it to `to`.
+const setStatus = (purchaseOrder, to, { changedBy, reason } = {}) => {
+  purchaseOrder.status_history = purchaseOrder.status_history || [];
+  purchaseOrder.status_history.push({ from: purchaseOrder.status, to, changed_by: changedBy, reason, changed_at: new Date() });
+  purchaseOrder.status = to;
+};
+
+// Moves a purchase order to a new status by hand, applying the side effect of the transition.
+// The caller is responsible for saving the purchase order.
+const transitionPurchaseOrder = (purchaseOrder, to, { changedBy, reason } = {}) => {
+  const from = purchaseOrder.status;
+  const allowed = allowedTransitions(from);
+
+  if (!allowed.includes(to)) {
+    throw new ConflictError(
+      `Cannot change purchase order status from '${from}' to '${to}'. ` +
+      (allowed.length ? `Allowed: ${allowed.join(', ')}` : `'${from}' cannot be changed by hand.`)
+    );
+  }
+
+  const { effect } = TRANSITIONS[from][to];
+  if (effect) EFFECTS[effect](purchaseOrder);
+
+  setStatus(purchaseOrder, to, { changedBy, reason });
+  return purchaseOrder;
+};
+
+// Checks the requested lines of a purchase order and fills in their product details.
+// A line names its product by product_id and/or variant_id or sku, like an order item;
+// products with variants are bought per variant. Every product must be priced in the
+// purchase order's currency, so its average cost stays in one currency.
+// Each product (or variant) may appear on one line only.
+const buildPurchaseOrderItems = async (requested, { currency }) => {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw new ValidationError('Please provide at least one item to order.');
+  }
+
+  const items = [];
+  for (const line of requested) {
+    const label = line.sku || line.variant_id || line.product_id;
+
+    if (!line.product_id && !line.sku) {
+      throw new ValidationError('Each item needs a product_id or sku.');
+    }
+    if (!Number.isInteger(line.quantity) || line.quantity < 1) {
+      throw new ValidationError(`quantity of ${label} must be a whole number of at least 1.`);
+    }
+    if (!isMinorUnits(line.unit_cost)) {
+      throw new ValidationError(`unit_cost of ${label} must be a whole number of minor units (e.g. cents).`);
+    }
+
+    const product = line.product_id
+      ? await Product.findById(line.product_id)
+      : await Product.findOne({ 'variants.sku': String(line.sku).trim().toUpperCase() });
+    if (!product) {
+      throw new NotFoundError(`Product ${label} not found.`);
+    }
+
+    let variant;
+    if (hasVariants(product)) {
+      if (!line.variant_id && !line.sku) {
+        throw new ValidationError(`Product ${product.name} has variants. Please provide a variant_id or sku.`);
+      }
+      variant = findVariant(product, { variantId: line.variant_id, sku: line.sku });
+      if (!variant) {
+        throw new NotFoundError(`Variant ${line.variant_id || line.sku} not found for product: ${product.name}.`);
+      }
+    }
+
+    if (product.currency !== currency) {
+      throw new UnprocessableError(`${product.name} is priced in ${product.currency}, but the purchase order is in ${currency}.`);
+    }
+    const duplicate = items.some((item) => String(item.product_id) === String(product._id) &&
+      String(item.variant_id) === String(variant ? variant._id : undefined));
+    if (duplicate) {
+      throw new ValidationError(`${variant ? variant.sku : product.name} is on the purchase order more than once.`);
+    }
+
+    items.push({
+      product_id: product._id,
+      variant_id: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : undefined,
+      name: product.name,
+      quantity_ordered: line.quantity,
+      unit_cost: line.unit_cost
+    });
+  }
+  return items;
+};
+
+// The weighted-average unit cost after `units` more units arrive at `unitCost` each,
+// rounded half up. Stock without a known cost takes the cost of the delivery.
+const weightedAverageCost = (currentCost, currentUnits, unitCost, units) => {
+  if (currentCost == null || currentUnits <= 0) return unitCost;
+  return divideRoundHalfUp(currentCost * currentUnits + unitCost * units, currentUnits + units);
+};
+
+// Whether a purchase order line is the one a received line refers to.
+const matchesLine = (item, line) => (
+  (!line.product_id || String(item.product_id) === String(line.product_id)) &&
+  (!line.variant_id || String(item.variant_id) === String(line.variant_id)) &&
+  (!line.sku || item.sku === String(line.sku).trim().toUpperCase())
+);
+
+// Books one delivered line into stock: raises the stock through the ledger, then folds the
+// line's unit cost into the weighted-average cost of the product (and of the variant).
+const receiveLine = async (purchaseOrder, item, quantity, { session, receivedBy }) => {
+  const product = await changeStock({
+    productId: item.product_id,
+    variantId: item.variant_id,
+    warehouseId: purchaseOrder.warehouse_id,
+    delta: quantity,
+    reason: 'purchase_receipt',
+    purchaseOrderId: purchaseOrder._id,
+    user: receivedBy,
+    session
+  });
+  if (!product) {
+    throw new ConflictError(`${item.sku || item.name} no longer exists and cannot be received.`);
+  }
+
+  // changeStock returns the stock after the delivery, so the units held before are the difference
+  const filter = { _id: product._id };
+  const set = { average_cost: weightedAverageCost(product.average_cost, product.stock - quantity, item.unit_cost, quantity) };
+  if (item.variant_id) {
+    const variant = findVariant(product, { variantId: item.variant_id });
+    filter['variants._id'] = item.variant_id;
+    set['variants.$.average_cost'] = weightedAverageCost(variant.average_cost, variant.stock - quantity, item.unit_cost, quantity);
+  }
+  await Product.updateOne(filter, { $set: set }, { session });
+
+  // Orders waiting for the product get the new units first, oldest first
+  await fillBackorders(product, { variantId: item.variant_id, session, changedBy: receivedBy });
+};
+
+// Receives a delivery against a purchase order inside the given session.
+// Each line names an item of the purchase order and the units that arrived. More units
+// than were ordered are accepted and counted as over-delivered. Once every line has
+// arrived in full the purchase order becomes received, otherwise partially_received.
+// The caller is responsible for saving the purchase order.
+const receivePurchaseOrder = async (purchaseOrder, lines, { session, receivedBy, note } = {}) => {
+  if (!RECEIVABLE_STATUSES.includes(purchaseOrder.status)) {
+    throw new ConflictError(`Goods cannot be received against a purchase order that is ${purchaseOrder.status}.`);
+  }
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new ValidationError('Please provide at least one received item.');
+  }
+
+  const received = [];
+  for (const line of lines) {
+    const label = line.sku || line.variant_id || line.product_id;
+
+    if (!line.product_id && !line.sku) {
+      throw new ValidationError('Each item needs a product_id or sku.');
+    }
+    if (!Number.isInteger(line.quantity) || line.quantity < 1) {
+      throw new ValidationError(`quantity of ${label} must be a whole number of at least 1.`);
+    }
+
+    const item = purchaseOrder.items.find((candidate) => matchesLine(candidate, line));
+    if (!item) {
+      throw new UnprocessableError(`${label} is not on this purchase order.`);
+    }
+
+    await receiveLine(purchaseOrder, item, line.quantity, { session, receivedBy });
+
+    item.quantity_received += line.quantity;
+    item.over_quantity = Math.max(item.quantity_received - item.quantity_ordered, 0);
+    received.push({ product_id: item.product_id, variant_id: item.variant_id, sku: item.sku, quantity: line.quantity });
+  }
+
+  purchaseOrder.receipts.push({ received_at: new Date(), received_by: receivedBy, note, items: received });
+
+  const complete = purchaseOrder.items.every((item) => item.quantity_received >= item.quantity_ordered);
+  const status = complete ? 'received' : 'partially_received';
+  if (purchaseOrder.status !== status) {
+    setStatus(purchaseOrder, status, { changedBy: receivedBy, reason: 'Goods received' });
+  }
+
+  return purchaseOrder;
+};
+
+module.exports = {
+  PURCHASE_ORDER_STATUSES,
+  TRANSITIONS,
+  allowedTransitions,
+  transitionPurchaseOrder,
+  buildPurchaseOrderItems,
+  weightedAverageCost,
+  receivePurchaseOrder
+};
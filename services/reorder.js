@@ -0,0 +1,146 @@
+const Product = require('../models/Product'); // Import the Product Model
+const Order = require('../models/Order');     // Import the Order Model
+const { AVAILABLE_UNITS_EXPRESSION } = require('./inventory'); // How available units are counted
+const { LOW_STOCK_THRESHOLD } = require('../config/settings');
+
+// Orders whose units count as sold: paid for, and not cancelled or refunded as a whole.
+const SOLD_STATUSES = ['paid', 'picking', 'shipped', 'delivered'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Turns every product that is not archived into its stock items: the product itself, or each of its variants.
+// A variant's reorder settings fall back to its product's, and a missing reorder point to
+// LOW_STOCK_THRESHOLD, the same way as reorderPointOf in services/inventory.js.
+const STOCK_ITEMS_PIPELINE = [
+  { $match: { archived_at: null } },
+  {
+    $project: {
+      name: 1,
+      lead_time_days: 1,
+      items: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+          {
+            $map: {
+              input: '$variants',
+              as: 'variant',
+              in: {
+                variant_id: '$$variant._id',
+                sku: '$$variant.sku',
+                stock: '$$variant.stock',
+                reserved: '$$variant.reserved',
+                backordered: '$$variant.backordered',
+                reorder_point: { $ifNull: ['$$variant.reorder_point', '$reorder_point'] },
+                reorder_quantity: { $ifNull: ['$$variant.reorder_quantity', '$reorder_quantity'] }
+              }
+            }
+          },
+          [{ stock: '$stock', reserved: '$reserved', backordered: '$backordered', reorder_point: '$reorder_point', reorder_quantity: '$reorder_quantity' }]
+        ]
+      }
+    }
+  },
+  { $unwind: '$items' },
+  {
+    $replaceWith: {
+      $mergeObjects: [{ product_id: '$_id', name: '$name', lead_time_days: { $ifNull: ['$lead_time_days', 0] } }, '$items']
+    }
+  },
+  {
+    $set: {
+      variant_id: { $ifNull: ['$variant_id', null] },
+      sku: { $ifNull: ['$sku', null] },
+      reserved: { $ifNull: ['$reserved', 0] },
+      backordered: { $ifNull: ['$backordered', 0] },
+      reorder_point: { $ifNull: ['$reorder_point', LOW_STOCK_THRESHOLD] },
+      reorder_quantity: { $ifNull: ['$reorder_quantity', null] }
+    }
+  },
+  // Available the same way as for product.stock_low (see availableUnits)
+  { $set: { available: AVAILABLE_UNITS_EXPRESSION } }
+];
+
+// Lists the stock items whose available units are at or below their reorder point,
+// the emptiest first.
+const findLowStockItems = () => Product.aggregate([
+  ...STOCK_ITEMS_PIPELINE,
+  { $match: { $expr: { $lte: ['$available', '$reorder_point'] } } },
+  { $sort: { available: 1, name: 1, sku: 1 } }
+]);
+
+// Identifies a stock item, for matching sales to it.
+const itemKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+
+// Adds up the units sold per stock item in orders placed since the given date.
+// Cancelled and returned units are not sales. Returns a Map of itemKey to units.
+const unitsSoldSince = async (since) => {
+  const sales = await Order.aggregate([
+    { $match: { status: { $in: SOLD_STATUSES }, createdAt: { $gte: since } } },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: { product_id: '$items.product_id', variant_id: '$items.variant_id' },
+        units: {
+          $sum: {
+            $subtract: [
+              '$items.quantity',
+              { $add: [{ $ifNull: ['$items.cancelled_quantity', 0] }, { $ifNull: ['$items.returned_quantity', 0] }] }
+            ]
+          }
+        }
+      }
+    }
+  ]);
+  return new Map(sales.map(({ _id, units }) => [itemKey(_id.product_id, _id.variant_id), units]));
+};
+
+// Works out the reorder suggestion for one stock item from the units it sold over `days` days.
+//   daily_sales:           units sold per day over the window
+//   days_until_stockout:   available units divided by daily_sales; null when nothing sold
+//   needs_reorder:         at or below the reorder point, or running out before a new
+//                          delivery could arrive (within lead_time_days)
+//   suggested_quantity:    enough to keep selling at the current rate through the lead time
+//                          and one more window, still holding the reorder point at the end;
+//                          never less than the item's reorder_quantity
+const suggestReorder = (item, unitsSold, { days, now }) => {
+  const dailySales = unitsSold / days;
+  const daysUntilStockout = dailySales > 0 ? Math.max(item.available, 0) / dailySales : null;
+  const needsReorder = item.available <= item.reorder_point ||
+    (daysUntilStockout !== null && daysUntilStockout <= item.lead_time_days);
+  const needed = Math.ceil(dailySales * (item.lead_time_days + days)) + item.reorder_point - item.available;
+
+  return {
+    ...item,
+    units_sold: unitsSold,
+    daily_sales: Math.round(dailySales * 100) / 100,
+    days_until_stockout: daysUntilStockout === null ? null : Math.floor(daysUntilStockout * 10) / 10,
+    stockout_date: daysUntilStockout === null ? null : new Date(now.getTime() + daysUntilStockout * DAY_MS),
+    needs_reorder: needsReorder,
+    suggested_quantity: needsReorder ? Math.max(needed, item.reorder_quantity || 0, 1) : 0
+  };
+};
+
+// Builds the reorder suggestion report from the sales of the last `days` days.
+// Returns the items that need reordering, those running out soonest first
+// (items without recent sales last).
+const buildReorderSuggestions = async ({ days, now = new Date() }) => {
+  const since = new Date(now.getTime() - days * DAY_MS);
+  const [items, unitsSold] = await Promise.all([
+    Product.aggregate(STOCK_ITEMS_PIPELINE),
+    unitsSoldSince(since)
+  ]);
+
+  const soonest = (suggestion) => (suggestion.days_until_stockout === null ? Infinity : suggestion.days_until_stockout);
+  return items
+    .map((item) => suggestReorder(item, unitsSold.get(itemKey(item.product_id, item.variant_id)) || 0, { days, now }))
+    .filter((suggestion) => suggestion.needs_reorder)
+    .sort((a, b) => soonest(a) - soonest(b) || a.available - b.available);
+};
+
+module.exports = {
+  SOLD_STATUSES,
+  findLowStockItems,
+  unitsSoldSince,
+  suggestReorder,
+  buildReorderSuggestions
+};
@@ -0,0 +1,292 @@
+const Order = require('../models/Order');     // Import the Order Model
+const Product = require('../models/Product'); // Import the Product Model
+const { SOLD_STATUSES } = require('./reorder');
+const { divideRoundHalfUp } = require('../utils/money');
+
+// The periods a report can be grouped by. Periods start at midnight UTC; weeks start on Monday.
+const REPORT_INTERVALS = ['day', 'week', 'month'];
+
+// The measures the top products can be ranked by.
+const TOP_PRODUCT_MEASURES = ['units', 'revenue'];
+
+// Rounds numerator / denominator half up inside a pipeline, the same way as divideRoundHalfUp.
+const roundHalfUp = (numerator, denominator) => ({
+  $floor: { $divide: [{ $add: [{ $multiply: [2, numerator] }, denominator] }, { $multiply: [2, denominator] }] }
+});
+
+// What an order brought in: what the customer pays, tax included, less the value of its
+// cancelled and returned units. Orders saved before remaining_total existed count in full.
+const ORDER_REVENUE = { $ifNull: ['$remaining_total', '$total_price'] };
+
+// The units of an (unwound) order line that were not cancelled or returned.
+const LINE_UNITS = {
+  $subtract: ['$items.quantity', { $add: [{ $ifNull: ['$items.cancelled_quantity', 0] }, { $ifNull: ['$items.returned_quantity', 0] }] }]
+};
+
+// What the remaining units of an (unwound) order line brought in, on the same terms as
+// ORDER_REVENUE: the line's discount and tax are shared out over its units like lineAmounts.
+const LINE_REVENUE = {
+  $add: [
+    { $multiply: ['$items.price_at_order', '$units'] },
+    { $multiply: [-1, roundHalfUp({ $multiply: [{ $ifNull: ['$items.discount', 0] }, '$units'] }, '$items.quantity')] },
+    roundHalfUp({ $multiply: [{ $ifNull: ['$items.tax', 0] }, '$units'] }, '$items.quantity')
+  ]
+};
+
+// Matches the orders placed in the given range and, when given, in one of the statuses.
+const matchOrders = ({ from, to, statuses }) => {
+  const match = {};
+  if (statuses) match.status = { $in: statuses };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+  return { $match: match };
+};
+
+// The start of the period an order was placed in.
+const periodOf = (interval) => ({
+  $dateTrunc: interval === 'week'
+    ? { date: '$createdAt', unit: 'week', startOfWeek: 'monday' }
+    : { date: '$createdAt', unit: interval }
+});
+
+// A share as a percentage, to two decimals; null when there is nothing to share.
+const percentOf = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : null);
+
+// Revenue of the orders sold in each period, per currency, oldest period first.
+// Sold orders are those paid for and not cancelled or refunded as a whole (SOLD_STATUSES).
+const revenueByPeriod = ({ from, to, interval = 'day' } = {}) => Order.aggregate([
+  matchOrders({ from, to, statuses: SOLD_STATUSES }),
+  {
+    $group: {
+      _id: { period: periodOf(interval), currency: '$currency' },
+      orders: { $sum: 1 },
+      revenue: { $sum: ORDER_REVENUE }
+    }
+  },
+  { $sort: { '_id.period': 1, '_id.currency': 1 } },
+  { $project: { _id: 0, period: '$_id.period', currency: '$_id.currency', orders: 1, revenue: 1 } }
+]);
+
+// The products (or variants) sold the most, by units or by revenue. Cancelled and returned
+// units are not sales. Revenue is kept per currency, so a product sold in two currencies
+// is listed once per currency.
+const topProducts = ({ from, to, by = 'units', limit = 10 } = {}) => Order.aggregate([
+  matchOrders({ from, to, statuses: SOLD_STATUSES }),
+  { $unwind: '$items' },
+  { $set: { units: LINE_UNITS } },
+  { $match: { units: { $gt: 0 } } },
+  {
+    $group: {
+      _id: { product_id: '$items.product_id', variant_id: { $ifNull: ['$items.variant_id', null] }, currency: '$currency' },
+      name: { $last: '$items.name' },
+      sku: { $last: '$items.sku' },
+      orders: { $sum: 1 },
+      units: { $sum: '$units' },
+      revenue: { $sum: LINE_REVENUE }
+    }
+  },
+  { $sort: by === 'revenue' ? { revenue: -1, units: -1, name: 1 } : { units: -1, revenue: -1, name: 1 } },
+  { $limit: limit },
+  {
+    $project: {
+      _id: 0,
+      product_id: '$_id.product_id',
+      variant_id: '$_id.variant_id',
+      sku: { $ifNull: ['$sku', null] },
+      name: 1,
+      currency: '$_id.currency',
+      orders: 1,
+      units: 1,
+      revenue: 1
+    }
+  }
+]);
+
+// The number of orders sold, their revenue and the average order value, per currency.
+// The average is rounded half up to a whole minor unit.
+const averageOrderValue = async ({ from, to } = {}) => {
+  const rows = await Order.aggregate([
+    matchOrders({ from, to, statuses: SOLD_STATUSES }),
+    { $group: { _id: '$currency', orders: { $sum: 1 }, revenue: { $sum: ORDER_REVENUE } } },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, currency: '$_id', orders: 1, revenue: 1 } }
+  ]);
+  return rows.map((row) => ({ ...row, average_order_value: divideRoundHalfUp(row.revenue, row.orders) }));
+};
+
+// The share of the orders placed that were cancelled as a whole, overall or per period.
+// Every order placed counts, whatever its status now.
+const cancellationRate = async ({ from, to, interval } = {}) => {
+  const rows = await Order.aggregate([
+    matchOrders({ from, to }),
+    {
+      $group: {
+        _id: interval ? periodOf(interval) : null,
+        orders: { $sum: 1 },
+        cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+  return rows.map(({ _id, orders, cancelled }) => ({
+    ...(interval ? { period: _id } : {}),
+    orders,
+    cancelled,
+    cancellation_rate: percentOf(cancelled, orders)
+  }));
+};
+
+// The customers who spent the most, with their number of orders and average order value,
+// per currency. Orders placed before customers existed count once they are migrated
+// (see scripts/migrateCustomers.js); until then they are listed without a customer.
+const revenuePerCustomer = async ({ from, to, limit = 20 } = {}) => {
+  const rows = await Order.aggregate([
+    matchOrders({ from, to, statuses: SOLD_STATUSES }),
+    {
+      $group: {
+        _id: { customer: { $ifNull: ['$customer', null] }, currency: '$currency' },
+        orders: { $sum: 1 },
+        revenue: { $sum: ORDER_REVENUE }
+      }
+    },
+    { $sort: { revenue: -1, orders: -1, '_id.customer': 1 } },
+    { $limit: limit },
+    // The collection of the Customer model
+    { $lookup: { from: 'customers', localField: '_id.customer', foreignField: '_id', as: 'customer' } },
+    {
+      $project: {
+        _id: 0,
+        customer_id: '$_id.customer',
+        name: { $ifNull: [{ $first: '$customer.name' }, null] },
+        email: { $ifNull: [{ $first: '$customer.email' }, null] },
+        currency: '$_id.currency',
+        orders: 1,
+        revenue: 1
+      }
+    }
+  ]);
+  return rows.map((row) => ({ ...row, average_order_value: divideRoundHalfUp(row.revenue, row.orders) }));
+};
+
+// A customer's lifetime value: when they first and last ordered, how many orders they
+// placed, and per currency the orders sold, their revenue and the average order value.
+const customerLifetimeValue = async (customerId) => {
+  const [{ placed, sold }] = await Order.aggregate([
+    { $match: { customer: customerId } },
+    {
+      $facet: {
+        placed: [{ $group: { _id: null, orders: { $sum: 1 }, first_order_at: { $min: '$createdAt' }, last_order_at: { $max: '$createdAt' } } }],
+        sold: [
+          { $match: { status: { $in: SOLD_STATUSES } } },
+          { $group: { _id: '$currency', orders: { $sum: 1 }, revenue: { $sum: ORDER_REVENUE } } },
+          { $sort: { _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const summary = placed[0] || { orders: 0, first_order_at: null, last_order_at: null };
+  return {
+    orders: summary.orders,
+    first_order_at: summary.first_order_at,
+    last_order_at: summary.last_order_at,
+    lifetime_value: sold.map(({ _id, orders, revenue }) => ({
+      currency: _id,
+      orders,
+      revenue,
+      average_order_value: divideRoundHalfUp(revenue, orders)
+    }))
+  };
+};
+
+// The value of the sellable stock on hand, at the current prices: one row per product or
+// variant with stock, most valuable first, and the totals per currency.
+// With `asOf`, the stock at that moment is worked out from the inventory ledger by taking
+// back every sellable movement made since; products deleted since are not included.
+const stockValue = async ({ asOf } = {}) => {
+  const pipeline = [
+    {
+      $project: {
+        name: 1,
+        currency: 1,
+        items: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+            {
+              $map: {
+                input: '$variants',
+                as: 'variant',
+                in: { variant_id: '$$variant._id', sku: '$$variant.sku', stock: '$$variant.stock', price: { $ifNull: ['$$variant.price', '$price'] } }
+              }
+            },
+            [{ stock: '$stock', price: '$price' }]
+          ]
+        }
+      }
+    },
+    { $unwind: '$items' },
+    { $replaceWith: { $mergeObjects: [{ product_id: '$_id', name: '$name', currency: '$currency', variant_id: null, sku: null }, '$items'] } }
+  ];
+
+  if (asOf) {
+    pipeline.push(
+      {
+        // The collection of the StockMovement model
+        $lookup: {
+          from: 'stockmovements',
+          let: { product: '$product_id', variant: '$variant_id' },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    { $eq: ['$product_id', '$$product'] },
+                    { $eq: [{ $ifNull: ['$variant_id', null] }, '$$variant'] },
+                    { $ne: ['$bucket', 'damaged'] },
+                    { $gt: ['$createdAt', asOf] }
+                  ]
+                }
+              }
+            },
+            { $group: { _id: null, delta: { $sum: '$quantity_delta' } } }
+          ],
+          as: 'since'
+        }
+      },
+      { $set: { stock: { $subtract: ['$stock', { $ifNull: [{ $first: '$since.delta' }, 0] }] } } },
+      { $unset: 'since' }
+    );
+  }
+
+  pipeline.push(
+    { $match: { stock: { $gt: 0 } } },
+    { $set: { value: { $multiply: ['$stock', '$price'] } } },
+    { $sort: { value: -1, name: 1, sku: 1 } }
+  );
+
+  const rows = await Product.aggregate(pipeline);
+
+  const totals = new Map();
+  for (const row of rows) {
+    const total = totals.get(row.currency) || { currency: row.currency, stock: 0, value: 0 };
+    total.stock += row.stock;
+    total.value += row.value;
+    totals.set(row.currency, total);
+  }
+  return { rows, totals: [...totals.values()].sort((a, b) => a.currency.localeCompare(b.currency)) };
+};
+
+module.exports = {
+  REPORT_INTERVALS,
+  TOP_PRODUCT_MEASURES,
+  revenueByPeriod,
+  topProducts,
+  averageOrderValue,
+  cancellationRate,
+  revenuePerCustomer,
+  customerLifetimeValue,
+  stockValue
+};
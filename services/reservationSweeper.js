@@ -0,0 +1,56 @@
+const Order = require('../models/Order'); // Import the Order Model
+const { transitionOrder } = require('./orderStatus');
+const { fillBackordersFor } = require('./backorders'); // Released units go to waiting orders first
+const { withTransaction } = require('../utils/transactions'); // Transactions retried on transient conflicts
+const { RESERVATION_SWEEP_INTERVAL_SECONDS } = require('../config/settings');
+
+// Cancels every pending order whose reservation has expired, which releases the
+// reserved units through the order state machine. Each order is handled in its
+// own transaction, retried when it collides with a concurrent one (e.g. the customer
+// paying at that moment), so one failure does not block the rest of the sweep.
+// Returns the number of orders that were released.
+const releaseExpiredReservations = async (now = new Date()) => {
+  const expiredQuery = {
+    status: 'pending',
+    'reservation.status': 'active',
+    'reservation.expires_at': { $lte: now }
+  };
+  const expiredOrders = await Order.find(expiredQuery).select('_id');
+
+  let released = 0;
+  for (const { _id } of expiredOrders) {
+    try {
+      const cancelled = await withTransaction(async (session) => {
+        // Re-read inside the transaction: the order may have been paid since the query above
+        const order = await Order.findOne({ _id, ...expiredQuery }).session(session);
+        if (!order) {
+          return false;
+        }
+
+        await transitionOrder(order, 'cancelled', { session, reason: 'Reservation expired' });
+        await order.save({ session });
+        await fillBackordersFor(order.items, { session });
+        return true;
+      });
+      if (cancelled) released += 1;
+    } catch (error) {
+      console.error(`Failed to release reservation for order ${_id}: ${error.message}`);
+    }
+  }
+
+  return released;
+};
+
+// Runs the sweep on a fixed interval. The timer is unref'd so it never keeps
+// the process alive on its own.
+const startReservationSweeper = (intervalSeconds = RESERVATION_SWEEP_INTERVAL_SECONDS) => {
+  const timer = setInterval(() => {
+    releaseExpiredReservations().catch((error) => {
+      console.error(`Reservation sweep failed: ${error.message}`);
+    });
+  }, intervalSeconds * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { releaseExpiredReservations, startReservationSweeper };
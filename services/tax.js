@@ -0,0 +1,33 @@
+const TaxRule = require('../models/TaxRule'); // Import the TaxRule Model
+
+// Lists the regions whose rules apply to a region, most specific first:
+// 'US-CA-SF' is covered by rules for 'US-CA-SF', then 'US-CA', then 'US'.
+const regionChain = (region) => {
+  const parts = region.split('-');
+  return parts.map((part, index) => parts.slice(0, parts.length - index).join('-'));
+};
+
+// Loads the tax rules for a region and the given categories, inside the session.
+// Returns a function that gives the rule for a category: the one set for the most
+// specific region, or null when the category is not taxed in the region.
+const loadTaxRules = async ({ region, categories, session }) => {
+  if (!region) {
+    return () => null;
+  }
+
+  const regions = regionChain(region);
+  const rules = await TaxRule.find({
+    region: { $in: regions },
+    tax_category: { $in: [...new Set(categories)] }
+  }).session(session);
+
+  return (category) => {
+    for (const candidate of regions) {
+      const rule = rules.find((entry) => entry.region === candidate && entry.tax_category === category);
+      if (rule) return rule;
+    }
+    return null;
+  };
+};
+
+module.exports = { regionChain, loadTaxRules };
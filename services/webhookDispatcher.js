@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const OutboxEvent = require('../models/OutboxEvent');         // Import the OutboxEvent Model
+const Webhook = require('../models/Webhook');                 // Import the Webhook Model
+const WebhookDelivery = require('../models/WebhookDelivery'); // Import the WebhookDelivery Model
+const {
+  WEBHOOK_DISPATCH_INTERVAL_SECONDS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_BASE_SECONDS,
+  WEBHOOK_TIMEOUT_SECONDS
+} = require('../config/settings');
+
+// How many events are fanned out, and how many deliveries attempted, per run.
+const DISPATCH_BATCH_SIZE = 100;
+
+// Whether a webhook wants events of the given type.
+const subscribes = (webhook, type) => webhook.events.includes('*') || webhook.events.includes(type);
+
+// Signs a delivery: the hex HMAC-SHA256 of '<timestamp>.<body>' keyed with the webhook's secret.
+// Receivers recompute it from the X-Webhook-Timestamp header and the raw body.
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Seconds to wait after the given number of failed attempts: the base, then twice that, and so on.
+const retryDelaySeconds = (attempts) => WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+
+// Creates a pending delivery of an event for each of the given webhooks.
+const scheduleDeliveries = (event, webhooks, { session, now = new Date() } = {}) => {
+  if (webhooks.length === 0) return [];
+
+  return WebhookDelivery.insertMany(webhooks.map((webhook) => ({
+    event_id: event._id,
+    webhook_id: webhook._id,
+    event_type: event.type,
+    next_attempt_at: now
+  })), { session });
+};
+
+// Creates the deliveries of events that have not been dispatched yet, oldest first.
+// Each event is marked dispatched in the same transaction as its deliveries, so it
+// is fanned out exactly once even if several dispatchers run at the same time.
+// Returns the number of events dispatched.
+const dispatchEvents = async (now = new Date()) => {
+  const events = await OutboxEvent.find({ dispatched_at: null })
+    .sort({ createdAt: 1 })
+    .limit(DISPATCH_BATCH_SIZE)
+    .select('_id');
+  if (events.length === 0) return 0;
+
+  const webhooks = await Webhook.find({ active: true });
+
+  let dispatched = 0;
+  for (const { _id } of events) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      // Claiming the event fails if another dispatcher got to it first
+      const event = await OutboxEvent.findOneAndUpdate(
+        { _id, dispatched_at: null },
+        { $set: { dispatched_at: now } },
+        { session, new: true }
+      );
+
+      if (event) {
+        await scheduleDeliveries(event, webhooks.filter((webhook) => subscribes(webhook, event.type)), { session, now });
+        dispatched += 1;
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      console.error(`Failed to dispatch event ${_id}: ${error.message}`);
+    } finally {
+      session.endSession();
+    }
+  }
+
+  return dispatched;
+};
+
+// Sends one delivery and records the outcome on it.
+// A 2xx answer delivers it. Anything else (another status, a network error or a
+// timeout) schedules a retry with exponential backoff, until WEBHOOK_MAX_ATTEMPTS
+// attempts have failed and the delivery becomes a dead letter.
+// Returns true if the webhook accepted the event.
+const attemptDelivery = async (delivery, now = new Date()) => {
+  const [event, webhook] = await Promise.all([
+    OutboxEvent.findById(delivery.event_id),
+    Webhook.findById(delivery.webhook_id).select('+secret')
+  ]);
+
+  if (!event || !webhook || !webhook.active) {
+    // Nothing to retry: the event can be replayed once the webhook is back
+    delivery.status = 'dead';
+    delivery.last_error = !event ? 'The event no longer exists.' : 'The webhook was deleted or disabled.';
+    await delivery.save();
+    return false;
+  }
+
+  const body = JSON.stringify({ id: event._id, type: event.type, created_at: event.createdAt, data: event.data });
+  const timestamp = Math.floor(Date.now() / 1000); // The time of sending, which receivers can check for freshness
+
+  delivery.attempts += 1;
+  delivery.last_attempt_at = now;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': String(delivery._id),
+        'X-Webhook-Event': event.type,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual', // A redirect is not an acknowledgement
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_SECONDS * 1000)
+    });
+    if (response.body) await response.body.cancel(); // Only the status matters
+
+    delivery.last_response_status = response.status;
+    delivery.last_error = response.ok ? undefined : `The webhook answered with HTTP ${response.status}.`;
+  } catch (error) {
+    delivery.last_response_status = undefined;
+    delivery.last_error = error.name === 'TimeoutError'
+      ? `The webhook did not answer within ${WEBHOOK_TIMEOUT_SECONDS} seconds.`
+      : (error.cause && error.cause.message) || error.message; // fetch reports network errors as their cause
+  }
+
+  const delivered = !delivery.last_error;
+  if (delivered) {
+    delivery.status = 'delivered';
+    delivery.delivered_at = now;
+  } else if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    delivery.status = 'dead';
+  } else {
+    delivery.next_attempt_at = new Date(now.getTime() + retryDelaySeconds(delivery.attempts) * 1000);
+  }
+  await delivery.save();
+
+  return delivered;
+};
+
+// Attempts the deliveries that are due, oldest first.
+// Each delivery is claimed by pushing its next_attempt_at past the attempt's timeout,
+// so no other dispatcher sends it at the same time, and a dispatcher that dies mid-attempt
+// only delays it. Returns { delivered, failed }.
+const sendDueDeliveries = async (now = new Date()) => {
+  const result = { delivered: 0, failed: 0 };
+
+  for (let i = 0; i < DISPATCH_BATCH_SIZE; i += 1) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', next_attempt_at: { $lte: now } },
+      { $set: { next_attempt_at: new Date(Date.now() + 2 * WEBHOOK_TIMEOUT_SECONDS * 1000) } },
+      { sort: { next_attempt_at: 1 }, new: true }
+    );
+    if (!delivery) break;
+
+    try {
+      if (await attemptDelivery(delivery, now)) {
+        result.delivered += 1;
+      } else {
+        result.failed += 1;
+      }
+    } catch (error) {
+      // The claim expires, so the delivery is simply tried again later
+      result.failed += 1;
+      console.error(`Failed to send webhook delivery ${delivery._id}: ${error.message}`);
+    }
+  }
+
+  return result;
+};
+
+// Dispatches new events, then sends the deliveries that are due.
+const dispatchWebhooks = async (now = new Date()) => {
+  const dispatched = await dispatchEvents(now);
+  const { delivered, failed } = await sendDueDeliveries(now);
+  return { dispatched, delivered, failed };
+};
+
+// Runs the dispatcher on a fixed interval. A run that is still busy when the next
+// one is due is not overlapped. The timer is unref'd so it never keeps the process
+// alive on its own.
+const startWebhookDispatcher = (intervalSeconds = WEBHOOK_DISPATCH_INTERVAL_SECONDS) => {
+  let running = false;
+
+  const timer = setInterval(() => {
+    if (running) return;
+    running = true;
+    dispatchWebhooks()
+      .catch((error) => console.error(`Webhook dispatch failed: ${error.message}`))
+      .finally(() => { running = false; });
+  }, intervalSeconds * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  subscribes,
+  signPayload,
+  retryDelaySeconds,
+  scheduleDeliveries,
+  dispatchEvents,
+  attemptDelivery,
+  sendDueDeliveries,
+  dispatchWebhooks,
+  startWebhookDispatcher
+};
@@ -0,0 +1,162 @@
+// tests/allocation.test.js
+const { planAllocations, allocateOrder, unitsByWarehouse } = require('../services/allocation');
+const { transferStock } = require('../services/inventory');
+const Warehouse = require('../models/Warehouse');
+const StockLevel = require('../models/StockLevel');
+const StockMovement = require('../models/StockMovement');
+
+jest.mock('../models/Product');
+jest.mock('../models/StockMovement');
+jest.mock('../models/OutboxEvent');
+jest.mock('../models/Warehouse');
+jest.mock('../models/StockLevel');
+
+describe('Warehouse Allocation', () => {
+
+  const session = { id: 'session' };
+
+  // Three warehouses, highest priority first
+  const north = { _id: 'wh_north', name: 'North', priority: 1, active: true };
+  const south = { _id: 'wh_south', name: 'South', priority: 2, active: true };
+  const east = { _id: 'wh_east', name: 'East', priority: 3, active: true };
+
+  const keyboard = { product_id: 'prod_keyboard', name: 'Keyboard', quantity: 4 };
+  const mouse = { product_id: 'prod_mouse', name: 'Mouse', quantity: 2 };
+
+  // North has a few keyboards, South a few mice, and East has enough of both
+  const available = new Map([
+    ['prod_keyboard::wh_north', 3],
+    ['prod_mouse::wh_south', 2],
+    ['prod_keyboard::wh_east', 10],
+    ['prod_mouse::wh_east', 5]
+  ]);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('planAllocations', () => {
+    it('should fill each line from the warehouses in priority order', () => {
+      const allocations = planAllocations([keyboard, mouse], [north, south, east], available, 'priority');
+
+      expect(allocations).toEqual([
+        [{ warehouse_id: 'wh_north', quantity: 3 }, { warehouse_id: 'wh_east', quantity: 1 }],
+        [{ warehouse_id: 'wh_south', quantity: 2 }]
+      ]);
+    });
+
+    it('should ship the whole order from one warehouse when it can', () => {
+      const allocations = planAllocations([keyboard, mouse], [north, south, east], available, 'fewest_shipments');
+
+      expect(allocations).toEqual([
+        [{ warehouse_id: 'wh_east', quantity: 4 }],
+        [{ warehouse_id: 'wh_east', quantity: 2 }]
+      ]);
+    });
+
+    it('should reject an order the warehouses cannot cover', () => {
+      expect(() => planAllocations([{ ...keyboard, quantity: 14 }], [north, south, east], available, 'priority'))
+        .toThrow('Insufficient stock in the active warehouses for product: Keyboard. Short by 1.');
+    });
+  });
+
+  describe('ALLOCATION_STRATEGY setting', () => {
+    const original = process.env.ALLOCATION_STRATEGY;
+    afterEach(() => {
+      if (original === undefined) delete process.env.ALLOCATION_STRATEGY;
+      else process.env.ALLOCATION_STRATEGY = original;
+    });
+
+    it('should stop the app at startup when the strategy is unknown, rather than failing every order', () => {
+      process.env.ALLOCATION_STRATEGY = 'nearest';
+      jest.isolateModules(() => {
+        expect(() => require('../config/settings')).toThrow("Unknown ALLOCATION_STRATEGY 'nearest'. Must be one of: priority, fewest_shipments");
+      });
+    });
+
+    it('should accept a known strategy', () => {
+      process.env.ALLOCATION_STRATEGY = 'fewest_shipments';
+      jest.isolateModules(() => {
+        expect(require('../config/settings').ALLOCATION_STRATEGY).toBe('fewest_shipments');
+      });
+    });
+  });
+
+  describe('allocateOrder', () => {
+    it('should reserve the allocated units at each active warehouse', async () => {
+      // Arrange: South is closed, so its mice cannot be used
+      Warehouse.find.mockResolvedValue([north, { ...south, active: false }, east]);
+      StockLevel.find.mockResolvedValue([
+        { product_id: 'prod_keyboard', variant_id: null, warehouse_id: 'wh_north', stock: 5, reserved: 2 },
+        { product_id: 'prod_mouse', variant_id: null, warehouse_id: 'wh_east', stock: 5, reserved: 0 }
+      ]);
+
+      // Act
+      const result = await allocateOrder([{ ...keyboard, quantity: 3 }, mouse], { session, strategy: 'priority' });
+
+      // Assert
+      expect(StockLevel.find).toHaveBeenCalledWith(expect.objectContaining({ warehouse_id: { $in: ['wh_north', 'wh_east'] } }), null, { session });
+      expect(result).toEqual({
+        strategy: 'priority',
+        allocations: [[{ warehouse_id: 'wh_north', quantity: 3 }], [{ warehouse_id: 'wh_east', quantity: 2 }]]
+      });
+      expect(StockLevel.updateOne).toHaveBeenCalledWith(
+        { product_id: 'prod_keyboard', variant_id: null, warehouse_id: 'wh_north' },
+        { $inc: { reserved: 3 } },
+        { session }
+      );
+      expect(StockLevel.updateOne).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not allocate while no warehouse exists', async () => {
+      Warehouse.find.mockResolvedValue([]);
+
+      expect(await allocateOrder([keyboard], { session })).toBeNull();
+      expect(StockLevel.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unitsByWarehouse', () => {
+    it('should take the units of a line from its allocations in order', () => {
+      const item = { allocations: [{ warehouse_id: 'wh_north', quantity: 3 }, { warehouse_id: 'wh_east', quantity: 2 }] };
+
+      // The last two of the first four units: one from each warehouse
+      expect(unitsByWarehouse(item, 2, 4)).toEqual([
+        { warehouseId: 'wh_north', quantity: 1 },
+        { warehouseId: 'wh_east', quantity: 1 }
+      ]);
+      expect(unitsByWarehouse({ allocations: [] }, 0, 3)).toEqual([{ warehouseId: undefined, quantity: 3 }]);
+    });
+  });
+
+  describe('transferStock', () => {
+    const product = { _id: 'prod_keyboard', name: 'Keyboard', stock: 13 };
+
+    it('should move available units between warehouses and record both sides in the ledger', async () => {
+      // Arrange
+      StockLevel.findOne.mockResolvedValue({ stock: 3, reserved: 1 });
+      StockLevel.findOneAndUpdate.mockResolvedValue({ stock: 1 });
+
+      // Act
+      await transferStock({ product, fromWarehouseId: 'wh_north', toWarehouseId: 'wh_east', quantity: 2, transferId: 'transfer_1', session });
+
+      // Assert
+      expect(StockLevel.findOneAndUpdate.mock.calls.map(([filter, update]) => [filter.warehouse_id, update])).toEqual([
+        ['wh_north', { $inc: { stock: -2 } }],
+        ['wh_east', { $inc: { stock: 2 } }]
+      ]);
+      // The product's total does not change
+      expect(StockMovement.create).toHaveBeenCalledWith([expect.objectContaining({
+        reason: 'transfer', warehouse_id: 'wh_north', quantity_delta: -2, balance_after: 13, transfer_id: 'transfer_1'
+      })], { session });
+    });
+
+    it('should not move units that are reserved for orders', async () => {
+      StockLevel.findOne.mockResolvedValue({ stock: 3, reserved: 2 });
+
+      await expect(transferStock({ product, fromWarehouseId: 'wh_north', toWarehouseId: 'wh_east', quantity: 2, session }))
+        .rejects.toThrow('Insufficient stock to transfer Keyboard. Available: 1, Requested: 2');
+      expect(StockLevel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
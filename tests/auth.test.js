@@ -0,0 +1,137 @@
+// tests/auth.test.js
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const { register, login } = require('../controllers/authController');
+const { protect, authorize } = require('../middleware/auth');
+const { signToken } = require('../services/auth');
+const User = require('../models/User');
+
+jest.mock('../models/User');
+
+describe('Authentication', () => {
+
+  let req, res, next;
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: {},
+      headers: {},
+      get(name) { return this.headers[name.toLowerCase()]; }
+    };
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('register', () => {
+    it('should always create a customer account and return a token', async () => {
+      // Arrange
+      req.body = { name: 'Jane Doe', email: 'jane@example.com', password: 'secret123', role: 'admin' };
+      const mockUser = { _id: 'user_123', name: 'Jane Doe', email: 'jane@example.com', role: 'customer' };
+      User.create.mockResolvedValue(mockUser);
+
+      // Act
+      await register(req, res, next);
+
+      // Assert
+      expect(User.create).toHaveBeenCalledWith({ name: 'Jane Doe', email: 'jane@example.com', password: 'secret123', role: 'customer' });
+      expect(res.status).toHaveBeenCalledWith(201);
+      const { token } = res.json.mock.calls[0][0];
+      expect(jwt.verify(token, 'test-secret')).toEqual(expect.objectContaining({ sub: 'user_123', role: 'customer' }));
+    });
+  });
+
+  describe('login', () => {
+    it('should return a token for valid credentials', async () => {
+      // Arrange
+      req.body = { email: 'Jane@Example.com ', password: 'secret123' };
+      const mockUser = { _id: 'user_123', role: 'customer', comparePassword: jest.fn().mockResolvedValue(true) };
+      const select = jest.fn().mockResolvedValue(mockUser);
+      User.findOne.mockReturnValue({ select });
+
+      // Act
+      await login(req, res, next);
+
+      // Assert
+      expect(User.findOne).toHaveBeenCalledWith({ email: 'jane@example.com' });
+      expect(select).toHaveBeenCalledWith('+password');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ token: expect.any(String), user: mockUser });
+    });
+
+    it('should return 401 for a wrong password', async () => {
+      // Arrange
+      req.body = { email: 'jane@example.com', password: 'wrong' };
+      const mockUser = { comparePassword: jest.fn().mockResolvedValue(false) };
+      User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+
+      // Act
+      await login(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401, message: 'Invalid email or password' }));
+    });
+  });
+
+  describe('protect', () => {
+    it('should attach the user for a valid token', async () => {
+      // Arrange
+      const mockUser = { _id: 'user_123', role: 'staff' };
+      req.headers.authorization = `Bearer ${signToken(mockUser)}`;
+      User.findById.mockResolvedValue(mockUser);
+
+      // Act
+      await protect(req, res, next);
+
+      // Assert
+      expect(User.findById).toHaveBeenCalledWith('user_123');
+      expect(req.user).toBe(mockUser);
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 401 without a token', async () => {
+      // Act
+      await protect(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401 }));
+    });
+
+    it('should return 401 for a token signed with another secret', async () => {
+      // Arrange
+      req.headers.authorization = `Bearer ${jwt.sign({ sub: 'user_123', role: 'admin' }, 'another-secret')}`;
+
+      // Act
+      await protect(req, res, next);
+
+      // Assert
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401 }));
+    });
+  });
+
+  describe('authorize', () => {
+    it('should allow a user with one of the roles', () => {
+      // Arrange
+      req.user = { role: 'staff' };
+
+      // Act
+      authorize('admin', 'staff')(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 403 for a user without the role', () => {
+      // Arrange
+      req.user = { role: 'customer' };
+
+      // Act
+      authorize('admin')(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+  });
+});
@@ -0,0 +1,130 @@
+// tests/backorders.test.js
+const { fillBackorders } = require('../services/backorders');
+const Order = require('../models/Order');
+const Warehouse = require('../models/Warehouse');
+const StockLevel = require('../models/StockLevel');
+const OutboxEvent = require('../models/OutboxEvent');
+
+jest.mock('../models/Order');
+jest.mock('../models/Product');
+jest.mock('../models/StockMovement');
+jest.mock('../models/Promotion');
+jest.mock('../models/PromotionRedemption');
+jest.mock('../models/OutboxEvent');
+jest.mock('../models/Warehouse');
+jest.mock('../models/StockLevel');
+
+describe('Backorders', () => {
+
+  const session = { id: 'session' };
+
+  // Two orders wait for keyboards: the older one for 3, the newer one for 4
+  const buildOrder = (id, outstanding, overrides = {}) => ({
+    _id: id,
+    status: 'backordered',
+    items: [{ product_id: 'prod_keyboard', name: 'Keyboard', quantity: outstanding, fulfilled_quantity: 0, outstanding_quantity: outstanding, allocations: [] }],
+    reservation: { status: 'active' },
+    status_history: [],
+    save: jest.fn(),
+    ...overrides
+  });
+
+  // 5 keyboards have just arrived
+  const buildProduct = (overrides = {}) => ({
+    _id: 'prod_keyboard',
+    name: 'Keyboard',
+    stock: 5,
+    reserved: 0,
+    backordered: 7,
+    save: jest.fn(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Warehouse.find.mockResolvedValue([]);
+  });
+
+  it('should fill the oldest backorders first and make complete orders payable', async () => {
+    // Arrange
+    const older = buildOrder('order_1', 3);
+    const newer = buildOrder('order_2', 4);
+    Order.find.mockResolvedValue([older, newer]);
+    const product = buildProduct();
+
+    // Act
+    const filled = await fillBackorders(product, { session, changedBy: 'user_staff' });
+
+    // Assert
+    expect(Order.find).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'backordered' }),
+      null,
+      { session, sort: { createdAt: 1, _id: 1 } }
+    );
+    expect(filled).toEqual([older, newer]);
+
+    // The older order has everything it needs and its reservation now expires
+    expect(older.items[0]).toEqual(expect.objectContaining({ fulfilled_quantity: 3, outstanding_quantity: 0 }));
+    expect(older.status).toBe('pending');
+    expect(older.reservation.expires_at).toBeInstanceOf(Date);
+    expect(older.status_history).toEqual([expect.objectContaining({ from: 'backordered', to: 'pending', changed_by: 'user_staff' })]);
+
+    // The newer one gets the 2 units left and keeps waiting for the rest
+    expect(newer.items[0]).toEqual(expect.objectContaining({ fulfilled_quantity: 2, outstanding_quantity: 2 }));
+    expect(newer.status).toBe('backordered');
+    expect(newer.save).toHaveBeenCalledWith({ session });
+
+    expect(product).toEqual(expect.objectContaining({ reserved: 5, backordered: 2 }));
+    expect(product.save).toHaveBeenCalledWith({ session });
+    expect(OutboxEvent.create).toHaveBeenCalledWith([expect.objectContaining({ type: 'order.status_changed', aggregate_id: 'order_1' })], { session });
+  });
+
+  it('should allocate the filled units to the warehouses that hold them', async () => {
+    // Arrange: the units arrived at the North warehouse, 1 unit of the order was allocated earlier
+    const order = buildOrder('order_1', 2, {
+      items: [{ product_id: 'prod_keyboard', quantity: 3, fulfilled_quantity: 1, outstanding_quantity: 2, allocations: [{ warehouse_id: 'wh_south', quantity: 1 }] }]
+    });
+    Order.find.mockResolvedValue([order]);
+    Warehouse.find.mockResolvedValue([{ _id: 'wh_north', priority: 1, active: true }]);
+    StockLevel.find.mockResolvedValue([{ product_id: 'prod_keyboard', variant_id: null, warehouse_id: 'wh_north', stock: 5, reserved: 0 }]);
+
+    // Act
+    await fillBackorders(buildProduct({ stock: 6, reserved: 1, backordered: 2 }), { session });
+
+    // Assert
+    expect(order.items[0].allocations).toEqual([{ warehouse_id: 'wh_south', quantity: 1 }, { warehouse_id: 'wh_north', quantity: 2 }]);
+    expect(StockLevel.updateOne).toHaveBeenCalledWith(
+      { product_id: 'prod_keyboard', variant_id: null, warehouse_id: 'wh_north' },
+      { $inc: { reserved: 2 } },
+      { session }
+    );
+    expect(order.status).toBe('pending');
+  });
+
+  it('should fill the variant that received stock', async () => {
+    // Arrange
+    const order = buildOrder('order_1', 2, {
+      items: [{ product_id: 'prod_tshirt', variant_id: 'var_m', quantity: 2, fulfilled_quantity: 0, outstanding_quantity: 2 }]
+    });
+    Order.find.mockResolvedValue([order]);
+    const variant = { _id: 'var_m', sku: 'TSHIRT-M', stock: 1, reserved: 0, backordered: 2 };
+    const product = buildProduct({ _id: 'prod_tshirt', variants: [variant] });
+
+    // Act
+    await fillBackorders(product, { variantId: 'var_m', session });
+
+    // Assert: only the one unit that arrived is reserved
+    expect(Order.find).toHaveBeenCalledWith(expect.objectContaining({
+      items: { $elemMatch: { product_id: 'prod_tshirt', variant_id: 'var_m', outstanding_quantity: { $gt: 0 } } }
+    }), null, expect.anything());
+    expect(variant).toEqual(expect.objectContaining({ reserved: 1, backordered: 1 }));
+    expect(order.items[0]).toEqual(expect.objectContaining({ fulfilled_quantity: 1, outstanding_quantity: 1 }));
+    expect(order.status).toBe('backordered');
+  });
+
+  it('should do nothing when no order is waiting or no units are available', async () => {
+    expect(await fillBackorders(buildProduct({ backordered: 0 }), { session })).toEqual([]);
+    expect(await fillBackorders(buildProduct({ stock: 2, reserved: 2 }), { session })).toEqual([]);
+    expect(Order.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,194 @@
+// tests/categories.test.js
+const mongoose = require('mongoose');
+const { moveCategory } = require('../services/categories');
+const { createCategory, updateCategory, deleteCategory } = require('../controllers/categoryController');
+const { getCategoryProducts } = require('../controllers/productController');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+
+jest.mock('../models/Category');
+jest.mock('../models/Product');
+
+describe('Categories', () => {
+
+  const ids = {
+    electronics: new mongoose.Types.ObjectId(),
+    computers: new mongoose.Types.ObjectId(),
+    laptops: new mongoose.Types.ObjectId(),
+    office: new mongoose.Types.ObjectId()
+  };
+  // A category as read from the database; save resolves to the category itself
+  const category = (name, ancestors) => {
+    const found = { _id: ids[name], name, parent_id: ancestors.length ? ancestors[ancestors.length - 1] : null, ancestors };
+    found.save = jest.fn().mockResolvedValue(found);
+    return found;
+  };
+
+  let req, res, next, session;
+  beforeEach(() => {
+    req = { params: {}, query: {}, body: {}, user: { _id: 'user_admin', role: 'admin' } };
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    next = jest.fn();
+    jest.clearAllMocks();
+    session = { startTransaction: jest.fn(), commitTransaction: jest.fn(), abortTransaction: jest.fn(), endSession: jest.fn() };
+    mongoose.startSession = jest.fn().mockResolvedValue(session);
+  });
+
+  describe('createCategory', () => {
+    it('should place a new category below its parent and the parent\'s ancestors', async () => {
+      // Arrange
+      req.body = { name: 'Laptops', parent_id: String(ids.computers) };
+      Category.findById.mockResolvedValue(category('computers', [ids.electronics]));
+      Category.create.mockImplementation(async (fields) => fields);
+
+      // Act
+      await createCategory(req, res, next);
+
+      // Assert
+      expect(Category.create).toHaveBeenCalledWith({
+        name: 'Laptops',
+        description: undefined,
+        parent_id: ids.computers,
+        ancestors: [ids.electronics, ids.computers]
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should return 404 for a parent that does not exist', async () => {
+      req.body = { name: 'Laptops', parent_id: String(ids.computers) };
+      Category.findById.mockResolvedValue(null);
+
+      await createCategory(req, res, next);
+
+      expect(Category.create).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404, message: 'Parent category not found' }));
+    });
+  });
+
+  describe('moveCategory', () => {
+    it('should rewrite only the ancestors of the moved subtree, not its products', async () => {
+      // Arrange: move Computers from Electronics to Office
+      const computers = category('computers', [ids.electronics]);
+      const office = category('office', []);
+
+      // Act
+      await moveCategory(computers, office, { session });
+
+      // Assert
+      expect(computers).toMatchObject({ parent_id: ids.office, ancestors: [ids.office] });
+      expect(computers.save).toHaveBeenCalledWith({ session });
+      // Laptops keeps [Computers] from its ancestors and takes [Office] above it
+      expect(Category.updateMany).toHaveBeenCalledWith({ ancestors: ids.computers }, [{
+        $set: {
+          ancestors: {
+            $concatArrays: [
+              [ids.office],
+              { $slice: ['$ancestors', { $indexOfArray: ['$ancestors', ids.computers] }, { $size: '$ancestors' }] }
+            ]
+          }
+        }
+      }], { session });
+      expect(Product.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to move a category under itself or one of its subcategories', async () => {
+      const computers = category('computers', [ids.electronics]);
+
+      await expect(moveCategory(computers, category('laptops', [ids.electronics, ids.computers]), { session }))
+        .rejects.toMatchObject({ statusCode: 422 });
+      await expect(moveCategory(computers, computers, { session })).rejects.toMatchObject({ statusCode: 422 });
+
+      expect(computers.save).not.toHaveBeenCalled();
+      expect(Category.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateCategory', () => {
+    it('should move a category to the top level in a transaction', async () => {
+      req.params.id = String(ids.computers);
+      req.body = { parent_id: null };
+      const computers = category('computers', [ids.electronics]);
+      Category.findById.mockResolvedValue(computers);
+
+      await updateCategory(req, res, next);
+
+      expect(computers).toMatchObject({ parent_id: null, ancestors: [] });
+      expect(Category.updateMany).toHaveBeenCalledWith({ ancestors: ids.computers }, expect.any(Array), { session });
+      expect(session.commitTransaction).toHaveBeenCalledTimes(1);
+      expect(res.json).toHaveBeenCalledWith(computers);
+    });
+  });
+
+  describe('deleteCategory', () => {
+    // Mocks Model.exists(...).session(...)
+    const mockExists = (Model, found) => Model.exists.mockReturnValue({ session: jest.fn().mockResolvedValue(found) });
+
+    it('should check for subcategories and products and delete in one transaction', async () => {
+      // Arrange
+      req.params.id = String(ids.office);
+      mockExists(Category, null);
+      mockExists(Product, null);
+      const office = category('office', []);
+      Category.findByIdAndDelete.mockResolvedValue(office);
+
+      // Act
+      await deleteCategory(req, res, next);
+
+      // Assert
+      expect(Category.exists.mock.results[0].value.session).toHaveBeenCalledWith(session);
+      expect(Product.exists.mock.results[0].value.session).toHaveBeenCalledWith(session);
+      expect(Category.findByIdAndDelete).toHaveBeenCalledWith(String(ids.office), { session });
+      expect(session.commitTransaction).toHaveBeenCalledTimes(1);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Category deleted successfully', deletedCategory: office });
+    });
+
+    it('should keep a category that has subcategories or products', async () => {
+      req.params.id = String(ids.computers);
+      mockExists(Category, { _id: ids.laptops });
+
+      await deleteCategory(req, res, next);
+
+      expect(Category.findByIdAndDelete).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409 }));
+      expect(session.abortTransaction).toHaveBeenCalledTimes(1);
+
+      mockExists(Category, null);
+      mockExists(Product, { _id: 'prod_1' });
+      await deleteCategory(req, res, next);
+
+      expect(Category.findByIdAndDelete).not.toHaveBeenCalled();
+      expect(next).toHaveBeenLastCalledWith(expect.objectContaining({
+        statusCode: 409,
+        message: 'This category has products and cannot be deleted. Move them to another category first.'
+      }));
+    });
+  });
+
+  describe('getCategoryProducts', () => {
+    it('should list the products of the category and of every category below it', async () => {
+      // Arrange
+      req.params.id = String(ids.computers);
+      Category.findById.mockResolvedValue(category('computers', [ids.electronics]));
+      Category.distinct.mockResolvedValue([ids.laptops]);
+      Product.find.mockReturnValue({ sort: jest.fn().mockReturnThis(), limit: jest.fn().mockResolvedValue([]) });
+
+      // Act
+      await getCategoryProducts(req, res, next);
+
+      // Assert
+      expect(Category.distinct).toHaveBeenCalledWith('_id', { ancestors: ids.computers });
+      expect(Product.find).toHaveBeenCalledWith({ archived_at: null, category_id: { $in: [ids.computers, ids.laptops] } });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should return 404 for a category that does not exist', async () => {
+      req.params.id = String(ids.computers);
+      Category.findById.mockResolvedValue(null);
+
+      await getCategoryProducts(req, res, next);
+
+      expect(Product.find).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404, message: 'Category not found' }));
+    });
+  });
+});
@@ -0,0 +1,96 @@
+// tests/concurrency/orders.test.js
+// Runs order operations side by side against a real MongoDB replica set, kept in memory,
+// to check that colliding transactions are retried and that stock is never oversold.
+// Run with `npm run test:concurrency`; the first run downloads a MongoDB binary.
+process.env.TRANSACTION_MAX_ATTEMPTS = '20'; // Many orders collide on one product here
+
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const { placeOrder, updateOrderStatus } = require('../../controllers/orderController');
+const Product = require('../../models/Product');
+const Order = require('../../models/Order');
+const { toAppError } = require('../../utils/errors');
+
+// Calls a controller the way Express would. Resolves with the status and body sent,
+// or with the status of the error passed to next.
+const call = (handler, { user, params = {}, body = {} }) => new Promise((resolve) => {
+  const req = { user, params, body, query: {}, headers: {}, get: () => undefined };
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    set() { return this; },
+    json(payload) { resolve({ status: this.statusCode, body: payload }); },
+    end() { resolve({ status: this.statusCode }); }
+  };
+  handler(req, res, (error) => resolve({ status: toAppError(error).statusCode, error }));
+});
+
+// A staff user of its own, so concurrent orders do not share a customer record
+const staffUser = (n) => ({ _id: new mongoose.Types.ObjectId(), name: `Staff ${n}`, email: `staff${n}@example.com`, role: 'staff' });
+
+describe('Concurrent order operations', () => {
+
+  let replSet;
+  beforeAll(async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri());
+    // Transactions cannot wait for collections and indexes to be created
+    await mongoose.connection.syncIndexes();
+  });
+
+  afterAll(async () => {
+    // beforeAll may have failed before connecting, or before the replica set started
+    if (mongoose.connection.readyState !== mongoose.ConnectionStates.disconnected) await mongoose.disconnect();
+    if (replSet) await replSet.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all(Object.values(mongoose.connection.collections).map((collection) => collection.deleteMany({})));
+  });
+
+  it('should never reserve more units than are in stock', async () => {
+    // Arrange: 25 orders of one unit each race for 10 units
+    const product = await Product.create({ name: 'Keyboard', price: 5000, stock: 10 });
+    const body = { items: [{ product_id: String(product._id), quantity: 1 }] };
+
+    // Act
+    const results = await Promise.all(Array.from({ length: 25 }, (_, n) => call(placeOrder, { user: staffUser(n), body })));
+
+    // Assert: collisions were retried, so every order was either placed or refused for lack of stock
+    const statuses = results.map(({ status }) => status);
+    expect(statuses.filter((status) => status === 201)).toHaveLength(10);
+    expect(statuses.filter((status) => status === 409)).toHaveLength(15);
+    const after = await Product.findById(product._id);
+    expect(after.reserved).toBe(10);
+    expect(await Order.countDocuments()).toBe(10);
+  });
+
+  it('should merge the lines of every order and reserve each product once per order', async () => {
+    const mouse = await Product.create({ name: 'Mouse', price: 2000, stock: 100 });
+    const pad = await Product.create({ name: 'Mouse Pad', price: 900, stock: 100 });
+    const body = { items: [
+      { product_id: String(mouse._id), quantity: 2 },
+      { product_id: String(pad._id), quantity: 1 },
+      { product_id: String(mouse._id), quantity: 3 }
+    ] };
+
+    const results = await Promise.all(Array.from({ length: 10 }, (_, n) => call(placeOrder, { user: staffUser(n), body })));
+
+    expect(results.map(({ status }) => status)).toEqual(Array(10).fill(201));
+    expect(results[0].body.items.map(({ quantity }) => quantity)).toEqual([5, 1]);
+    expect((await Product.findById(mouse._id)).reserved).toBe(50);
+    expect((await Product.findById(pad._id)).reserved).toBe(10);
+  });
+
+  it('should release the stock of an order cancelled twice at the same time only once', async () => {
+    const product = await Product.create({ name: 'Monitor', price: 20000, stock: 5 });
+    const user = staffUser(0);
+    const placed = await call(placeOrder, { user, body: { items: [{ product_id: String(product._id), quantity: 3 }] } });
+    expect(placed.status).toBe(201);
+
+    const cancel = () => call(updateOrderStatus, { user, params: { id: String(placed.body._id) }, body: { status: 'cancelled' } });
+    const results = await Promise.all([cancel(), cancel()]);
+
+    expect(results.map(({ status }) => status).sort()).toEqual([200, 409]);
+    expect((await Product.findById(product._id)).reserved).toBe(0);
+  });
+});
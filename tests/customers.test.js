@@ -0,0 +1,180 @@
+// tests/customers.test.js
+const { customerForUser, shippingAddressFor, settleDefaultAddress } = require('../services/customers');
+const { getCustomerById, updateCustomer, deleteCustomer } = require('../controllers/customerController');
+const { customerLifetimeValue } = require('../services/reports');
+const Customer = require('../models/Customer');
+const Order = require('../models/Order');
+
+jest.mock('../models/Customer');
+jest.mock('../models/Order');
+
+describe('Customers', () => {
+
+  let req, res, next;
+  beforeEach(() => {
+    req = { params: {}, body: {}, user: { _id: 'user_admin', role: 'admin' } };
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('customerForUser', () => {
+    const user = { _id: 'user_jane', name: 'Jane Doe', email: 'jane@example.com' };
+
+    it('should take over the customer staff created with the account\'s email', async () => {
+      // Arrange
+      const claimed = { _id: 'cust_1', user: 'user_jane', email: 'jane@example.com' };
+      Customer.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce({ _id: 'cust_1', email: 'jane@example.com' });
+      Customer.findOneAndUpdate.mockResolvedValue(claimed);
+
+      // Act
+      const customer = await customerForUser(user);
+
+      // Assert
+      expect(customer).toBe(claimed);
+      expect(Customer.findOneAndUpdate).toHaveBeenCalledWith(
+        { email: 'jane@example.com', user: { $exists: false } },
+        { $set: { user: 'user_jane' }, $setOnInsert: { name: 'Jane Doe' } },
+        expect.objectContaining({ upsert: true })
+      );
+    });
+
+    it('should create the customer without an email another account\'s customer already has', async () => {
+      // Arrange
+      const session = {};
+      const created = { _id: 'cust_2', user: 'user_jane', name: 'Jane Doe' };
+      Customer.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce({ _id: 'cust_1', user: 'user_john', email: 'jane@example.com' });
+      Customer.create.mockResolvedValue([created]);
+
+      // Act
+      const customer = await customerForUser(user, { session });
+
+      // Assert
+      expect(customer).toBe(created);
+      expect(Customer.create).toHaveBeenCalledWith([{ user: 'user_jane', name: 'Jane Doe' }], { session });
+      expect(Customer.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('shippingAddressFor', () => {
+    const customer = {
+      name: 'Jane Doe',
+      addresses: [
+        { _id: 'addr_billing', kind: 'billing', line1: '5 Bank St', city: 'Springfield', country: 'US', is_default: true },
+        { _id: 'addr_home', kind: 'shipping', label: 'Home', line1: '1 Main St', city: 'Springfield', country: 'US', is_default: true }
+      ]
+    };
+
+    it('should copy the default shipping address, addressed to the customer', () => {
+      expect(shippingAddressFor(customer)).toEqual({ name: 'Jane Doe', line1: '1 Main St', city: 'Springfield', country: 'US' });
+    });
+
+    it('should not ship to a billing address', () => {
+      expect(() => shippingAddressFor(customer, { addressId: 'addr_billing' })).toThrow('Shipping address addr_billing not found.');
+    });
+
+    it('should check an address given with the order', () => {
+      expect(() => shippingAddressFor(customer, { address: { line1: '2 Elm St' } })).toThrow('shipping_address is missing: city, country');
+      expect(shippingAddressFor(customer, { address: { name: 'Reception', line1: '2 Elm St', city: 'Ogdenville', country: 'ca' } }))
+        .toEqual({ name: 'Reception', line1: '2 Elm St', city: 'Ogdenville', country: 'CA' });
+    });
+  });
+
+  describe('settleDefaultAddress', () => {
+    it('should move the default to an address marked as the default', () => {
+      const home = { kind: 'shipping', is_default: true };
+      const office = { kind: 'shipping', is_default: true };
+      const billing = { kind: 'billing', is_default: true };
+      const customer = { addresses: [home, billing, office] };
+
+      settleDefaultAddress(customer, office);
+
+      expect([home.is_default, office.is_default, billing.is_default]).toEqual([false, true, true]);
+    });
+
+    it('should hand the default to the oldest address of a kind left without one', () => {
+      const home = { kind: 'shipping', is_default: false };
+      const office = { kind: 'shipping', is_default: false };
+      const customer = { addresses: [home, office] };
+
+      settleDefaultAddress(customer);
+
+      expect([home.is_default, office.is_default]).toEqual([true, false]);
+    });
+  });
+
+  describe('getCustomerById', () => {
+    it('should return the customer with their lifetime value per currency', async () => {
+      // Arrange
+      req.params.id = '65e9b3a4f8b9c0d1e2f3a4b5';
+      const customer = { _id: 'cust_123', name: 'Jane Doe', toObject: () => ({ _id: 'cust_123', name: 'Jane Doe' }) };
+      Customer.findById.mockResolvedValue(customer);
+      Order.aggregate.mockResolvedValue([{
+        placed: [{ _id: null, orders: 3, first_order_at: new Date('2024-01-05'), last_order_at: new Date('2024-03-09') }],
+        sold: [{ _id: 'USD', orders: 2, revenue: 5001 }]
+      }]);
+
+      // Act
+      await getCustomerById(req, res, next);
+
+      // Assert
+      expect(Order.aggregate.mock.calls[0][0][0]).toEqual({ $match: { customer: 'cust_123' } });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        _id: 'cust_123',
+        name: 'Jane Doe',
+        summary: {
+          orders: 3,
+          first_order_at: new Date('2024-01-05'),
+          last_order_at: new Date('2024-03-09'),
+          lifetime_value: [{ currency: 'USD', orders: 2, revenue: 5001, average_order_value: 2501 }]
+        }
+      });
+    });
+
+    it('should report a customer without orders as having no lifetime value', async () => {
+      Order.aggregate.mockResolvedValue([{ placed: [], sold: [] }]);
+
+      expect(await customerLifetimeValue('cust_new')).toEqual({ orders: 0, first_order_at: null, last_order_at: null, lifetime_value: [] });
+    });
+
+    it('should return 404 for another account\'s customer', async () => {
+      req.user = { _id: { equals: () => false }, role: 'customer' };
+      req.params.id = '65e9b3a4f8b9c0d1e2f3a4b5';
+      Customer.findById.mockResolvedValue({ _id: 'cust_123', user: { equals: () => false } });
+
+      await getCustomerById(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+      expect(Order.aggregate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateCustomer', () => {
+    it('should not let customers change the staff notes on their record', async () => {
+      req.user = { _id: 'user_jane', email: 'jane@example.com', role: 'customer' };
+      req.params.id = 'me';
+      req.body = { phone: '555-0100', notes: 'VIP' };
+      const customer = { set: jest.fn(), save: jest.fn() };
+      Customer.findOne.mockResolvedValue(customer);
+
+      await updateCustomer(req, res, next);
+
+      expect(Customer.findOne).toHaveBeenCalledWith({ user: 'user_jane' }, null, { session: undefined });
+      expect(customer.set).toHaveBeenCalledWith({ phone: '555-0100' });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('deleteCustomer', () => {
+    it('should keep a customer that orders refer to', async () => {
+      req.params.id = 'cust_123';
+      Order.exists.mockResolvedValue({ _id: 'order_1' });
+
+      await deleteCustomer(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409 }));
+      expect(Customer.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+  });
+});
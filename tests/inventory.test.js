@@ -0,0 +1,99 @@
+// tests/inventory.test.js
+const { getReconciliation, getLowStockAlerts, getReorderSuggestions } = require('../controllers/inventoryController');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const Order = require('../models/Order');
+
+jest.mock('../models/Product');
+jest.mock('../models/StockMovement');
+jest.mock('../models/OutboxEvent');
+jest.mock('../models/Warehouse');
+jest.mock('../models/StockLevel');
+jest.mock('../models/Order');
+
+describe('Inventory Controller', () => {
+
+  let req, res, next;
+  beforeEach(() => {
+    req = { body: {}, params: {}, query: {} };
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('getReconciliation', () => {
+
+    it('should flag products whose stock does not match their ledger', async () => {
+      // Arrange
+      StockMovement.aggregate.mockResolvedValue([
+        { _id: 'prod_1', ledger_stock: 10, movements: 2 },
+        { _id: 'prod_2', ledger_stock: 5, movements: 1 }
+      ]);
+      Product.find.mockReturnValue({ select: jest.fn().mockResolvedValue([
+        { _id: 'prod_1', name: 'In Balance', stock: 10 },
+        { _id: 'prod_2', name: 'Drifted', stock: 7 },
+        { _id: 'prod_3', name: 'No Ledger', stock: 4 }
+      ]) });
+
+      // Act
+      await getReconciliation(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        checked: 3,
+        drifted_count: 2,
+        drifted: [
+          { product_id: 'prod_2', name: 'Drifted', stock: 7, ledger_stock: 5, drift: 2, movements: 1 },
+          { product_id: 'prod_3', name: 'No Ledger', stock: 4, ledger_stock: 0, drift: 4, movements: 0 }
+        ]
+      });
+    });
+  });
+
+  describe('getLowStockAlerts', () => {
+
+    it('should list the items at or below their reorder point', async () => {
+      // Arrange
+      const items = [{ product_id: 'prod_1', name: 'Mouse', sku: null, available: 2, reorder_point: 5 }];
+      Product.aggregate.mockResolvedValue(items);
+
+      // Act
+      await getLowStockAlerts(req, res, next);
+
+      // Assert
+      const pipeline = Product.aggregate.mock.calls[0][0];
+      expect(pipeline).toContainEqual({ $match: { $expr: { $lte: ['$available', '$reorder_point'] } } });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ count: 1, items });
+    });
+  });
+
+  describe('getReorderSuggestions', () => {
+
+    it('should use the default sales window', async () => {
+      // Arrange
+      Product.aggregate.mockResolvedValue([]);
+      Order.aggregate.mockResolvedValue([]);
+
+      // Act
+      await getReorderSuggestions(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ sales_window_days: 30, count: 0, suggestions: [] });
+    });
+
+    it('should return a 400 error for an invalid sales window', async () => {
+      // Arrange
+      req.query.days = '0';
+
+      // Act
+      await getReorderSuggestions(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400, message: 'days must be a whole number between 1 and 365.' }));
+      expect(Order.aggregate).not.toHaveBeenCalled();
+    });
+  });
+});
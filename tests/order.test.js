@@ -1,32 +1,69 @@
 // tests/order.test.js
 const mongoose = require('mongoose');
-const { placeOrder, getAllOrders, getOrderById, updateOrderStatus } = require('../controllers/orderController');
+const { placeOrder, placeOrders, getAllOrders, getOrderById, updateOrderStatus, cancelOrderItems } = require('../controllers/orderController');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const OutboxEvent = require('../models/OutboxEvent');
+const Warehouse = require('../models/Warehouse');
+const StockLevel = require('../models/StockLevel');
+const Customer = require('../models/Customer');
+const Refund = require('../models/Refund');
 
 // We are NOT mocking the entire mongoose library anymore.
 // Instead, we will mock specific functions inside our tests.
 jest.mock('../models/Order');
 jest.mock('../models/Product');
+jest.mock('../models/StockMovement');
+jest.mock('../models/IdempotencyKey');
+jest.mock('../models/Promotion');
+jest.mock('../models/PromotionRedemption');
+jest.mock('../models/Refund');
+jest.mock('../models/OutboxEvent');
+jest.mock('../models/Warehouse');
+jest.mock('../models/StockLevel');
+jest.mock('../models/Customer');
 
 describe('Order Controller', () => {
 
-  let req, res;
+  let req, res, next;
   beforeEach(() => {
-    req = { body: {}, params: {} };
-    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      headers: {},
+      user: { _id: 'user_admin', role: 'admin' },
+      get(name) { return this.headers[name.toLowerCase()]; }
+    };
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn(), set: jest.fn().mockReturnThis(), end: jest.fn() };
+    next = jest.fn();
     jest.clearAllMocks();
+    // No automatic promotions unless a test sets some up
+    Promotion.find.mockReturnValue({ session: jest.fn().mockResolvedValue([]) });
+    // Stock is kept per product only, unless a test sets up warehouses
+    Warehouse.find.mockResolvedValue([]);
+    // Every reservation matches, unless a test says otherwise
+    Product.bulkWrite.mockImplementation(async (operations) => ({ matchedCount: operations.length }));
   });
 
+  // Orders read all their products with one find
+  const mockProducts = (...products) => {
+    Product.find.mockReturnValue({ session: jest.fn().mockResolvedValue(products) });
+  };
+
   describe('placeOrder', () => {
 
-    it('should successfully place an order and decrease product stock', async () => {
+    it('should successfully place an order and reserve product stock', async () => {
       // Arrange
-      req.body = { customer_name: 'Jane Doe', items: [{ product_id: 'prod_123', quantity: 2 }] };
-      const mockProduct = { _id: 'prod_123', name: 'Test Product', price: 100, stock: 10, save: jest.fn().mockResolvedValue(this) };
+      req.body = { items: [{ product_id: 'prod_123', quantity: 2 }] };
+      const mockProduct = { _id: 'prod_123', name: 'Test Product', price: 100, stock: 10, reserved: 0 };
       const mockOrder = { ...req.body, _id: 'order_123', total_price: 200, status: 'pending' };
       
-      Product.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockProduct) });
+      mockProducts(mockProduct);
       Order.prototype.save = jest.fn().mockResolvedValue(mockOrder);
 
       // --- START: CORRECT WAY TO MOCK SESSION ---
@@ -41,23 +78,79 @@ describe('Order Controller', () => {
       // --- END: CORRECT WAY TO MOCK SESSION ---
 
       // Act
-      await placeOrder(req, res);
+      await placeOrder(req, res, next);
 
       // Assert
       expect(mongoose.startSession).toHaveBeenCalledTimes(1);
-      expect(mockProduct.stock).toBe(8);
-      expect(mockProduct.save).toHaveBeenCalledTimes(1);
+      expect(mockProduct.stock).toBe(10);
+      expect(mockProduct.reserved).toBe(2);
+      expect(Product.find).toHaveBeenCalledWith({ _id: { $in: ['prod_123'] } });
+      // Only reserved while the units are still available
+      expect(Product.bulkWrite).toHaveBeenCalledWith([{ updateOne: {
+        filter: { _id: 'prod_123', $expr: { $gte: [{ $subtract: ['$stock', '$reserved'] }, 2] } },
+        update: { $inc: { reserved: 2 } }
+      } }], { session: mockSession, ordered: true });
+      expect(Order).toHaveBeenCalledWith(expect.objectContaining({ user: 'user_admin' }));
       expect(Order.prototype.save).toHaveBeenCalledTimes(1);
       expect(mockSession.commitTransaction).toHaveBeenCalledTimes(1);
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.json).toHaveBeenCalledWith(mockOrder);
     });
 
-    it('should return 400 if stock is insufficient', async () => {
+    it('should publish order.placed, and product.stock_low once few units are left, in the order\'s transaction', async () => {
+      // Arrange: 7 available, 3 ordered, so 4 are left (the threshold is 5)
+      req.body = { items: [{ product_id: 'prod_123', quantity: 3 }] };
+      const mockProduct = { _id: 'prod_123', name: 'Test Product', price: 100, stock: 7, reserved: 0 };
+      const mockOrder = { _id: 'order_123', user: 'user_admin', status: 'pending', total_price: 300, items: [{ product_id: 'prod_123', quantity: 3 }] };
+      mockProducts(mockProduct);
+      Order.prototype.save = jest.fn().mockResolvedValue(mockOrder);
+      const mockSession = { startTransaction: jest.fn(), commitTransaction: jest.fn(), abortTransaction: jest.fn(), endSession: jest.fn() };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+
+      // Act
+      await placeOrder(req, res, next);
+
+      // Assert
+      expect(OutboxEvent.create).toHaveBeenCalledWith([expect.objectContaining({
+        type: 'product.stock_low',
+        aggregate_id: 'prod_123',
+        data: expect.objectContaining({ available: 4, threshold: 5 })
+      })], { session: mockSession });
+      expect(OutboxEvent.create).toHaveBeenCalledWith([expect.objectContaining({
+        type: 'order.placed',
+        aggregate_type: 'order',
+        aggregate_id: 'order_123',
+        data: expect.objectContaining({ status: 'pending', items: [expect.objectContaining({ product_id: 'prod_123', quantity: 3 })] })
+      })], { session: mockSession });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should count units promised to backorders as taken when publishing product.stock_low', async () => {
+      // Arrange: 10 in stock, 3 promised to backorders, 2 ordered, so 5 are left (the threshold is 5)
+      req.body = { items: [{ product_id: 'prod_123', quantity: 2 }] };
+      const mockProduct = { _id: 'prod_123', name: 'Test Product', price: 100, stock: 10, reserved: 0, backordered: 3 };
+      const mockOrder = { _id: 'order_123', user: 'user_admin', status: 'pending', total_price: 200, items: [{ product_id: 'prod_123', quantity: 2 }] };
+      mockProducts(mockProduct);
+      Order.prototype.save = jest.fn().mockResolvedValue(mockOrder);
+      const mockSession = { startTransaction: jest.fn(), commitTransaction: jest.fn(), abortTransaction: jest.fn(), endSession: jest.fn() };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+
+      // Act
+      await placeOrder(req, res, next);
+
+      // Assert: the same count the reorder report uses
+      expect(OutboxEvent.create).toHaveBeenCalledWith([expect.objectContaining({
+        type: 'product.stock_low',
+        data: expect.objectContaining({ stock: 10, reserved: 2, backordered: 3, available: 5, threshold: 5 })
+      })], { session: mockSession });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should return 409 if stock is insufficient', async () => {
       // Arrange
-      req.body = { customer_name: 'Jane Doe', items: [{ product_id: 'prod_123', quantity: 15 }] };
-      const mockProduct = { stock: 10, name: 'Test Product' };
-      Product.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockProduct) });
+      req.body = { items: [{ product_id: 'prod_123', quantity: 15 }] };
+      const mockProduct = { _id: 'prod_123', stock: 10, reserved: 0, name: 'Test Product' };
+      mockProducts(mockProduct);
       
       // --- START: CORRECT WAY TO MOCK SESSION ---
       const mockSession = {
@@ -70,29 +163,32 @@ describe('Order Controller', () => {
       // --- END: CORRECT WAY TO MOCK SESSION ---
 
       // Act
-      await placeOrder(req, res);
+      await placeOrder(req, res, next);
 
       // Assert
       expect(mockSession.abortTransaction).toHaveBeenCalledTimes(1);
-      expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.json).toHaveBeenCalledWith({ message: expect.stringContaining('Insufficient stock') });
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409, message: expect.stringContaining('Insufficient stock') }));
     });
-  });
 
-  // ... (getAllOrders and getOrderById tests remain the same)
-  describe('getAllOrders', () => { /* ... no changes needed here ... */ });
-  describe('getOrderById', () => { /* ... no changes needed here ... */ });
+    it('should return 422 for an archived product', async () => {
+      req.body = { items: [{ product_id: 'prod_123', quantity: 1 }] };
+      mockProducts({ _id: 'prod_123', stock: 10, reserved: 0, name: 'Old Mouse', archived_at: new Date('2026-01-01') });
 
-  describe('updateOrderStatus', () => {
-    
-    it('should update the status and return the updated order', async () => {
+      await placeOrder(req, res, next);
+
+      expect(Product.bulkWrite).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({
+        statusCode: 422,
+        message: 'Product Old Mouse is archived and can no longer be ordered.'
+      }));
+    });
+
+    it('should not sell units that are reserved by other orders', async () => {
       // Arrange
-      req.params.id = 'order_123';
-      req.body.status = 'completed';
-      const mockOrder = { _id: 'order_123', status: 'pending', save: jest.fn().mockResolvedValue({ _id: 'order_123', status: 'completed' }) };
-      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+      req.body = { items: [{ product_id: 'prod_123', quantity: 3 }] };
+      const mockProduct = { _id: 'prod_123', stock: 10, reserved: 8, name: 'Test Product' };
+      mockProducts(mockProduct);
 
-      // --- START: CORRECT WAY TO MOCK SESSION ---
       const mockSession = {
         startTransaction: jest.fn(),
         commitTransaction: jest.fn(),
@@ -100,28 +196,64 @@ describe('Order Controller', () => {
         endSession: jest.fn(),
       };
       mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
-      // --- END: CORRECT WAY TO MOCK SESSION ---
 
       // Act
-      await updateOrderStatus(req, res);
+      await placeOrder(req, res, next);
 
       // Assert
-      expect(mockOrder.status).toBe('completed');
-      expect(mockOrder.save).toHaveBeenCalledTimes(1);
+      expect(Product.bulkWrite).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409, message: expect.stringContaining('Available: 2, Requested: 3') }));
+    });
+
+    it('should store the price breakdown and redeem the coupon in the same transaction', async () => {
+      // Arrange
+      req.body = { items: [{ product_id: 'prod_123', quantity: 2 }], coupon_code: 'save10' };
+      const mockProduct = { _id: 'prod_123', name: 'Test Product', price: 100, stock: 10, reserved: 0 };
+      const coupon = { _id: 'promo_123', code: 'SAVE10', name: '10% off', type: 'percentage', value: 10, active: true };
+      const discount = { promotion_id: 'promo_123', code: 'SAVE10', name: '10% off', type: 'percentage', amount: 20 };
+      const mockOrder = { _id: 'order_123', user: 'user_admin', subtotal: 200, discounts: [discount], total_price: 180 };
+
+      mockProducts(mockProduct);
+      Promotion.findOne.mockReturnValue({ session: jest.fn().mockResolvedValue(coupon) });
+      Promotion.findOneAndUpdate.mockResolvedValue({ ...coupon, uses_count: 1 });
+      Order.prototype.save = jest.fn().mockResolvedValue(mockOrder);
+
+      const mockSession = {
+        startTransaction: jest.fn(),
+        commitTransaction: jest.fn(),
+        abortTransaction: jest.fn(),
+        endSession: jest.fn(),
+      };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+
+      // Act
+      await placeOrder(req, res, next);
+
+      // Assert
+      expect(Order).toHaveBeenCalledWith(expect.objectContaining({
+        subtotal: 200,
+        discounts: [discount],
+        total_price: 180
+      }));
+      expect(Promotion.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'promo_123' }),
+        { $inc: { uses_count: 1 } },
+        { session: mockSession, new: true }
+      );
+      expect(PromotionRedemption.create).toHaveBeenCalledWith([expect.objectContaining({ order_id: 'order_123', amount: 20 })], { session: mockSession });
       expect(mockSession.commitTransaction).toHaveBeenCalledTimes(1);
-      expect(res.status).toHaveBeenCalledWith(200);
-      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ status: 'completed' }));
+      expect(res.status).toHaveBeenCalledWith(201);
     });
 
-    it('should restore product stock when an order is cancelled', async () => {
+    it('should not place the order when the coupon cannot be used', async () => {
       // Arrange
-      req.params.id = 'order_123';
-      req.body.status = 'cancelled';
-      const mockOrder = { _id: 'order_123', status: 'pending', items: [{ product_id: 'prod_123', quantity: 2 }], save: jest.fn().mockResolvedValue(this) };
-      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
-      Product.findByIdAndUpdate.mockResolvedValue({});
+      req.body = { items: [{ product_id: 'prod_123', quantity: 1 }], coupon_code: 'EXPIRED' };
+      const mockProduct = { _id: 'prod_123', name: 'Test Product', price: 100, stock: 10, reserved: 0 };
+      mockProducts(mockProduct);
+      Promotion.findOne.mockReturnValue({ session: jest.fn().mockResolvedValue({
+        code: 'EXPIRED', type: 'fixed', value: 5, active: true, ends_at: new Date('2020-01-01')
+      }) });
 
-      // --- START: CORRECT WAY TO MOCK SESSION ---
       const mockSession = {
         startTransaction: jest.fn(),
         commitTransaction: jest.fn(),
@@ -129,14 +261,1151 @@ describe('Order Controller', () => {
         endSession: jest.fn(),
       };
       mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
-      // --- END: CORRECT WAY TO MOCK SESSION ---
-      
+
+      // Act
+      await placeOrder(req, res, next);
+
+      // Assert
+      expect(Order.prototype.save).not.toHaveBeenCalled();
+      expect(mockSession.abortTransaction).toHaveBeenCalledTimes(1);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 422, message: 'Coupon EXPIRED cannot be used: it has expired.' }));
+    });
+
+    it('should merge the items for the same product into one line', async () => {
+      // Arrange
+      req.body = { items: [{ product_id: 'prod_123', quantity: 2 }, { product_id: 'prod_456', quantity: 1 }, { product_id: 'prod_123', quantity: 3 }] };
+      const keyboard = { _id: 'prod_123', name: 'Keyboard', price: 100, stock: 10, reserved: 0 };
+      const mouse = { _id: 'prod_456', name: 'Mouse', price: 50, stock: 10, reserved: 0 };
+      mockProducts(keyboard, mouse);
+      Order.prototype.save = jest.fn().mockResolvedValue({});
+      mongoose.startSession = jest.fn().mockResolvedValue({ startTransaction: jest.fn(), commitTransaction: jest.fn(), abortTransaction: jest.fn(), endSession: jest.fn() });
+
+      // Act
+      await placeOrder(req, res, next);
+
+      // Assert
+      expect(Product.find).toHaveBeenCalledTimes(1);
+      expect(Product.find).toHaveBeenCalledWith({ _id: { $in: ['prod_123', 'prod_456'] } });
+      expect(Product.bulkWrite).toHaveBeenCalledTimes(1);
+      expect(Product.bulkWrite.mock.calls[0][0].map(({ updateOne }) => updateOne.update)).toEqual([
+        { $inc: { reserved: 5 } },
+        { $inc: { reserved: 1 } }
+      ]);
+      expect(Order).toHaveBeenCalledWith(expect.objectContaining({
+        items: [
+          expect.objectContaining({ product_id: 'prod_123', quantity: 5 }),
+          expect.objectContaining({ product_id: 'prod_456', quantity: 1 })
+        ],
+        total_price: 550
+      }));
+    });
+
+    it('should return 409 when another order took the stock after it was read', async () => {
+      // Arrange: the conditional update no longer matches
+      req.body = { items: [{ product_id: 'prod_123', quantity: 2 }] };
+      mockProducts({ _id: 'prod_123', name: 'Test Product', price: 100, stock: 2, reserved: 0 });
+      Product.bulkWrite.mockResolvedValue({ matchedCount: 0 });
+      const mockSession = { startTransaction: jest.fn(), commitTransaction: jest.fn(), abortTransaction: jest.fn(), endSession: jest.fn() };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+
+      // Act
+      await placeOrder(req, res, next);
+
+      // Assert
+      expect(Order.prototype.save).not.toHaveBeenCalled();
+      expect(mockSession.abortTransaction).toHaveBeenCalledTimes(1);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409, message: expect.stringContaining('changed while it was being placed') }));
+    });
+  });
+
+  describe('placeOrder with product variants', () => {
+
+    let mockSession, mockProduct;
+    beforeEach(() => {
+      mockSession = {
+        startTransaction: jest.fn(),
+        commitTransaction: jest.fn(),
+        abortTransaction: jest.fn(),
+        endSession: jest.fn(),
+      };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+      mockProduct = {
+        _id: 'prod_123',
+        name: 'T-Shirt',
+        price: 20,
+        stock: 8,
+        reserved: 1,
+        variants: [
+          { _id: 'var_s', sku: 'TSHIRT-S', attributes: { size: 'S' }, stock: 5, reserved: 0 },
+          { _id: 'var_m', sku: 'TSHIRT-M', attributes: { size: 'M' }, price: 25, stock: 3, reserved: 1 }
+        ]
+      };
+      mockProducts(mockProduct);
+      Order.prototype.save = jest.fn().mockResolvedValue({});
+    });
+
+    it('should reserve the variant and record it on the order item', async () => {
+      // Arrange
+      req.body = { items: [{ product_id: 'prod_123', variant_id: 'var_m', quantity: 2 }] };
+
+      // Act
+      await placeOrder(req, res, next);
+
+      // Assert
+      expect(mockProduct.variants[1].reserved).toBe(3);
+      expect(mockProduct.reserved).toBe(3);
+      expect(Product.bulkWrite).toHaveBeenCalledWith([{ updateOne: {
+        filter: { _id: 'prod_123', variants: { $elemMatch: { _id: 'var_m', reserved: 1, stock: { $gte: 3 } } } },
+        update: { $inc: { reserved: 2, 'variants.$.reserved': 2 } }
+      } }], { session: mockSession, ordered: true });
+      expect(Order).toHaveBeenCalledWith(expect.objectContaining({
+        items: [expect.objectContaining({
+          product_id: 'prod_123',
+          variant_id: 'var_m',
+          sku: 'TSHIRT-M',
+          variant_attributes: { size: 'M' },
+          price_at_order: 25, // The variant's price override
+          quantity: 2
+        })],
+        total_price: 50
+      }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should find the product by SKU when no product_id is given', async () => {
+      // Arrange
+      req.body = { items: [{ sku: 'tshirt-s', quantity: 1 }] };
+
+      // Act
+      await placeOrder(req, res, next);
+
+      // Assert
+      expect(Product.find).toHaveBeenCalledWith({ 'variants.sku': { $in: ['TSHIRT-S'] } });
+      expect(Order).toHaveBeenCalledWith(expect.objectContaining({
+        items: [expect.objectContaining({ sku: 'TSHIRT-S', price_at_order: 20 })] // Falls back to the product price
+      }));
+    });
+
+    it('should check stock per variant', async () => {
+      // Arrange
+      req.body = { items: [{ product_id: 'prod_123', sku: 'TSHIRT-M', quantity: 3 }] };
+
+      // Act
+      await placeOrder(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409, message: 'Insufficient stock for product: T-Shirt (TSHIRT-M). Available: 2, Requested: 3' }));
+    });
+
+    it('should require a variant for a product with variants', async () => {
+      // Arrange
+      req.body = { items: [{ product_id: 'prod_123', quantity: 1 }] };
+
+      // Act
+      await placeOrder(req, res, next);
+
+      // Assert
+      expect(Product.bulkWrite).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400, message: expect.stringContaining('has variants') }));
+    });
+  });
+
+  describe('placeOrder for a customer', () => {
+
+    let mockSession;
+    const customer = {
+      _id: 'cust_123',
+      name: 'Jane Doe',
+      addresses: [
+        { _id: 'addr_home', kind: 'shipping', line1: '1 Main St', city: 'Springfield', country: 'US', is_default: true },
+        { _id: 'addr_office', kind: 'shipping', name: 'Acme Inc.', line1: '9 Market St', city: 'Shelbyville', country: 'US', is_default: false }
+      ]
+    };
+    beforeEach(() => {
+      mockSession = { startTransaction: jest.fn(), commitTransaction: jest.fn(), abortTransaction: jest.fn(), endSession: jest.fn() };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+      mockProducts({ _id: 'prod_123', name: 'Mouse', price: 100, stock: 10, reserved: 0 });
+      Order.prototype.save = jest.fn().mockResolvedValue({});
+      req.body = { items: [{ product_id: 'prod_123', quantity: 1 }] };
+    });
+
+    it('should link the order to the account\'s customer and copy the default shipping address', async () => {
+      // Arrange
+      req.user = { _id: 'user_jane', name: 'Jane Doe', email: 'jane@example.com', role: 'customer' };
+      Customer.findOne.mockResolvedValue(customer);
+
+      // Act
+      await placeOrder(req, res, next);
+
+      // Assert
+      expect(Customer.findOne).toHaveBeenCalledWith({ user: 'user_jane' }, null, { session: mockSession });
+      expect(Order).toHaveBeenCalledWith(expect.objectContaining({
+        user: 'user_jane',
+        customer: 'cust_123',
+        shipping_address: { name: 'Jane Doe', line1: '1 Main St', city: 'Springfield', country: 'US' }
+      }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should create the customer of an account on its first order', async () => {
+      req.user = { _id: 'user_new', name: 'New Customer', email: 'new@example.com', role: 'customer' };
+      Customer.findOne.mockResolvedValue(null);
+      Customer.findOneAndUpdate.mockResolvedValue({ _id: 'cust_new', name: 'New Customer', addresses: [] });
+
+      await placeOrder(req, res, next);
+
+      expect(Customer.findOneAndUpdate).toHaveBeenCalledWith(
+        { email: 'new@example.com', user: { $exists: false } },
+        { $set: { user: 'user_new' }, $setOnInsert: { name: 'New Customer' } },
+        expect.objectContaining({ session: mockSession, upsert: true })
+      );
+      expect(Order).toHaveBeenCalledWith(expect.objectContaining({ customer: 'cust_new', shipping_address: undefined }));
+    });
+
+    it('should let staff place an order for a customer, to one of their addresses', async () => {
+      req.body.customer_id = '65e9b3a4f8b9c0d1e2f3a4b5';
+      req.body.shipping_address_id = 'addr_office';
+      Customer.findById.mockResolvedValue(customer);
+
+      await placeOrder(req, res, next);
+
+      expect(Customer.findById).toHaveBeenCalledWith('65e9b3a4f8b9c0d1e2f3a4b5', null, { session: mockSession });
+      expect(Order).toHaveBeenCalledWith(expect.objectContaining({
+        user: 'user_admin',
+        customer: 'cust_123',
+        shipping_address: { name: 'Acme Inc.', line1: '9 Market St', city: 'Shelbyville', country: 'US' }
+      }));
+    });
+
+    it('should count a coupon\'s per-customer limit against the customer the order is for', async () => {
+      // Arrange: staff place the order, with a coupon the customer has used once already
+      req.body.customer_id = '65e9b3a4f8b9c0d1e2f3a4b5';
+      req.body.coupon_code = 'ONCE';
+      Customer.findById.mockResolvedValue(customer);
+      Promotion.findOne.mockReturnValue({
+        session: jest.fn().mockResolvedValue({ _id: 'promo_once', code: 'ONCE', type: 'fixed', value: 10, active: true, max_uses_per_customer: 1 })
+      });
+      PromotionRedemption.countDocuments.mockReturnValue({ session: jest.fn().mockResolvedValue(1) });
+
+      // Act
+      await placeOrder(req, res, next);
+
+      // Assert
+      expect(PromotionRedemption.countDocuments).toHaveBeenCalledWith({ promotion_id: 'promo_once', customer: 'cust_123', status: 'redeemed' });
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 422, message: expect.stringContaining('maximum number of times') }));
+    });
+
+    it('should not let a customer place an order for someone else', async () => {
+      req.user = { _id: 'user_jane', role: 'customer' };
+      req.body.customer_id = '65e9b3a4f8b9c0d1e2f3a4b5';
+
+      await placeOrder(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+      expect(mockSession.abortTransaction).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('placeOrder with backorders', () => {
+
+    let mockSession;
+    beforeEach(() => {
+      mockSession = { startTransaction: jest.fn(), commitTransaction: jest.fn(), abortTransaction: jest.fn(), endSession: jest.fn() };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+      Order.prototype.save = jest.fn().mockResolvedValue({});
+    });
+
+    it('should reserve what is available and mark the order backordered for the rest', async () => {
+      // Arrange: 3 of the 5 keyboards are available
+      req.body = { items: [{ product_id: 'prod_123', quantity: 5 }] };
+      const mockProduct = { _id: 'prod_123', name: 'Keyboard', price: 100, stock: 4, reserved: 1, backorder_mode: 'backorder' };
+      mockProducts(mockProduct);
+
+      // Act
+      await placeOrder(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(mockProduct.reserved).toBe(4);
+      expect(mockProduct.backordered).toBe(2);
+      expect(Order).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'backordered',
+        status_history: [expect.objectContaining({ from: null, to: 'backordered' })],
+        items: [expect.objectContaining({ quantity: 5, fulfilled_quantity: 3, outstanding_quantity: 2 })],
+        total_price: 500, // The whole line is charged
+        reservation: { status: 'active', expires_at: undefined } // Does not expire while waiting for stock
+      }));
+    });
+
+    it('should not backorder more units than the product\'s limit', async () => {
+      // Arrange: 2 units are already waiting and at most 3 may be
+      req.body = { items: [{ product_id: 'prod_123', quantity: 2 }] };
+      const mockProduct = {
+        _id: 'prod_123', name: 'Keyboard', price: 100, stock: 0, reserved: 0, backordered: 2,
+        backorder_mode: 'backorder', backorder_limit: 3
+      };
+      mockProducts(mockProduct);
+
+      // Act
+      await placeOrder(req, res, next);
+
+      // Assert
+      expect(mockSession.abortTransaction).toHaveBeenCalledTimes(1);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409, message: 'Insufficient stock for product: Keyboard. Available: 0, and only 1 more can be backordered. Requested: 2' }));
+    });
+
+    it('should record when pre-ordered units are expected, on every line of the order', async () => {
+      // Arrange: a pre-order product without stock next to one that is in stock
+      req.body = { items: [{ product_id: 'prod_game', quantity: 1 }, { product_id: 'prod_mouse', quantity: 1 }] };
+      const availableAt = new Date('2026-12-01T00:00:00.000Z');
+      const game = { _id: 'prod_game', name: 'Game', price: 6000, stock: 0, reserved: 0, backorder_mode: 'preorder', available_at: availableAt };
+      const mouse = { _id: 'prod_mouse', name: 'Mouse', price: 2000, stock: 5, reserved: 0 };
+      mockProducts(game, mouse);
+
+      // Act
+      await placeOrder(req, res, next);
+
+      // Assert
+      expect(Order).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'backordered',
+        items: [
+          expect.objectContaining({ product_id: 'prod_game', fulfilled_quantity: 0, outstanding_quantity: 1, expected_at: availableAt }),
+          expect.objectContaining({ product_id: 'prod_mouse', fulfilled_quantity: 1, outstanding_quantity: 0, expected_at: undefined })
+        ]
+      }));
+      expect(mouse.reserved).toBe(1);
+    });
+  });
+
+  describe('placeOrder with an Idempotency-Key', () => {
+
+    let mockSession;
+    beforeEach(() => {
+      mockSession = {
+        startTransaction: jest.fn(),
+        commitTransaction: jest.fn(),
+        abortTransaction: jest.fn(),
+        endSession: jest.fn(),
+      };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+      req.headers['idempotency-key'] = 'key_123';
+      req.body = { items: [{ product_id: 'prod_123', quantity: 2 }] };
+    });
+
+    it('should store the key and response in the same transaction as the order', async () => {
+      // Arrange
+      const mockProduct = { _id: 'prod_123', name: 'Test Product', price: 100, stock: 10, reserved: 0 };
+      const mockOrder = { _id: 'order_123', total_price: 200, status: 'pending' };
+      IdempotencyKey.findOne.mockReturnValue({ session: jest.fn().mockResolvedValue(null) });
+      mockProducts(mockProduct);
+      Order.prototype.save = jest.fn().mockResolvedValue(mockOrder);
+
       // Act
-      await updateOrderStatus(req, res);
+      await placeOrder(req, res, next);
 
       // Assert
-      expect(Product.findByIdAndUpdate).toHaveBeenCalledWith('prod_123', { $inc: { stock: 2 } }, { session: mockSession });
+      expect(IdempotencyKey.create).toHaveBeenCalledWith([expect.objectContaining({
+        scope: 'POST /api/orders:user_admin', // Keys are scoped to the user
+        key: 'key_123',
+        request_hash: expect.any(String),
+        response_status: 201,
+        response_body: mockOrder,
+        expires_at: expect.any(Date)
+      })], { session: mockSession });
       expect(mockSession.commitTransaction).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should replay the original response without placing the order again', async () => {
+      // Arrange
+      const { hashRequest } = require('../services/idempotency');
+      const originalResponse = { _id: 'order_123', total_price: 200, status: 'pending' };
+      IdempotencyKey.findOne.mockReturnValue({ session: jest.fn().mockResolvedValue({
+        request_hash: hashRequest({ items: [{ quantity: 2, product_id: 'prod_123' }] }),
+        response_status: 201,
+        response_body: originalResponse,
+        expires_at: new Date(Date.now() + 60000)
+      }) });
+
+      // Act
+      await placeOrder(req, res, next);
+
+      // Assert
+      expect(Product.find).not.toHaveBeenCalled();
+      expect(IdempotencyKey.create).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(originalResponse);
+    });
+
+    it('should return 422 when the key is reused with a different body', async () => {
+      // Arrange
+      IdempotencyKey.findOne.mockReturnValue({ session: jest.fn().mockResolvedValue({
+        request_hash: 'hash_of_another_body',
+        response_status: 201,
+        response_body: {},
+        expires_at: new Date(Date.now() + 60000)
+      }) });
+
+      // Act
+      await placeOrder(req, res, next);
+
+      // Assert
+      expect(Product.find).not.toHaveBeenCalled();
+      expect(mockSession.abortTransaction).toHaveBeenCalledTimes(1);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 422 }));
+    });
+
+    it('should treat an expired key as unused', async () => {
+      // Arrange
+      const mockProduct = { _id: 'prod_123', name: 'Test Product', price: 100, stock: 10, reserved: 0 };
+      IdempotencyKey.findOne.mockReturnValue({ session: jest.fn().mockResolvedValue({
+        _id: 'stored_key',
+        request_hash: 'hash_of_another_body',
+        expires_at: new Date(Date.now() - 60000)
+      }) });
+      mockProducts(mockProduct);
+      Order.prototype.save = jest.fn().mockResolvedValue({ _id: 'order_456' });
+
+      // Act
+      await placeOrder(req, res, next);
+
+      // Assert
+      expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: 'stored_key' }, { session: mockSession });
+      expect(IdempotencyKey.create).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should report a concurrent request with the same key as a conflict, and other duplicates as they are', async () => {
+      // Arrange
+      const mockProduct = { _id: 'prod_123', name: 'Test Product', price: 100, stock: 10, reserved: 0 };
+      IdempotencyKey.findOne.mockReturnValue({ session: jest.fn().mockResolvedValue(null) });
+      mockProducts(mockProduct);
+      Order.prototype.save = jest.fn().mockResolvedValue({ _id: 'order_123' });
+      const duplicateKey = Object.assign(new Error('E11000'), { code: 11000, keyPattern: { scope: 1, key: 1 } });
+      const duplicateOther = Object.assign(new Error('E11000'), { code: 11000, keyPattern: { order_id: 1, promotion_id: 1 } });
+      IdempotencyKey.create.mockRejectedValueOnce(duplicateKey).mockRejectedValueOnce(duplicateOther);
+
+      // Act
+      await placeOrder(req, res, next);
+      await placeOrder(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenNthCalledWith(1, expect.objectContaining({
+        statusCode: 409,
+        message: 'A request with this Idempotency-Key is already being processed. Retry shortly.'
+      }));
+      expect(next).toHaveBeenNthCalledWith(2, duplicateOther);
+    });
+  });
+
+  describe('placeOrders', () => {
+
+    let sessions;
+    beforeEach(() => {
+      sessions = [];
+      mongoose.startSession = jest.fn().mockImplementation(async () => {
+        const session = { startTransaction: jest.fn(), commitTransaction: jest.fn(), abortTransaction: jest.fn(), endSession: jest.fn() };
+        sessions.push(session);
+        return session;
+      });
+      mockProducts({ _id: 'prod_123', name: 'Keyboard', price: 100, stock: 3, reserved: 0 });
+    });
+
+    it('should place each order in its own transaction and report every outcome', async () => {
+      // Arrange: the second order asks for more keyboards than are in stock
+      req.body = { orders: [
+        { items: [{ product_id: 'prod_123', quantity: 1 }] },
+        { items: [{ product_id: 'prod_123', quantity: 5 }] }
+      ] };
+      Order.prototype.save = jest.fn().mockResolvedValue({ _id: 'order_123', status: 'pending' });
+
+      // Act
+      await placeOrders(req, res, next);
+
+      // Assert
+      expect(sessions).toHaveLength(2);
+      expect(sessions[0].commitTransaction).toHaveBeenCalledTimes(1);
+      expect(sessions[1].abortTransaction).toHaveBeenCalledTimes(1);
+      expect(sessions.every((session) => session.endSession.mock.calls.length === 1)).toBe(true);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        placed: 1,
+        failed: 1,
+        results: [
+          { index: 0, status: 201, order: { _id: 'order_123', status: 'pending' } },
+          { index: 1, status: 409, error: { code: 'conflict', message: 'Insufficient stock for product: Keyboard. Available: 2, Requested: 5', details: null } }
+        ]
+      });
+    });
+
+    it('should not reveal the cause of an unexpected failure', async () => {
+      req.body = { orders: [{ items: [{ product_id: 'prod_123', quantity: 1 }] }] };
+      Product.bulkWrite.mockRejectedValue(new Error('connection reset'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await placeOrders(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith({
+        placed: 0,
+        failed: 1,
+        results: [{ index: 0, status: 500, error: { code: 'internal_error', message: 'Something went wrong. Please try again later.', details: null } }]
+      });
+      expect(console.error).toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('getAllOrders', () => {
+    // Mocks the Order.find(...).sort(...).limit(...) chain used by the paginator
+    const mockFind = (documents) => {
+      const query = { sort: jest.fn().mockReturnThis(), limit: jest.fn().mockResolvedValue(documents) };
+      Order.find.mockReturnValue(query);
+      return query;
+    };
+
+    it('should return the newest orders first by default', async () => {
+      // Arrange
+      const mockOrders = [{ _id: 'order_2' }, { _id: 'order_1' }];
+      const query = mockFind(mockOrders);
+
+      // Act
+      await getAllOrders(req, res, next);
+
+      // Assert
+      expect(Order.find).toHaveBeenCalledWith({});
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ data: mockOrders, next_cursor: null });
+    });
+
+    it('should apply the status, customer, date and total filters', async () => {
+      // Arrange
+      req.query = {
+        status: 'paid,shipped',
+        customer: '65e9b3a4f8b9c0d1e2f3a4b5',
+        from: '2024-03-01',
+        to: '2024-03-31',
+        min_total: '100',
+        sort: 'total_price'
+      };
+      const query = mockFind([]);
+
+      // Act
+      await getAllOrders(req, res, next);
+
+      // Assert
+      expect(Order.find).toHaveBeenCalledWith({
+        status: { $in: ['paid', 'shipped'] },
+        customer: '65e9b3a4f8b9c0d1e2f3a4b5',
+        createdAt: { $gte: new Date('2024-03-01'), $lte: new Date('2024-03-31') },
+        total_price: { $gte: 100 }
+      });
+      expect(query.sort).toHaveBeenCalledWith({ total_price: 1, _id: 1 });
+    });
+
+    it('should return a 400 error for an unknown status', async () => {
+      // Arrange
+      req.query = { status: 'completed' };
+
+      // Act
+      await getAllOrders(req, res, next);
+
+      // Assert
+      expect(Order.find).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should return a 400 error for an invalid date', async () => {
+      // Arrange
+      req.query = { from: 'yesterday' };
+
+      // Act
+      await getAllOrders(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400, message: 'from must be a valid date.' }));
+    });
+  });
+
+  describe('updateOrderStatus', () => {
+    
+    it('should update the status and return the updated order', async () => {
+      // Arrange
+      req.params.id = 'order_123';
+      req.body.status = 'paid';
+      const mockOrder = { _id: 'order_123', status: 'pending', save: jest.fn().mockResolvedValue({ _id: 'order_123', status: 'paid' }) };
+      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+
+      // --- START: CORRECT WAY TO MOCK SESSION ---
+      const mockSession = {
+        startTransaction: jest.fn(),
+        commitTransaction: jest.fn(),
+        abortTransaction: jest.fn(),
+        endSession: jest.fn(),
+      };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+      // --- END: CORRECT WAY TO MOCK SESSION ---
+
+      // Act
+      await updateOrderStatus(req, res, next);
+
+      // Assert
+      expect(mockOrder.status).toBe('paid');
+      expect(mockOrder.save).toHaveBeenCalledTimes(1);
+      expect(mockSession.commitTransaction).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ status: 'paid' }));
+    });
+
+    it('should return 412 when the order changed since the client read it', async () => {
+      // Arrange: the client read the order while it was still pending
+      const { etagOf } = require('../utils/etags');
+      req.params.id = 'order_123';
+      req.body.status = 'shipped';
+      req.headers['if-match'] = etagOf({ _id: 'order_123', status: 'pending' });
+      const mockOrder = { _id: 'order_123', status: 'cancelled', save: jest.fn() };
+      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+      const mockSession = { startTransaction: jest.fn(), commitTransaction: jest.fn(), abortTransaction: jest.fn(), endSession: jest.fn() };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+
+      // Act
+      await updateOrderStatus(req, res, next);
+
+      // Assert
+      expect(mockOrder.save).not.toHaveBeenCalled();
+      expect(mockSession.abortTransaction).toHaveBeenCalledTimes(1);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 412 }));
+    });
+
+    it('should restore product stock when an order is cancelled', async () => {
+      // Arrange
+      req.params.id = 'order_123';
+      req.body.status = 'cancelled';
+      const mockOrder = { _id: 'order_123', status: 'pending', items: [{ product_id: 'prod_123', quantity: 2 }], save: jest.fn().mockResolvedValue(this) };
+      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+      Product.findOneAndUpdate.mockResolvedValue({ stock: 12 });
+
+      // --- START: CORRECT WAY TO MOCK SESSION ---
+      const mockSession = {
+        startTransaction: jest.fn(),
+        commitTransaction: jest.fn(),
+        abortTransaction: jest.fn(),
+        endSession: jest.fn(),
+      };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+      // --- END: CORRECT WAY TO MOCK SESSION ---
+      
+      // Act
+      await updateOrderStatus(req, res, next);
+
+      // Assert
+      expect(Product.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'prod_123' }, { $inc: { stock: 2 } }, { session: mockSession, new: true });
+      expect(mockSession.commitTransaction).toHaveBeenCalledTimes(1);
+      expect(StockMovement.create).toHaveBeenCalledWith([expect.objectContaining({
+        product_id: 'prod_123',
+        reason: 'order_restock',
+        quantity_delta: 2,
+        balance_after: 12,
+        order_id: 'order_123'
+      })], { session: mockSession });
+    });
+
+    it('should give the units of a cancelled order to the backordered orders waiting for them', async () => {
+      // Arrange: cancelling releases 2 reserved units that another order is waiting for
+      req.params.id = 'order_123';
+      req.body.status = 'cancelled';
+      const mockOrder = {
+        _id: 'order_123',
+        status: 'pending',
+        reservation: { status: 'active' },
+        items: [{ product_id: 'prod_123', quantity: 2 }],
+        save: jest.fn()
+      };
+      const waiting = {
+        _id: 'order_456',
+        status: 'backordered',
+        items: [{ product_id: 'prod_123', quantity: 2, fulfilled_quantity: 0, outstanding_quantity: 2 }],
+        status_history: [],
+        save: jest.fn()
+      };
+      const product = { _id: 'prod_123', name: 'Test Product', stock: 2, reserved: 0, backordered: 2, save: jest.fn() };
+      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+      Product.findOneAndUpdate.mockResolvedValue({ ...product, reserved: 0 });
+      Product.findById.mockResolvedValue(product);
+      Order.find.mockResolvedValue([waiting]);
+      const mockSession = { startTransaction: jest.fn(), commitTransaction: jest.fn(), abortTransaction: jest.fn(), endSession: jest.fn() };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+
+      // Act
+      await updateOrderStatus(req, res, next);
+
+      // Assert: the cancelled order is saved before the waiting one is filled
+      expect(mockOrder.status).toBe('cancelled');
+      expect(mockOrder.save.mock.invocationCallOrder[0]).toBeLessThan(waiting.save.mock.invocationCallOrder[0]);
+      expect(Product.findById).toHaveBeenCalledWith('prod_123', null, { session: mockSession });
+      expect(waiting.items[0]).toEqual(expect.objectContaining({ fulfilled_quantity: 2, outstanding_quantity: 0 }));
+      expect(waiting.status).toBe('pending');
+      expect(product).toEqual(expect.objectContaining({ reserved: 2, backordered: 0 }));
+      expect(mockSession.commitTransaction).toHaveBeenCalledTimes(1);
+    });
+
+    it('should record who changed the status and why in status_history', async () => {
+      // Arrange
+      req.params.id = 'order_123';
+      req.body = { status: 'paid', reason: 'Payment captured' };
+      const mockOrder = { _id: 'order_123', status: 'pending', status_history: [], save: jest.fn() };
+      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+
+      const mockSession = {
+        startTransaction: jest.fn(),
+        commitTransaction: jest.fn(),
+        abortTransaction: jest.fn(),
+        endSession: jest.fn(),
+      };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+
+      // Act
+      await updateOrderStatus(req, res, next);
+
+      // Assert
+      expect(mockOrder.status_history).toEqual([
+        expect.objectContaining({ from: 'pending', to: 'paid', changed_by: 'user_admin', reason: 'Payment captured', changed_at: expect.any(Date) })
+      ]);
+      expect(OutboxEvent.create).toHaveBeenCalledWith([expect.objectContaining({
+        type: 'order.status_changed',
+        aggregate_id: 'order_123',
+        data: expect.objectContaining({ from: 'pending', to: 'paid', changed_by: 'user_admin', reason: 'Payment captured' })
+      })], { session: mockSession });
+    });
+
+    it('should return 409 and not restore stock when reviving a cancelled order', async () => {
+      // Arrange
+      req.params.id = 'order_123';
+      req.body.status = 'pending';
+      const mockOrder = { _id: 'order_123', status: 'cancelled', items: [{ product_id: 'prod_123', quantity: 2 }], save: jest.fn() };
+      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+
+      const mockSession = {
+        startTransaction: jest.fn(),
+        commitTransaction: jest.fn(),
+        abortTransaction: jest.fn(),
+        endSession: jest.fn(),
+      };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+
+      // Act
+      await updateOrderStatus(req, res, next);
+
+      // Assert
+      expect(Product.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(mockOrder.save).not.toHaveBeenCalled();
+      expect(mockSession.abortTransaction).toHaveBeenCalledTimes(1);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409, message: expect.stringContaining("from 'cancelled' to 'pending'") }));
+    });
+
+    it('should not restore stock when a delivered order is refunded', async () => {
+      // Arrange
+      req.params.id = 'order_123';
+      req.body.status = 'refunded';
+      const mockOrder = { _id: 'order_123', status: 'delivered', items: [{ product_id: 'prod_123', quantity: 2 }], save: jest.fn() };
+      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+
+      const mockSession = {
+        startTransaction: jest.fn(),
+        commitTransaction: jest.fn(),
+        abortTransaction: jest.fn(),
+        endSession: jest.fn(),
+      };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+
+      // Act
+      await updateOrderStatus(req, res, next);
+
+      // Assert
+      expect(Product.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(mockOrder.status).toBe('refunded');
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should turn the reservation into a stock decrement when the order is paid', async () => {
+      // Arrange
+      req.params.id = 'order_123';
+      req.body.status = 'paid';
+      const mockOrder = {
+        _id: 'order_123',
+        status: 'pending',
+        items: [{ product_id: 'prod_123', quantity: 2 }],
+        reservation: { status: 'active' },
+        save: jest.fn()
+      };
+      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+      Product.findOneAndUpdate.mockResolvedValue({});
+
+      const mockSession = {
+        startTransaction: jest.fn(),
+        commitTransaction: jest.fn(),
+        abortTransaction: jest.fn(),
+        endSession: jest.fn(),
+      };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+
+      // Act
+      await updateOrderStatus(req, res, next);
+
+      // Assert
+      expect(Product.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'prod_123' }, { $inc: { stock: -2, reserved: -2 } }, { session: mockSession, new: true });
+      expect(StockMovement.create).toHaveBeenCalledWith([expect.objectContaining({ reason: 'order_paid', quantity_delta: -2 })], { session: mockSession });
+      expect(mockOrder.reservation.status).toBe('committed');
+    });
+
+    it('should move the variant and the product total together when an order for a variant is paid', async () => {
+      // Arrange
+      req.params.id = 'order_123';
+      req.body.status = 'paid';
+      const mockOrder = {
+        _id: 'order_123',
+        status: 'pending',
+        items: [{ product_id: 'prod_123', variant_id: 'var_m', quantity: 2 }],
+        reservation: { status: 'active' },
+        save: jest.fn()
+      };
+      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+      Product.findOneAndUpdate.mockResolvedValue({ stock: 6, variants: [{ _id: 'var_m', sku: 'TSHIRT-M', stock: 1 }] });
+
+      const mockSession = {
+        startTransaction: jest.fn(),
+        commitTransaction: jest.fn(),
+        abortTransaction: jest.fn(),
+        endSession: jest.fn(),
+      };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+
+      // Act
+      await updateOrderStatus(req, res, next);
+
+      // Assert
+      expect(Product.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'prod_123', 'variants._id': 'var_m' },
+        { $inc: { stock: -2, reserved: -2, 'variants.$.stock': -2, 'variants.$.reserved': -2 } },
+        { session: mockSession, new: true }
+      );
+      expect(StockMovement.create).toHaveBeenCalledWith([expect.objectContaining({
+        variant_id: 'var_m',
+        sku: 'TSHIRT-M',
+        quantity_delta: -2,
+        balance_after: 6,
+        variant_balance_after: 1
+      })], { session: mockSession });
+    });
+
+    it('should release the reservation without touching stock when a pending order is cancelled', async () => {
+      // Arrange
+      req.params.id = 'order_123';
+      req.body.status = 'cancelled';
+      const mockOrder = {
+        _id: 'order_123',
+        status: 'pending',
+        items: [{ product_id: 'prod_123', quantity: 2 }],
+        reservation: { status: 'active' },
+        save: jest.fn()
+      };
+      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+      Product.findOneAndUpdate.mockResolvedValue({});
+
+      const mockSession = {
+        startTransaction: jest.fn(),
+        commitTransaction: jest.fn(),
+        abortTransaction: jest.fn(),
+        endSession: jest.fn(),
+      };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+
+      // Act
+      await updateOrderStatus(req, res, next);
+
+      // Assert
+      expect(Product.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'prod_123' }, { $inc: { reserved: -2 } }, { session: mockSession, new: true });
+      expect(StockMovement.create).not.toHaveBeenCalled();
+      expect(mockOrder.reservation.status).toBe('released');
+    });
+
+    it('should release the reserved and the backordered units when a backordered order is cancelled', async () => {
+      // Arrange: 3 units reserved and 2 still waiting for stock
+      req.params.id = 'order_123';
+      req.body.status = 'cancelled';
+      const mockOrder = {
+        _id: 'order_123',
+        status: 'backordered',
+        items: [{ product_id: 'prod_123', quantity: 5, fulfilled_quantity: 3, outstanding_quantity: 2 }],
+        reservation: { status: 'active' },
+        save: jest.fn()
+      };
+      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+      Product.findOneAndUpdate.mockResolvedValue({});
+      const mockSession = { startTransaction: jest.fn(), commitTransaction: jest.fn(), abortTransaction: jest.fn(), endSession: jest.fn() };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+
+      // Act
+      await updateOrderStatus(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(Product.findOneAndUpdate.mock.calls.map(([, update]) => update)).toEqual([
+        { $inc: { reserved: -3 } },
+        { $inc: { backordered: -2 } }
+      ]);
+      expect(mockOrder.status).toBe('cancelled');
+    });
+
+    it('should not make a backordered order payable while units are outstanding', async () => {
+      req.params.id = 'order_123';
+      req.body.status = 'pending';
+      const mockOrder = {
+        _id: 'order_123',
+        status: 'backordered',
+        items: [{ product_id: 'prod_123', quantity: 5, fulfilled_quantity: 3, outstanding_quantity: 2 }],
+        reservation: { status: 'active' },
+        save: jest.fn()
+      };
+      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+      mongoose.startSession = jest.fn().mockResolvedValue({ startTransaction: jest.fn(), commitTransaction: jest.fn(), abortTransaction: jest.fn(), endSession: jest.fn() });
+
+      await updateOrderStatus(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409, message: 'The order is still waiting for backordered units.' }));
+      expect(mockOrder.save).not.toHaveBeenCalled();
+    });
+
+    it('should return the units of a refunded order to the warehouses they were allocated from', async () => {
+      // Arrange: 5 units, 3 from warehouse A and 2 from B; the last one was cancelled earlier
+      req.params.id = 'order_123';
+      req.body.status = 'refunded';
+      const mockOrder = {
+        _id: 'order_123',
+        status: 'paid',
+        items: [{
+          product_id: 'prod_123',
+          price_at_order: 1000,
+          quantity: 5,
+          cancelled_quantity: 1,
+          allocations: [{ warehouse_id: 'wh_a', quantity: 3 }, { warehouse_id: 'wh_b', quantity: 2 }]
+        }],
+        reservation: { status: 'committed' },
+        status_history: [],
+        save: jest.fn()
+      };
+      Refund.create.mockImplementation(async ([refund]) => [refund]);
+      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+      Product.findOneAndUpdate.mockResolvedValue({ stock: 10, reserved: 0 });
+      StockLevel.findOneAndUpdate.mockResolvedValue({ stock: 3 });
+
+      const mockSession = {
+        startTransaction: jest.fn(),
+        commitTransaction: jest.fn(),
+        abortTransaction: jest.fn(),
+        endSession: jest.fn(),
+      };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+
+      // Act
+      await updateOrderStatus(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(StockLevel.findOneAndUpdate.mock.calls.map(([filter, update]) => [filter.warehouse_id, update])).toEqual([
+        ['wh_a', { $inc: { stock: 3 } }],
+        ['wh_b', { $inc: { stock: 1 } }]
+      ]);
+      expect(StockMovement.create).toHaveBeenCalledWith([expect.objectContaining({ warehouse_id: 'wh_b', quantity_delta: 1, reason: 'order_restock' })], { session: mockSession });
+    });
+
+    it('should record a Refund for the remaining units of a paid order refunded as a whole', async () => {
+      // Arrange: 2 keyboards at 20.00 with 4.00 off and 3.20 tax, one mouse at 9.99 already cancelled
+      req.params.id = 'order_123';
+      req.body = { status: 'refunded', reason: 'Customer changed their mind' };
+      const mockOrder = {
+        _id: 'order_123',
+        user: 'user_customer',
+        status: 'paid',
+        currency: 'USD',
+        items: [
+          { product_id: 'prod_keyboard', price_at_order: 2000, quantity: 2, discount: 400, tax: 320 },
+          { product_id: 'prod_mouse', price_at_order: 999, quantity: 1, cancelled_quantity: 1 }
+        ],
+        refunded_total: 999,
+        reservation: { status: 'committed' },
+        status_history: [],
+        save: jest.fn()
+      };
+      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+      Product.findOneAndUpdate.mockResolvedValue({ stock: 2, reserved: 0 });
+      Refund.create.mockImplementation(async ([refund]) => [refund]);
+      const mockSession = { startTransaction: jest.fn(), commitTransaction: jest.fn(), abortTransaction: jest.fn(), endSession: jest.fn() };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+
+      // Act
+      await updateOrderStatus(req, res, next);
+
+      // Assert
+      expect(Refund.create).toHaveBeenCalledWith([expect.objectContaining({
+        order_id: 'order_123',
+        type: 'cancellation',
+        items: [expect.objectContaining({ product_id: 'prod_keyboard', quantity: 2, amount: 3920 })],
+        amount: 3920,
+        reason: 'Customer changed their mind',
+        created_by: 'user_admin'
+      })], { session: mockSession });
+      expect(mockOrder.refunded_total).toBe(999 + 3920);
+      expect(mockOrder.status).toBe('refunded');
+      // The keyboards are restocked once, by the cancellation, not again by the transition
+      expect(Product.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('customer access', () => {
+
+    const customerId = new mongoose.Types.ObjectId();
+    const otherCustomerId = new mongoose.Types.ObjectId();
+    let mockSession;
+    beforeEach(() => {
+      req.user = { _id: customerId, role: 'customer' };
+      mockSession = {
+        startTransaction: jest.fn(),
+        commitTransaction: jest.fn(),
+        abortTransaction: jest.fn(),
+        endSession: jest.fn(),
+      };
+      mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+    });
+
+    it('should only list the customer\'s own orders, ignoring the customer filter', async () => {
+      // Arrange
+      req.query = { customer: otherCustomerId.toString() };
+      Order.find.mockReturnValue({ sort: jest.fn().mockReturnThis(), limit: jest.fn().mockResolvedValue([]) });
+
+      // Act
+      await getAllOrders(req, res, next);
+
+      // Assert
+      expect(Order.find).toHaveBeenCalledWith({ user: customerId });
+    });
+
+    it('should return 404 for another customer\'s order', async () => {
+      // Arrange
+      req.params.id = 'order_123';
+      Order.findById.mockResolvedValue({ _id: 'order_123', user: otherCustomerId });
+
+      // Act
+      await getOrderById(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+
+    it('should return 404, not fail, for an order from before accounts existed', async () => {
+      // Arrange: legacy orders have no user
+      req.params.id = 'order_legacy';
+      Order.findById.mockResolvedValueOnce({ _id: 'order_legacy' });
+      const legacyOrder = { _id: 'order_legacy', status: 'pending', items: [], save: jest.fn() };
+      Order.findById.mockReturnValueOnce({ session: jest.fn().mockResolvedValue(legacyOrder) });
+      req.body.status = 'cancelled';
+
+      // Act
+      await getOrderById(req, res, next);
+      await updateOrderStatus(req, res, next);
+
+      // Assert
+      expect(next.mock.calls.map(([error]) => error.statusCode)).toEqual([404, 404]);
+      expect(legacyOrder.save).not.toHaveBeenCalled();
+    });
+
+    it('should let a customer cancel their own order', async () => {
+      // Arrange
+      req.params.id = 'order_123';
+      req.body.status = 'cancelled';
+      const mockOrder = { _id: 'order_123', user: customerId, status: 'pending', items: [], reservation: { status: 'active' }, save: jest.fn() };
+      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+
+      // Act
+      await updateOrderStatus(req, res, next);
+
+      // Assert
+      expect(mockOrder.status).toBe('cancelled');
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should not let a customer cancel another customer\'s order', async () => {
+      // Arrange
+      req.params.id = 'order_123';
+      req.body.status = 'cancelled';
+      const mockOrder = { _id: 'order_123', user: otherCustomerId, status: 'pending', items: [], save: jest.fn() };
+      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+
+      // Act
+      await updateOrderStatus(req, res, next);
+
+      // Assert
+      expect(mockOrder.status).toBe('pending');
+      expect(mockSession.abortTransaction).toHaveBeenCalledTimes(1);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+
+    it('should not let a customer move their order to any status other than cancelled', async () => {
+      // Arrange
+      req.params.id = 'order_123';
+      req.body.status = 'paid';
+      const mockOrder = { _id: 'order_123', user: customerId, status: 'pending', items: [], save: jest.fn() };
+      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+
+      // Act
+      await updateOrderStatus(req, res, next);
+
+      // Assert
+      expect(mockOrder.status).toBe('pending');
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('should let a customer cancel items of their own unpaid order', async () => {
+      // Arrange
+      req.params.id = 'order_123';
+      req.body = { items: [{ product_id: 'prod_123', quantity: 1 }] };
+      const mockOrder = {
+        _id: 'order_123',
+        user: customerId,
+        status: 'pending',
+        items: [{ product_id: 'prod_123', price_at_order: 1000, quantity: 3 }],
+        reservation: { status: 'active' },
+        save: jest.fn()
+      };
+      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+      Product.findOneAndUpdate.mockResolvedValue({});
+
+      // Act
+      await cancelOrderItems(req, res, next);
+
+      // Assert
+      expect(mockOrder.items[0].cancelled_quantity).toBe(1);
+      expect(mockOrder.save).toHaveBeenCalledWith({ session: mockSession });
+      expect(mockSession.commitTransaction).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ order: mockOrder, refund: null });
+    });
+
+    it('should not let a customer cancel items of a paid order', async () => {
+      // Arrange
+      req.params.id = 'order_123';
+      req.body = { items: [{ product_id: 'prod_123', quantity: 1 }] };
+      const mockOrder = { _id: 'order_123', user: customerId, status: 'paid', items: [{ product_id: 'prod_123', quantity: 3 }], save: jest.fn() };
+      Order.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+
+      // Act
+      await cancelOrderItems(req, res, next);
+
+      // Assert
+      expect(Product.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(mockSession.abortTransaction).toHaveBeenCalledTimes(1);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
     });
   });
 });
\ No newline at end of file
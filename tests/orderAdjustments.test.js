@@ -0,0 +1,212 @@
+// tests/orderAdjustments.test.js
+const { adjustOrderItems } = require('../services/orderAdjustments');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const Refund = require('../models/Refund');
+
+jest.mock('../models/Product');
+jest.mock('../models/StockMovement');
+jest.mock('../models/Refund');
+jest.mock('../models/Promotion');
+jest.mock('../models/PromotionRedemption');
+jest.mock('../models/OutboxEvent');
+jest.mock('../models/Warehouse');
+jest.mock('../models/StockLevel');
+
+describe('Order Adjustments', () => {
+
+  const session = { id: 'session' };
+
+  // An order with two lines: 5 keyboards at 20.00 with 10% off and 20% tax, and 1 mouse at 9.99
+  const buildOrder = (overrides = {}) => ({
+    _id: 'order_1',
+    user: 'user_customer',
+    status: 'paid',
+    currency: 'USD',
+    reservation: { status: 'committed' },
+    items: [
+      { product_id: 'prod_keyboard', name: 'Keyboard', price_at_order: 2000, quantity: 5, discount: 1000, tax: 1800 },
+      { product_id: 'prod_mouse', name: 'Mouse', price_at_order: 999, quantity: 1, discount: 0, tax: 0 }
+    ],
+    discounts: [],
+    status_history: [],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Product.findOneAndUpdate.mockResolvedValue({ stock: 10, damaged: 0 });
+    Refund.create.mockImplementation(async ([refund]) => [refund]);
+  });
+
+  it('should only release the reservation when items of an unpaid order are cancelled', async () => {
+    // Arrange
+    const order = buildOrder({ status: 'pending', reservation: { status: 'active' } });
+
+    // Act
+    const { refund } = await adjustOrderItems(order, [{ product_id: 'prod_keyboard', quantity: 2 }], {
+      type: 'cancellation', session, changedBy: 'user_customer'
+    });
+
+    // Assert
+    expect(Product.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'prod_keyboard' }, { $inc: { reserved: -2 } }, { session, new: true });
+    expect(StockMovement.create).not.toHaveBeenCalled();
+    expect(Refund.create).not.toHaveBeenCalled();
+    expect(refund).toBeNull();
+    expect(order.items[0].cancelled_quantity).toBe(2);
+    expect(order.status).toBe('pending');
+  });
+
+  it('should give up waiting units before reserved ones when items of a backordered order are cancelled', async () => {
+    // Arrange: 2 keyboards reserved, 3 still waiting for stock
+    const order = buildOrder({ status: 'backordered', reservation: { status: 'active' } });
+    Object.assign(order.items[0], { fulfilled_quantity: 2, outstanding_quantity: 3 });
+
+    // Act
+    const { refund } = await adjustOrderItems(order, [{ product_id: 'prod_keyboard', quantity: 4 }], {
+      type: 'cancellation', session, changedBy: 'user_customer'
+    });
+
+    // Assert
+    expect(Product.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'prod_keyboard' }, { $inc: { backordered: -3 } }, { session, new: true });
+    expect(Product.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'prod_keyboard' }, { $inc: { reserved: -1 } }, { session, new: true });
+    expect(refund).toBeNull();
+    expect(order.items[0]).toMatchObject({ cancelled_quantity: 4, outstanding_quantity: 0 });
+    // Nothing is waiting any more, so the reserved keyboard and the mouse can be paid
+    expect(order.status).toBe('pending');
+    expect(order.reservation.expires_at).toBeInstanceOf(Date);
+  });
+
+  it('should restock cancelled units of a paid order and refund their share of the line', async () => {
+    // Arrange
+    const order = buildOrder();
+
+    // Act
+    const { refund } = await adjustOrderItems(order, [{ product_id: 'prod_keyboard', quantity: 2 }], {
+      type: 'cancellation', session, changedBy: 'user_staff', reason: 'Customer changed their mind'
+    });
+
+    // Assert
+    expect(Product.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'prod_keyboard' }, { $inc: { stock: 2 } }, { session, new: true });
+    expect(StockMovement.create).toHaveBeenCalledWith([expect.objectContaining({
+      reason: 'order_restock',
+      bucket: 'sellable',
+      quantity_delta: 2,
+      order_id: 'order_1'
+    })], { session });
+    // 2 of 5 units: 4000 - 400 discount + 720 tax
+    expect(refund).toEqual(expect.objectContaining({
+      order_id: 'order_1',
+      user: 'user_customer',
+      type: 'cancellation',
+      subtotal: 4000,
+      discount: 400,
+      tax: 720,
+      amount: 4320,
+      reason: 'Customer changed their mind',
+      created_by: 'user_staff'
+    }));
+    expect(order.refunded_total).toBe(4320);
+  });
+
+  it('should put returned units into the damaged bucket when asked', async () => {
+    // Arrange
+    const order = buildOrder({ status: 'delivered' });
+    Product.findOneAndUpdate.mockResolvedValue({ stock: 10, damaged: 1 });
+
+    // Act
+    const { refund } = await adjustOrderItems(order, [{ product_id: 'prod_keyboard', quantity: 1, restock_to: 'damaged' }], {
+      type: 'return', session, changedBy: 'user_staff'
+    });
+
+    // Assert
+    expect(Product.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'prod_keyboard' }, { $inc: { damaged: 1 } }, { session, new: true });
+    expect(StockMovement.create).toHaveBeenCalledWith([expect.objectContaining({
+      reason: 'order_return',
+      bucket: 'damaged',
+      quantity_delta: 1,
+      balance_after: 1
+    })], { session });
+    expect(refund.items).toEqual([expect.objectContaining({ quantity: 1, restock_to: 'damaged', amount: 2160 })]);
+    expect(order.items[0].returned_quantity).toBe(1);
+  });
+
+  it('should refund a line in parts that add up to exactly what was charged', async () => {
+    // Arrange: 3 units at 9.99 with 1.00 off and 1.90 tax, charged 30.87 in total
+    const order = buildOrder({
+      items: [{ product_id: 'prod_cable', name: 'Cable', price_at_order: 999, quantity: 3, discount: 100, tax: 190 }]
+    });
+    const amounts = [];
+
+    // Act
+    for (let i = 0; i < 3; i += 1) {
+      const { refund } = await adjustOrderItems(order, [{ product_id: 'prod_cable', quantity: 1 }], { type: 'cancellation', session });
+      amounts.push(refund.amount);
+    }
+
+    // Assert
+    expect(amounts).toEqual([1029, 1029, 1029]);
+    expect(order.refunded_total).toBe(3087);
+  });
+
+  it('should refund the whole order once every unit is back', async () => {
+    // Arrange
+    const order = buildOrder({ status: 'picking' });
+
+    // Act
+    await adjustOrderItems(order, [
+      { product_id: 'prod_keyboard', quantity: 5 },
+      { product_id: 'prod_mouse', quantity: 1 }
+    ], { type: 'cancellation', session, changedBy: 'user_staff' });
+
+    // Assert
+    expect(order.status).toBe('refunded');
+    expect(order.status_history).toEqual([expect.objectContaining({ from: 'picking', to: 'refunded', reason: 'All items were cancelled' })]);
+    // Only the two cancellations restocked; the refund transition had nothing left to restock
+    expect(Product.findOneAndUpdate).toHaveBeenCalledTimes(2);
+  });
+
+  it('should take units from every line of the same product in turn', async () => {
+    // Arrange
+    const order = buildOrder({
+      items: [
+        { product_id: 'prod_keyboard', name: 'Keyboard', price_at_order: 2000, quantity: 1, cancelled_quantity: 0 },
+        { product_id: 'prod_keyboard', name: 'Keyboard', price_at_order: 2000, quantity: 2 }
+      ]
+    });
+
+    // Act
+    await adjustOrderItems(order, [{ product_id: 'prod_keyboard', quantity: 2 }], { type: 'cancellation', session });
+
+    // Assert
+    expect(order.items.map((item) => item.cancelled_quantity)).toEqual([1, 1]);
+  });
+
+  it('should reject more units than are left on the order', async () => {
+    // Arrange
+    const order = buildOrder();
+    order.items[0].returned_quantity = 0;
+    order.items[0].cancelled_quantity = 4;
+
+    // Act & Assert
+    await expect(adjustOrderItems(order, [{ product_id: 'prod_keyboard', quantity: 2 }], { type: 'cancellation', session }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Only 1 more unit(s) of prod_keyboard can be cancelled.' });
+    expect(Product.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('should reject items that are not on the order and invalid quantities', async () => {
+    await expect(adjustOrderItems(buildOrder(), [{ product_id: 'prod_chair', quantity: 1 }], { type: 'cancellation', session }))
+      .rejects.toThrow('prod_chair is not on this order.');
+    await expect(adjustOrderItems(buildOrder(), [{ product_id: 'prod_mouse', quantity: 0 }], { type: 'cancellation', session }))
+      .rejects.toThrow('quantity of prod_mouse must be a whole number of at least 1.');
+    await expect(adjustOrderItems(buildOrder(), [{ product_id: 'prod_mouse', quantity: 1, restock_to: 'bin' }], { type: 'cancellation', session }))
+      .rejects.toThrow('Invalid restock_to');
+  });
+
+  it('should return 409 when cancelling shipped items or returning unshipped ones', async () => {
+    await expect(adjustOrderItems(buildOrder({ status: 'shipped' }), [{ product_id: 'prod_mouse', quantity: 1 }], { type: 'cancellation', session }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    await expect(adjustOrderItems(buildOrder({ status: 'paid' }), [{ product_id: 'prod_mouse', quantity: 1 }], { type: 'return', session }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,143 @@
+// tests/pricing.test.js
+const { priceOrder, calculateTotals, lineAmounts } = require('../services/pricing');
+const { regionChain } = require('../services/tax');
+const { allocate, applyRate, divideRoundHalfUp } = require('../utils/money');
+const Promotion = require('../models/Promotion');
+const TaxRule = require('../models/TaxRule');
+
+jest.mock('../models/Promotion');
+jest.mock('../models/PromotionRedemption');
+jest.mock('../models/TaxRule');
+
+describe('Pricing', () => {
+
+  const session = { id: 'session' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Promotion.find.mockReturnValue({ session: jest.fn().mockResolvedValue([]) });
+  });
+
+  describe('money helpers', () => {
+    it('should round half up', () => {
+      expect(divideRoundHalfUp(5, 2)).toBe(3);
+      expect(divideRoundHalfUp(7, 4)).toBe(2);
+      expect(divideRoundHalfUp(5, 4)).toBe(1);
+      expect(applyRate(1999, 825)).toBe(165);  // 164.9175
+      expect(applyRate(1000, 125)).toBe(13);   // 12.5
+    });
+
+    it('should allocate an amount in shares that always add up to it', () => {
+      expect(allocate(100, [1, 1, 1])).toEqual([34, 33, 33]);
+      expect(allocate(1, [3, 5])).toEqual([0, 1]);
+      expect(allocate(0, [3, 5])).toEqual([0, 0]);
+      expect(allocate(10, [0, 0])).toEqual([0, 0]);
+    });
+  });
+
+  describe('regionChain', () => {
+    it('should list the region and every region that contains it, most specific first', () => {
+      expect(regionChain('US-CA-SF')).toEqual(['US-CA-SF', 'US-CA', 'US']);
+      expect(regionChain('GB')).toEqual(['GB']);
+    });
+  });
+
+  describe('priceOrder', () => {
+    const items = [
+      { product_id: 'prod_book', price_at_order: 1999, quantity: 2, tax_category: 'reduced' },
+      { product_id: 'prod_lamp', price_at_order: 4550, quantity: 1, tax_category: 'standard' },
+      { product_id: 'prod_bread', price_at_order: 300, quantity: 3, tax_category: 'zero' }
+    ];
+
+    it('should tax each line at the rate of its category in the most specific region', async () => {
+      // Arrange
+      TaxRule.find.mockReturnValue({ session: jest.fn().mockResolvedValue([
+        { region: 'US', tax_category: 'standard', rate: 600 },
+        { region: 'US-CA', tax_category: 'standard', rate: 825 },
+        { region: 'US', tax_category: 'reduced', rate: 250 }
+      ]) });
+
+      // Act
+      const pricing = await priceOrder({ items, currency: 'USD', region: 'US-CA', customer: 'customer_1', session });
+
+      // Assert
+      expect(TaxRule.find).toHaveBeenCalledWith({
+        region: { $in: ['US-CA', 'US'] },
+        tax_category: { $in: ['reduced', 'standard', 'zero'] }
+      });
+      expect(pricing.items.map(({ tax_rate, tax }) => ({ tax_rate, tax }))).toEqual([
+        { tax_rate: 250, tax: 100 },  // 3998 * 2.5% = 99.95
+        { tax_rate: 825, tax: 375 },  // 4550 * 8.25% = 375.375
+        { tax_rate: 0, tax: 0 }       // No rule for 'zero'
+      ]);
+      expect(pricing).toEqual(expect.objectContaining({
+        subtotal: 9448,
+        discount_total: 0,
+        tax_total: 475,
+        total: 9923
+      }));
+    });
+
+    it('should tax each line after its share of the discounts', async () => {
+      // Arrange
+      Promotion.find.mockReturnValue({ session: jest.fn().mockResolvedValue([
+        { _id: 'promo_lamps', name: 'Lamp sale', type: 'percentage', value: 20, active: true, product_ids: ['prod_lamp'] }
+      ]) });
+      TaxRule.find.mockReturnValue({ session: jest.fn().mockResolvedValue([
+        { region: 'GB', tax_category: 'standard', rate: 2000 }
+      ]) });
+
+      // Act
+      const pricing = await priceOrder({ items, currency: 'GBP', region: 'GB', customer: 'customer_1', session });
+
+      // Assert
+      expect(pricing.items[1]).toEqual(expect.objectContaining({ discount: 910, tax_rate: 2000, tax: 728 })); // (4550 - 910) * 20%
+      expect(pricing.discounts).toEqual([expect.objectContaining({ promotion_id: 'promo_lamps', amount: 910 })]);
+      expect(pricing.total).toBe(9448 - 910 + 728);
+    });
+
+    it('should charge no tax when the order has no region', async () => {
+      const pricing = await priceOrder({ items, currency: 'USD', region: null, customer: 'customer_1', session });
+
+      expect(TaxRule.find).not.toHaveBeenCalled();
+      expect(pricing.tax_total).toBe(0);
+    });
+  });
+
+  describe('calculateTotals', () => {
+    it('should add up the breakdown exactly, treating items without tax as untaxed', () => {
+      const totals = calculateTotals(
+        [{ price_at_order: 1999, quantity: 3, tax: 120 }, { price_at_order: 1, quantity: 1 }],
+        [{ amount: 600 }]
+      );
+
+      expect(totals).toEqual({ subtotal: 5998, discount_total: 600, tax_total: 120, total: 5518, remaining: 5518 });
+    });
+
+    it('should take the value of cancelled and returned units off the remaining total', () => {
+      const totals = calculateTotals(
+        [{ price_at_order: 1000, quantity: 3, discount: 100, tax: 290, cancelled_quantity: 1, returned_quantity: 1 }],
+        [{ amount: 100 }]
+      );
+
+      // Two of three units: 2000 - 67 + 193
+      expect(totals).toEqual(expect.objectContaining({ total: 3190, remaining: 3190 - 2126 }));
+    });
+  });
+
+  describe('lineAmounts', () => {
+    it('should share a line\'s discount and tax so partial refunds add up to the line total', () => {
+      const item = { price_at_order: 999, quantity: 3, discount: 100, tax: 190 };
+
+      const first = lineAmounts(item, 1);
+      const firstTwo = lineAmounts(item, 2);
+      const all = lineAmounts(item, 3);
+
+      expect(first).toEqual({ subtotal: 999, discount: 33, tax: 63, total: 1029 });
+      expect(firstTwo).toEqual({ subtotal: 1998, discount: 67, tax: 127, total: 2058 });
+      expect(all).toEqual({ subtotal: 2997, discount: 100, tax: 190, total: 3087 });
+      // Refunding one unit at a time gives 1029 + 1029 + 1029, exactly the line total
+      expect([first.total, firstTwo.total - first.total, all.total - firstTwo.total]).toEqual([1029, 1029, 1029]);
+    });
+  });
+});
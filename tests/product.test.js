@@ -4,27 +4,61 @@ const {
   getAllProducts,
   getProductById,
   updateProduct,
-  deleteProduct
+  getArchivedProducts,
+  archiveProduct,
+  restoreProduct,
+  purgeProduct,
+  getProductMovements,
+  addVariant,
+  updateVariant
 } = require('../controllers/productController');
+const { checkRequest } = require('../middleware/validate');
+const schemas = require('../validators/products');
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const OutboxEvent = require('../models/OutboxEvent');
+const StockLevel = require('../models/StockLevel');
+const Warehouse = require('../models/Warehouse');
+const Order = require('../models/Order');
 
-// Mock the Mongoose Model to prevent actual database calls
+// Mock the Mongoose Models to prevent actual database calls
 jest.mock('../models/Product');
+jest.mock('../models/StockMovement');
+jest.mock('../models/OutboxEvent');
+jest.mock('../models/Warehouse');
+jest.mock('../models/StockLevel');
+jest.mock('../models/Order');
 
 describe('Product Controller', () => {
 
   // A reusable mock response object and clear mocks before each test
-  let req, res;
+  let req, res, next, mockSession;
   beforeEach(() => {
     req = {
       body: {},
       params: {},
+      query: {},
+      headers: {},
+      user: { _id: 'user_admin', role: 'admin' },
+      get(name) { return this.headers[name.toLowerCase()]; }
     };
     res = {
       status: jest.fn().mockReturnThis(),
       json: jest.fn(),
+      set: jest.fn().mockReturnThis(),
+      end: jest.fn()
     };
+    next = jest.fn();
     jest.clearAllMocks();
+    // Writes run in a transaction, so mock the session they use
+    mockSession = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn(),
+    };
+    mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
   });
 
   //================================================================
@@ -39,23 +73,157 @@ describe('Product Controller', () => {
       Product.prototype.save = jest.fn().mockResolvedValue(savedProduct);
 
       // Act
-      await createProduct(req, res);
+      await createProduct(req, res, next);
 
       // Assert
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.json).toHaveBeenCalledWith(savedProduct);
     });
 
-    it('should return a 400 error if required fields are missing', async () => {
+    it('should record the opening stock in the inventory ledger', async () => {
+      // Arrange
+      req.body = { name: 'Test Product', price: 100, stock: 10 };
+      Product.prototype.save = jest.fn().mockResolvedValue({ _id: 'some_id', ...req.body });
+
+      // Act
+      await createProduct(req, res, next);
+
+      // Assert
+      expect(Product.prototype.save).toHaveBeenCalledWith({ session: mockSession });
+      expect(StockMovement.create).toHaveBeenCalledWith([expect.objectContaining({
+        product_id: 'some_id',
+        reason: 'initial_stock',
+        quantity_delta: 10,
+        balance_after: 10,
+        user: 'user_admin'
+      })], { session: mockSession });
+      expect(mockSession.commitTransaction).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject a product without a price or stock before it reaches the controller', () => {
       // Arrange
       req.body = { name: 'Incomplete Product' };
 
       // Act
-      await createProduct(req, res);
+      const problems = checkRequest(schemas.createProduct, req);
+
+      // Assert
+      expect(problems).toEqual([{ location: 'body', path: 'price', message: 'is required' }]);
+      req.body.price = 1999;
+      expect(checkRequest(schemas.createProduct, req)).toEqual([
+        { location: 'body', path: '', message: 'stock is required for a product without variants' }
+      ]);
+    });
+  });
+
+  //================================================================
+  // Test Suite for: product variants
+  //================================================================
+  describe('product variants', () => {
+    it('should create a product with variants and one ledger entry per stocked variant', async () => {
+      // Arrange
+      req.body = {
+        name: 'T-Shirt',
+        price: 20,
+        variants: [
+          { sku: 'TSHIRT-S', attributes: { size: 'S' }, stock: 5, reserved: 99 },
+          { sku: 'TSHIRT-M', attributes: { size: 'M' }, price: 25, stock: 0 },
+          { sku: 'TSHIRT-L', attributes: { size: 'L' }, stock: 3 }
+        ]
+      };
+      const savedVariants = [
+        { _id: 'var_s', sku: 'TSHIRT-S', stock: 5 },
+        { _id: 'var_m', sku: 'TSHIRT-M', stock: 0 },
+        { _id: 'var_l', sku: 'TSHIRT-L', stock: 3 }
+      ];
+      Product.prototype.save = jest.fn().mockResolvedValue({ _id: 'prod_123', stock: 8, variants: savedVariants });
+
+      // Act
+      await createProduct(req, res, next);
+
+      // Assert
+      expect(Product).toHaveBeenCalledWith(expect.objectContaining({
+        stock: 0,
+        variants: [
+          { sku: 'TSHIRT-S', attributes: { size: 'S' }, price: undefined, stock: 5 }, // reserved is never taken from the client
+          { sku: 'TSHIRT-M', attributes: { size: 'M' }, price: 25, stock: 0 },
+          { sku: 'TSHIRT-L', attributes: { size: 'L' }, price: undefined, stock: 3 }
+        ]
+      }));
+      expect(StockMovement.create).toHaveBeenCalledTimes(2);
+      expect(StockMovement.create).toHaveBeenLastCalledWith([expect.objectContaining({
+        variant_id: 'var_l',
+        sku: 'TSHIRT-L',
+        quantity_delta: 3,
+        balance_after: 8,
+        variant_balance_after: 3
+      })], { session: mockSession });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should not set the stock of a product with variants directly', async () => {
+      // Arrange
+      req.params.id = 'prod_123';
+      req.body = { stock: 50 };
+      Product.findById.mockReturnValue({ session: jest.fn().mockResolvedValue({ _id: 'prod_123', stock: 8, reserved: 0, variants: [{ sku: 'TSHIRT-S' }] }) });
+
+      // Act
+      await updateProduct(req, res, next);
+
+      // Assert
+      expect(Product.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409 }));
+    });
+
+    it('should refuse to add the first variant while the product still holds stock', async () => {
+      // Arrange
+      req.params.id = 'prod_123';
+      req.body = { sku: 'TSHIRT-S', stock: 5 };
+      const mockProduct = { _id: 'prod_123', stock: 10, reserved: 0, variants: [], save: jest.fn() };
+      Product.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockProduct) });
+
+      // Act
+      await addVariant(req, res, next);
+
+      // Assert
+      expect(mockProduct.save).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409 }));
+    });
+
+    it('should record a variant stock change in the inventory ledger', async () => {
+      // Arrange
+      req.params = { id: 'prod_123', variantId: 'var_s' };
+      req.body = { stock: 9, price: 22 };
+      const variant = { _id: 'var_s', sku: 'TSHIRT-S', stock: 5, reserved: 1 };
+      const mockProduct = { _id: 'prod_123', stock: 8, variants: [variant] };
+      mockProduct.save = jest.fn(async () => { mockProduct.stock = 12; }); // Totals are recalculated on save
+      Product.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(mockProduct) });
+
+      // Act
+      await updateVariant(req, res, next);
+
+      // Assert
+      expect(variant.price).toBe(22);
+      expect(StockMovement.create).toHaveBeenCalledWith([expect.objectContaining({
+        variant_id: 'var_s',
+        reason: 'manual_adjustment',
+        quantity_delta: 4,
+        balance_after: 12,
+        variant_balance_after: 9
+      })], { session: mockSession });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should return a 404 error for an unknown variant', async () => {
+      // Arrange
+      req.params = { id: 'prod_123', variantId: 'var_x' };
+      Product.findById.mockReturnValue({ session: jest.fn().mockResolvedValue({ _id: 'prod_123', variants: [] }) });
+
+      // Act
+      await updateVariant(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.json).toHaveBeenCalledWith({ message: 'Please enter all fields: name, price, and stock' });
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
     });
   });
 
@@ -63,21 +231,115 @@ describe('Product Controller', () => {
   // Test Suite for: getAllProducts
   //================================================================
   describe('getAllProducts', () => {
-    it('should return all products with a 200 status', async () => {
+    // Mocks the Product.find(...).sort(...).limit(...) chain used by the paginator
+    const mockFind = (documents) => {
+      const query = { sort: jest.fn().mockReturnThis(), limit: jest.fn().mockResolvedValue(documents) };
+      Product.find.mockReturnValue(query);
+      return query;
+    };
+
+    it('should return the first page of products with a 200 status', async () => {
       // Arrange
       const mockProducts = [
-        { name: 'Product A', price: 10, stock: 5 },
-        { name: 'Product B', price: 20, stock: 15 },
+        { _id: 'prod_1', name: 'Product A', price: 10, stock: 5 },
+        { _id: 'prod_2', name: 'Product B', price: 20, stock: 15 },
       ];
-      Product.find.mockResolvedValue(mockProducts);
+      const query = mockFind(mockProducts);
 
       // Act
-      await getAllProducts(req, res);
+      await getAllProducts(req, res, next);
       
       // Assert
-      expect(Product.find).toHaveBeenCalledTimes(1);
+      expect(Product.find).toHaveBeenCalledWith({ archived_at: null }); // Archived products are left out
+      expect(query.sort).toHaveBeenCalledWith({ name: 1, _id: 1 });
+      expect(query.limit).toHaveBeenCalledWith(21); // One extra to detect the next page
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ data: mockProducts, next_cursor: null });
+    });
+
+    it('should return a next_cursor when there are more products', async () => {
+      // Arrange
+      req.query = { limit: '2', sort: '-price' };
+      const mockProducts = [
+        { _id: 'prod_1', name: 'Product A', price: 30 },
+        { _id: 'prod_2', name: 'Product B', price: 20 },
+        { _id: 'prod_3', name: 'Product C', price: 10 },
+      ];
+      mockFind(mockProducts);
+
+      // Act
+      await getAllProducts(req, res, next);
+
+      // Assert
+      const { data, next_cursor } = res.json.mock.calls[0][0];
+      expect(data).toEqual(mockProducts.slice(0, 2));
+      expect(next_cursor).toEqual(expect.any(String));
+
+      // The cursor continues after the last product of the page
+      jest.clearAllMocks();
+      req.query = { limit: '2', sort: '-price', cursor: next_cursor };
+      mockFind([]);
+      await getAllProducts(req, res, next);
+      expect(Product.find).toHaveBeenCalledWith({
+        $and: [
+          { archived_at: null },
+          { $or: [{ price: { $lt: 20 } }, { price: 20, _id: { $lt: 'prod_2' } }] }
+        ]
+      });
+    });
+
+    it('should apply the price, in-stock and name filters', async () => {
+      // Arrange
+      req.query = { min_price: '10', max_price: '50', in_stock: 'true', name: 'Gam' };
+      mockFind([]);
+
+      // Act
+      await getAllProducts(req, res, next);
+
+      // Assert
+      expect(Product.find).toHaveBeenCalledWith({
+        archived_at: null,
+        price: { $gte: 10, $lte: 50 },
+        stock: { $gt: 0 },
+        $expr: { $gt: [{ $subtract: ['$stock', '$reserved'] }, 0] },
+        name: { $regex: '^Gam', $options: 'i' }
+      });
+    });
+
+    it('should return a 400 error for a sort field that is not allowed', async () => {
+      // Arrange
+      req.query = { sort: 'reserved' };
+
+      // Act
+      await getAllProducts(req, res, next);
+
+      // Assert
+      expect(Product.find).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should return a 400 error for an invalid cursor', async () => {
+      // Arrange
+      req.query = { cursor: 'not-a-cursor' };
+
+      // Act
+      await getAllProducts(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400, message: 'Invalid cursor.' }));
+    });
+
+    it('should list only the archived products with getArchivedProducts', async () => {
+      req.query = { name: 'Old' };
+      mockFind([]);
+
+      await getArchivedProducts(req, res, next);
+
+      expect(Product.find).toHaveBeenCalledWith({
+        archived_at: { $ne: null },
+        name: { $regex: '^Old', $options: 'i' }
+      });
       expect(res.status).toHaveBeenCalledWith(200);
-      expect(res.json).toHaveBeenCalledWith(mockProducts);
     });
   });
 
@@ -92,7 +354,7 @@ describe('Product Controller', () => {
       Product.findById.mockResolvedValue(mockProduct);
 
       // Act
-      await getProductById(req, res);
+      await getProductById(req, res, next);
 
       // Assert
       expect(Product.findById).toHaveBeenCalledWith('prod_123');
@@ -100,17 +362,36 @@ describe('Product Controller', () => {
       expect(res.json).toHaveBeenCalledWith(mockProduct);
     });
 
+    it('should send the product\'s ETag, and 304 once the client has the current copy', async () => {
+      // Arrange
+      req.method = 'GET';
+      req.params.id = 'prod_123';
+      Product.findById.mockResolvedValue({ _id: 'prod_123', name: 'Found Product', stock: 10 });
+
+      // Act
+      await getProductById(req, res, next);
+      const [, etag] = res.set.mock.calls[0];
+      req.headers['if-none-match'] = `W/${etag}`;
+      await getProductById(req, res, next);
+
+      // Assert
+      expect(etag).toMatch(/^"[\w-]+"$/);
+      expect(res.set).toHaveBeenLastCalledWith('ETag', etag);
+      expect(res.status.mock.calls).toEqual([[200], [304]]);
+      expect(res.json).toHaveBeenCalledTimes(1);
+      expect(res.end).toHaveBeenCalledTimes(1);
+    });
+
     it('should return a 404 error if product is not found', async () => {
       // Arrange
       req.params.id = 'non_existent_id';
       Product.findById.mockResolvedValue(null); // Simulate not finding the product
 
       // Act
-      await getProductById(req, res);
+      await getProductById(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(404);
-      expect(res.json).toHaveBeenCalledWith({ message: 'Product not found' });
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404, message: 'Product not found' }));
     });
   });
   
@@ -122,70 +403,267 @@ describe('Product Controller', () => {
       // Arrange
       req.params.id = 'prod_123';
       req.body = { price: 150 };
-      const updatedProduct = { _id: 'prod_123', name: 'Original Name', price: 150 };
+      const updatedProduct = { _id: 'prod_123', name: 'Original Name', price: 150, stock: 10 };
+      Product.findById.mockReturnValue({ session: jest.fn().mockResolvedValue({ _id: 'prod_123', price: 100, stock: 10, reserved: 0 }) });
       Product.findByIdAndUpdate.mockResolvedValue(updatedProduct);
 
       // Act
-      await updateProduct(req, res);
+      await updateProduct(req, res, next);
       
       // Assert
       expect(Product.findByIdAndUpdate).toHaveBeenCalledWith(
         'prod_123',
-        { price: 150 },
-        { new: true, runValidators: true }
+        { price: 150, $inc: { __v: 1 } }, // Every update is a new version
+        { new: true, runValidators: true, session: mockSession }
       );
+      expect(StockMovement.create).not.toHaveBeenCalled(); // Stock did not change
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith(updatedProduct);
     });
 
+    it('should return 412 when the product changed since the client read it', async () => {
+      // Arrange: the client read the product before its stock changed
+      const { etagOf } = require('../utils/etags');
+      req.params.id = 'prod_123';
+      req.body = { price: 150 };
+      req.headers['if-match'] = etagOf({ _id: 'prod_123', price: 100, stock: 10, reserved: 0 });
+      Product.findById.mockReturnValue({ session: jest.fn().mockResolvedValue({ _id: 'prod_123', price: 100, stock: 10, reserved: 2 }) });
+
+      // Act
+      await updateProduct(req, res, next);
+
+      // Assert
+      expect(Product.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(mockSession.abortTransaction).toHaveBeenCalledTimes(1);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 412, code: 'precondition_failed' }));
+    });
+
+    it('should apply the change when the client edited the current copy', async () => {
+      const { etagOf } = require('../utils/etags');
+      const current = { _id: 'prod_123', price: 100, stock: 10, reserved: 2 };
+      req.params.id = 'prod_123';
+      req.body = { price: 150 };
+      req.headers['if-match'] = etagOf({ reserved: 2, stock: 10, price: 100, _id: 'prod_123' }); // Key order does not matter
+      Product.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(current) });
+      Product.findByIdAndUpdate.mockResolvedValue({ ...current, price: 150 });
+
+      await updateProduct(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.set).toHaveBeenCalledWith('ETag', etagOf({ ...current, price: 150 }));
+    });
+
+    it('should record a stock change in the inventory ledger', async () => {
+      // Arrange
+      req.params.id = 'prod_123';
+      req.body = { stock: 25 };
+      Product.findById.mockReturnValue({ session: jest.fn().mockResolvedValue({ _id: 'prod_123', stock: 10, reserved: 0 }) });
+      Product.findByIdAndUpdate.mockResolvedValue({ _id: 'prod_123', stock: 25 });
+
+      // Act
+      await updateProduct(req, res, next);
+
+      // Assert
+      expect(StockMovement.create).toHaveBeenCalledWith([expect.objectContaining({
+        product_id: 'prod_123',
+        reason: 'manual_adjustment',
+        quantity_delta: 15,
+        balance_after: 25
+      })], { session: mockSession });
+      expect(mockSession.commitTransaction).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should not allow stock to be set below the reserved quantity', async () => {
+      // Arrange
+      req.params.id = 'prod_123';
+      req.body = { stock: 2 };
+      Product.findById.mockReturnValue({ session: jest.fn().mockResolvedValue({ _id: 'prod_123', stock: 10, reserved: 5 }) });
+
+      // Act
+      await updateProduct(req, res, next);
+
+      // Assert
+      expect(Product.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(mockSession.abortTransaction).toHaveBeenCalledTimes(1);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409 }));
+    });
+
+    it('should not take the default warehouse below zero when stock is reduced', async () => {
+      // Arrange: 10 units in all, but only 4 of them at the default warehouse
+      req.params.id = 'prod_123';
+      req.body = { stock: 4 };
+      Product.findById.mockReturnValue({ session: jest.fn().mockResolvedValue({ _id: 'prod_123', stock: 10, reserved: 0 }) });
+      Product.findByIdAndUpdate.mockResolvedValue({ _id: 'prod_123', stock: 4 });
+      Warehouse.findOne.mockResolvedValueOnce({ _id: 'wh_main' });
+      StockLevel.findOneAndUpdate.mockResolvedValueOnce({ stock: -2, reserved: 0 });
+
+      // Act
+      await updateProduct(req, res, next);
+
+      // Assert
+      expect(StockMovement.create).not.toHaveBeenCalled();
+      expect(mockSession.commitTransaction).not.toHaveBeenCalled();
+      expect(mockSession.abortTransaction).toHaveBeenCalledTimes(1);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({
+        statusCode: 409,
+        message: 'Warehouse wh_main holds only 4 units. Requested change: -6. Change the stock of the warehouses that hold the units instead.'
+      }));
+    });
+
     it('should return a 404 error if product to update is not found', async () => {
         // Arrange
         req.params.id = 'non_existent_id';
         req.body = { price: 150 };
-        Product.findByIdAndUpdate.mockResolvedValue(null);
+        Product.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(null) });
 
         // Act
-        await updateProduct(req, res);
+        await updateProduct(req, res, next);
 
         // Assert
-        expect(res.status).toHaveBeenCalledWith(404);
-        expect(res.json).toHaveBeenCalledWith({ message: 'Product not found' });
+        expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404, message: 'Product not found' }));
     });
   });
 
   //================================================================
-  // Test Suite for: deleteProduct
+  // Test Suite for: getProductMovements
   //================================================================
-  describe('deleteProduct', () => {
-    it('should delete a product and return a success message', async () => {
+  describe('getProductMovements', () => {
+    it('should return the ledger entries of a product, newest first', async () => {
       // Arrange
       req.params.id = 'prod_123';
-      const deletedProduct = { _id: 'prod_123', name: 'Deleted Product' };
-      Product.findByIdAndDelete.mockResolvedValue(deletedProduct);
+      const movements = [{ reason: 'order_paid', quantity_delta: -2 }, { reason: 'initial_stock', quantity_delta: 10 }];
+      const sort = jest.fn().mockResolvedValue(movements);
+      Product.findById.mockResolvedValue({ _id: 'prod_123' });
+      StockMovement.find.mockReturnValue({ sort });
 
       // Act
-      await deleteProduct(req, res);
+      await getProductMovements(req, res, next);
 
       // Assert
-      expect(Product.findByIdAndDelete).toHaveBeenCalledWith('prod_123');
+      expect(StockMovement.find).toHaveBeenCalledWith({ product_id: 'prod_123' });
+      expect(sort).toHaveBeenCalledWith({ createdAt: -1 });
       expect(res.status).toHaveBeenCalledWith(200);
-      expect(res.json).toHaveBeenCalledWith({
-        message: 'Product deleted successfully',
-        deletedProduct: deletedProduct
+      expect(res.json).toHaveBeenCalledWith(movements);
+    });
+
+    it('should return a 404 error if the product does not exist', async () => {
+      // Arrange
+      req.params.id = 'non_existent_id';
+      Product.findById.mockResolvedValue(null);
+
+      // Act
+      await getProductMovements(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404 }));
+    });
+  });
+
+  //================================================================
+  // Test Suite for: archiveProduct, restoreProduct and purgeProduct
+  //================================================================
+  describe('archiving products', () => {
+    // A product as read inside the transaction; save resolves to the product itself
+    const mockProduct = (fields) => {
+      const product = { _id: 'prod_123', name: 'Old Mouse', archived_at: null, ...fields };
+      product.save = jest.fn().mockResolvedValue(product);
+      Product.findById.mockResolvedValue(product);
+      return product;
+    };
+    // Mocks Order.exists(...).session(...) to find an open order or not
+    const mockOpenOrder = (found) => {
+      const query = { session: jest.fn().mockResolvedValue(found ? { _id: 'order_1' } : null) };
+      Order.exists.mockReturnValue(query);
+    };
+
+    it('should archive a product instead of deleting it', async () => {
+      // Arrange
+      req.params.id = 'prod_123';
+      const product = mockProduct();
+
+      // Act
+      await archiveProduct(req, res, next);
+
+      // Assert
+      expect(Product.findById).toHaveBeenCalledWith('prod_123', null, { session: mockSession });
+      expect(product.archived_at).toEqual(expect.any(Date));
+      expect(product.save).toHaveBeenCalledWith({ session: mockSession });
+      expect(Product.deleteOne).not.toHaveBeenCalled();
+      // The archiving is published in the same transaction
+      expect(OutboxEvent.create).toHaveBeenCalledWith([expect.objectContaining({
+        type: 'product.archived',
+        aggregate_type: 'product',
+        aggregate_id: 'prod_123'
+      })], { session: mockSession });
+      expect(mockSession.commitTransaction).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Product archived successfully', product });
+    });
+
+    it('should return a 404 error if the product to archive is not found', async () => {
+      req.params.id = 'non_existent_id';
+      Product.findById.mockResolvedValue(null);
+
+      await archiveProduct(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalledTimes(1);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404, message: 'Product not found' }));
+    });
+
+    it('should return a 409 error when archiving an archived product or restoring one that is on sale', async () => {
+      req.params.id = 'prod_123';
+      mockProduct({ archived_at: new Date('2026-01-01') });
+      await archiveProduct(req, res, next);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409, message: 'This product is already archived.' }));
+
+      mockProduct();
+      await restoreProduct(req, res, next);
+      expect(next).toHaveBeenLastCalledWith(expect.objectContaining({ statusCode: 409, message: 'This product is not archived.' }));
+      expect(res.json).not.toHaveBeenCalled();
+    });
+
+    it('should restore an archived product', async () => {
+      req.params.id = 'prod_123';
+      const product = mockProduct({ archived_at: new Date('2026-01-01') });
+
+      await restoreProduct(req, res, next);
+
+      expect(product.archived_at).toBeNull();
+      expect(OutboxEvent.create).toHaveBeenCalledWith([expect.objectContaining({ type: 'product.restored' })], { session: mockSession });
+      expect(res.json).toHaveBeenCalledWith({ message: 'Product restored successfully', product });
+    });
+
+    it('should purge an archived product that no open order includes', async () => {
+      req.params.id = 'prod_123';
+      const product = mockProduct({ archived_at: new Date('2026-01-01') });
+      mockOpenOrder(false);
+
+      await purgeProduct(req, res, next);
+
+      expect(Order.exists).toHaveBeenCalledWith({
+        'items.product_id': 'prod_123',
+        status: { $in: ['backordered', 'pending', 'paid', 'picking', 'shipped', 'delivered'] }
       });
+      expect(Product.deleteOne).toHaveBeenCalledWith({ _id: 'prod_123' }, { session: mockSession });
+      expect(StockLevel.deleteMany).toHaveBeenCalledWith({ product_id: 'prod_123' }, { session: mockSession });
+      expect(OutboxEvent.create).toHaveBeenCalledWith([expect.objectContaining({ type: 'product.deleted' })], { session: mockSession });
+      expect(res.json).toHaveBeenCalledWith({ message: 'Product purged successfully', deletedProduct: product });
     });
 
-    it('should return a 404 error if product to delete is not found', async () => {
-        // Arrange
-        req.params.id = 'non_existent_id';
-        Product.findByIdAndDelete.mockResolvedValue(null);
+    it('should refuse to purge a product that is not archived or is on an open order', async () => {
+      req.params.id = 'prod_123';
+      mockProduct();
+      await purgeProduct(req, res, next);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409, message: 'Only archived products can be purged. Archive the product first.' }));
 
-        // Act
-        await deleteProduct(req, res);
+      mockProduct({ archived_at: new Date('2026-01-01') });
+      mockOpenOrder(true);
+      await purgeProduct(req, res, next);
+      expect(next).toHaveBeenLastCalledWith(expect.objectContaining({ statusCode: 409 }));
 
-        // Assert
-        expect(res.status).toHaveBeenCalledWith(404);
-        expect(res.json).toHaveBeenCalledWith({ message: 'Product not found' });
+      expect(Product.deleteOne).not.toHaveBeenCalled();
+      expect(res.json).not.toHaveBeenCalled();
     });
   });
 });
\ No newline at end of file
@@ -0,0 +1,336 @@
+// tests/productImport.test.js
+const mongoose = require('mongoose');
+const { Writable } = require('stream');
+const { parseImportBody, validateRow, importProducts } = require('../services/productImport');
+const { streamProducts } = require('../services/productExport');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const Order = require('../models/Order');
+const Warehouse = require('../models/Warehouse');
+
+jest.mock('../models/Product');
+jest.mock('../models/Order');
+jest.mock('../models/StockMovement');
+jest.mock('../models/OutboxEvent');
+jest.mock('../models/Warehouse');
+jest.mock('../models/StockLevel');
+
+describe('Product Import and Export', () => {
+
+  let mockSession;
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSession = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn(),
+    };
+    mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+  });
+
+  // Mocks Product.findOne(...).session(...) to answer by name or by sku
+  const mockCatalogue = (products) => {
+    Product.findOne.mockImplementation((filter) => ({
+      session: jest.fn().mockResolvedValue(products.find((product) => (
+        filter.name ? product.name === filter.name : (product.variants || []).some((v) => v.sku === filter['variants.sku'])
+      )) || null)
+    }));
+  };
+
+  describe('parseImportBody', () => {
+    it('should parse CSV with a header line', () => {
+      const csv = 'name,price,stock,sku,variant_price,attributes\nKeyboard,7550,10,,,\nT-Shirt,2000,5,TSHIRT-S,,"size=S;colour=Red"\n';
+
+      expect(parseImportBody(csv, 'csv')).toEqual([
+        { name: 'Keyboard', price: '7550', stock: '10', sku: '', variant_price: '', attributes: '' },
+        { name: 'T-Shirt', price: '2000', stock: '5', sku: 'TSHIRT-S', variant_price: '', attributes: 'size=S;colour=Red' }
+      ]);
+    });
+
+    it('should accept a JSON array or a products property', () => {
+      expect(parseImportBody([{ name: 'A' }], 'json')).toEqual([{ name: 'A' }]);
+      expect(parseImportBody({ products: [{ name: 'B' }] }, 'json')).toEqual([{ name: 'B' }]);
+      expect(() => parseImportBody({ name: 'C' }, 'json')).toThrow('must be an array');
+    });
+  });
+
+  describe('validateRow', () => {
+    it('should normalise a valid variant row', () => {
+      const { row, errors } = validateRow({ name: ' T-Shirt ', sku: 'tshirt-s', price: '2000', stock: '5', attributes: 'size=S;colour=Red', currency: 'gbp', tax_category: 'Reduced' });
+
+      expect(errors).toEqual([]);
+      expect(row).toEqual({
+        name: 'T-Shirt',
+        sku: 'TSHIRT-S',
+        price: 2000,
+        stock: 5,
+        variant_price: undefined,
+        attributes: { size: 'S', colour: 'Red' },
+        currency: 'GBP',
+        tax_category: 'reduced'
+      });
+    });
+
+    it('should report every problem with a row', () => {
+      const { errors } = validateRow({ price: '19.99', stock: '2.5', attributes: 'size=S', currency: 'dollars' });
+
+      expect(errors).toEqual([
+        'price must be a whole number of 0 or more.',
+        'stock must be a whole number of 0 or more.',
+        'currency must be a three-letter ISO 4217 code.',
+        'Each row needs a name or a sku.',
+        'variant_price and attributes can only be set on a row with a sku.'
+      ]);
+    });
+  });
+
+  describe('importProducts', () => {
+    it('should create new products and record their opening stock', async () => {
+      // Arrange
+      mockCatalogue([]);
+      Product.create.mockResolvedValue([{ _id: 'prod_new', stock: 10 }]);
+
+      // Act
+      const report = await importProducts([{ name: 'Keyboard', price: 7500, stock: 10 }], { user: 'user_admin' });
+
+      // Assert
+      expect(Product.create).toHaveBeenCalledWith([{ name: 'Keyboard', price: 7500, stock: 10 }], { session: mockSession });
+      expect(StockMovement.create).toHaveBeenCalledWith([expect.objectContaining({
+        product_id: 'prod_new',
+        reason: 'initial_stock',
+        quantity_delta: 10,
+        user: 'user_admin'
+      })], { session: mockSession });
+      expect(mockSession.commitTransaction).toHaveBeenCalledTimes(1);
+      expect(report).toEqual(expect.objectContaining({ dry_run: false, total: 1, created: 1, failed: 0 }));
+    });
+
+    it('should update an existing product by name and record the stock change as an import', async () => {
+      // Arrange
+      const existing = { _id: 'prod_1', name: 'Keyboard', price: 7500, stock: 10, reserved: 0, save: jest.fn() };
+      mockCatalogue([existing]);
+
+      // Act
+      const report = await importProducts([{ name: 'Keyboard', price: 7000, stock: 4 }, { name: 'Keyboard', price: 7000 }]);
+
+      // Assert
+      expect(existing.price).toBe(7000);
+      expect(existing.stock).toBe(4);
+      expect(StockMovement.create).toHaveBeenCalledWith([expect.objectContaining({ reason: 'import', quantity_delta: -6 })], { session: mockSession });
+      expect(report.rows).toEqual([{ row: 1, status: 'updated' }, { row: 2, status: 'unchanged' }]);
+    });
+
+    it('should give imported units to the backordered orders waiting for them', async () => {
+      // Arrange: 3 units are waiting for stock and the import raises it from 0 to 5
+      const existing = { _id: 'prod_1', name: 'Keyboard', price: 7500, stock: 0, reserved: 0, backordered: 3, save: jest.fn() };
+      mockCatalogue([existing]);
+      const waiting = {
+        _id: 'order_1',
+        status: 'backordered',
+        items: [{ product_id: 'prod_1', quantity: 3, fulfilled_quantity: 0, outstanding_quantity: 3 }],
+        status_history: [],
+        save: jest.fn()
+      };
+      Order.find.mockResolvedValue([waiting]);
+      Warehouse.find.mockResolvedValue([]); // Stock is kept per product only
+
+      // Act
+      await importProducts([{ name: 'Keyboard', stock: 5 }], { user: 'user_admin' });
+
+      // Assert
+      expect(waiting.items[0]).toEqual(expect.objectContaining({ fulfilled_quantity: 3, outstanding_quantity: 0 }));
+      expect(waiting.status).toBe('pending');
+      expect(existing).toEqual(expect.objectContaining({ stock: 5, reserved: 3, backordered: 0 }));
+      expect(mockSession.commitTransaction).toHaveBeenCalledTimes(1);
+    });
+
+    it('should update a variant matched by sku', async () => {
+      // Arrange
+      const variant = { _id: 'var_s', sku: 'TSHIRT-S', attributes: new Map([['size', 'S']]), stock: 2, reserved: 0 };
+      const existing = { _id: 'prod_1', name: 'T-Shirt', price: 2000, stock: 2, variants: [variant], save: jest.fn() };
+      mockCatalogue([existing]);
+
+      // Act
+      const report = await importProducts([{ sku: 'tshirt-s', stock: '7', variant_price: '2200', attributes: 'size=S' }]);
+
+      // Assert
+      expect(variant.stock).toBe(7);
+      expect(variant.price).toBe(2200);
+      expect(existing.save).toHaveBeenCalledWith({ session: mockSession });
+      expect(StockMovement.create).toHaveBeenCalledWith([expect.objectContaining({ variant_id: 'var_s', quantity_delta: 5 })], { session: mockSession });
+      expect(report.updated).toBe(1);
+    });
+
+    it('should report invalid rows and still apply the valid ones', async () => {
+      // Arrange
+      const existing = { _id: 'prod_1', name: 'Keyboard', price: 7500, stock: 10, reserved: 6, save: jest.fn() };
+      mockCatalogue([existing]);
+
+      // Act
+      const report = await importProducts([
+        { name: 'Keyboard', stock: 2 },       // Below the reserved quantity
+        { price: 'free' },                    // Fails validation
+        { name: 'Keyboard', price: 8000 }
+      ]);
+
+      // Assert
+      expect(report.rows).toEqual([
+        { row: 1, status: 'error', errors: ['stock cannot be set below the reserved quantity (6).'] },
+        { row: 2, status: 'error', errors: ['price must be a whole number of 0 or more.', 'Each row needs a name or a sku.'] },
+        { row: 3, status: 'updated' }
+      ]);
+      expect(existing.price).toBe(8000);
+      expect(existing.stock).toBe(10);
+    });
+
+    it('should leave archived products alone and report their rows', async () => {
+      // Arrange
+      const archivedAt = new Date('2024-03-01T00:00:00.000Z');
+      const keyboard = { _id: 'prod_1', name: 'Keyboard', price: 7500, stock: 10, reserved: 0, archived_at: archivedAt, save: jest.fn() };
+      const variant = { _id: 'var_s', sku: 'TSHIRT-S', stock: 2, reserved: 0 };
+      const shirt = { _id: 'prod_2', name: 'T-Shirt', price: 2000, stock: 2, variants: [variant], archived_at: archivedAt, save: jest.fn() };
+      mockCatalogue([keyboard, shirt]);
+
+      // Act
+      const report = await importProducts([
+        { name: 'Keyboard', stock: 4 },
+        { sku: 'TSHIRT-S', stock: 7 },
+        { name: 'T-Shirt', sku: 'TSHIRT-M', stock: 3 }
+      ]);
+
+      // Assert
+      expect(report.rows).toEqual([
+        { row: 1, status: 'error', errors: ['Keyboard is archived; restore it before importing it.'] },
+        { row: 2, status: 'error', errors: ['T-Shirt is archived; restore it before importing it.'] },
+        { row: 3, status: 'error', errors: ['T-Shirt is archived; restore it before importing it.'] }
+      ]);
+      expect(keyboard.stock).toBe(10);
+      expect(variant.stock).toBe(2);
+      expect(shirt.variants).toHaveLength(1);
+      expect(Product.create).not.toHaveBeenCalled();
+      expect(keyboard.save).not.toHaveBeenCalled();
+      expect(shirt.save).not.toHaveBeenCalled();
+    });
+
+    it('should apply a dry run in one transaction and roll it back', async () => {
+      // Arrange
+      mockCatalogue([]);
+      Product.create.mockResolvedValue([{ _id: 'prod_new', stock: 0 }]);
+      const rows = [{ name: 'A', price: 1 }, { name: 'B', price: 2 }, { name: 'C', price: 3 }];
+
+      // Act
+      const report = await importProducts(rows, { dryRun: true, batchSize: 2 });
+
+      // Assert
+      expect(mongoose.startSession).toHaveBeenCalledTimes(1); // Not one per batch, so later rows see earlier ones
+      expect(mockSession.abortTransaction).toHaveBeenCalledTimes(1);
+      expect(mockSession.commitTransaction).not.toHaveBeenCalled();
+      expect(report).toEqual(expect.objectContaining({ dry_run: true, created: 3 }));
+    });
+
+    it('should roll back a whole batch on an unexpected error', async () => {
+      // Arrange
+      mockCatalogue([]);
+      Product.create
+        .mockResolvedValueOnce([{ _id: 'prod_a', stock: 0 }])
+        .mockRejectedValueOnce(new Error('connection lost'));
+
+      // Act
+      const report = await importProducts([{ name: 'A', price: 1 }, { name: 'B', price: 2 }]);
+
+      // Assert
+      expect(mockSession.abortTransaction).toHaveBeenCalledTimes(1);
+      expect(report.failed).toBe(2);
+      expect(report.rows[0]).toEqual({ row: 1, status: 'error', errors: ['Batch rolled back: connection lost'] });
+    });
+  });
+
+  describe('streamProducts', () => {
+    // A writable response that records what was written
+    const mockResponse = () => {
+      const res = new Writable({
+        write(chunk, encoding, callback) {
+          res.chunks.push(chunk.toString());
+          callback();
+        }
+      });
+      res.chunks = [];
+      return res;
+    };
+
+    // Returns the cursor, so a test can check that it was closed
+    const mockCursor = (products) => {
+      const cursor = Object.assign((async function* () { yield* products; })(), { close: jest.fn() });
+      Product.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockReturnThis(),
+        cursor: jest.fn().mockReturnValue(cursor)
+      });
+      return cursor;
+    };
+
+    const products = [
+      { name: 'Keyboard', price: 7550, currency: 'USD', tax_category: 'standard', stock: 10, variants: [] },
+      { name: 'T-Shirt', price: 2000, currency: 'GBP', tax_category: 'reduced', stock: 7, variants: [
+        { sku: 'TSHIRT-S', attributes: { size: 'S', colour: 'Red' }, stock: 5 },
+        { sku: 'TSHIRT-M', attributes: { size: 'M' }, price: 2200, stock: 2 }
+      ] }
+    ];
+
+    it('should stream CSV with one row per product or variant', async () => {
+      // Arrange
+      mockCursor(products);
+      const res = mockResponse();
+
+      // Act
+      await streamProducts(res, 'csv');
+
+      // Assert
+      expect(res.chunks.join('')).toBe(
+        'name,price,stock,sku,variant_price,attributes,currency,tax_category\n' +
+        'Keyboard,7550,10,,,,USD,standard\n' +
+        'T-Shirt,2000,5,TSHIRT-S,,colour=Red;size=S,GBP,reduced\n' +
+        'T-Shirt,2000,2,TSHIRT-M,2200,size=M,GBP,reduced\n'
+      );
+      expect(res.writableFinished).toBe(true);
+    });
+
+    it('should stop and close the cursor when the client goes away', async () => {
+      // Arrange: the client never reads, so the response buffer fills up, and then disconnects
+      const cursor = mockCursor(products);
+      const res = new Writable({ highWaterMark: 1, write() {} });
+
+      // Act
+      const streaming = streamProducts(res, 'csv');
+      setImmediate(() => res.destroy());
+
+      // Assert
+      await expect(streaming).rejects.toMatchObject({ code: 'ERR_STREAM_PREMATURE_CLOSE' });
+      expect(cursor.close).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stream a JSON array in the import format', async () => {
+      // Arrange
+      mockCursor(products);
+      const res = mockResponse();
+
+      // Act
+      await streamProducts(res, 'json');
+
+      // Assert
+      const rows = JSON.parse(res.chunks.join(''));
+      expect(rows).toHaveLength(3);
+      expect(rows[2]).toEqual({
+        name: 'T-Shirt',
+        price: 2000,
+        currency: 'GBP',
+        tax_category: 'reduced',
+        stock: 2,
+        sku: 'TSHIRT-M',
+        variant_price: 2200,
+        attributes: 'size=M'
+      });
+    });
+  });
+});
@@ -0,0 +1,147 @@
+// tests/productSearch.test.js
+const { searchProducts } = require('../controllers/productController');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { encodeCursor } = require('../utils/pagination');
+
+jest.mock('../models/Product');
+jest.mock('../models/Category');
+jest.mock('../models/StockMovement');
+jest.mock('../models/OutboxEvent');
+jest.mock('../models/Warehouse');
+jest.mock('../models/StockLevel');
+
+describe('Product search', () => {
+
+  let req, res, next;
+  beforeEach(() => {
+    req = { query: {} };
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    next = jest.fn();
+    jest.clearAllMocks();
+    // Search results are plain objects; hydrating them gives back the same fields
+    Product.hydrate.mockImplementation((doc) => ({ toJSON: () => ({ ...doc }) }));
+  });
+
+  // The single document the $facet stage produces
+  const facetResult = (overrides = {}) => [{ results: [], total: [], categories: [], price_bands: [], ...overrides }];
+
+  it('should find products by text or by the start of the words of their name', async () => {
+    // Arrange
+    req.query = { q: 'wire mou' };
+    Product.aggregate.mockResolvedValue(facetResult());
+
+    // Act
+    await searchProducts(req, res, next);
+
+    // Assert
+    const [pipeline] = Product.aggregate.mock.calls[0];
+    expect(pipeline[0]).toEqual({ $match: { archived_at: null, $or: [
+      { $text: { $search: 'wire mou' } },
+      { name: { $regex: '^(?=.*\\bwire)(?=.*\\bmou)', $options: 'i' } }
+    ] } });
+    expect(new RegExp('^(?=.*\\bwire)(?=.*\\bmou)', 'i').test('Logitech Mouse, Wireless')).toBe(true);
+    expect(pipeline[2].$facet.results).toContainEqual({ $sort: { score: -1, _id: -1 } });
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('should combine the search with the in-stock filter', async () => {
+    req.query = { q: 'mouse', in_stock: 'true' };
+    Product.aggregate.mockResolvedValue(facetResult());
+
+    await searchProducts(req, res, next);
+
+    const [pipeline] = Product.aggregate.mock.calls[0];
+    expect(pipeline[0].$match).toEqual(expect.objectContaining({
+      stock: { $gt: 0 },
+      $expr: { $gt: [{ $subtract: ['$stock', '$reserved'] }, 0] }
+    }));
+  });
+
+  it('should count each facet without its own filter', async () => {
+    // Arrange: Computers has Laptops below it
+    const computers = new mongoose.Types.ObjectId();
+    const laptops = new mongoose.Types.ObjectId();
+    req.query = { q: 'mouse', category_id: String(computers), min_price: '1000' };
+    Category.findById.mockResolvedValue({ _id: computers, ancestors: [] });
+    Category.distinct.mockResolvedValue([laptops]);
+    Product.aggregate.mockResolvedValue(facetResult());
+
+    // Act
+    await searchProducts(req, res, next);
+
+    // Assert
+    const { $facet } = Product.aggregate.mock.calls[0][0][2];
+    const inComputers = { category_id: { $in: [computers, laptops] } };
+    expect($facet.results[0]).toEqual({ $match: { ...inComputers, price: { $gte: 1000 } } });
+    expect($facet.categories[0]).toEqual({ $match: { price: { $gte: 1000 } } });
+    expect($facet.price_bands[0]).toEqual({ $match: inComputers });
+  });
+
+  it('should return 404 for a category filter that does not exist', async () => {
+    req.query = { q: 'mouse', category_id: '65e9b3a4f8b9c0d1e2f3a4b5' };
+    Category.findById.mockResolvedValue(null);
+
+    await searchProducts(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404, message: 'Category not found' }));
+    expect(Product.aggregate).not.toHaveBeenCalled();
+  });
+
+  it('should return a page of ranked products with the total and facet counts', async () => {
+    req.query = { q: 'mouse', limit: '1' };
+    Product.aggregate.mockResolvedValue(facetResult({
+      results: [
+        { _id: '65e9b3a4f8b9c0d1e2f3a4b6', name: 'Mouse', price: 2500, score: 12.5 },
+        { _id: '65e9b3a4f8b9c0d1e2f3a4b5', name: 'Mouse Pad', price: 900, score: 7 }
+      ],
+      total: [{ count: 3 }],
+      // Counted for the category of each product and every category above it
+      categories: [
+        { _id: 'cat_electronics', category: [{ _id: 'cat_electronics', name: 'Electronics' }], count: 2 },
+        { _id: 'cat_accessories', category: [{ _id: 'cat_accessories', name: 'Accessories' }], count: 2 },
+        { _id: null, category: [], count: 1 }
+      ],
+      price_bands: [{ _id: { start: 0, currency: 'USD' }, count: 1 }, { _id: { start: 25000, currency: 'USD' }, count: 2 }]
+    }));
+
+    await searchProducts(req, res, next);
+
+    expect(res.json).toHaveBeenCalledWith({
+      data: [{ _id: '65e9b3a4f8b9c0d1e2f3a4b6', name: 'Mouse', price: 2500, score: 12.5 }],
+      next_cursor: encodeCursor({ field: 'score', direction: -1, value: 12.5, id: '65e9b3a4f8b9c0d1e2f3a4b6' }),
+      total: 3,
+      facets: {
+        categories: [
+          { category_id: 'cat_electronics', name: 'Electronics', count: 2 },
+          { category_id: 'cat_accessories', name: 'Accessories', count: 2 },
+          { category_id: null, name: null, count: 1 }
+        ],
+        price_bands: [{ currency: 'USD', min: 0, max: 999, count: 1 }, { currency: 'USD', min: 25000, max: null, count: 2 }]
+      }
+    });
+  });
+
+  it('should continue after the cursor of the previous page', async () => {
+    req.query = { q: 'mouse', cursor: encodeCursor({ field: 'score', direction: -1, value: 12.5, id: '65e9b3a4f8b9c0d1e2f3a4b6' }) };
+    Product.aggregate.mockResolvedValue(facetResult());
+
+    await searchProducts(req, res, next);
+
+    const { $facet } = Product.aggregate.mock.calls[0][0][2];
+    const [, { $match: after }] = $facet.results;
+    expect(after.$or[0]).toEqual({ score: { $lt: 12.5 } });
+    expect(String(after.$or[1]._id.$lt)).toBe('65e9b3a4f8b9c0d1e2f3a4b6');
+  });
+
+  it('should reject a missing query or a cursor from the product list', async () => {
+    for (const query of [{}, { q: 'mouse', cursor: encodeCursor({ field: 'name', direction: 1, value: 'Mouse', id: '65e9b3a4f8b9c0d1e2f3a4b6' }) }]) {
+      req.query = query;
+      await searchProducts(req, res, next);
+    }
+
+    expect(next.mock.calls.map(([error]) => error.statusCode)).toEqual([400, 400]);
+    expect(Product.aggregate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,192 @@
+// tests/promotions.test.js
+const { calculateLineDiscounts, calculateDiscount, applyPromotions, redeemPromotions, releasePromotions } = require('../services/promotions');
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+
+jest.mock('../models/Promotion');
+jest.mock('../models/PromotionRedemption');
+
+describe('Promotions', () => {
+
+  const session = { id: 'session' };
+  // Amounts are in minor units (cents)
+  const items = [
+    { product_id: 'prod_keyboard', price_at_order: 5000, quantity: 2 }, // 100.00
+    { product_id: 'prod_mouse', price_at_order: 1050, quantity: 5 }     // 52.50
+  ];
+
+  // Mocks the automatic promotions and the coupon found within the session
+  const mockPromotions = ({ automatic = [], coupon = null, customerUses = 0 } = {}) => {
+    Promotion.find.mockReturnValue({ session: jest.fn().mockResolvedValue(automatic) });
+    Promotion.findOne.mockReturnValue({ session: jest.fn().mockResolvedValue(coupon) });
+    PromotionRedemption.countDocuments.mockReturnValue({ session: jest.fn().mockResolvedValue(customerUses) });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('calculateDiscount', () => {
+    it('should take a percentage off the covered items only, rounding half up', () => {
+      const promotion = { type: 'percentage', value: 10, product_ids: ['prod_mouse'] };
+      expect(calculateDiscount(promotion, items)).toBe(525);
+      expect(calculateDiscount({ ...promotion, value: 12.5 }, items)).toBe(656); // 656.25 rounds down
+      expect(calculateDiscount({ ...promotion, value: 12.7 }, items)).toBe(667); // 666.75 rounds up
+    });
+
+    it('should never take more than the covered items are worth', () => {
+      const promotion = { type: 'fixed', value: 3000, product_ids: ['prod_mouse'] };
+      expect(calculateDiscount(promotion, items)).toBe(3000);
+      expect(calculateDiscount({ ...promotion, value: 8000 }, items)).toBe(5250);
+    });
+
+    it('should give get_quantity units free for every buy_quantity bought, per order line', () => {
+      const promotion = { type: 'buy_x_get_y', buy_quantity: 2, get_quantity: 1, product_ids: [] };
+      // Keyboards: 2 units, no complete group. Mice: 5 units, one group of 3, so one free.
+      expect(calculateLineDiscounts(promotion, items)).toEqual([0, 1050]);
+    });
+
+    it('should share an order-wide discount across the lines in proportion to their value', () => {
+      const promotion = { type: 'fixed', value: 1000, product_ids: [] };
+      // 1000 * 10000 / 15250 = 655.7 and 1000 * 5250 / 15250 = 344.3
+      expect(calculateLineDiscounts(promotion, items)).toEqual([656, 344]);
+    });
+  });
+
+  describe('applyPromotions', () => {
+    it('should apply the qualifying automatic promotions and the coupon, in that order', async () => {
+      // Arrange
+      const automatic = [
+        { _id: 'promo_auto', name: 'Spring sale', type: 'percentage', value: 10, active: true },
+        { _id: 'promo_big', name: 'Big spender', type: 'fixed', value: 2000, active: true, min_order_value: 50000 },
+        { _id: 'promo_eur', name: 'Euro sale', type: 'percentage', value: 5, active: true, currency: 'EUR' }
+      ];
+      const coupon = { _id: 'promo_coupon', code: 'SAVE5', name: '5 off', type: 'fixed', value: 500, active: true, currency: 'USD' };
+      mockPromotions({ automatic, coupon });
+
+      // Act
+      const result = await applyPromotions({ items, currency: 'USD', couponCode: ' save5 ', customer: 'customer_1', session });
+
+      // Assert
+      expect(Promotion.findOne).toHaveBeenCalledWith({ code: 'SAVE5' });
+      expect(result).toEqual({
+        discounts: [
+          { promotion_id: 'promo_auto', code: undefined, name: 'Spring sale', type: 'percentage', amount: 1525 },
+          { promotion_id: 'promo_coupon', code: 'SAVE5', name: '5 off', type: 'fixed', amount: 500 }
+        ],
+        lineDiscounts: [1000 + 328, 525 + 172]
+      });
+    });
+
+    it('should cap the discounts at what is left of each line', async () => {
+      // Arrange
+      const coupon = { _id: 'promo_coupon', code: 'FREE', name: 'Free order', type: 'fixed', value: 50000, active: true };
+      mockPromotions({ automatic: [{ _id: 'promo_auto', name: 'Half off', type: 'percentage', value: 50, active: true }], coupon });
+
+      // Act
+      const result = await applyPromotions({ items, couponCode: 'FREE', customer: 'customer_1', session });
+
+      // Assert
+      expect(result.discounts.map((discount) => discount.amount)).toEqual([7625, 7625]);
+      expect(result.lineDiscounts).toEqual([10000, 5250]);
+    });
+
+    it('should reject an unknown, expired or exhausted coupon', async () => {
+      mockPromotions();
+      await expect(applyPromotions({ items, couponCode: 'NOPE', customer: 'customer_1', session }))
+        .rejects.toMatchObject({ statusCode: 422, message: 'Coupon NOPE does not exist.' });
+
+      mockPromotions({ coupon: { code: 'OLD', type: 'fixed', value: 500, active: true, ends_at: new Date('2020-01-01') } });
+      await expect(applyPromotions({ items, couponCode: 'OLD', customer: 'customer_1', session }))
+        .rejects.toThrow('Coupon OLD cannot be used: it has expired.');
+
+      mockPromotions({ coupon: { code: 'GONE', type: 'fixed', value: 500, active: true, max_uses: 3, uses_count: 3 } });
+      await expect(applyPromotions({ items, couponCode: 'GONE', customer: 'customer_1', session }))
+        .rejects.toThrow('it has been fully redeemed');
+    });
+
+    it('should reject a coupon in another currency', async () => {
+      mockPromotions({ coupon: { code: 'EURO', type: 'fixed', value: 500, active: true, currency: 'EUR' } });
+      await expect(applyPromotions({ items, currency: 'USD', couponCode: 'EURO', customer: 'customer_1', session }))
+        .rejects.toThrow('Coupon EURO cannot be used: it is only valid for orders in EUR.');
+    });
+
+    it('should enforce the minimum order value and the per-customer limit of a coupon', async () => {
+      mockPromotions({ coupon: { code: 'BIG', type: 'fixed', value: 500, active: true, min_order_value: 20000 } });
+      await expect(applyPromotions({ items, couponCode: 'BIG', customer: 'customer_1', session }))
+        .rejects.toThrow('the order subtotal must be at least 20000');
+
+      mockPromotions({ coupon: { _id: 'promo_once', code: 'ONCE', type: 'fixed', value: 500, active: true, max_uses_per_customer: 1 }, customerUses: 1 });
+      await expect(applyPromotions({ items, couponCode: 'ONCE', customer: 'customer_1', session }))
+        .rejects.toThrow('you have already used it the maximum number of times');
+      expect(PromotionRedemption.countDocuments).toHaveBeenCalledWith({ promotion_id: 'promo_once', customer: 'customer_1', status: 'redeemed' });
+    });
+
+    it('should reject a coupon that covers none of the ordered products', async () => {
+      mockPromotions({ coupon: { code: 'CHAIRS', type: 'percentage', value: 20, active: true, product_ids: ['prod_chair'] } });
+      await expect(applyPromotions({ items, couponCode: 'CHAIRS', customer: 'customer_1', session }))
+        .rejects.toThrow('Coupon CHAIRS does not apply to any item in this order.');
+    });
+  });
+
+  describe('redeemPromotions', () => {
+    const order = {
+      _id: 'order_1',
+      customer: 'customer_1',
+      user: 'user_1',
+      discounts: [{ promotion_id: 'promo_coupon', code: 'SAVE5', name: '5 off', amount: 500 }]
+    };
+
+    it('should count the use within the usage cap and record the redemption', async () => {
+      // Arrange
+      Promotion.findOneAndUpdate.mockResolvedValue({ _id: 'promo_coupon', uses_count: 3 });
+
+      // Act
+      await redeemPromotions(order, { session });
+
+      // Assert
+      expect(Promotion.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'promo_coupon', $or: [{ max_uses: null }, { $expr: { $lt: ['$uses_count', '$max_uses'] } }] },
+        { $inc: { uses_count: 1 } },
+        { session, new: true }
+      );
+      expect(PromotionRedemption.create).toHaveBeenCalledWith([{
+        promotion_id: 'promo_coupon',
+        code: 'SAVE5',
+        customer: 'customer_1',
+        user: 'user_1',
+        order_id: 'order_1',
+        amount: 500
+      }], { session });
+    });
+
+    it('should fail with 409 when another order took the last use', async () => {
+      Promotion.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(redeemPromotions(order, { session })).rejects.toMatchObject({ statusCode: 409 });
+      expect(PromotionRedemption.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releasePromotions', () => {
+    it('should release the redemptions of a cancelled order and give the uses back', async () => {
+      // Arrange
+      const redemption = { promotion_id: 'promo_coupon', status: 'redeemed', save: jest.fn() };
+      PromotionRedemption.find.mockReturnValue({ session: jest.fn().mockResolvedValue([redemption]) });
+
+      // Act
+      await releasePromotions({ _id: 'order_1', discounts: [{ promotion_id: 'promo_coupon' }] }, { session });
+
+      // Assert
+      expect(PromotionRedemption.find).toHaveBeenCalledWith({ order_id: 'order_1', status: 'redeemed' });
+      expect(redemption.status).toBe('released');
+      expect(redemption.save).toHaveBeenCalledWith({ session });
+      expect(Promotion.updateOne).toHaveBeenCalledWith({ _id: 'promo_coupon' }, { $inc: { uses_count: -1 } }, { session });
+    });
+
+    it('should do nothing for an order without discounts', async () => {
+      await releasePromotions({ _id: 'order_1', discounts: [] }, { session });
+      expect(PromotionRedemption.find).not.toHaveBeenCalled();
+    });
+  });
+});
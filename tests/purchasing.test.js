@@ -0,0 +1,178 @@
+// tests/purchasing.test.js
+const {
+  weightedAverageCost,
+  receivePurchaseOrder,
+  transitionPurchaseOrder
+} = require('../services/purchasing');
+const { buildMarginReport } = require('../services/margins');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const Order = require('../models/Order');
+
+jest.mock('../models/Product');
+jest.mock('../models/StockMovement');
+jest.mock('../models/Order');
+jest.mock('../models/OutboxEvent');
+jest.mock('../models/Warehouse');
+jest.mock('../models/StockLevel');
+
+describe('Purchasing', () => {
+
+  const session = { id: 'session' };
+
+  // A sent purchase order for 10 keyboards at 12.00 and 20 medium T-shirts at 4.00
+  const buildPurchaseOrder = (overrides = {}) => ({
+    _id: 'po_1',
+    status: 'sent',
+    currency: 'USD',
+    items: [
+      { product_id: 'prod_keyboard', name: 'Keyboard', quantity_ordered: 10, unit_cost: 1200, quantity_received: 0, over_quantity: 0, short_quantity: 0 },
+      { product_id: 'prod_tshirt', variant_id: 'var_m', sku: 'TSHIRT-M', name: 'T-Shirt', quantity_ordered: 20, unit_cost: 400, quantity_received: 0, over_quantity: 0, short_quantity: 0 }
+    ],
+    receipts: [],
+    status_history: [],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('weightedAverageCost', () => {
+    it('should weigh the stock on hand against the delivery, rounding half up', () => {
+      // (5 x 10.00 + 10 x 12.00) / 15 = 11.333...
+      expect(weightedAverageCost(1000, 5, 1200, 10)).toBe(1133);
+      // (1 x 0.01 + 1 x 0.02) / 2 = 0.015
+      expect(weightedAverageCost(1, 1, 2, 1)).toBe(2);
+    });
+
+    it('should take the cost of the delivery for stock without a known cost', () => {
+      expect(weightedAverageCost(undefined, 5, 1200, 10)).toBe(1200);
+      expect(weightedAverageCost(1000, 0, 1200, 10)).toBe(1200);
+    });
+  });
+
+  describe('receivePurchaseOrder', () => {
+    it('should book a partial delivery into stock and update the weighted-average cost', async () => {
+      // Arrange: 5 keyboards in stock at 10.00 before the 10 arrive
+      Product.findOneAndUpdate.mockResolvedValue({ _id: 'prod_keyboard', stock: 15, average_cost: 1000 });
+      const purchaseOrder = buildPurchaseOrder();
+
+      // Act
+      await receivePurchaseOrder(purchaseOrder, [{ product_id: 'prod_keyboard', quantity: 10 }], {
+        session, receivedBy: 'user_staff', note: 'First pallet'
+      });
+
+      // Assert
+      expect(Product.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'prod_keyboard' }, { $inc: { stock: 10 } }, { session, new: true });
+      expect(StockMovement.create).toHaveBeenCalledWith([expect.objectContaining({
+        reason: 'purchase_receipt',
+        quantity_delta: 10,
+        balance_after: 15,
+        purchase_order_id: 'po_1',
+        user: 'user_staff'
+      })], { session });
+      expect(Product.updateOne).toHaveBeenCalledWith({ _id: 'prod_keyboard' }, { $set: { average_cost: 1133 } }, { session });
+
+      expect(purchaseOrder.items[0].quantity_received).toBe(10);
+      expect(purchaseOrder.receipts).toEqual([expect.objectContaining({
+        received_by: 'user_staff',
+        note: 'First pallet',
+        items: [{ product_id: 'prod_keyboard', variant_id: undefined, sku: undefined, quantity: 10 }]
+      })]);
+      // The T-shirts are still outstanding
+      expect(purchaseOrder.status).toBe('partially_received');
+      expect(purchaseOrder.status_history).toEqual([expect.objectContaining({ from: 'sent', to: 'partially_received' })]);
+    });
+
+    it('should track over-delivered units and mark the purchase order received', async () => {
+      // Arrange: the keyboards have arrived; 22 T-shirts arrive for the 20 ordered
+      Product.findOneAndUpdate.mockResolvedValue({
+        _id: 'prod_tshirt',
+        stock: 30,
+        average_cost: 500,
+        variants: [{ _id: 'var_m', sku: 'TSHIRT-M', stock: 22, average_cost: undefined }]
+      });
+      const purchaseOrder = buildPurchaseOrder({ status: 'partially_received' });
+      purchaseOrder.items[0].quantity_received = 10;
+
+      // Act
+      await receivePurchaseOrder(purchaseOrder, [{ sku: 'tshirt-m', quantity: 22 }], { session, receivedBy: 'user_staff' });
+
+      // Assert
+      expect(Product.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'prod_tshirt', 'variants._id': 'var_m' },
+        { $inc: { stock: 22, 'variants.$.stock': 22 } },
+        { session, new: true }
+      );
+      // The product's 8 other units cost 5.00; the variant had none before the delivery
+      expect(Product.updateOne).toHaveBeenCalledWith(
+        { _id: 'prod_tshirt', 'variants._id': 'var_m' },
+        { $set: { average_cost: 427, 'variants.$.average_cost': 400 } },
+        { session }
+      );
+      expect(purchaseOrder.items[1]).toEqual(expect.objectContaining({ quantity_received: 22, over_quantity: 2 }));
+      expect(purchaseOrder.status).toBe('received');
+    });
+
+    it('should reject deliveries against a draft purchase order and items not on it', async () => {
+      await expect(receivePurchaseOrder(buildPurchaseOrder({ status: 'draft' }), [{ product_id: 'prod_keyboard', quantity: 1 }], { session }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      await expect(receivePurchaseOrder(buildPurchaseOrder(), [{ product_id: 'prod_mouse', quantity: 1 }], { session }))
+        .rejects.toThrow('prod_mouse is not on this purchase order.');
+      await expect(receivePurchaseOrder(buildPurchaseOrder(), [{ product_id: 'prod_keyboard', quantity: 0 }], { session }))
+        .rejects.toThrow('quantity of prod_keyboard must be a whole number of at least 1.');
+
+      expect(Product.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('transitionPurchaseOrder', () => {
+    it('should record the undelivered units when a partially received purchase order is closed', () => {
+      // Arrange
+      const purchaseOrder = buildPurchaseOrder({ status: 'partially_received' });
+      purchaseOrder.items[0].quantity_received = 10;
+      purchaseOrder.items[1].quantity_received = 15;
+
+      // Act
+      transitionPurchaseOrder(purchaseOrder, 'received', { changedBy: 'user_staff', reason: 'Supplier out of stock' });
+
+      // Assert
+      expect(purchaseOrder.items.map((item) => item.short_quantity)).toEqual([0, 5]);
+      expect(purchaseOrder.status).toBe('received');
+      expect(purchaseOrder.status_history).toEqual([expect.objectContaining({
+        from: 'partially_received', to: 'received', changed_by: 'user_staff', reason: 'Supplier out of stock'
+      })]);
+    });
+
+    it('should reject status changes that only receipts can make', () => {
+      expect(() => transitionPurchaseOrder(buildPurchaseOrder(), 'received')).toThrow(
+        "Cannot change purchase order status from 'sent' to 'received'. Allowed: cancelled"
+      );
+    });
+  });
+
+  describe('buildMarginReport', () => {
+    it('should compare the revenue of the units sold with their cost at the time of the order', async () => {
+      // Arrange: 4 keyboards at 20.00 with 8.00 off the line, 1 of them returned; 2 mice from before costs were kept
+      Order.aggregate.mockResolvedValue([
+        { product_id: 'prod_keyboard', name: 'Keyboard', currency: 'USD', price_at_order: 2000, quantity: 4, discount: 800, returned_quantity: 1, cost_at_order: 1133 },
+        { product_id: 'prod_mouse', name: 'Mouse', currency: 'USD', price_at_order: 999, quantity: 2, discount: 0 }
+      ]);
+
+      // Act
+      const report = await buildMarginReport({ from: new Date('2024-03-01T00:00:00.000Z') });
+
+      // Assert
+      expect(Order.aggregate).toHaveBeenCalledWith(expect.arrayContaining([
+        { $match: { status: { $in: ['paid', 'picking', 'shipped', 'delivered'] }, createdAt: { $gte: new Date('2024-03-01T00:00:00.000Z') } } }
+      ]));
+      // 3 keyboards: 6000 - 600 discount = 5400 revenue, 3399 cost
+      expect(report.items).toEqual([
+        expect.objectContaining({ name: 'Keyboard', units_sold: 3, revenue: 5400, cost: 3399, margin: 2001, margin_percent: 37.06, uncosted_units: 0 }),
+        expect.objectContaining({ name: 'Mouse', units_sold: 2, revenue: 1998, cost: 0, margin: 0, margin_percent: null, uncosted_units: 2 })
+      ]);
+      expect(report.totals).toEqual([{ currency: 'USD', revenue: 7398, cost: 3399, margin: 2001, margin_percent: 37.06 }]);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+// tests/reorder.test.js
+const { suggestReorder, buildReorderSuggestions } = require('../services/reorder');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+
+jest.mock('../models/Product');
+jest.mock('../models/Order');
+
+describe('Reorder Suggestions', () => {
+
+  const now = new Date('2024-03-31T00:00:00.000Z');
+
+  // A stock item as the stock items pipeline returns it
+  const buildItem = (overrides = {}) => ({
+    product_id: 'prod_keyboard',
+    name: 'Keyboard',
+    variant_id: null,
+    sku: null,
+    stock: 40,
+    reserved: 0,
+    available: 40,
+    reorder_point: 10,
+    reorder_quantity: null,
+    lead_time_days: 7,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('suggestReorder', () => {
+    it('should estimate the days until stock-out from the daily sales', () => {
+      // 60 units in 30 days is 2 a day, so 40 units last 20 days
+      const suggestion = suggestReorder(buildItem(), 60, { days: 30, now });
+
+      expect(suggestion).toEqual(expect.objectContaining({
+        units_sold: 60,
+        daily_sales: 2,
+        days_until_stockout: 20,
+        stockout_date: new Date('2024-04-20T00:00:00.000Z'),
+        needs_reorder: false,
+        suggested_quantity: 0
+      }));
+    });
+
+    it('should suggest reordering an item that runs out before a delivery could arrive', () => {
+      // 5 a day: 30 units last 6 days, less than the 7-day lead time
+      const suggestion = suggestReorder(buildItem({ available: 30, stock: 30 }), 150, { days: 30, now });
+
+      // 5 a day over 7 + 30 days, plus the reorder point, less what is left: 185 + 10 - 30
+      expect(suggestion).toEqual(expect.objectContaining({ days_until_stockout: 6, needs_reorder: true, suggested_quantity: 165 }));
+    });
+
+    it('should suggest at least the reorder quantity for an item at its reorder point', () => {
+      const suggestion = suggestReorder(buildItem({ stock: 8, available: 8, reorder_quantity: 50 }), 0, { days: 30, now });
+
+      expect(suggestion).toEqual(expect.objectContaining({
+        daily_sales: 0,
+        days_until_stockout: null,
+        stockout_date: null,
+        needs_reorder: true,
+        suggested_quantity: 50
+      }));
+    });
+  });
+
+  describe('buildReorderSuggestions', () => {
+    it('should count sales per item since the start of the window and list the items running out first', async () => {
+      // Arrange
+      Product.aggregate.mockResolvedValue([
+        buildItem(),
+        buildItem({ product_id: 'prod_tshirt', name: 'T-Shirt', variant_id: 'var_m', sku: 'TSHIRT-M', stock: 12, available: 12 }),
+        buildItem({ product_id: 'prod_mouse', name: 'Mouse', stock: 3, available: 3 })
+      ]);
+      Order.aggregate.mockResolvedValue([
+        { _id: { product_id: 'prod_keyboard' }, units: 30 },
+        { _id: { product_id: 'prod_tshirt', variant_id: 'var_m' }, units: 60 }
+      ]);
+
+      // Act
+      const suggestions = await buildReorderSuggestions({ days: 30, now });
+
+      // Assert
+      expect(Order.aggregate).toHaveBeenCalledWith(expect.arrayContaining([
+        { $match: { status: { $in: ['paid', 'picking', 'shipped', 'delivered'] }, createdAt: { $gte: new Date('2024-03-01T00:00:00.000Z') } } }
+      ]));
+      // The keyboard lasts 40 days and needs nothing; the T-shirt runs out in 6 days; the mouse is below its reorder point
+      expect(suggestions.map((suggestion) => [suggestion.name, suggestion.sku, suggestion.days_until_stockout])).toEqual([
+        ['T-Shirt', 'TSHIRT-M', 6],
+        ['Mouse', null, null]
+      ]);
+    });
+  });
+});
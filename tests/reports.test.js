@@ -0,0 +1,137 @@
+// tests/reports.test.js
+const { averageOrderValue, cancellationRate, stockValue } = require('../services/reports');
+const { getRevenue, getTopProducts, getStockValue } = require('../controllers/reportController');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+
+jest.mock('../models/Order');
+jest.mock('../models/Product');
+
+describe('Reports', () => {
+
+  let req, res, next;
+  beforeEach(() => {
+    req = { query: {} };
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn(), send: jest.fn(), setHeader: jest.fn() };
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('getRevenue', () => {
+    it('should group the sold orders placed in the range by week', async () => {
+      // Arrange
+      req.query = { from: '2024-03-01', to: '2024-03-31', interval: 'week' };
+      const rows = [{ period: new Date('2024-02-26T00:00:00.000Z'), currency: 'USD', orders: 2, revenue: 4500 }];
+      Order.aggregate.mockResolvedValue(rows);
+
+      // Act
+      await getRevenue(req, res, next);
+
+      // Assert
+      const [pipeline] = Order.aggregate.mock.calls[0];
+      expect(pipeline[0]).toEqual({ $match: {
+        status: { $in: ['paid', 'picking', 'shipped', 'delivered'] },
+        createdAt: { $gte: new Date('2024-03-01'), $lte: new Date('2024-03-31') }
+      } });
+      expect(pipeline[1].$group._id.period).toEqual({ $dateTrunc: { date: '$createdAt', unit: 'week', startOfWeek: 'monday' } });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ report: 'revenue', interval: 'week', count: 1, rows }));
+    });
+
+    it('should return the rows as CSV', async () => {
+      req.query = { format: 'csv' };
+      Order.aggregate.mockResolvedValue([{ period: new Date('2024-03-04T00:00:00.000Z'), currency: 'USD', orders: 2, revenue: 4500 }]);
+
+      await getRevenue(req, res, next);
+
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/csv; charset=utf-8');
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Disposition', 'attachment; filename="revenue.csv"');
+      expect(res.send).toHaveBeenCalledWith('period,currency,orders,revenue\n2024-03-04T00:00:00.000Z,USD,2,4500\n');
+    });
+
+    it('should reject an unknown interval, format or date', async () => {
+      for (const query of [{ interval: 'year' }, { format: 'xlsx' }, { from: 'yesterday' }]) {
+        req.query = query;
+        await getRevenue(req, res, next);
+      }
+
+      expect(next.mock.calls.map(([error]) => error.statusCode)).toEqual([400, 400, 400]);
+      expect(Order.aggregate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getTopProducts', () => {
+    it('should rank the products by revenue and limit the list', async () => {
+      req.query = { by: 'revenue', limit: '5' };
+      Order.aggregate.mockResolvedValue([]);
+
+      await getTopProducts(req, res, next);
+
+      const [pipeline] = Order.aggregate.mock.calls[0];
+      expect(pipeline).toEqual(expect.arrayContaining([{ $sort: { revenue: -1, units: -1, name: 1 } }, { $limit: 5 }]));
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ report: 'top-products', by: 'revenue', limit: 5 }));
+    });
+  });
+
+  describe('averageOrderValue', () => {
+    it('should divide the revenue by the orders per currency, rounding half up', async () => {
+      Order.aggregate.mockResolvedValue([{ currency: 'USD', orders: 4, revenue: 10002 }]);
+
+      expect(await averageOrderValue()).toEqual([{ currency: 'USD', orders: 4, revenue: 10002, average_order_value: 2501 }]);
+    });
+  });
+
+  describe('cancellationRate', () => {
+    it('should give the share of all orders placed that were cancelled, per period', async () => {
+      Order.aggregate.mockResolvedValue([
+        { _id: new Date('2024-03-01T00:00:00.000Z'), orders: 8, cancelled: 1 },
+        { _id: new Date('2024-04-01T00:00:00.000Z'), orders: 3, cancelled: 0 }
+      ]);
+
+      const rows = await cancellationRate({ interval: 'month' });
+
+      expect(Order.aggregate.mock.calls[0][0][0]).toEqual({ $match: {} }); // Every status counts
+      expect(rows).toEqual([
+        { period: new Date('2024-03-01T00:00:00.000Z'), orders: 8, cancelled: 1, cancellation_rate: 12.5 },
+        { period: new Date('2024-04-01T00:00:00.000Z'), orders: 3, cancelled: 0, cancellation_rate: 0 }
+      ]);
+    });
+  });
+
+  describe('stockValue', () => {
+    it('should total the value of the stock per currency', async () => {
+      Product.aggregate.mockResolvedValue([
+        { product_id: 'prod_keyboard', name: 'Keyboard', currency: 'USD', stock: 10, price: 7550, value: 75500 },
+        { product_id: 'prod_tshirt', sku: 'TSHIRT-M', name: 'T-Shirt', currency: 'USD', stock: 4, price: 2000, value: 8000 }
+      ]);
+
+      const { totals } = await stockValue();
+
+      expect(totals).toEqual([{ currency: 'USD', stock: 14, value: 83500 }]);
+      // Without a date, the current stock is used and the ledger is not read
+      expect(Product.aggregate.mock.calls[0][0]).not.toEqual(expect.arrayContaining([expect.objectContaining({ $lookup: expect.anything() })]));
+    });
+
+    it('should take back the ledger movements made since the requested date', async () => {
+      req.query = { to: '2024-03-31T23:59:59.999Z' };
+      Product.aggregate.mockResolvedValue([]);
+
+      await getStockValue(req, res, next);
+
+      const [pipeline] = Product.aggregate.mock.calls[0];
+      const lookup = pipeline.find((stage) => stage.$lookup).$lookup;
+      expect(lookup.from).toBe('stockmovements');
+      expect(lookup.pipeline[0].$match.$expr.$and).toContainEqual({ $gt: ['$createdAt', new Date('2024-03-31T23:59:59.999Z')] });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ report: 'stock-value', as_of: new Date('2024-03-31T23:59:59.999Z'), totals: [] }));
+    });
+
+    it('should reject a from date', async () => {
+      req.query = { from: '2024-03-01' };
+
+      await getStockValue(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+      expect(Product.aggregate).not.toHaveBeenCalled();
+    });
+  });
+});
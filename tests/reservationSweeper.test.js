@@ -0,0 +1,105 @@
+// tests/reservationSweeper.test.js
+const mongoose = require('mongoose');
+const { releaseExpiredReservations } = require('../services/reservationSweeper');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+
+jest.mock('../models/Order');
+jest.mock('../models/Product');
+jest.mock('../models/StockMovement');
+jest.mock('../models/OutboxEvent');
+jest.mock('../models/Warehouse');
+jest.mock('../models/StockLevel');
+
+describe('Reservation Sweeper', () => {
+
+  let mockSession;
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSession = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn(),
+    };
+    mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+  });
+
+  it('should cancel expired pending orders and release their reserved stock', async () => {
+    // Arrange
+    const now = new Date('2024-03-07T12:00:00.000Z');
+    const mockOrder = {
+      _id: 'order_123',
+      status: 'pending',
+      items: [{ product_id: 'prod_123', quantity: 2 }],
+      reservation: { status: 'active', expires_at: new Date('2024-03-07T11:45:00.000Z') },
+      status_history: [],
+      save: jest.fn()
+    };
+    Order.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: 'order_123' }]) });
+    Order.findOne.mockReturnValue({ session: jest.fn().mockResolvedValue(mockOrder) });
+    Product.findOneAndUpdate.mockResolvedValue({});
+
+    // Act
+    const released = await releaseExpiredReservations(now);
+
+    // Assert
+    expect(Order.find).toHaveBeenCalledWith({
+      status: 'pending',
+      'reservation.status': 'active',
+      'reservation.expires_at': { $lte: now }
+    });
+    expect(released).toBe(1);
+    expect(Product.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'prod_123' }, { $inc: { reserved: -2 } }, { session: mockSession, new: true });
+    expect(StockMovement.create).not.toHaveBeenCalled(); // Releasing a reservation does not change stock
+    expect(mockOrder.status).toBe('cancelled');
+    expect(mockOrder.reservation.status).toBe('released');
+    expect(mockOrder.status_history[0]).toEqual(expect.objectContaining({ reason: 'Reservation expired' }));
+    expect(mockOrder.status_history[0].changed_by).toBeUndefined(); // Made by the system, not a user
+    expect(mockSession.commitTransaction).toHaveBeenCalledTimes(1);
+    expect(mockSession.endSession).toHaveBeenCalledTimes(1);
+  });
+
+  it('should run an order again when its transaction collides with a concurrent one', async () => {
+    // Arrange: the first read is aborted by the server, e.g. while the customer is paying
+    const mockOrder = {
+      _id: 'order_123',
+      status: 'pending',
+      items: [{ product_id: 'prod_123', quantity: 2 }],
+      reservation: { status: 'active' },
+      status_history: [],
+      save: jest.fn()
+    };
+    const conflict = new mongoose.mongo.MongoServerError({ message: 'WriteConflict', code: 112, errorLabels: ['TransientTransactionError'] });
+    Order.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: 'order_123' }]) });
+    Order.findOne
+      .mockReturnValueOnce({ session: jest.fn().mockRejectedValue(conflict) })
+      .mockReturnValueOnce({ session: jest.fn().mockResolvedValue(mockOrder) });
+    Product.findOneAndUpdate.mockResolvedValue({});
+
+    // Act
+    const released = await releaseExpiredReservations();
+
+    // Assert
+    expect(released).toBe(1);
+    expect(mockSession.startTransaction).toHaveBeenCalledTimes(2);
+    expect(mockSession.abortTransaction).toHaveBeenCalledTimes(1);
+    expect(mockSession.commitTransaction).toHaveBeenCalledTimes(1);
+    expect(mockOrder.status).toBe('cancelled');
+  });
+
+  it('should skip an order that was paid after the expired orders were listed', async () => {
+    // Arrange
+    Order.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: 'order_123' }]) });
+    Order.findOne.mockReturnValue({ session: jest.fn().mockResolvedValue(null) });
+
+    // Act
+    const released = await releaseExpiredReservations();
+
+    // Assert
+    expect(released).toBe(0);
+    expect(Product.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(mockSession.commitTransaction).toHaveBeenCalledTimes(1);
+  });
+});
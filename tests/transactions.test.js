@@ -0,0 +1,74 @@
+// tests/transactions.test.js
+const mongoose = require('mongoose');
+const { withTransaction } = require('../utils/transactions');
+const { toAppError, NotFoundError } = require('../utils/errors');
+
+// A driver error carrying the given label, like the ones MongoDB sends for colliding transactions
+const driverError = (label) => new mongoose.mongo.MongoServerError({ message: 'WriteConflict', code: 112, errorLabels: [label] });
+
+describe('Transactions', () => {
+
+  let session;
+  beforeEach(() => {
+    session = { startTransaction: jest.fn(), commitTransaction: jest.fn(), abortTransaction: jest.fn(), endSession: jest.fn() };
+    mongoose.startSession = jest.fn().mockResolvedValue(session);
+  });
+
+  it('should commit the work and return its result', async () => {
+    // Act
+    const result = await withTransaction(async (given) => (given === session ? 'done' : 'wrong session'));
+
+    // Assert
+    expect(result).toBe('done');
+    expect(session.commitTransaction).toHaveBeenCalledTimes(1);
+    expect(session.abortTransaction).not.toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalledTimes(1);
+  });
+
+  it('should run the work again after a transient transaction error', async () => {
+    const work = jest.fn()
+      .mockRejectedValueOnce(driverError('TransientTransactionError'))
+      .mockResolvedValueOnce('placed');
+
+    const result = await withTransaction(work, { baseDelayMs: 0 });
+
+    expect(result).toBe('placed');
+    expect(work).toHaveBeenCalledTimes(2);
+    expect(session.startTransaction).toHaveBeenCalledTimes(2);
+    expect(session.abortTransaction).toHaveBeenCalledTimes(1);
+    expect(session.endSession).toHaveBeenCalledTimes(1);
+  });
+
+  it('should repeat only the commit while its outcome is unknown', async () => {
+    const work = jest.fn().mockResolvedValue('placed');
+    session.commitTransaction
+      .mockRejectedValueOnce(driverError('UnknownTransactionCommitResult'))
+      .mockResolvedValueOnce();
+
+    await withTransaction(work, { baseDelayMs: 0 });
+
+    expect(work).toHaveBeenCalledTimes(1);
+    expect(session.commitTransaction).toHaveBeenCalledTimes(2);
+    expect(session.abortTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should not retry business errors', async () => {
+    const work = jest.fn().mockRejectedValue(new NotFoundError('Order not found'));
+
+    await expect(withTransaction(work, { baseDelayMs: 0 })).rejects.toThrow('Order not found');
+
+    expect(work).toHaveBeenCalledTimes(1);
+    expect(session.abortTransaction).toHaveBeenCalledTimes(1);
+    expect(session.endSession).toHaveBeenCalledTimes(1);
+  });
+
+  it('should give up after the last attempt and report the conflict as 503', async () => {
+    const work = jest.fn().mockRejectedValue(driverError('TransientTransactionError'));
+
+    const error = await withTransaction(work, { maxAttempts: 3, baseDelayMs: 0 }).catch((thrown) => thrown);
+
+    expect(work).toHaveBeenCalledTimes(3);
+    expect(session.endSession).toHaveBeenCalledTimes(1);
+    expect(toAppError(error)).toMatchObject({ statusCode: 503, code: 'service_unavailable' });
+  });
+});
@@ -0,0 +1,150 @@
+// tests/validation.test.js
+const mongoose = require('mongoose');
+const { validate, checkRequest } = require('../middleware/validate');
+const { errorHandler, notFound } = require('../middleware/errorHandler');
+const { ValidationError, NotFoundError, ConflictError, toAppError } = require('../utils/errors');
+const orderSchemas = require('../validators/orders');
+const warehouseSchemas = require('../validators/warehouses');
+
+describe('Request validation and errors', () => {
+
+  let req, res, next;
+  beforeEach(() => {
+    req = { params: {}, query: {}, body: {} };
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn(), headersSent: false };
+    next = jest.fn();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('validate', () => {
+    it('should pass a valid request on to the controller', () => {
+      // Arrange
+      req.body = { items: [{ product_id: '65e9b3a4f8b9c0d1e2f3a4b5', quantity: 2 }], coupon_code: 'SPRING' };
+
+      // Act
+      validate(orderSchemas.placeOrder)(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should list every problem of the request', () => {
+      req.body = { items: [{ product_id: 'abc', quantity: 0 }, { quantity: 1.5 }], discount: 10 };
+
+      validate(orderSchemas.placeOrder)(req, res, next);
+
+      const [error] = next.mock.calls[0];
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.details).toEqual([
+        { location: 'body', path: 'discount', message: 'is not allowed' },
+        { location: 'body', path: 'items[0].product_id', message: 'must be a valid ID' },
+        { location: 'body', path: 'items[0].quantity', message: 'must be at least 1' },
+        { location: 'body', path: 'items[1].quantity', message: 'must be an integer' }
+      ]);
+      expect(error.message).toBe('Invalid request: discount is not allowed; items[0].product_id must be a valid ID; items[0].quantity must be at least 1; items[1].quantity must be an integer.');
+    });
+
+    it('should check query values in their string form and params against their rules', () => {
+      req.params = { id: 'not-an-id' };
+      req.query = { status: 'paid', from: 'yesterday', limit: ['10', '20'] };
+
+      const problems = checkRequest({ params: { id: { type: 'objectId', required: true } }, ...orderSchemas.getAllOrders }, req);
+
+      expect(problems).toEqual([
+        { location: 'params', path: 'id', message: 'must be a valid ID' },
+        { location: 'query', path: 'limit', message: 'must be given once' },
+        { location: 'query', path: 'from', message: 'must be a valid date' }
+      ]);
+    });
+
+    it('should apply the rules that span several fields once each field is valid', () => {
+      const id = '65e9b3a4f8b9c0d1e2f3a4b5';
+      req.body = { from_warehouse_id: id, to_warehouse_id: id, items: [{ quantity: 1 }] };
+
+      expect(checkRequest(warehouseSchemas.createTransfer, req)).toEqual([
+        { location: 'body', path: 'items[0]', message: 'needs a product_id or sku' }
+      ]);
+      req.body.items = [{ sku: 'TSHIRT-M', quantity: 1 }];
+      expect(checkRequest(warehouseSchemas.createTransfer, req)).toEqual([
+        { location: 'body', path: '', message: 'Stock can only be transferred between two different warehouses' }
+      ]);
+    });
+  });
+
+  describe('errorHandler', () => {
+    it('should send an application error with its status, code and details', () => {
+      // Act
+      errorHandler(new NotFoundError('Product not found'), req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ error: { code: 'not_found', message: 'Product not found', details: null } });
+    });
+
+    it('should report unknown routes as not found', () => {
+      req.method = 'GET';
+      req.originalUrl = '/api/nothing';
+
+      notFound(req, res, next);
+      errorHandler(next.mock.calls[0][0], req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith({ error: { code: 'not_found', message: 'Cannot GET /api/nothing', details: null } });
+    });
+
+    it('should hide the message of an unexpected error', () => {
+      errorHandler(new Error('connection refused at 10.0.0.5'), req, res, next);
+
+      expect(console.error).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json).toHaveBeenCalledWith({
+        error: { code: 'internal_error', message: 'Something went wrong. Please try again later.', details: null }
+      });
+    });
+
+    it('should leave a response that has already started to Express', () => {
+      res.headersSent = true;
+      const error = new Error('stream failed');
+
+      errorHandler(error, req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.json).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('toAppError', () => {
+    it('should turn model validation and cast errors into validation errors', () => {
+      const invalid = new mongoose.Error.ValidationError();
+      invalid.addError('price', new mongoose.Error.ValidatorError({ path: 'price', message: 'Price cannot be negative' }));
+
+      expect(toAppError(invalid)).toMatchObject({
+        statusCode: 400,
+        code: 'validation_failed',
+        details: [{ location: 'body', path: 'price', message: 'Price cannot be negative' }]
+      });
+      expect(toAppError(new mongoose.Error.CastError('ObjectId', 'abc', '_id'))).toMatchObject({
+        statusCode: 400,
+        message: '_id must be a valid ObjectId.'
+      });
+    });
+
+    it('should turn a duplicate key into a conflict and keep client errors of the body parser', () => {
+      const duplicate = Object.assign(new Error('E11000'), { code: 11000, keyValue: { name: 'Mouse' } });
+      const malformed = Object.assign(new SyntaxError('Unexpected token'), { status: 400, type: 'entity.parse.failed' });
+
+      expect(toAppError(duplicate)).toBeInstanceOf(ConflictError);
+      expect(toAppError(duplicate).message).toBe('A record with this name already exists.');
+      expect(toAppError(malformed)).toMatchObject({ statusCode: 400, code: 'bad_request', message: 'The request body is not valid JSON.' });
+    });
+
+    it('should turn a save of an outdated copy into a conflict', () => {
+      const outdated = new mongoose.Error.VersionError({ _doc: { _id: 'prod_123' } }, 3, ['price']);
+
+      expect(toAppError(outdated)).toMatchObject({ statusCode: 409, code: 'conflict' });
+    });
+  });
+});
@@ -0,0 +1,178 @@
+// tests/webhookDispatcher.test.js
+const http = require('http');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { dispatchEvents, sendDueDeliveries } = require('../services/webhookDispatcher');
+const OutboxEvent = require('../models/OutboxEvent');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+jest.mock('../models/OutboxEvent');
+jest.mock('../models/Warehouse');
+jest.mock('../models/StockLevel');
+jest.mock('../models/Webhook');
+jest.mock('../models/WebhookDelivery');
+
+describe('Webhook Dispatcher', () => {
+
+  // A local HTTP receiver that answers with `receiver.status` and remembers every request
+  const receiver = { status: 200, requests: [] };
+  let server, baseUrl;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        receiver.requests.push({ url: req.url, headers: req.headers, body });
+        res.writeHead(receiver.status).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const now = new Date('2024-03-07T12:00:00.000Z');
+  const event = {
+    _id: 'event_1',
+    type: 'order.placed',
+    createdAt: new Date('2024-03-07T11:59:00.000Z'),
+    data: { order_id: 'order_123', total_price: 200 }
+  };
+  let webhook, delivery;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    receiver.status = 200;
+    receiver.requests = [];
+
+    webhook = { _id: 'hook_1', url: `${baseUrl}/hooks/orders`, secret: 'top-secret', events: ['*'], active: true };
+    delivery = { _id: 'delivery_1', event_id: 'event_1', webhook_id: 'hook_1', status: 'pending', attempts: 0, save: jest.fn() };
+
+    // One due delivery, then nothing left
+    WebhookDelivery.findOneAndUpdate.mockResolvedValueOnce(delivery).mockResolvedValueOnce(null);
+    OutboxEvent.findById.mockResolvedValue(event);
+    Webhook.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(webhook) });
+  });
+
+  it('should deliver a due event with an HMAC signature the receiver can verify', async () => {
+    // Act
+    const result = await sendDueDeliveries(now);
+
+    // Assert
+    expect(result).toEqual({ delivered: 1, failed: 0 });
+    expect(receiver.requests).toHaveLength(1);
+    const [request] = receiver.requests;
+    expect(request.url).toBe('/hooks/orders');
+    expect(JSON.parse(request.body)).toEqual({
+      id: 'event_1',
+      type: 'order.placed',
+      created_at: '2024-03-07T11:59:00.000Z',
+      data: { order_id: 'order_123', total_price: 200 }
+    });
+    expect(request.headers['x-webhook-event']).toBe('order.placed');
+    expect(request.headers['x-webhook-id']).toBe('delivery_1');
+    const expected = crypto.createHmac('sha256', 'top-secret')
+      .update(`${request.headers['x-webhook-timestamp']}.${request.body}`)
+      .digest('hex');
+    expect(request.headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+
+    expect(delivery).toEqual(expect.objectContaining({ status: 'delivered', attempts: 1, last_response_status: 200, delivered_at: now }));
+    expect(delivery.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('should retry a failed delivery with exponential backoff', async () => {
+    // Arrange: the receiver is failing, and this is the delivery's second attempt
+    receiver.status = 500;
+    delivery.attempts = 1;
+
+    // Act
+    const result = await sendDueDeliveries(now);
+
+    // Assert: 30 seconds after the first failure, 60 after the second
+    expect(result).toEqual({ delivered: 0, failed: 1 });
+    expect(delivery).toEqual(expect.objectContaining({
+      status: 'pending',
+      attempts: 2,
+      last_response_status: 500,
+      last_error: 'The webhook answered with HTTP 500.',
+      next_attempt_at: new Date('2024-03-07T12:01:00.000Z')
+    }));
+  });
+
+  it('should make a delivery a dead letter after the last attempt fails', async () => {
+    // Arrange
+    receiver.status = 503;
+    delivery.attempts = 7;
+
+    // Act
+    await sendDueDeliveries(now);
+
+    // Assert
+    expect(delivery.status).toBe('dead');
+    expect(delivery.attempts).toBe(8);
+  });
+
+  it('should count an unreachable webhook as a failed attempt', async () => {
+    // Arrange: nothing listens on port 9 (discard)
+    webhook.url = 'http://127.0.0.1:9/hooks';
+
+    // Act
+    await sendDueDeliveries(now);
+
+    // Assert
+    expect(delivery.status).toBe('pending');
+    expect(delivery.attempts).toBe(1);
+    expect(delivery.last_response_status).toBeUndefined();
+    expect(delivery.last_error).toEqual(expect.any(String));
+    expect(delivery.next_attempt_at).toEqual(new Date('2024-03-07T12:00:30.000Z'));
+  });
+
+  it('should not send to a webhook that was disabled', async () => {
+    // Arrange
+    webhook.active = false;
+
+    // Act
+    await sendDueDeliveries(now);
+
+    // Assert
+    expect(receiver.requests).toHaveLength(0);
+    expect(delivery).toEqual(expect.objectContaining({ status: 'dead', last_error: 'The webhook was deleted or disabled.' }));
+  });
+
+  it('should fan new events out to the subscribed webhooks in one transaction per event', async () => {
+    // Arrange
+    const mockSession = { startTransaction: jest.fn(), commitTransaction: jest.fn(), abortTransaction: jest.fn(), endSession: jest.fn() };
+    mongoose.startSession = jest.fn().mockResolvedValue(mockSession);
+    OutboxEvent.find.mockReturnValue({
+      sort: jest.fn().mockReturnValue({ limit: jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: 'event_1' }]) }) })
+    });
+    OutboxEvent.findOneAndUpdate.mockResolvedValue(event);
+    Webhook.find.mockResolvedValue([
+      webhook,
+      { _id: 'hook_2', events: ['order.placed', 'order.status_changed'] },
+      { _id: 'hook_3', events: ['product.stock_low'] }
+    ]);
+
+    // Act
+    const dispatched = await dispatchEvents(now);
+
+    // Assert
+    expect(dispatched).toBe(1);
+    expect(OutboxEvent.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'event_1', dispatched_at: null },
+      { $set: { dispatched_at: now } },
+      { session: mockSession, new: true }
+    );
+    expect(WebhookDelivery.insertMany).toHaveBeenCalledWith([
+      { event_id: 'event_1', webhook_id: 'hook_1', event_type: 'order.placed', next_attempt_at: now },
+      { event_id: 'event_1', webhook_id: 'hook_2', event_type: 'order.placed', next_attempt_at: now }
+    ], { session: mockSession });
+    expect(mockSession.commitTransaction).toHaveBeenCalledTimes(1);
+  });
+});
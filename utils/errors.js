@@ -0,0 +1,141 @@
+// Errors that are reported to the client. Each class stands for one HTTP status and a
+// machine-readable code; the error middleware (middleware/errorHandler.js) turns them into
+//   { "error": { "code": "...", "message": "...", "details": ... } }
+// Any other error is an unexpected one and is reported as a 500.
+const mongoose = require('mongoose');
+const { isTransientTransactionError } = require('./transactions');
+
+class AppError extends Error {
+  constructor(message, { statusCode = 500, code = 'internal_error', details = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// The request is malformed: a missing or invalid field, parameter or query value.
+// `details` lists the problems as [{ location, path, message }].
+class ValidationError extends AppError {
+  constructor(message, details = null) {
+    super(message, { statusCode: 400, code: 'validation_failed', details });
+  }
+}
+
+// No one is logged in, or the token is not valid.
+class UnauthorizedError extends AppError {
+  constructor(message) {
+    super(message, { statusCode: 401, code: 'unauthorized' });
+  }
+}
+
+// The logged-in user may not do this.
+class ForbiddenError extends AppError {
+  constructor(message) {
+    super(message, { statusCode: 403, code: 'forbidden' });
+  }
+}
+
+// The resource in the URL, or one the body refers to, does not exist.
+class NotFoundError extends AppError {
+  constructor(message, details = null) {
+    super(message, { statusCode: 404, code: 'not_found', details });
+  }
+}
+
+// The request cannot be carried out in the current state of the data, e.g. not enough
+// stock, a status change that is not allowed, or a duplicate name.
+class ConflictError extends AppError {
+  constructor(message, details = null) {
+    super(message, { statusCode: 409, code: 'conflict', details });
+  }
+}
+
+// The client's copy of the record is out of date: the ETag it sent in If-Match is not the
+// record's current one (see utils/etags.js).
+class PreconditionFailedError extends AppError {
+  constructor(message) {
+    super(message, { statusCode: 412, code: 'precondition_failed' });
+  }
+}
+
+// The request is well-formed but breaks a business rule, e.g. a coupon that cannot be
+// used or items priced in different currencies.
+class UnprocessableError extends AppError {
+  constructor(message, details = null) {
+    super(message, { statusCode: 422, code: 'unprocessable_entity', details });
+  }
+}
+
+// The database could not carry out the request right now, e.g. a transaction kept colliding
+// with concurrent ones. Nothing is wrong with the request, so the client can send it again.
+class ServiceUnavailableError extends AppError {
+  constructor(message) {
+    super(message, { statusCode: 503, code: 'service_unavailable' });
+  }
+}
+
+// The codes of errors that carry a status code but are not AppErrors,
+// such as the ones raised by the JSON body parser.
+const CODES_BY_STATUS = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  422: 'unprocessable_entity'
+};
+
+// Turns any error into an AppError, so it can be reported in the standard format.
+// Mongoose validation and cast errors become validation errors. Duplicate keys become
+// conflicts, as do saves of a record that another request changed since it was read (a
+// version mismatch). Transactions that kept colliding with concurrent ones (see
+// utils/transactions.js) become a 503, as retrying the request later can succeed.
+// Unexpected errors become a 500 whose message does not reveal the cause.
+const toAppError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(error.errors).map(({ path, message }) => ({ location: 'body', path, message }));
+    return new ValidationError(details.map(({ message }) => message).join(' '), details);
+  }
+  if (error instanceof mongoose.Error.CastError) {
+    return new ValidationError(`${error.path} must be a valid ${error.kind}.`, [
+      { location: error.path === '_id' ? 'params' : 'body', path: error.path, message: `must be a valid ${error.kind}` }
+    ]);
+  }
+  if (error instanceof mongoose.Error.VersionError) {
+    return new ConflictError('This record was changed by another request while yours was processed. Please try again.');
+  }
+  if (isTransientTransactionError(error)) {
+    return new ServiceUnavailableError('The database is busy with other changes to the same data. Please try again.');
+  }
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyValue || error.keyPattern || {});
+    return new ConflictError(`A record with this ${fields.join(', ') || 'value'} already exists.`);
+  }
+  // Client errors raised by Express and the body parsers, e.g. malformed JSON
+  const status = error.statusCode || error.status;
+  if (status >= 400 && status < 500) {
+    const message = error.type === 'entity.parse.failed' ? 'The request body is not valid JSON.' : error.message;
+    return new AppError(message, { statusCode: status, code: CODES_BY_STATUS[status] || 'bad_request' });
+  }
+  return new AppError('Something went wrong. Please try again later.');
+};
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  UnprocessableError,
+  ServiceUnavailableError,
+  toAppError
+};
@@ -0,0 +1,56 @@
+// Entity tags (ETags) for single products and orders, so clients can make conditional requests.
+//
+// The tag is a hash of the document exactly as it is sent, so any change a client could see,
+// including stock reserved by an order, gives a new tag.
+//   If-None-Match on a GET: the client's copy is current, answer 304 Not Modified without a body.
+//   If-Match on a PUT:      the client edited an older copy, refuse with 412 Precondition Failed.
+const crypto = require('crypto');
+const { PreconditionFailedError } = require('./errors');
+
+// JSON of a value with the keys of every object sorted, so a document that was just saved
+// and the same document read back from the database give the same text.
+const canonicalJson = (value) => JSON.stringify(value, (key, inner) => (
+  inner && typeof inner === 'object' && !Array.isArray(inner)
+    ? Object.fromEntries(Object.keys(inner).sort().map((name) => [name, inner[name]]))
+    : inner
+));
+
+// The strong ETag of a document as it is sent in a response.
+const etagOf = (document) => {
+  const json = canonicalJson(JSON.parse(JSON.stringify(document)));
+  return `"${crypto.createHash('sha1').update(json).digest('base64url')}"`;
+};
+
+// The tags listed in an If-Match or If-None-Match header, e.g. '"abc", W/"def"', or ['*'].
+const listedTags = (header) => header.split(',').map((tag) => tag.trim()).filter(Boolean);
+
+// Throws 412 Precondition Failed when the request has an If-Match header that does not name
+// the document's current ETag. If-Match uses the strong comparison, so weak tags never match.
+const checkIfMatch = (req, document) => {
+  const header = req.get('If-Match');
+  if (!header) {
+    return;
+  }
+  const tags = listedTags(header);
+  if (!tags.includes('*') && !tags.includes(etagOf(document))) {
+    throw new PreconditionFailedError('This record has changed since you read it. Get it again and reapply your change.');
+  }
+};
+
+// Sends a document with its ETag. A GET whose If-None-Match names that tag gets
+// 304 Not Modified instead; If-None-Match uses the weak comparison, so W/ is ignored.
+const sendWithETag = (req, res, status, document) => {
+  const etag = etagOf(document);
+  res.set('ETag', etag);
+
+  const header = req.method === 'GET' ? req.get('If-None-Match') : undefined;
+  if (header) {
+    const tags = listedTags(header).map((tag) => tag.replace(/^W\//, ''));
+    if (tags.includes('*') || tags.includes(etag)) {
+      return res.status(304).end();
+    }
+  }
+  res.status(status).json(document);
+};
+
+module.exports = { etagOf, checkIfMatch, sendWithETag };
@@ -0,0 +1,53 @@
+// Helpers for money held as integer minor units (e.g. cents).
+//
+// Every amount is a whole number, so sums are always exact. Division is the only
+// place where rounding happens, and it always rounds half up, so the same inputs
+// give the same totals on every order and every invoice.
+
+// Tax rates are held in basis points: 2000 is 20%, 825 is 8.25%.
+const BASIS_POINTS = 10000;
+
+// Whether a value is a valid amount of minor units.
+const isMinorUnits = (value) => Number.isSafeInteger(value) && value >= 0;
+
+// Divides two non-negative integers, rounding half up.
+const divideRoundHalfUp = (numerator, denominator) => Math.floor((2 * numerator + denominator) / (2 * denominator));
+
+// The share of an amount given by a rate in basis points, e.g. the tax on a line.
+const applyRate = (amount, basisPoints) => divideRoundHalfUp(amount * basisPoints, BASIS_POINTS);
+
+// Converts a percentage such as 12.5 into basis points (1250).
+const percentToBasisPoints = (percent) => Math.round(percent * 100);
+
+// Splits an amount into integer shares proportional to the weights, e.g. an order
+// discount across its lines. The shares always add up to the amount: each share is
+// rounded down, and the units left over go to the largest remainders (ties go to
+// the earlier weight). No share exceeds its weight while the amount does not exceed
+// the total weight.
+const allocate = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight === 0) return weights.map(() => 0);
+
+  const shares = weights.map((weight) => Math.floor((amount * weight) / totalWeight));
+  let leftover = amount - shares.reduce((sum, share) => sum + share, 0);
+
+  const byRemainder = weights
+    .map((weight, index) => ({ index, remainder: (amount * weight) % totalWeight }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+  for (const { index } of byRemainder) {
+    if (leftover === 0) break;
+    shares[index] += 1;
+    leftover -= 1;
+  }
+
+  return shares;
+};
+
+module.exports = {
+  BASIS_POINTS,
+  isMinorUnits,
+  divideRoundHalfUp,
+  applyRate,
+  percentToBasisPoints,
+  allocate
+};
@@ -0,0 +1,106 @@
+// Helpers for cursor-based pagination of list endpoints.
+//
+// A cursor points just past the last document of a page. It stores the sort
+// field, the direction, the value of that field and the _id of the document,
+// encoded as base64url JSON. _id breaks ties, so documents that share a sort
+// value are never skipped or repeated between pages.
+
+const { ValidationError } = require('./errors');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Creates the error reported for a malformed query value (a 400 response).
+const badRequest = (message) => new ValidationError(message);
+
+// Reads the page size from the query string, defaulting to DEFAULT_LIMIT.
+const parseLimit = (value) => {
+  if (value === undefined) return DEFAULT_LIMIT;
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw badRequest(`limit must be an integer between 1 and ${MAX_LIMIT}.`);
+  }
+  return limit;
+};
+
+// Reads a sort parameter such as 'price' (ascending) or '-price' (descending).
+// Only fields in the whitelist are accepted, so clients cannot sort on unindexed fields.
+const parseSort = (value, allowedFields, defaultSort) => {
+  const sort = value || defaultSort;
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const field = sort.replace(/^[-+]/, '');
+
+  if (!allowedFields.includes(field)) {
+    throw badRequest(`Cannot sort by '${field}'. Allowed: ${allowedFields.join(', ')}`);
+  }
+  return { field, direction };
+};
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (!cursor || typeof cursor.field !== 'string' || !cursor.id) {
+      throw new Error('Malformed cursor');
+    }
+    return cursor;
+  } catch {
+    throw badRequest('Invalid cursor.');
+  }
+};
+
+// Builds the filter that selects only documents after the cursor position.
+const cursorFilter = ({ field, direction, value, id }) => {
+  const after = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [field]: { [after]: value } },
+      { [field]: value, _id: { [after]: id } }
+    ]
+  };
+};
+
+// Runs one page of a find query.
+// Returns { data, next_cursor }, where next_cursor is null on the last page.
+const paginate = async (Model, filter, { limit, cursor, sort }) => {
+  const { field, direction } = sort;
+  const conditions = [filter];
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (position.field !== field || position.direction !== direction) {
+      throw badRequest('The cursor was created with a different sort order.');
+    }
+    conditions.push(cursorFilter(position));
+  }
+
+  // Fetch one extra document to find out whether there is another page
+  const documents = await Model.find(conditions.length > 1 ? { $and: conditions } : filter)
+    .sort({ [field]: direction, _id: direction })
+    .limit(limit + 1);
+
+  const hasMore = documents.length > limit;
+  const data = hasMore ? documents.slice(0, limit) : documents;
+  const last = data[data.length - 1];
+
+  return {
+    data,
+    next_cursor: hasMore
+      ? encodeCursor({ field, direction, value: last[field], id: last._id })
+      : null
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  badRequest,
+  parseLimit,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  paginate
+};
@@ -0,0 +1,39 @@
+// Helpers for turning query string values into MongoDB filter values.
+// Each one throws a 400 error (see utils/pagination.js) when the value is malformed.
+const { badRequest } = require('./pagination');
+
+const parseNumber = (value, name) => {
+  const number = Number(value);
+  if (value === '' || Number.isNaN(number)) {
+    throw badRequest(`${name} must be a number.`);
+  }
+  return number;
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest(`${name} must be a valid date.`);
+  }
+  return date;
+};
+
+const parseBoolean = (value, name) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  throw badRequest(`${name} must be 'true' or 'false'.`);
+};
+
+// Builds a { $gte, $lte } range from optional min/max query values.
+// Returns undefined when neither bound is given.
+const parseRange = (min, max, parse, names) => {
+  const range = {};
+  if (min !== undefined) range.$gte = parse(min, names[0]);
+  if (max !== undefined) range.$lte = parse(max, names[1]);
+  return Object.keys(range).length ? range : undefined;
+};
+
+// Escapes characters that have a special meaning inside a regular expression.
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { parseNumber, parseDate, parseBoolean, parseRange, escapeRegex };
@@ -0,0 +1,75 @@
+// Runs work in a MongoDB transaction, retrying it when it collides with a concurrent one.
+// Two orders for the same product write the same document, so one of their transactions
+// can be aborted by the server with a TransientTransactionError; running it again from
+// the start is safe. A commit whose outcome is unknown (UnknownTransactionCommitResult,
+// e.g. after a network blip) is retried on its own, as a commit can be repeated safely.
+// Any other error, such as a missing order or insufficient stock, is never retried.
+const mongoose = require('mongoose');
+const { TRANSACTION_MAX_ATTEMPTS, TRANSACTION_RETRY_BASE_MS } = require('../config/settings');
+
+const TRANSIENT_TRANSACTION_ERROR = 'TransientTransactionError';
+const UNKNOWN_COMMIT_RESULT = 'UnknownTransactionCommitResult';
+
+// Checks whether a driver error carries the given error label.
+const hasErrorLabel = (error, label) => Boolean(error) && typeof error.hasErrorLabel === 'function' && error.hasErrorLabel(label);
+
+// Whether an error is a collision with another transaction or a commit with an unknown
+// outcome, rather than a problem with the request itself.
+const isTransientTransactionError = (error) => (
+  hasErrorLabel(error, TRANSIENT_TRANSACTION_ERROR) || hasErrorLabel(error, UNKNOWN_COMMIT_RESULT)
+);
+
+// The wait before the next attempt: a random delay of up to the base delay, doubled after every
+// attempt ("full jitter"), so transactions that collided do not collide again on their retry.
+const retryDelay = (attempt, baseDelayMs) => Math.round(Math.random() * baseDelayMs * 2 ** (attempt - 1));
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Commits the session's transaction, repeating the commit while its outcome is unknown.
+const commitWithRetry = async (session, { maxAttempts, baseDelayMs }) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      await session.commitTransaction();
+      return;
+    } catch (error) {
+      if (!hasErrorLabel(error, UNKNOWN_COMMIT_RESULT) || attempt >= maxAttempts) {
+        throw error;
+      }
+      await wait(retryDelay(attempt, baseDelayMs));
+    }
+  }
+};
+
+// Calls `work(session)` inside a transaction and commits it, returning what `work` returns.
+// The transaction is aborted when `work` throws, and run again from the start (up to
+// maxAttempts times in all, with a growing random delay in between) when the error is a
+// transient one. The session is always ended. When the attempts run out, the last error is
+// thrown; the error middleware reports it as 503 Service Unavailable (see utils/errors.js).
+const withTransaction = async (work, { maxAttempts = TRANSACTION_MAX_ATTEMPTS, baseDelayMs = TRANSACTION_RETRY_BASE_MS } = {}) => {
+  const session = await mongoose.startSession();
+  try {
+    for (let attempt = 1; ; attempt += 1) {
+      session.startTransaction();
+      let committing = false;
+      try {
+        const result = await work(session);
+        committing = true;
+        await commitWithRetry(session, { maxAttempts, baseDelayMs });
+        return result;
+      } catch (error) {
+        // A commit that failed has already ended the transaction
+        if (!committing) {
+          await session.abortTransaction();
+        }
+        if (!hasErrorLabel(error, TRANSIENT_TRANSACTION_ERROR) || attempt >= maxAttempts) {
+          throw error;
+        }
+        await wait(retryDelay(attempt, baseDelayMs));
+      }
+    }
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = { withTransaction, isTransientTransactionError };
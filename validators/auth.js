@@ -0,0 +1,33 @@
+// Request schemas of the auth and user routes (see middleware/validate.js).
+const { USER_ROLES } = require('../models/User');
+const { email } = require('./common');
+
+const password = { type: 'string', required: true, min: 8 };
+
+exports.register = {
+  body: {
+    name: { type: 'string', required: true, min: 1 },
+    email: { ...email, required: true },
+    password
+  }
+};
+
+exports.login = {
+  body: {
+    email: { type: 'string', required: true, min: 1 },
+    password: { type: 'string', required: true, min: 1 }
+  }
+};
+
+exports.getMe = { query: {} };
+
+exports.createUser = {
+  body: {
+    name: { type: 'string', required: true, min: 1 },
+    email: { ...email, required: true },
+    password,
+    role: { type: 'string', required: true, enum: USER_ROLES }
+  }
+};
+
+exports.getAllUsers = { query: {} };
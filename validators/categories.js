@@ -0,0 +1,18 @@
+// Request schemas of the category routes (see middleware/validate.js).
+const { idParams } = require('./common');
+
+const categoryFields = {
+  name: { type: 'string', min: 1 },
+  description: { type: 'string', nullable: true },
+  parent_id: { type: 'objectId', nullable: true } // null for a top-level category
+};
+
+exports.createCategory = { body: { ...categoryFields, name: { ...categoryFields.name, required: true } } };
+
+exports.getAllCategories = { query: {} };
+
+exports.getCategory = { params: idParams, query: {} };
+
+exports.updateCategory = { params: idParams, body: categoryFields };
+
+exports.deleteCategory = { params: idParams };
@@ -0,0 +1,43 @@
+// Rules shared by the request schemas of several routes (see middleware/validate.js).
+const { MAX_LIMIT } = require('../utils/pagination');
+
+// An ID in the URL, e.g. /api/products/:id
+const id = { type: 'objectId', required: true };
+const idParams = { id };
+
+// Money is held in whole minor units, e.g. 1999 for 19.99 (see utils/money.js)
+const minorUnits = { type: 'integer', min: 0 };
+
+// A number of units of stock
+const quantity = { type: 'integer', min: 1 };
+
+const currency = { type: 'string', pattern: /^[A-Za-z]{3}$/, patternMessage: 'must be a three-letter ISO 4217 code' };
+const email = { type: 'string', pattern: /^\S+@\S+\.\S+$/, patternMessage: 'must be an email address' };
+
+// The query parameters of a list that is read one page at a time (see utils/pagination.js)
+const pageQuery = {
+  limit: { type: 'integer', min: 1, max: MAX_LIMIT },
+  cursor: { type: 'string' }
+};
+
+// A line that names a product by product_id, optionally with its variant, or by variant sku
+const productRef = {
+  product_id: { type: 'objectId' },
+  variant_id: { type: 'objectId' },
+  sku: { type: 'string', min: 1 }
+};
+// The fields of a postal address, as kept on customers and copied onto orders
+const addressFields = {
+  name: { type: 'string' },
+  line1: { type: 'string', min: 1 },
+  line2: { type: 'string' },
+  city: { type: 'string', min: 1 },
+  region: { type: 'string' },
+  postal_code: { type: 'string' },
+  country: { type: 'string', pattern: /^[A-Za-z]{2}$/, patternMessage: 'must be a two-letter ISO 3166-1 code' },
+  phone: { type: 'string' }
+};
+
+const needsProduct = (line) => (line.product_id || line.sku ? undefined : 'needs a product_id or sku');
+
+module.exports = { id, idParams, minorUnits, quantity, currency, email, pageQuery, productRef, needsProduct, addressFields };
@@ -0,0 +1,58 @@
+// Request schemas of the customer routes (see middleware/validate.js).
+const mongoose = require('mongoose');
+const { ADDRESS_KINDS } = require('../models/Customer');
+const { id, email, pageQuery, addressFields } = require('./common');
+
+// A customer in the URL: an ID, or 'me' for the customer of the logged-in account
+const customerParams = {
+  id: {
+    type: 'string',
+    required: true,
+    check: (value) => (value === 'me' || mongoose.isValidObjectId(value) ? undefined : "must be a valid ID or 'me'")
+  }
+};
+const addressParams = { ...customerParams, addressId: id };
+
+const contactFields = {
+  name: { type: 'string', min: 1 },
+  email: { ...email, nullable: true },
+  phone: { type: 'string', nullable: true },
+  notes: { type: 'string', nullable: true } // Ignored unless staff send it
+};
+
+const address = {
+  ...addressFields,
+  kind: { type: 'string', enum: ADDRESS_KINDS },
+  label: { type: 'string' },
+  is_default: { type: 'boolean' }
+};
+const newAddress = {
+  ...address,
+  kind: { ...address.kind, required: true },
+  line1: { ...address.line1, required: true },
+  city: { ...address.city, required: true },
+  country: { ...address.country, required: true }
+};
+
+exports.createCustomer = {
+  body: {
+    ...contactFields,
+    name: { ...contactFields.name, required: true },
+    user_id: { type: 'objectId' },
+    addresses: { type: 'array', items: { type: 'object', fields: newAddress } }
+  }
+};
+
+exports.getCustomers = { query: { ...pageQuery, sort: { type: 'string' }, q: { type: 'string' } } };
+
+exports.getCustomer = { params: customerParams, query: {} };
+
+exports.updateCustomer = { params: customerParams, body: contactFields };
+
+exports.deleteCustomer = { params: { id } };
+
+exports.addAddress = { params: customerParams, body: newAddress };
+
+exports.updateAddress = { params: addressParams, body: address };
+
+exports.deleteAddress = { params: addressParams };
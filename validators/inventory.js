@@ -0,0 +1,10 @@
+// Request schemas of the inventory routes (see middleware/validate.js).
+
+exports.getReconciliation = { query: {} };
+
+exports.getLowStockAlerts = { query: {} };
+
+// The controller checks the sales window against its upper bound
+exports.getReorderSuggestions = { query: { days: { type: 'integer', min: 1 } } };
+
+exports.getMargins = { query: { from: { type: 'date' }, to: { type: 'date' } } };
@@ -0,0 +1,71 @@
+// Request schemas of the order routes (see middleware/validate.js).
+const { ORDER_STATUSES } = require('../services/orderStatus');
+const { RESTOCK_TARGETS } = require('../services/orderAdjustments');
+const { ORDER_BATCH_LIMIT } = require('../config/settings');
+const { id, idParams, quantity, pageQuery, productRef, needsProduct, addressFields } = require('./common');
+
+// The fields of one order, for POST /api/orders and each order of a batch
+const orderFields = {
+  items: {
+    type: 'array',
+    required: true,
+    min: 1,
+    items: { type: 'object', fields: { ...productRef, quantity: { ...quantity, required: true } }, check: needsProduct }
+  },
+  coupon_code: { type: 'string', min: 1 },
+  region: { type: 'string', min: 1 },
+  customer_id: { type: 'objectId' },
+  shipping_address_id: { type: 'objectId' },
+  shipping_address: { type: 'object', fields: addressFields }
+};
+
+exports.placeOrder = { body: orderFields };
+
+exports.placeOrders = {
+  body: {
+    orders: { type: 'array', required: true, min: 1, max: ORDER_BATCH_LIMIT, items: { type: 'object', fields: orderFields } }
+  }
+};
+
+exports.getAllOrders = {
+  query: {
+    ...pageQuery,
+    sort: { type: 'string' },
+    status: { type: 'string' }, // Comma-separated, checked by the controller
+    customer: { type: 'objectId' },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    min_total: { type: 'number' },
+    max_total: { type: 'number' }
+  }
+};
+
+exports.getOrder = { params: idParams, query: {} };
+
+exports.getOrdersByCustomer = { params: { customerId: id }, query: {} };
+
+exports.updateOrderStatus = {
+  params: idParams,
+  body: {
+    status: { type: 'string', required: true, enum: ORDER_STATUSES },
+    reason: { type: 'string' }
+  }
+};
+
+// Cancellations and returns
+exports.adjustOrderItems = {
+  params: idParams,
+  body: {
+    items: {
+      type: 'array',
+      required: true,
+      min: 1,
+      items: {
+        type: 'object',
+        fields: { ...productRef, quantity: { ...quantity, required: true }, restock_to: { type: 'string', enum: RESTOCK_TARGETS } },
+        check: needsProduct
+      }
+    },
+    reason: { type: 'string' }
+  }
+};
@@ -0,0 +1,89 @@
+// Request schemas of the product routes (see middleware/validate.js).
+const { BACKORDER_MODES } = require('../models/Product');
+const { id, idParams, minorUnits, currency, pageQuery } = require('./common');
+
+const stock = { type: 'integer', min: 0 };
+
+// The fields a client may set on a variant; sku is required when adding one
+const variantFields = {
+  sku: { type: 'string', min: 1 },
+  attributes: { type: 'map', values: { type: 'string' } },
+  price: { ...minorUnits, nullable: true }, // null falls back to the product's price
+  stock,
+  reorder_point: { type: 'integer', min: 0, nullable: true },
+  reorder_quantity: { type: 'integer', min: 1, nullable: true }
+};
+const newVariantFields = { ...variantFields, sku: { ...variantFields.sku, required: true } };
+
+// The fields a client may set on a product; the optional ones can be cleared with null
+const productFields = {
+  name: { type: 'string', min: 1 },
+  description: { type: 'string', nullable: true },
+  category_id: { type: 'objectId', nullable: true },
+  tags: { type: 'array', items: { type: 'string', min: 1 } },
+  price: minorUnits,
+  currency,
+  tax_category: { type: 'string', min: 1 },
+  stock,
+  reorder_point: { type: 'integer', min: 0, nullable: true },
+  reorder_quantity: { type: 'integer', min: 1, nullable: true },
+  lead_time_days: { type: 'integer', min: 0, nullable: true },
+  backorder_mode: { type: 'string', enum: BACKORDER_MODES },
+  backorder_limit: { type: 'integer', min: 0, nullable: true },
+  available_at: { type: 'date', nullable: true }
+};
+
+const listFilters = {
+  min_price: { type: 'number' },
+  max_price: { type: 'number' },
+  in_stock: { type: 'boolean' }
+};
+
+exports.getAllProducts = {
+  query: { ...pageQuery, ...listFilters, sort: { type: 'string' }, name: { type: 'string' } }
+};
+
+exports.getArchivedProducts = exports.getAllProducts;
+
+exports.getCategoryProducts = { ...exports.getAllProducts, params: idParams };
+
+exports.searchProducts = {
+  query: { ...pageQuery, ...listFilters, q: { type: 'string', required: true, min: 1 }, category_id: { type: 'objectId' } }
+};
+
+exports.exportProducts = { query: { format: { type: 'string', enum: ['csv', 'json'] } } };
+
+// The body is the CSV or JSON import itself, which services/productImport.js checks row by row
+exports.importProducts = { query: { dry_run: { type: 'boolean' } } };
+
+exports.getProduct = { params: idParams, query: {} };
+
+exports.createProduct = {
+  body: {
+    ...productFields,
+    name: { ...productFields.name, required: true },
+    price: { ...minorUnits, required: true },
+    variants: { type: 'array', items: { type: 'object', fields: newVariantFields } },
+    // A product with variants takes its stock from them
+    check: ({ stock: given, variants }) => (given === undefined && !(variants && variants.length)
+      ? 'stock is required for a product without variants'
+      : undefined)
+  }
+};
+
+// Variants are managed through /api/products/:id/variants
+exports.updateProduct = { params: idParams, body: productFields };
+
+exports.addVariant = { params: idParams, body: newVariantFields };
+
+const variantParams = { id, variantId: id };
+
+exports.updateVariant = { params: variantParams, body: variantFields };
+
+exports.deleteVariant = { params: variantParams };
+
+exports.archiveProduct = { params: idParams };
+
+exports.restoreProduct = { params: idParams };
+
+exports.purgeProduct = { params: idParams };
@@ -0,0 +1,38 @@
+// Request schemas of the promotion routes (see middleware/validate.js).
+const { PROMOTION_TYPES } = require('../models/Promotion');
+const { idParams, minorUnits, currency, pageQuery } = require('./common');
+
+// The fields a client may set; uses_count is managed by orders. The model checks the
+// fields each promotion type depends on.
+const promotionFields = {
+  name: { type: 'string', min: 1 },
+  code: { type: 'string', nullable: true }, // Empty or null for an automatic promotion
+  type: { type: 'string', enum: PROMOTION_TYPES },
+  value: { type: 'number', min: 0 },
+  currency,
+  buy_quantity: { type: 'integer', min: 1 },
+  get_quantity: { type: 'integer', min: 1 },
+  product_ids: { type: 'array', items: { type: 'objectId' } },
+  min_order_value: minorUnits,
+  starts_at: { type: 'date', nullable: true },
+  ends_at: { type: 'date', nullable: true },
+  max_uses: { type: 'integer', min: 1, nullable: true },
+  max_uses_per_customer: { type: 'integer', min: 1, nullable: true },
+  active: { type: 'boolean' }
+};
+
+exports.createPromotion = {
+  body: {
+    ...promotionFields,
+    name: { ...promotionFields.name, required: true },
+    type: { ...promotionFields.type, required: true }
+  }
+};
+
+exports.getAllPromotions = { query: { ...pageQuery, active: { type: 'boolean' } } };
+
+exports.getPromotion = { params: idParams, query: {} };
+
+exports.updatePromotion = { params: idParams, body: promotionFields };
+
+exports.deletePromotion = { params: idParams };
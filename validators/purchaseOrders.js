@@ -0,0 +1,61 @@
+// Request schemas of the purchase order routes (see middleware/validate.js).
+const { PURCHASE_ORDER_STATUSES } = require('../services/purchasing');
+const { idParams, minorUnits, quantity, currency, pageQuery, productRef, needsProduct } = require('./common');
+
+const orderedLine = {
+  type: 'object',
+  fields: { ...productRef, quantity: { ...quantity, required: true }, unit_cost: { ...minorUnits, required: true } },
+  check: needsProduct
+};
+
+const purchaseOrderFields = {
+  supplier_id: { type: 'objectId' },
+  items: { type: 'array', min: 1, items: orderedLine },
+  currency,
+  warehouse_id: { type: 'objectId' },
+  expected_at: { type: 'date', nullable: true },
+  notes: { type: 'string', nullable: true }
+};
+
+exports.createPurchaseOrder = {
+  body: {
+    ...purchaseOrderFields,
+    supplier_id: { ...purchaseOrderFields.supplier_id, required: true },
+    items: { ...purchaseOrderFields.items, required: true }
+  }
+};
+
+exports.getPurchaseOrders = {
+  query: {
+    ...pageQuery,
+    status: { type: 'string', enum: PURCHASE_ORDER_STATUSES },
+    supplier_id: { type: 'objectId' },
+    created_from: { type: 'date' },
+    created_to: { type: 'date' }
+  }
+};
+
+exports.getPurchaseOrder = { params: idParams, query: {} };
+
+exports.updatePurchaseOrder = { params: idParams, body: purchaseOrderFields };
+
+exports.updatePurchaseOrderStatus = {
+  params: idParams,
+  body: {
+    status: { type: 'string', required: true, enum: PURCHASE_ORDER_STATUSES },
+    reason: { type: 'string' }
+  }
+};
+
+exports.receiveGoods = {
+  params: idParams,
+  body: {
+    items: {
+      type: 'array',
+      required: true,
+      min: 1,
+      items: { type: 'object', fields: { ...productRef, quantity: { ...quantity, required: true } }, check: needsProduct }
+    },
+    note: { type: 'string' }
+  }
+};
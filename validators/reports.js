@@ -0,0 +1,24 @@
+// Request schemas of the report routes (see middleware/validate.js).
+const { REPORT_INTERVALS, TOP_PRODUCT_MEASURES } = require('../services/reports');
+const { MAX_LIMIT } = require('../utils/pagination');
+
+// The query parameters every report takes
+const reportQuery = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  format: { type: 'string', enum: ['json', 'csv'] }
+};
+const interval = { type: 'string', enum: REPORT_INTERVALS };
+const limit = { type: 'integer', min: 1, max: MAX_LIMIT };
+
+exports.getRevenue = { query: { ...reportQuery, interval } };
+
+exports.getTopProducts = { query: { ...reportQuery, by: { type: 'string', enum: TOP_PRODUCT_MEASURES }, limit } };
+
+exports.getAverageOrderValue = { query: reportQuery };
+
+exports.getCancellationRate = { query: { ...reportQuery, interval } };
+
+exports.getRevenuePerCustomer = { query: { ...reportQuery, limit } };
+
+exports.getStockValue = { query: reportQuery };
@@ -0,0 +1,23 @@
+// Request schemas of the supplier routes (see middleware/validate.js).
+const { idParams, currency, email } = require('./common');
+
+const supplierFields = {
+  name: { type: 'string', min: 1 },
+  contact_name: { type: 'string', nullable: true },
+  email: { ...email, nullable: true },
+  phone: { type: 'string', nullable: true },
+  currency,
+  lead_time_days: { type: 'integer', min: 0, nullable: true },
+  active: { type: 'boolean' },
+  notes: { type: 'string', nullable: true }
+};
+
+exports.createSupplier = { body: { ...supplierFields, name: { ...supplierFields.name, required: true } } };
+
+exports.getAllSuppliers = { query: { active: { type: 'boolean' } } };
+
+exports.getSupplier = { params: idParams, query: {} };
+
+exports.updateSupplier = { params: idParams, body: supplierFields };
+
+exports.deleteSupplier = { params: idParams };
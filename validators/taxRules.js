@@ -0,0 +1,24 @@
+// Request schemas of the tax rule routes (see middleware/validate.js).
+const { idParams } = require('./common');
+
+const taxRuleFields = {
+  region: { type: 'string', min: 1 },
+  tax_category: { type: 'string', min: 1 },
+  rate: { type: 'integer', min: 0, max: 10000 }, // In basis points: 2000 is 20%
+  name: { type: 'string' }
+};
+
+exports.createTaxRule = {
+  body: {
+    ...taxRuleFields,
+    region: { ...taxRuleFields.region, required: true },
+    tax_category: { ...taxRuleFields.tax_category, required: true },
+    rate: { ...taxRuleFields.rate, required: true }
+  }
+};
+
+exports.getAllTaxRules = { query: { region: { type: 'string' } } };
+
+exports.updateTaxRule = { params: idParams, body: taxRuleFields };
+
+exports.deleteTaxRule = { params: idParams };
@@ -0,0 +1,51 @@
+// Request schemas of the warehouse routes (see middleware/validate.js).
+const { idParams, quantity, pageQuery, productRef, needsProduct } = require('./common');
+
+const warehouseFields = {
+  name: { type: 'string', min: 1 },
+  code: { type: 'string', min: 1 },
+  address: { type: 'string', nullable: true },
+  priority: { type: 'integer', min: 0 },
+  active: { type: 'boolean' }
+};
+
+exports.createWarehouse = {
+  body: {
+    ...warehouseFields,
+    name: { ...warehouseFields.name, required: true },
+    code: { ...warehouseFields.code, required: true }
+  }
+};
+
+exports.getAllWarehouses = { query: {} };
+
+exports.getWarehouse = { params: idParams, query: {} };
+
+// is_default: true makes the warehouse the default instead of the current one
+exports.updateWarehouse = { params: idParams, body: { ...warehouseFields, is_default: { type: 'boolean' } } };
+
+exports.deleteWarehouse = { params: idParams };
+
+exports.setWarehouseStock = {
+  params: idParams,
+  body: { ...productRef, stock: { type: 'integer', required: true, min: 0 }, check: needsProduct }
+};
+
+exports.createTransfer = {
+  body: {
+    from_warehouse_id: { type: 'objectId', required: true },
+    to_warehouse_id: { type: 'objectId', required: true },
+    items: {
+      type: 'array',
+      required: true,
+      min: 1,
+      items: { type: 'object', fields: { ...productRef, quantity: { ...quantity, required: true } }, check: needsProduct }
+    },
+    note: { type: 'string' },
+    check: ({ from_warehouse_id, to_warehouse_id }) => (from_warehouse_id === to_warehouse_id
+      ? 'Stock can only be transferred between two different warehouses'
+      : undefined)
+  }
+};
+
+exports.getTransfers = { query: { ...pageQuery, warehouse_id: { type: 'objectId' } } };
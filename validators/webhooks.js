@@ -0,0 +1,40 @@
+// Request schemas of the webhook routes (see middleware/validate.js).
+const { EVENT_TYPES } = require('../models/OutboxEvent');
+const { DELIVERY_STATUSES } = require('../models/WebhookDelivery');
+const { idParams, pageQuery } = require('./common');
+
+// The model checks the url and the event types subscribed to
+const webhookFields = {
+  url: { type: 'string', min: 1 },
+  events: { type: 'array', min: 1, items: { type: 'string' } },
+  description: { type: 'string', nullable: true },
+  active: { type: 'boolean' },
+  secret: { type: 'string', min: 1 }
+};
+
+exports.createWebhook = { body: { ...webhookFields, url: { ...webhookFields.url, required: true } } };
+
+exports.getAllWebhooks = { query: {} };
+
+exports.getWebhook = { params: idParams, query: {} };
+
+exports.updateWebhook = { params: idParams, body: webhookFields };
+
+exports.deleteWebhook = { params: idParams };
+
+exports.getEvents = {
+  query: { ...pageQuery, type: { type: 'string', enum: EVENT_TYPES }, aggregate_id: { type: 'objectId' } }
+};
+
+exports.getEvent = { params: idParams, query: {} };
+
+exports.replayEvent = { params: idParams, body: { webhook_id: { type: 'objectId' } } };
+
+exports.getDeliveries = {
+  query: {
+    ...pageQuery,
+    status: { type: 'string', enum: DELIVERY_STATUSES },
+    webhook_id: { type: 'objectId' },
+    event_id: { type: 'objectId' }
+  }
+};